@@ -4,43 +4,79 @@
 
 const cors = require('cors');
 const express = require('express');
+const { STATUS_CODES } = require('http');
 const morgan = require('morgan');
 
-const { NotFoundError } = require('./expressError');
+const { TRUST_PROXY } = require('./config');
+const { ExpressError, NotFoundError } = require('./expressError');
+const { translateDatabaseError } = require('./helpers/dbErrors');
 
-const { authenticateJWT } = require('./middleware/auth');
+const { authenticateJWT, rejectRevokedTokens } = require('./middleware/auth');
 const authRoutes = require('./routes/auth');
 const companiesRoutes = require('./routes/companies');
 const usersRoutes = require('./routes/users');
 const jobsRoutes = require('./routes/jobs');
+const technologiesRoutes = require('./routes/technologies');
+const applicationsRoutes = require('./routes/applications');
+const searchRoutes = require('./routes/search');
+const auditRoutes = require('./routes/audit');
+const docsRoutes = require('./routes/docs');
 
 // ==================================================
 
 const app = express();
 
+app.set('trust proxy', TRUST_PROXY);
+
 app.use(cors());
 app.use(express.json());
 app.use(morgan('tiny'));
 app.use(authenticateJWT);
+app.use(rejectRevokedTokens);
 
 app.use('/auth', authRoutes);
 app.use('/companies', companiesRoutes);
 app.use('/users', usersRoutes);
 app.use('/jobs', jobsRoutes);
+app.use('/technologies', technologiesRoutes);
+app.use('/applications', applicationsRoutes);
+app.use('/search', searchRoutes);
+app.use('/audit', auditRoutes);
+app.use('/', docsRoutes);
 
 /** Handle 404 errors -- this matches everything */
 app.use(function (req, res, next) {
   return next(new NotFoundError());
 });
 
-/** Generic error handler; anything unhandled goes here. */
+/** Generic error handler; anything unhandled goes here.
+ *
+ * Returns { error: { message, status, code, fields } }, with a Retry-After
+ * header for errors that say when to try again.  Database constraint
+ * violations are translated into bad request errors.  Errors not thrown by
+ * this app get a code from their HTTP status, e.g. "BAD_REQUEST".
+ */
 app.use(function (err, req, res, next) {
+  if (!(err instanceof ExpressError)) err = translateDatabaseError(err) || err;
+
   if (process.env.NODE_ENV !== 'test') console.error(err.stack);
+
+  // Let Express close the connection if a response was already being sent.
+  if (res.headersSent) return next(err);
+
   const status = err.status || 500;
   const message = err.message;
+  const code =
+    err instanceof ExpressError
+      ? err.code
+      : (STATUS_CODES[status] || 'Error').toUpperCase().replace(/\W+/g, '_');
+  const fields = err instanceof ExpressError ? err.fields : [];
+
+  if (err.retryAfter !== undefined)
+    res.set('Retry-After', String(err.retryAfter));
 
   return res.status(status).json({
-    error: { message, status },
+    error: { message, status, code, fields },
   });
 });
 
@@ -12,6 +12,27 @@ test('not found for site 404', async function () {
   expect(resp.statusCode).toEqual(404);
 });
 
+test('returns structured error', async function () {
+  const resp = await request(app).get('/no-such-path');
+  expect(resp.body).toEqual({
+    error: { message: 'Not Found', status: 404, code: 'NOT_FOUND', fields: [] },
+  });
+});
+
+test('returns code from status for errors not thrown by app', async function () {
+  const resp = await request(app)
+    .post('/auth/token')
+    .set('content-type', 'application/json')
+    .send('{ not json');
+  expect(resp.statusCode).toEqual(400);
+  expect(resp.body.error).toEqual({
+    message: expect.any(String),
+    status: 400,
+    code: 'BAD_REQUEST',
+    fields: [],
+  });
+});
+
 test('not found for site 404 (test stack print)', async function () {
   process.env.NODE_ENV = '';
   const resp = await request(app).get('/no-such-path');
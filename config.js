@@ -11,6 +11,92 @@ const SECRET_KEY = process.env.SECRET_KEY || 'secret-dev';
 
 const PORT = +process.env.PORT || 3001;
 
+// How long tokens stay valid, in seconds or a time span String such as "15m"
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_IN = process.env.REFRESH_TOKEN_EXPIRES_IN || '7d';
+
+// How long users with two-factor authentication have to enter a code after
+// their password, in seconds or a time span String
+const TWO_FACTOR_TOKEN_EXPIRES_IN =
+  process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m';
+
+// Whether admins must use two-factor authentication.  Admins without it get
+// tokens without admin access until they enable it.
+const REQUIRE_ADMIN_TWO_FACTOR =
+  process.env.REQUIRE_ADMIN_TWO_FACTOR === 'true';
+
+// How long password reset tokens stay valid, in seconds
+const PASSWORD_RESET_EXPIRES_IN =
+  +process.env.PASSWORD_RESET_EXPIRES_IN || 3600;
+
+// How long email verification tokens stay valid, and how long users must wait
+// before another verification email is sent, in seconds
+const EMAIL_VERIFICATION_EXPIRES_IN =
+  +process.env.EMAIL_VERIFICATION_EXPIRES_IN || 86400;
+const EMAIL_VERIFICATION_RESEND_SECONDS =
+  +process.env.EMAIL_VERIFICATION_RESEND_SECONDS || 60;
+
+// Whether users must verify their email address before applying to jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY =
+  process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY !== 'false';
+
+// Rules for new passwords: their length, and how many kinds of characters
+// (lowercase letters, uppercase letters, digits, and symbols) they must use.
+// bcrypt ignores everything after the first 72 bytes, so passwords can not be
+// longer than that.
+const PASSWORD_MIN_LENGTH = +process.env.PASSWORD_MIN_LENGTH || 8;
+const PASSWORD_MAX_LENGTH = Math.min(
+  +process.env.PASSWORD_MAX_LENGTH || 72,
+  72
+);
+const PASSWORD_MIN_CHARACTER_CLASSES =
+  +process.env.PASSWORD_MIN_CHARACTER_CLASSES || 2;
+
+// How long deleted companies, jobs, and users are kept before they are purged,
+// in days
+const DELETED_RETENTION_DAYS = +process.env.DELETED_RETENTION_DAYS || 30;
+
+// How emails are sent: "console" logs them, and "file" appends them to a file.
+// Emails have tokens in them, so the console is only used outside production,
+// and production must configure a transport, or set one with
+// setMailTransport, before the server starts.
+const MAIL_TRANSPORT =
+  process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'none' : 'console');
+const MAIL_FILE_PATH = process.env.MAIL_FILE_PATH || 'mail.log';
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@jobly.dev';
+
+// Failed logins allowed per username, and per IP address, before logins are
+// locked out.  The first lockout lasts LOGIN_LOCKOUT_SECONDS, and each further
+// failure doubles it, up to LOGIN_MAX_LOCKOUT_SECONDS.  Failures are forgotten
+// after no failures for LOGIN_MAX_LOCKOUT_SECONDS.
+const LOGIN_MAX_FAILURES = +process.env.LOGIN_MAX_FAILURES || 5;
+const LOGIN_MAX_IP_FAILURES = +process.env.LOGIN_MAX_IP_FAILURES || 20;
+const LOGIN_LOCKOUT_SECONDS = +process.env.LOGIN_LOCKOUT_SECONDS || 60;
+const LOGIN_MAX_LOCKOUT_SECONDS =
+  +process.env.LOGIN_MAX_LOCKOUT_SECONDS || 3600;
+
+/**
+ * Parses the value of Express's "trust proxy" setting.
+ *
+ * @param {String} value "true", "false", a number of proxies, or the
+ *   addresses of the proxies, e.g. "loopback, 10.0.0.0/8".
+ * @returns {Boolean | Number | String} The setting.
+ */
+function parseTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return +value;
+  return value;
+}
+
+// Which proxies in front of the app to trust, so that the client's IP address
+// is taken from their X-Forwarded-For header.  Behind a proxy, such as that of
+// the hosting service, this must be set, or else every client has the proxy's
+// IP address, and they all share one limit of failed logins.  Only trust
+// proxies that set the header themselves, since clients can send any header.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return process.env.NODE_ENV === 'test'
@@ -18,6 +104,11 @@ function getDatabaseUri() {
     : process.env.DATABASE_URL || 'postgresql://postgres@localhost/jobly';
 }
 
+// Maximum number of database connections.  Tests use a single connection, so
+// that each test can run in one transaction that is rolled back afterwards.
+const DATABASE_POOL_SIZE =
+  +process.env.DATABASE_POOL_SIZE || (process.env.NODE_ENV === 'test' ? 1 : 10);
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
@@ -26,8 +117,51 @@ const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === 'test' ? 1 : 12;
 console.log('Jobly Config:'.green);
 console.log('SECRET_KEY:'.yellow, SECRET_KEY);
 console.log('PORT:'.yellow, PORT.toString());
+console.log('ACCESS_TOKEN_EXPIRES_IN:'.yellow, ACCESS_TOKEN_EXPIRES_IN);
+console.log('REFRESH_TOKEN_EXPIRES_IN:'.yellow, REFRESH_TOKEN_EXPIRES_IN);
+console.log('TWO_FACTOR_TOKEN_EXPIRES_IN:'.yellow, TWO_FACTOR_TOKEN_EXPIRES_IN);
+console.log(
+  'REQUIRE_ADMIN_TWO_FACTOR:'.yellow,
+  REQUIRE_ADMIN_TWO_FACTOR.toString()
+);
+console.log(
+  'PASSWORD_RESET_EXPIRES_IN:'.yellow,
+  PASSWORD_RESET_EXPIRES_IN.toString()
+);
+console.log('PASSWORD_MIN_LENGTH:'.yellow, PASSWORD_MIN_LENGTH.toString());
+console.log('PASSWORD_MAX_LENGTH:'.yellow, PASSWORD_MAX_LENGTH.toString());
+console.log(
+  'PASSWORD_MIN_CHARACTER_CLASSES:'.yellow,
+  PASSWORD_MIN_CHARACTER_CLASSES.toString()
+);
+console.log(
+  'EMAIL_VERIFICATION_EXPIRES_IN:'.yellow,
+  EMAIL_VERIFICATION_EXPIRES_IN.toString()
+);
+console.log(
+  'EMAIL_VERIFICATION_RESEND_SECONDS:'.yellow,
+  EMAIL_VERIFICATION_RESEND_SECONDS.toString()
+);
+console.log(
+  'REQUIRE_VERIFIED_EMAIL_TO_APPLY:'.yellow,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY.toString()
+);
+console.log(
+  'DELETED_RETENTION_DAYS:'.yellow,
+  DELETED_RETENTION_DAYS.toString()
+);
+console.log('LOGIN_MAX_FAILURES:'.yellow, LOGIN_MAX_FAILURES.toString());
+console.log('LOGIN_MAX_IP_FAILURES:'.yellow, LOGIN_MAX_IP_FAILURES.toString());
+console.log('LOGIN_LOCKOUT_SECONDS:'.yellow, LOGIN_LOCKOUT_SECONDS.toString());
+console.log(
+  'LOGIN_MAX_LOCKOUT_SECONDS:'.yellow,
+  LOGIN_MAX_LOCKOUT_SECONDS.toString()
+);
+console.log('TRUST_PROXY:'.yellow, String(TRUST_PROXY));
+console.log('MAIL_TRANSPORT:'.yellow, MAIL_TRANSPORT);
 console.log('BCRYPT_WORK_FACTOR'.yellow, BCRYPT_WORK_FACTOR);
 console.log('Database:'.yellow, getDatabaseUri());
+console.log('DATABASE_POOL_SIZE:'.yellow, DATABASE_POOL_SIZE.toString());
 console.log('---');
 
 // ==================================================
@@ -35,6 +169,27 @@ console.log('---');
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  REQUIRE_ADMIN_TWO_FACTOR,
+  PASSWORD_RESET_EXPIRES_IN,
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_MIN_CHARACTER_CLASSES,
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
+  DELETED_RETENTION_DAYS,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT_SECONDS,
+  LOGIN_MAX_LOCKOUT_SECONDS,
+  TRUST_PROXY,
+  MAIL_TRANSPORT,
+  MAIL_FILE_PATH,
+  MAIL_FROM,
   BCRYPT_WORK_FACTOR,
+  DATABASE_POOL_SIZE,
   getDatabaseUri,
 };
@@ -8,17 +8,43 @@ describe('config can come from env', function () {
     process.env.PORT = '5000';
     process.env.DATABASE_URL = 'other';
     process.env.NODE_ENV = 'other';
+    process.env.DATABASE_POOL_SIZE = '5';
+    process.env.DELETED_RETENTION_DAYS = '7';
+    process.env.LOGIN_MAX_FAILURES = '3';
+    process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY = 'false';
+    process.env.PASSWORD_MAX_LENGTH = '100';
+    process.env.REQUIRE_ADMIN_TWO_FACTOR = 'true';
+    process.env.TRUST_PROXY = '2';
 
     const config = require('./config');
     expect(config.SECRET_KEY).toEqual('abc');
     expect(config.PORT).toEqual(5000);
     expect(config.getDatabaseUri()).toEqual('other');
     expect(config.BCRYPT_WORK_FACTOR).toEqual(12);
+    expect(config.DATABASE_POOL_SIZE).toEqual(5);
+    expect(config.DELETED_RETENTION_DAYS).toEqual(7);
+    expect(config.LOGIN_MAX_FAILURES).toEqual(3);
+    expect(config.LOGIN_MAX_IP_FAILURES).toEqual(20);
+    expect(config.REQUIRE_VERIFIED_EMAIL_TO_APPLY).toEqual(false);
+    expect(config.EMAIL_VERIFICATION_EXPIRES_IN).toEqual(86400);
+    expect(config.PASSWORD_MIN_LENGTH).toEqual(8);
+    expect(config.PASSWORD_MAX_LENGTH).toEqual(72);
+    expect(config.REQUIRE_ADMIN_TWO_FACTOR).toEqual(true);
+    expect(config.TWO_FACTOR_TOKEN_EXPIRES_IN).toEqual('5m');
+    expect(config.TRUST_PROXY).toEqual(2);
+    expect(config.MAIL_TRANSPORT).toEqual('console');
 
     delete process.env.SECRET_KEY;
     delete process.env.PORT;
     delete process.env.BCRYPT_WORK_FACTOR;
     delete process.env.DATABASE_URL;
+    delete process.env.DATABASE_POOL_SIZE;
+    delete process.env.DELETED_RETENTION_DAYS;
+    delete process.env.LOGIN_MAX_FAILURES;
+    delete process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY;
+    delete process.env.PASSWORD_MAX_LENGTH;
+    delete process.env.REQUIRE_ADMIN_TWO_FACTOR;
+    delete process.env.TRUST_PROXY;
 
     expect(config.getDatabaseUri()).toEqual(
       'postgresql://postgres@localhost/jobly'
@@ -29,4 +55,32 @@ describe('config can come from env', function () {
       'postgresql://postgres@localhost/jobly_test'
     );
   });
+
+  test.each([
+    [undefined, false],
+    ['false', false],
+    ['true', true],
+    ['1', 1],
+    ['loopback, 10.0.0.0/8', 'loopback, 10.0.0.0/8'],
+  ])('parses TRUST_PROXY %s', function (value, expected) {
+    if (value !== undefined) process.env.TRUST_PROXY = value;
+
+    jest.isolateModules(function () {
+      const config = require('./config');
+      expect(config.TRUST_PROXY).toEqual(expected);
+    });
+
+    delete process.env.TRUST_PROXY;
+  });
+
+  test('has no mail transport by default in production', function () {
+    process.env.NODE_ENV = 'production';
+
+    jest.isolateModules(function () {
+      const config = require('./config');
+      expect(config.MAIL_TRANSPORT).toEqual('none');
+    });
+
+    process.env.NODE_ENV = 'test';
+  });
 });
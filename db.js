@@ -2,27 +2,150 @@
 
 /** Database setup for jobly. */
 
-const { Client } = require('pg');
-const { getDatabaseUri } = require('./config');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Pool } = require('pg');
+const { getDatabaseUri, DATABASE_POOL_SIZE } = require('./config');
 
 // ==================================================
 
-let db;
-
-if (process.env.NODE_ENV === 'production') {
-  db = new Client({
-    connectionString: getDatabaseUri(),
+const pool = new Pool({
+  connectionString: getDatabaseUri(),
+  max: DATABASE_POOL_SIZE,
+  ...(process.env.NODE_ENV === 'production' && {
     ssl: {
       rejectUnauthorized: false,
     },
-  });
-} else {
-  db = new Client({
-    connectionString: getDatabaseUri(),
-  });
+  }),
+});
+
+// An idle connection can be dropped, e.g. if the database restarts.  The pool
+// discards it and opens a new one when needed, so the app keeps running.
+pool.on('error', function (err) {
+  console.error('Database connection error:'.red, err.message);
+});
+
+// The client of the transaction the current async call chain is running in.
+const transactionClient = new AsyncLocalStorage();
+
+// The client of the transaction opened by beginTransaction, which everything
+// runs in until it is rolled back.  Only tests can open one.
+let openClient;
+
+/**
+ * Gets the client of the transaction in progress, if any.
+ *
+ * @returns {Object | undefined} The client, from withTransaction or
+ *   beginTransaction.
+ */
+function getTransactionClient() {
+  return transactionClient.getStore() || openClient;
 }
 
-db.connect();
+// ==================================================
+
+const db = {
+  /**
+   * Runs a query on a connection from the pool, or on the connection of the
+   * current transaction if called from inside withTransaction.
+   *
+   * @param {String} text The SQL query.
+   * @param {Array} values Values of the query parameters.
+   * @returns {Object} The query result.
+   */
+  query(text, values) {
+    return (getTransactionClient() || pool).query(text, values);
+  },
+
+  /**
+   * Runs a function inside a database transaction, on a single connection.
+   * The transaction is committed if the function succeeds, or rolled back if
+   * it throws.  Queries made with db.query while the function runs, such as
+   * by other model methods, are part of the transaction.
+   *
+   * If a transaction is already in progress, from an outer withTransaction or
+   * from beginTransaction, a savepoint is used instead, so that only
+   * the changes made by the function are rolled back, and the outer
+   * transaction is left open.
+   *
+   * @param {Function} fn async (client) => result, where client can be used
+   *   for the queries of the transaction.
+   * @returns The result of fn.
+   */
+  async withTransaction(fn) {
+    const outerClient = getTransactionClient();
+    const client = outerClient || (await pool.connect());
+    const isNested = outerClient !== undefined;
+
+    try {
+      await client.query(isNested ? 'SAVEPOINT with_transaction' : 'BEGIN');
+      try {
+        const result = await transactionClient.run(client, () => fn(client));
+        await client.query(
+          isNested ? 'RELEASE SAVEPOINT with_transaction' : 'COMMIT'
+        );
+        return result;
+      } catch (err) {
+        if (isNested) {
+          // a savepoint stays defined after rolling back to it, so it is
+          // released too, or else an outer savepoint of the same name would
+          // be shadowed by it
+          await client.query('ROLLBACK TO SAVEPOINT with_transaction');
+          await client.query('RELEASE SAVEPOINT with_transaction');
+        } else {
+          await client.query('ROLLBACK');
+        }
+        throw err;
+      }
+    } finally {
+      if (!outerClient) client.release();
+    }
+  },
+
+  /**
+   * Opens a transaction that all queries, including those of
+   * withTransaction, run in until rollbackTransaction is called.  Tests use
+   * it so that their changes are undone.  It can only be used in tests,
+   * since every query of the process would share its connection.
+   *
+   * @throws Error If not in tests, or a transaction was already opened.
+   */
+  async beginTransaction() {
+    if (process.env.NODE_ENV !== 'test') {
+      throw new Error('beginTransaction can only be used in tests');
+    }
+    if (openClient) throw new Error('A transaction is already open');
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+    } catch (err) {
+      // a client that failed a query is discarded instead of reused
+      client.release(err);
+      throw err;
+    }
+    openClient = client;
+  },
+
+  /** Rolls back the transaction opened by beginTransaction. */
+  async rollbackTransaction() {
+    const client = openClient;
+    if (!client) return;
+
+    openClient = undefined;
+    try {
+      await client.query('ROLLBACK');
+    } catch (err) {
+      client.release(err);
+      throw err;
+    }
+    client.release();
+  },
+
+  /** Closes all connections of the pool. */
+  end() {
+    return pool.end();
+  },
+};
 
 // ==================================================
 
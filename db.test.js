@@ -0,0 +1,159 @@
+'use strict';
+
+const db = require('./db.js');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./models/_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * Gets the handles of all companies.
+ *
+ * @returns {Array} [handle, ...].
+ */
+async function getHandles() {
+  const result = await db.query('SELECT handle FROM companies ORDER BY handle');
+  return result.rows.map((r) => r.handle);
+}
+
+/************************************** query */
+
+describe('query', function () {
+  test('Runs a query.', async function () {
+    // Act
+    const result = await db.query('SELECT $1::INTEGER AS n', [1]);
+
+    // Assert
+    expect(result.rows).toEqual([{ n: 1 }]);
+  });
+});
+
+/************************************** beginTransaction */
+
+describe('beginTransaction', function () {
+  test('Runs queries and withTransaction in the open transaction.', async function () {
+    // Arrange
+    await db.query(`DELETE FROM companies WHERE handle = 'c1'`);
+
+    // Act
+    const result = await db.withTransaction(async (client) => {
+      const pidRes = await client.query('SELECT pg_backend_pid() AS pid');
+      return pidRes.rows[0].pid;
+    });
+
+    // Assert
+    const pidRes = await db.query('SELECT pg_backend_pid() AS pid');
+    expect(result).toEqual(pidRes.rows[0].pid);
+    expect(await getHandles()).toEqual(['c2', 'c3']);
+  });
+
+  test('Throws if not in tests.', async function () {
+    // Arrange
+    process.env.NODE_ENV = 'production';
+
+    // Act / Assert
+    try {
+      await expect(db.beginTransaction()).rejects.toThrow(
+        'beginTransaction can only be used in tests'
+      );
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('Throws if a transaction is already open.', async function () {
+    // Act / Assert
+    await expect(db.beginTransaction()).rejects.toThrow(
+      'A transaction is already open'
+    );
+  });
+});
+
+/************************************** withTransaction */
+
+describe('withTransaction', function () {
+  test('Keeps changes and returns result if function succeeds.', async function () {
+    // Act
+    const result = await db.withTransaction(async (client) => {
+      await client.query(`DELETE FROM companies WHERE handle = 'c1'`);
+      return 'done';
+    });
+
+    // Assert
+    expect(result).toEqual('done');
+    expect(await getHandles()).toEqual(['c2', 'c3']);
+  });
+
+  test('Rolls back only its changes if function throws.', async function () {
+    // Arrange
+    await db.query(`DELETE FROM companies WHERE handle = 'c3'`);
+
+    // Act
+    const promise = db.withTransaction(async (client) => {
+      await client.query(`DELETE FROM companies WHERE handle = 'c1'`);
+      throw new Error('oops');
+    });
+
+    // Assert
+    await expect(promise).rejects.toThrow('oops');
+    expect(await getHandles()).toEqual(['c1', 'c2']);
+  });
+
+  test('Includes db.query calls in the transaction.', async function () {
+    // Act
+    const promise = db.withTransaction(async () => {
+      await db.query(`DELETE FROM companies WHERE handle = 'c1'`);
+      throw new Error('oops');
+    });
+
+    // Assert
+    await expect(promise).rejects.toThrow('oops');
+    expect(await getHandles()).toEqual(['c1', 'c2', 'c3']);
+  });
+
+  test('Rolls back only the inner changes of a nested transaction.', async function () {
+    // Act
+    const result = await db.withTransaction(async (client) => {
+      await client.query(`DELETE FROM companies WHERE handle = 'c1'`);
+
+      const promise = db.withTransaction(async (innerClient) => {
+        expect(innerClient).toBe(client);
+        await innerClient.query(`DELETE FROM companies WHERE handle = 'c2'`);
+        throw new Error('oops');
+      });
+      await expect(promise).rejects.toThrow('oops');
+
+      return 'done';
+    });
+
+    // Assert
+    expect(result).toEqual('done');
+    expect(await getHandles()).toEqual(['c2', 'c3']);
+  });
+
+  test('Rolls back all changes if the outer function throws after a nested rollback.', async function () {
+    // Act
+    const promise = db.withTransaction(async (client) => {
+      await client.query(`DELETE FROM companies WHERE handle = 'c1'`);
+      await db
+        .withTransaction(async () => {
+          throw new Error('inner');
+        })
+        .catch(() => {});
+      throw new Error('outer');
+    });
+
+    // Assert
+    await expect(promise).rejects.toThrow('outer');
+    expect(await getHandles()).toEqual(['c1', 'c2', 'c3']);
+  });
+});
@@ -1,52 +1,83 @@
 /** ExpressError extends normal JS error so we can
  *  add a status when we make an instance of it.
  *
+ *  Each error also has a machine-readable code, and a list of the fields that
+ *  caused it, as [{ pointer, keyword, message }, ...], where pointer is a JSON
+ *  pointer into the request data.
+ *
  *  The error-handling middleware will return this.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, code, fields = []) {
     super();
     this.message = message;
     this.status = status;
+    this.code = code;
+    this.fields = fields;
   }
 }
 
 /** 404 NOT FOUND error. */
 
 class NotFoundError extends ExpressError {
-  constructor(message = 'Not Found') {
-    super(message, 404);
+  constructor(message = 'Not Found', code = 'NOT_FOUND') {
+    super(message, 404, code);
   }
 }
 
 /** 401 UNAUTHORIZED error. */
 
 class UnauthorizedError extends ExpressError {
-  constructor(message = 'Unauthorized') {
-    super(message, 401);
+  constructor(message = 'Unauthorized', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
   }
 }
 
 /** 400 BAD REQUEST error. */
 
 class BadRequestError extends ExpressError {
-  constructor(message = 'Bad Request') {
-    super(message, 400);
+  constructor(message = 'Bad Request', code = 'BAD_REQUEST', fields = []) {
+    super(message, 400, code, fields);
+  }
+}
+
+/** 400 BAD REQUEST error for request data that is not valid. */
+
+class ValidationError extends BadRequestError {
+  constructor(fields, message = 'Request data is not valid.') {
+    super(message, 'VALIDATION_FAILED', fields);
   }
 }
 
 /** 403 BAD REQUEST error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = 'Bad Request') {
-    super(message, 403);
+  constructor(message = 'Bad Request', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+/** 429 TOO MANY REQUESTS error.  retryAfter is how many seconds to wait
+ *  before trying again, which is sent in the Retry-After header. */
+
+class TooManyRequestsError extends ExpressError {
+  constructor(
+    message = 'Too Many Requests',
+    retryAfter = undefined,
+    code = 'TOO_MANY_REQUESTS'
+  ) {
+    super(message, 429, code);
+    this.retryAfter = retryAfter;
   }
 }
 
 class ServerError extends ExpressError {
-  constructor(message = 'Internal Server Error') {
-    super(message, 500);
+  constructor(
+    message = 'Internal Server Error',
+    code = 'INTERNAL_SERVER_ERROR'
+  ) {
+    super(message, 500, code);
   }
 }
 
@@ -57,6 +88,8 @@ module.exports = {
   NotFoundError,
   UnauthorizedError,
   BadRequestError,
+  ValidationError,
   ForbiddenError,
+  TooManyRequestsError,
   ServerError,
 };
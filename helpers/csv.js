@@ -0,0 +1,203 @@
+'use strict';
+
+const { ValidationError } = require('../expressError');
+
+// ==================================================
+
+/**
+ * Splits CSV text into records of fields.  Fields can be quoted with ", in
+ * which case they can contain commas, line breaks, and "" for a quote.
+ *
+ * @param {String} text The CSV text.
+ * @returns {Array} [[field, ...], ...], without blank lines.
+ * @throws ValidationError If a quoted field is not closed.
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  text = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ValidationError(
+      [{ pointer: '', keyword: 'format', message: 'has an unclosed quote' }],
+      'CSV has a quoted field that is not closed.'
+    );
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter((r) => !(r.length === 1 && r[0] === ''));
+}
+
+/**
+ * Parses CSV text into Objects, using the first line as the header with the
+ * keys.  All values are Strings.
+ *
+ * @param {String} text The CSV text.
+ * @returns {Array} [{ key: value, ... }, ...].
+ * @throws ValidationError If the CSV is malformed, or a row does not have the
+ *   same number of fields as the header.
+ */
+function parseCsv(text) {
+  const [header, ...records] = parseCsvRecords(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+
+  return records.map((record, index) => {
+    if (record.length !== keys.length) {
+      throw new ValidationError(
+        [
+          {
+            pointer: `/${index}`,
+            keyword: 'format',
+            message: `has ${record.length} fields, but the header has ${keys.length}`,
+          },
+        ],
+        'CSV row does not have the same number of fields as the header.'
+      );
+    }
+
+    return Object.fromEntries(keys.map((key, i) => [key, record[i]]));
+  });
+}
+
+// How many rows to get from the database at a time when sending CSV.
+const CSV_BATCH_SIZE = 500;
+
+/**
+ * Converts values into a line of CSV.  Arrays are joined with ";", and null
+ * and undefined become empty fields.  Fields are quoted if needed, and
+ * Strings that a spreadsheet would run as a formula are prefixed with '.
+ *
+ * @param {Array} values [value, ...].
+ * @returns {String} The CSV line, ending with CRLF.
+ */
+function toCsvLine(values) {
+  const fields = values.map((value) => {
+    if (value === null || value === undefined) return '';
+
+    let field = Array.isArray(value) ? value.join(';') : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(field)) {
+      field = `'${field}`;
+    }
+
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  });
+
+  return fields.join(',') + '\r\n';
+}
+
+/**
+ * Checks whether a request asks for CSV, either with ?format=csv, or with an
+ * Accept header that prefers text/csv over JSON.
+ *
+ * @param {Object} req The request Object from Express.
+ * @returns {Boolean} True if CSV should be sent.
+ */
+function wantsCsv(req) {
+  if (req.query.format !== undefined) return req.query.format === 'csv';
+  return req.accepts(['json', 'csv']) === 'csv';
+}
+
+/**
+ * Writes to the response, waiting until the client has read enough if the
+ * response buffer is full.
+ *
+ * @param {Object} res The response Object from Express.
+ * @param {String} chunk The text to write.
+ */
+async function writeChunk(res, chunk) {
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Sends rows as a CSV file.  Rows are fetched and written in batches, so that
+ * all rows are never held in memory at once.  The first batch is fetched
+ * before anything is sent, so that errors from fetching, such as invalid
+ * filters, are still sent as error responses.
+ *
+ * @param {Object} res The response Object from Express.
+ * @param {String} filename The name of the file to download as.
+ * @param {Array} columns [key, ...], the keys of the rows to send, which are
+ *   also used as the header.
+ * @param {Function} fetchRows async ({ limit, offset }) => [row, ...], which
+ *   gets a batch of rows.
+ * @param {Object} param4 { limit, offset }, to only send some of the rows.
+ */
+async function sendCsv(res, filename, columns, fetchRows, { limit, offset }) {
+  let remaining = limit === undefined ? Infinity : limit;
+  offset = offset || 0;
+
+  let batchSize = Math.min(CSV_BATCH_SIZE, remaining);
+  let rows = await fetchRows({ limit: batchSize, offset });
+
+  res.type('text/csv');
+  res.attachment(filename);
+  await writeChunk(res, toCsvLine(columns));
+
+  while (!res.destroyed) {
+    await writeChunk(
+      res,
+      rows.map((row) => toCsvLine(columns.map((c) => row[c]))).join('')
+    );
+
+    if (rows.length < batchSize) break;
+    remaining -= rows.length;
+    offset += rows.length;
+    if (remaining <= 0) break;
+
+    batchSize = Math.min(CSV_BATCH_SIZE, remaining);
+    rows = await fetchRows({ limit: batchSize, offset });
+  }
+
+  res.end();
+}
+
+// ==================================================
+
+module.exports = { parseCsv, toCsvLine, wantsCsv, sendCsv };
@@ -0,0 +1,195 @@
+'use strict';
+
+const { parseCsv, toCsvLine, wantsCsv, sendCsv } = require('./csv');
+const { ValidationError } = require('../expressError');
+
+// ==================================================
+
+/************************************** parseCsv */
+
+describe('parseCsv', () => {
+  test('Parses rows into Objects using the header.', () => {
+    // Arrange
+    const text = 'handle,name\nc1,C1\nc2,C2\n';
+
+    // Act
+    const rows = parseCsv(text);
+
+    // Assert
+    expect(rows).toEqual([
+      { handle: 'c1', name: 'C1' },
+      { handle: 'c2', name: 'C2' },
+    ]);
+  });
+
+  test('Parses quoted fields, CRLF line breaks, and blank lines.', () => {
+    // Arrange
+    const text =
+      '\uFEFFhandle, description\r\n' +
+      'c1,"Has ""quotes"", commas,\nand lines"\r\n' +
+      '\r\n' +
+      'c2,\r\n';
+
+    // Act
+    const rows = parseCsv(text);
+
+    // Assert
+    expect(rows).toEqual([
+      { handle: 'c1', description: 'Has "quotes", commas,\nand lines' },
+      { handle: 'c2', description: '' },
+    ]);
+  });
+
+  test('Returns no rows for empty text.', () => {
+    // Act / Assert
+    expect(parseCsv('')).toEqual([]);
+    expect(parseCsv('handle,name\n')).toEqual([]);
+  });
+
+  test.each([['handle,name\nc1\n'], ['handle,name\nc1,C1,extra\n']])(
+    'Throws ValidationError if row does not match header.  Text: %s',
+    (text) => {
+      // Act / Assert
+      expect(() => parseCsv(text)).toThrow(ValidationError);
+    }
+  );
+
+  test('Throws ValidationError if quote is not closed.', () => {
+    // Act / Assert
+    expect(() => parseCsv('handle,name\nc1,"C1\n')).toThrow(ValidationError);
+  });
+});
+
+/************************************** toCsvLine */
+
+describe('toCsvLine', () => {
+  test.each([
+    [['a', 1, 0.5, true], 'a,1,0.5,true\r\n'],
+    [[null, undefined, ''], ',,\r\n'],
+    [[['t1', 't2']], 't1;t2\r\n'],
+    [['a,b', 'say "hi"', 'two\nlines'], '"a,b","say ""hi""","two\nlines"\r\n'],
+    [['=SUM(A1)', '+1', '-1', '@a', -1], "'=SUM(A1),'+1,'-1,'@a,-1\r\n"],
+  ])('Converts %o into a CSV line.', (values, expected) => {
+    // Act
+    const line = toCsvLine(values);
+
+    // Assert
+    expect(line).toEqual(expected);
+  });
+});
+
+/************************************** wantsCsv */
+
+describe('wantsCsv', () => {
+  test.each([
+    [{ format: 'csv' }, 'application/json', true],
+    [{ format: 'json' }, 'text/csv', false],
+    [{}, 'text/csv', true],
+    [{}, 'application/json', false],
+  ])('Checks query %o and Accept header %s.', (query, accept, expected) => {
+    // Arrange
+    const req = {
+      query,
+      accepts: (types) => (accept === 'text/csv' ? 'csv' : types[0]),
+    };
+
+    // Act / Assert
+    expect(wantsCsv(req)).toBe(expected);
+  });
+});
+
+/************************************** sendCsv */
+
+describe('sendCsv', () => {
+  /**
+   * Creates a fake response Object that collects what is written to it.
+   *
+   * @returns {Object} The fake response, with the written text in body.
+   */
+  function fakeResponse() {
+    return {
+      body: '',
+      headers: {},
+      type(type) {
+        this.headers.type = type;
+      },
+      attachment(filename) {
+        this.headers.filename = filename;
+      },
+      write(chunk) {
+        this.body += chunk;
+        return true;
+      },
+      end() {
+        this.ended = true;
+      },
+    };
+  }
+
+  /**
+   * Creates a fake fetchRows function over a number of rows.
+   *
+   * @param {Number} count How many rows there are.
+   * @returns {Function} The fake fetchRows, which records its calls in calls.
+   */
+  function fakeFetchRows(count) {
+    const rows = Array.from({ length: count }, (_, i) => ({ id: i, x: 'a' }));
+    const fetchRows = async ({ limit, offset }) => {
+      fetchRows.calls.push({ limit, offset });
+      return rows.slice(offset, offset + limit);
+    };
+    fetchRows.calls = [];
+    return fetchRows;
+  }
+
+  test('Sends all rows in batches.', async () => {
+    // Arrange
+    const res = fakeResponse();
+    const fetchRows = fakeFetchRows(1001);
+
+    // Act
+    await sendCsv(res, 'rows.csv', ['id', 'x'], fetchRows, {});
+
+    // Assert
+    expect(res.headers).toEqual({ type: 'text/csv', filename: 'rows.csv' });
+    expect(res.ended).toBe(true);
+    expect(fetchRows.calls).toEqual([
+      { limit: 500, offset: 0 },
+      { limit: 500, offset: 500 },
+      { limit: 500, offset: 1000 },
+    ]);
+    const lines = res.body.split('\r\n');
+    expect(lines[0]).toEqual('id,x');
+    expect(lines[1]).toEqual('0,a');
+    expect(lines[1001]).toEqual('1000,a');
+    expect(lines.length).toEqual(1003);
+  });
+
+  test('Only sends the rows within limit and offset.', async () => {
+    // Arrange
+    const res = fakeResponse();
+    const fetchRows = fakeFetchRows(10);
+
+    // Act
+    await sendCsv(res, 'rows.csv', ['id'], fetchRows, { limit: 2, offset: 3 });
+
+    // Assert
+    expect(fetchRows.calls).toEqual([{ limit: 2, offset: 3 }]);
+    expect(res.body).toEqual('id\r\n3\r\n4\r\n');
+  });
+
+  test('Sends nothing if fetching the first batch fails.', async () => {
+    // Arrange
+    const res = fakeResponse();
+    const fetchRows = async () => {
+      throw new ValidationError([]);
+    };
+
+    // Act / Assert
+    await expect(
+      sendCsv(res, 'rows.csv', ['id'], fetchRows, {})
+    ).rejects.toThrow(ValidationError);
+    expect(res.headers).toEqual({});
+    expect(res.body).toEqual('');
+  });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+// Errors for database constraints, by constraint name, as
+// [code, pointer, keyword, message].  The pointer points at the request data
+// field that the constraint checks.
+const CONSTRAINT_ERRORS = Object.freeze({
+  companies_pkey: [
+    'DUPLICATE_COMPANY_HANDLE',
+    '/handle',
+    'unique',
+    'Company handle already exists.',
+  ],
+  companies_name_key: [
+    'DUPLICATE_COMPANY_NAME',
+    '/name',
+    'unique',
+    'Company name already exists.',
+  ],
+  companies_handle_check: [
+    'INVALID_COMPANY_HANDLE',
+    '/handle',
+    'check',
+    'Company handle must be lowercase.',
+  ],
+  companies_num_employees_check: [
+    'INVALID_NUM_EMPLOYEES',
+    '/numEmployees',
+    'check',
+    'Number of employees can not be negative.',
+  ],
+  users_pkey: [
+    'DUPLICATE_USERNAME',
+    '/username',
+    'unique',
+    'Username already exists.',
+  ],
+  users_email_check: ['INVALID_EMAIL', '/email', 'check', 'Email is invalid.'],
+  jobs_salary_check: [
+    'INVALID_SALARY',
+    '/salary',
+    'check',
+    'Salary can not be negative.',
+  ],
+  jobs_equity_check: [
+    'INVALID_EQUITY',
+    '/equity',
+    'check',
+    'Equity can not be greater than 1.0.',
+  ],
+  technologies_name_key: [
+    'DUPLICATE_TECHNOLOGY_NAME',
+    '/name',
+    'unique',
+    'Technology name already exists.',
+  ],
+});
+
+// Errors for PostgreSQL error codes of constraints without an entry in
+// CONSTRAINT_ERRORS, as [code, keyword].
+const PG_CODE_ERRORS = Object.freeze({
+  23502: ['MISSING_VALUE', 'required'],
+  23503: ['REFERENCE_NOT_FOUND', 'reference'],
+  23505: ['DUPLICATE', 'unique'],
+  23514: ['CHECK_FAILED', 'check'],
+});
+
+/**
+ * Creates the error for a database constraint, so that models can report a
+ * violation they check for themselves the same way as the database would.
+ *
+ * @param {String} constraint Name of a constraint in CONSTRAINT_ERRORS.
+ * @param {String} message Message of the error, instead of the default.
+ * @returns {BadRequestError} The error, with a code and field.
+ */
+function constraintError(constraint, message) {
+  const [code, pointer, keyword, defaultMessage] =
+    CONSTRAINT_ERRORS[constraint];
+
+  return new BadRequestError(message || defaultMessage, code, [
+    { pointer, keyword, message: defaultMessage },
+  ]);
+}
+
+/**
+ * Translates a PostgreSQL constraint violation into a BadRequestError.
+ *
+ * @param {Error} err An error from the database.
+ * @returns {BadRequestError|undefined} The translated error, or undefined if
+ *   the error is not a constraint violation.
+ */
+function translateDatabaseError(err) {
+  if (
+    err.constraint &&
+    Object.prototype.hasOwnProperty.call(CONSTRAINT_ERRORS, err.constraint)
+  ) {
+    return constraintError(err.constraint);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(PG_CODE_ERRORS, err.code)) {
+    const [code, keyword] = PG_CODE_ERRORS[err.code];
+    return new BadRequestError(err.detail || err.message, code, [
+      { pointer: '', keyword, message: err.message },
+    ]);
+  }
+}
+
+// ==================================================
+
+module.exports = { constraintError, translateDatabaseError };
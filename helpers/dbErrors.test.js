@@ -0,0 +1,77 @@
+'use strict';
+
+const { constraintError, translateDatabaseError } = require('./dbErrors');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** constraintError */
+
+describe('constraintError', () => {
+  test('Creates error for a constraint with a custom message.', () => {
+    // Act
+    const error = constraintError('companies_pkey', 'Duplicate company: c1');
+
+    // Assert
+    expect(error instanceof BadRequestError).toBeTruthy();
+    expect(error.message).toEqual('Duplicate company: c1');
+    expect(error.code).toEqual('DUPLICATE_COMPANY_HANDLE');
+    expect(error.fields).toEqual([
+      { pointer: '/handle', keyword: 'unique', message: expect.any(String) },
+    ]);
+  });
+});
+
+/************************************** translateDatabaseError */
+
+describe('translateDatabaseError', () => {
+  test.each([
+    ['23505', 'companies_name_key', 'DUPLICATE_COMPANY_NAME', '/name'],
+    ['23514', 'jobs_equity_check', 'INVALID_EQUITY', '/equity'],
+    ['23514', 'jobs_salary_check', 'INVALID_SALARY', '/salary'],
+  ])(
+    'Translates known constraint.  Code: %s, constraint: %s.',
+    (pgCode, constraint, code, pointer) => {
+      // Arrange
+      const err = Object.assign(new Error('violation'), { code: pgCode });
+      err.constraint = constraint;
+
+      // Act
+      const error = translateDatabaseError(err);
+
+      // Assert
+      expect(error instanceof BadRequestError).toBeTruthy();
+      expect(error.code).toEqual(code);
+      expect(error.fields).toEqual([
+        { pointer, keyword: expect.any(String), message: expect.any(String) },
+      ]);
+    }
+  );
+
+  test('Translates unknown constraint by its PostgreSQL code.', () => {
+    // Arrange
+    const err = Object.assign(new Error('violation'), {
+      code: '23505',
+      constraint: 'other_key',
+      detail: 'Key (id)=(1) already exists.',
+    });
+
+    // Act
+    const error = translateDatabaseError(err);
+
+    // Assert
+    expect(error.message).toEqual('Key (id)=(1) already exists.');
+    expect(error.code).toEqual('DUPLICATE');
+    expect(error.fields).toEqual([
+      { pointer: '', keyword: 'unique', message: 'violation' },
+    ]);
+  });
+
+  test('Returns undefined if error is not a constraint violation.', () => {
+    // Act
+    const error = translateDatabaseError(new Error('oops'));
+
+    // Assert
+    expect(error).toBeUndefined();
+  });
+});
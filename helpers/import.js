@@ -0,0 +1,145 @@
+'use strict';
+
+const { parseCsv } = require('./csv');
+const { BadRequestError, ValidationError } = require('../expressError');
+const { validateSchema } = require('./validation');
+
+// ==================================================
+
+/**
+ * Converts a CSV value into the type its JSON schema expects.  Arrays are
+ * separated by ";".  Values that can not be converted are left as Strings, so
+ * that validating them fails.
+ *
+ * @param {String} value The CSV value.
+ * @param {Object} schema The JSON schema of the value.
+ * @returns {*} The converted value.
+ */
+function convertCsvValue(value, schema = {}) {
+  const types = schema.anyOf ? schema.anyOf.map((s) => s.type) : [schema.type];
+
+  if (types.includes('array')) {
+    return value.split(';').map((item) => convertCsvValue(item, schema.items));
+  }
+
+  value = value.trim();
+
+  if (
+    (types.includes('integer') || types.includes('number')) &&
+    value !== '' &&
+    !Number.isNaN(Number(value))
+  ) {
+    return Number(value);
+  }
+
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Gets the rows to import from a request.  The body can either be a JSON
+ * array of Objects, or CSV with a header line and a text/csv content type.
+ * CSV values are converted to the types in the schema, and empty values are
+ * left out.
+ *
+ * @param {Object} req The request Object from Express.
+ * @param {Object} schema The JSON schema for each row.
+ * @returns {Array} [row, ...].
+ * @throws ValidationError If the body is neither a JSON array nor valid CSV.
+ */
+function getImportRows(req, schema) {
+  if (req.is('text/csv')) {
+    return parseCsv(typeof req.body === 'string' ? req.body : '').map((row) =>
+      Object.fromEntries(
+        Object.entries(row)
+          .filter(([, value]) => value.trim() !== '')
+          .map(([key, value]) => [
+            key,
+            convertCsvValue(value, schema.properties[key]),
+          ])
+      )
+    );
+  }
+
+  validateSchema(req.body, { type: 'array' });
+
+  return req.body;
+}
+
+/**
+ * Validates each row to import against a JSON schema.
+ *
+ * @param {Array} rows [row, ...].
+ * @param {Object} schema The JSON schema for each row.
+ * @returns {Object} { valid, rejected }, where valid is
+ *   [{ index, data }, ...] and rejected is
+ *   [{ index, status: 'rejected', errors }, ...].  index is the position of
+ *   the row, starting at 0.
+ */
+function validateImportRows(rows, schema) {
+  const valid = [];
+  const rejected = [];
+
+  rows.forEach((data, index) => {
+    try {
+      validateSchema(data, schema);
+      valid.push({ index, data });
+    } catch (err) {
+      if (!(err instanceof ValidationError)) throw err;
+      rejected.push({ index, status: 'rejected', errors: err.fields });
+    }
+  });
+
+  return { valid, rejected };
+}
+
+/**
+ * Creates the error for an import with rejected rows.  Its fields point at
+ * the rejected rows, e.g. "/2/name" for the name of the third row.
+ *
+ * @param {Array} rejected [{ index, errors }, ...].
+ * @returns {BadRequestError} The error.
+ */
+function importRejectedError(rejected) {
+  const fields = rejected.flatMap(({ index, errors }) =>
+    errors.map((field) => ({ ...field, pointer: `/${index}${field.pointer}` }))
+  );
+
+  return new BadRequestError(
+    `${rejected.length} row(s) were rejected, so nothing was imported.`,
+    'IMPORT_REJECTED',
+    fields
+  );
+}
+
+/**
+ * Creates the report of an import.
+ *
+ * @param {Array} results [{ index, status, ... }, ...], where status is
+ *   "created", "updated", or "rejected".
+ * @returns {Object} { created, updated, rejected, rows }, where created,
+ *   updated, and rejected are counts, and rows are the results in order.
+ */
+function createImportReport(results) {
+  const rows = [...results].sort((a, b) => a.index - b.index);
+  const count = (status) => rows.filter((r) => r.status === status).length;
+
+  return {
+    created: count('created'),
+    updated: count('updated'),
+    rejected: count('rejected'),
+    rows,
+  };
+}
+
+// ==================================================
+
+module.exports = {
+  getImportRows,
+  validateImportRows,
+  importRejectedError,
+  createImportReport,
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+const {
+  getImportRows,
+  validateImportRows,
+  importRejectedError,
+  createImportReport,
+} = require('./import');
+const { BadRequestError, ValidationError } = require('../expressError');
+
+// ==================================================
+
+const schema = Object.freeze({
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    count: { type: 'integer' },
+    share: { type: 'number' },
+    active: { type: 'boolean' },
+    tags: {
+      type: 'array',
+      items: { anyOf: [{ type: 'string' }, { type: 'integer' }] },
+    },
+  },
+  additionalProperties: false,
+  required: ['name'],
+});
+
+/**
+ * Creates a fake request Object with a body and content type.
+ *
+ * @param {*} body The request body.
+ * @param {String} contentType The content type of the request.
+ * @returns {Object} { body, is(type) }.
+ */
+function fakeRequest(body, contentType) {
+  return { body, is: (type) => type === contentType };
+}
+
+/************************************** getImportRows */
+
+describe('getImportRows', () => {
+  test('Returns JSON array as is.', () => {
+    // Arrange
+    const body = [{ name: 'a' }, { name: 1 }];
+
+    // Act
+    const rows = getImportRows(fakeRequest(body, 'application/json'), schema);
+
+    // Assert
+    expect(rows).toBe(body);
+  });
+
+  test('Converts CSV values to the types in the schema.', () => {
+    // Arrange
+    const text =
+      'name,count,share,active,tags\n' +
+      'a,1,0.5,true,x; 2\n' +
+      'b,,,,\n' +
+      '3,one,,yes,\n';
+
+    // Act
+    const rows = getImportRows(fakeRequest(text, 'text/csv'), schema);
+
+    // Assert
+    expect(rows).toEqual([
+      { name: 'a', count: 1, share: 0.5, active: true, tags: ['x', 2] },
+      { name: 'b' },
+      { name: '3', count: 'one', active: 'yes' },
+    ]);
+  });
+
+  test('Throws ValidationError if body is not an array.', () => {
+    // Act / Assert
+    expect(() =>
+      getImportRows(fakeRequest({ name: 'a' }, 'application/json'), schema)
+    ).toThrow(ValidationError);
+  });
+});
+
+/************************************** validateImportRows */
+
+describe('validateImportRows', () => {
+  test('Splits rows into valid and rejected rows.', () => {
+    // Arrange
+    const rows = [{ name: 'a' }, { name: 1 }, { name: 'b', other: 1 }];
+
+    // Act
+    const { valid, rejected } = validateImportRows(rows, schema);
+
+    // Assert
+    expect(valid).toEqual([{ index: 0, data: { name: 'a' } }]);
+    expect(rejected).toEqual([
+      {
+        index: 1,
+        status: 'rejected',
+        errors: [
+          { pointer: '/name', keyword: 'type', message: expect.any(String) },
+        ],
+      },
+      {
+        index: 2,
+        status: 'rejected',
+        errors: [
+          {
+            pointer: '/other',
+            keyword: 'additionalProperties',
+            message: expect.any(String),
+          },
+        ],
+      },
+    ]);
+  });
+});
+
+/************************************** importRejectedError */
+
+describe('importRejectedError', () => {
+  test('Creates error with fields pointing at the rejected rows.', () => {
+    // Arrange
+    const rejected = [
+      {
+        index: 2,
+        status: 'rejected',
+        errors: [{ pointer: '/name', keyword: 'type', message: 'm' }],
+      },
+    ];
+
+    // Act
+    const error = importRejectedError(rejected);
+
+    // Assert
+    expect(error instanceof BadRequestError).toBeTruthy();
+    expect(error.code).toEqual('IMPORT_REJECTED');
+    expect(error.fields).toEqual([
+      { pointer: '/2/name', keyword: 'type', message: 'm' },
+    ]);
+  });
+});
+
+/************************************** createImportReport */
+
+describe('createImportReport', () => {
+  test('Counts and sorts the results.', () => {
+    // Arrange
+    const results = [
+      { index: 1, status: 'rejected', errors: [] },
+      { index: 2, status: 'created', handle: 'b' },
+      { index: 0, status: 'updated', handle: 'a' },
+    ];
+
+    // Act
+    const report = createImportReport(results);
+
+    // Assert
+    expect(report).toEqual({
+      created: 1,
+      updated: 1,
+      rejected: 1,
+      rows: [results[2], results[0], results[1]],
+    });
+  });
+});
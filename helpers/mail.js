@@ -0,0 +1,104 @@
+'use strict';
+
+/** Sending emails through a pluggable transport. */
+
+const fs = require('fs');
+
+const { MAIL_TRANSPORT, MAIL_FILE_PATH, MAIL_FROM } = require('../config');
+
+// ==================================================
+
+/**
+ * Transport that logs emails to the console, for development and tests.  It
+ * is never used in production, where logs are kept, since emails have tokens
+ * in them.
+ */
+
+const consoleTransport = {
+  async send(message) {
+    console.log('Mail:'.yellow, JSON.stringify(message));
+  },
+};
+
+/**
+ * Creates a transport that appends each email as a line of JSON to a file.
+ *
+ * @param {String} filePath Path of the file to append emails to.
+ * @returns {Object} { send(message) }.
+ */
+function createFileTransport(filePath) {
+  return {
+    async send(message) {
+      await fs.promises.appendFile(filePath, JSON.stringify(message) + '\n');
+    },
+  };
+}
+
+/**
+ * Creates the transport named by MAIL_TRANSPORT.
+ *
+ * @param {String} name "console", or "file" to append emails to
+ *   MAIL_FILE_PATH.
+ * @returns {Object | null} { send(message) }, or null if there is no such
+ *   transport, or it is the console in production.
+ */
+function createTransport(name) {
+  if (name === 'file') return createFileTransport(MAIL_FILE_PATH);
+  if (name === 'console' && process.env.NODE_ENV !== 'production') {
+    return consoleTransport;
+  }
+  return null;
+}
+
+let transport = createTransport(MAIL_TRANSPORT);
+
+/**
+ * Replaces the transport used to send emails, e.g. with an SMTP client or a
+ * test double.
+ *
+ * @param {Object} newTransport { send(message) }, where send is async.
+ * @returns {Object} The previous transport, so that it can be restored.
+ */
+function setMailTransport(newTransport) {
+  const previousTransport = transport;
+  transport = newTransport;
+  return previousTransport;
+}
+
+/**
+ * Checks that there is a transport to send emails with, so that the server
+ * fails to start without one, instead of failing to send emails later.
+ *
+ * @throws Error If there is no transport.
+ */
+function checkMailTransport() {
+  if (!transport) {
+    throw new Error(
+      `No mail transport: MAIL_TRANSPORT "${MAIL_TRANSPORT}" can not be used` +
+        (process.env.NODE_ENV === 'production' ? ' in production' : '') +
+        '.  Set MAIL_TRANSPORT, or set a transport with setMailTransport.'
+    );
+  }
+}
+
+/**
+ * Sends an email with the current transport.
+ *
+ * @param {Object} param0 { to, subject, text }.
+ * @throws Error If there is no transport.
+ */
+async function sendMail({ to, subject, text }) {
+  checkMailTransport();
+  await transport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+// ==================================================
+
+module.exports = {
+  consoleTransport,
+  createFileTransport,
+  createTransport,
+  setMailTransport,
+  checkMailTransport,
+  sendMail,
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  consoleTransport,
+  createFileTransport,
+  createTransport,
+  setMailTransport,
+  checkMailTransport,
+  sendMail,
+} = require('./mail');
+const { MAIL_FROM } = require('../config');
+
+// ==================================================
+
+/************************************** sendMail */
+
+describe('sendMail', function () {
+  test('Sends the email with the current transport.', async function () {
+    // Arrange
+    const sent = [];
+    const previousTransport = setMailTransport({
+      async send(message) {
+        sent.push(message);
+      },
+    });
+
+    // Act
+    await sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Hello' });
+
+    // Assert
+    setMailTransport(previousTransport);
+    expect(sent).toEqual([
+      { from: MAIL_FROM, to: 'a@b.com', subject: 'Hi', text: 'Hello' },
+    ]);
+  });
+
+  test('Throws if there is no transport.', async function () {
+    // Arrange
+    const previousTransport = setMailTransport(null);
+
+    // Act / Assert
+    await expect(
+      sendMail({ to: 'a@b.com', subject: 'Hi', text: 'Hello' })
+    ).rejects.toThrow('No mail transport');
+    setMailTransport(previousTransport);
+  });
+});
+
+/************************************** createTransport */
+
+describe('createTransport', function () {
+  afterEach(function () {
+    process.env.NODE_ENV = 'test';
+  });
+
+  test('Creates the console transport outside production.', function () {
+    // Act / Assert
+    expect(createTransport('console')).toBe(consoleTransport);
+  });
+
+  test('Does not create the console transport in production.', function () {
+    // Arrange
+    process.env.NODE_ENV = 'production';
+
+    // Act / Assert
+    expect(createTransport('console')).toBeNull();
+  });
+
+  test('Creates the file transport in production.', function () {
+    // Arrange
+    process.env.NODE_ENV = 'production';
+
+    // Act / Assert
+    expect(createTransport('file')).toEqual({ send: expect.any(Function) });
+  });
+
+  test('Creates nothing for unknown names.', function () {
+    // Act / Assert
+    expect(createTransport('none')).toBeNull();
+  });
+});
+
+/************************************** checkMailTransport */
+
+describe('checkMailTransport', function () {
+  test('Does nothing if there is a transport.', function () {
+    // Act / Assert
+    checkMailTransport();
+  });
+
+  test('Throws if there is no transport.', function () {
+    // Arrange
+    const previousTransport = setMailTransport(null);
+
+    // Act / Assert
+    expect(() => checkMailTransport()).toThrow('No mail transport');
+    setMailTransport(previousTransport);
+  });
+});
+
+/************************************** createFileTransport */
+
+describe('createFileTransport', function () {
+  test('Appends each email to the file as JSON.', async function () {
+    // Arrange
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobly-mail-'));
+    const filePath = path.join(dir, 'mail.log');
+    const transport = createFileTransport(filePath);
+
+    // Act
+    await transport.send({ to: 'a@b.com', text: 'one' });
+    await transport.send({ to: 'c@d.com', text: 'two' });
+
+    // Assert
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    expect(lines.map((line) => JSON.parse(line))).toEqual([
+      { to: 'a@b.com', text: 'one' },
+      { to: 'c@d.com', text: 'two' },
+    ]);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
@@ -0,0 +1,361 @@
+'use strict';
+
+/**
+ * Builds the OpenAPI document of the API from the operations that routes
+ * document, and lists the routes of the app.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { version } = require('../package.json');
+
+// ==================================================
+
+const SCHEMAS_DIRECTORY = path.join(__dirname, '..', 'schemas');
+
+// Schemas of the path parameters, by name.  Others are strings.
+const PATH_PARAMETER_SCHEMAS = Object.freeze({
+  id: Object.freeze({ type: 'integer', minimum: 1 }),
+  keyType: Object.freeze({ type: 'string', enum: ['username', 'ip'] }),
+});
+
+// The body of error responses, as sent by the app's error handler.
+const ERROR_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        status: { type: 'integer' },
+        code: { type: 'string', examples: ['VALIDATION_FAILED'] },
+        fields: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              pointer: { type: 'string', examples: ['/handle'] },
+              keyword: { type: 'string' },
+              message: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+  },
+});
+
+// The operations documented with documentRoute, by router, as
+// { "METHOD /path": operation, ... }, where path is the path in the router.
+const routerOperations = new WeakMap();
+
+/**
+ * Converts a JSON schema from schemas/ into an OpenAPI schema.  $schema and
+ * $id are removed, and draft-07 dependencies are converted to
+ * dependentRequired, as OpenAPI uses JSON Schema 2020-12.
+ *
+ * @param {Object} schema The JSON schema.
+ * @returns {Object} The OpenAPI schema.
+ */
+function toOpenApiSchema(schema) {
+  const { $schema, $id, dependencies, ...openApiSchema } = schema;
+  if (dependencies) openApiSchema.dependentRequired = dependencies;
+  return openApiSchema;
+}
+
+/**
+ * Loads the JSON schemas in schemas/, as OpenAPI schemas.
+ *
+ * @returns {Object} { name: schema, ... }, where name is the file name
+ *   without ".json".
+ */
+function loadSchemas() {
+  const schemas = {};
+  for (const fileName of fs.readdirSync(SCHEMAS_DIRECTORY).sort()) {
+    if (path.extname(fileName) !== '.json') continue;
+    const schema = JSON.parse(
+      fs.readFileSync(path.join(SCHEMAS_DIRECTORY, fileName), 'utf8')
+    );
+    schemas[path.basename(fileName, '.json')] = toOpenApiSchema(schema);
+  }
+  return schemas;
+}
+
+/**
+ * Makes a reference to a schema in schemas/.
+ *
+ * @param {String} name Name of the schema file, without ".json".
+ * @returns {Object} The OpenAPI reference.
+ */
+function schemaRef(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Makes a schema from an operation's schema, which is the name of a schema in
+ * schemas/ or a schema.
+ *
+ * @param {String | Object} schema The operation's schema.
+ * @returns {Object} A reference to the named schema, or the schema.
+ */
+function schemaOrRef(schema) {
+  return typeof schema === 'string' ? schemaRef(schema) : schema;
+}
+
+/**
+ * Makes the parameters of an operation, from the names in its path and the
+ * properties of its query schema.
+ *
+ * @param {String} urlPath The path, e.g. "/users/{username}".
+ * @param {String | Object} query The operation's query schema, if any.
+ * @param {Object} schemas { name: schema, ... } from schemas/.
+ * @returns {Array} [parameter, ...]
+ */
+function makeParameters(urlPath, query, schemas) {
+  const parameters = [];
+
+  for (const [, name] of urlPath.matchAll(/{(\w+)}/g)) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: PATH_PARAMETER_SCHEMAS[name] || { type: 'string' },
+    });
+  }
+
+  if (query) {
+    const querySchema = typeof query === 'string' ? schemas[query] : query;
+    const required = querySchema.required || [];
+    for (const [name, schema] of Object.entries(querySchema.properties)) {
+      parameters.push({
+        name,
+        in: 'query',
+        required: required.includes(name),
+        schema,
+      });
+    }
+  }
+
+  return parameters;
+}
+
+/**
+ * Makes the security requirements of an operation from its authorization.
+ * Operations that need no login have none, and ones that only need a login
+ * for some uses, e.g. "none, or admin if includeDeleted is true", have the
+ * login as optional.
+ *
+ * @param {String} auth The authorization required, e.g. "login, admin".
+ * @returns {Array} [requirement, ...]
+ */
+function makeSecurity(auth) {
+  if (auth === 'none') return [];
+  if (auth.startsWith('none')) return [{}, { bearerAuth: [] }];
+  return [{ bearerAuth: [] }];
+}
+
+/**
+ * Makes an OpenAPI operation from a documented operation.
+ *
+ * @param {String} urlPath The path of the operation.
+ * @param {Object} operation The operation, as given to documentRoute.
+ * @param {Object} schemas { name: schema, ... } from schemas/.
+ * @returns {Object} The OpenAPI operation.
+ */
+function makeOperation(urlPath, operation, schemas) {
+  const openApiOperation = {
+    tags: [urlPath.split('/')[1].replace(/\.json$/, '')],
+    summary: operation.summary,
+    description: `Authorization required: ${operation.auth}`,
+    security: makeSecurity(operation.auth),
+    parameters: makeParameters(urlPath, operation.query, schemas),
+  };
+
+  if (operation.body) {
+    const content = {
+      'application/json': { schema: schemaOrRef(operation.body) },
+    };
+    if (operation.csv === 'request') {
+      content['text/csv'] = { schema: { type: 'string' } };
+    }
+    openApiOperation.requestBody = { required: true, content };
+  }
+
+  const content = { [operation.contentType || 'application/json']: {} };
+  if (operation.csv === 'response') content['text/csv'] = {};
+  openApiOperation.responses = {
+    [operation.status || 200]: { description: operation.returns, content },
+    default: {
+      description: 'An error',
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/Error' },
+        },
+      },
+    },
+  };
+
+  return openApiOperation;
+}
+
+/**
+ * Builds the OpenAPI document of the API.  The schemas in schemas/ are its
+ * component schemas, and its paths are from the operations.
+ *
+ * @param {Object} operations { "METHOD /path": operation, ... }, as from
+ *   collectOperations.
+ * @returns {Object} The OpenAPI document.
+ */
+function buildOpenApiDocument(operations) {
+  const schemas = loadSchemas();
+
+  const paths = {};
+  for (const [key, operation] of Object.entries(operations)) {
+    const [method, urlPath] = key.split(' ');
+    paths[urlPath] = paths[urlPath] || {};
+    paths[urlPath][method.toLowerCase()] = makeOperation(
+      urlPath,
+      operation,
+      schemas
+    );
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Jobly',
+      version,
+      description:
+        'An API for a job board, with companies, jobs, and users who apply ' +
+        'to them.',
+    },
+    paths,
+    components: {
+      schemas: { ...schemas, Error: ERROR_SCHEMA },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+    },
+  };
+}
+
+/**
+ * Finds the path a router is mounted at, from the regular expression Express
+ * made for it.  Only plain paths, without parameters, are supported.
+ *
+ * @param {Object} layer The Express layer of the router.
+ * @returns {String} The path, e.g. "/auth", or "" for the root.
+ */
+function getMountPath(layer) {
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+}
+
+/**
+ * Formats a route as "METHOD /path", with path parameters written as {name},
+ * as in OpenAPI.
+ *
+ * @param {String} method The HTTP method, in any case.
+ * @param {String} routePath The Express path, e.g. "/users/:username/".
+ * @returns {String} The route, e.g. "GET /users/{username}".
+ */
+function formatRoute(method, routePath) {
+  const trimmedPath = routePath.replace(/\/$/, '') || '/';
+  return `${method.toUpperCase()} ${trimmedPath.replace(/:(\w+)/g, '{$1}')}`;
+}
+
+/**
+ * Lists the routes of an Express app, including those of mounted routers.
+ *
+ * @param {Object} app The Express app, or a router.
+ * @param {String} prefix The path the app or router is mounted at.
+ * @returns {Array} ["METHOD /path", ...], where path parameters are written
+ *   as {name}.
+ */
+function listRoutes(app, prefix = '') {
+  const stack = app._router ? app._router.stack : app.stack;
+
+  const routes = [];
+  for (const layer of stack) {
+    if (layer.route) {
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === '_all') continue;
+        routes.push(formatRoute(method, prefix + layer.route.path));
+      }
+    } else if (layer.name === 'router') {
+      routes.push(...listRoutes(layer.handle, prefix + getMountPath(layer)));
+    }
+  }
+  return routes;
+}
+
+/**
+ * Documents an operation of a router for the OpenAPI document.  Routes are
+ * documented next to their route, so that the two are changed together.
+ *
+ * An operation is { summary, auth, query, body, csv, status, returns,
+ * contentType }:
+ * - summary: what the operation does.
+ * - auth: the authorization required, as in the route's doc comment.
+ * - query: name of the schema in schemas/ for the query parameters, or an
+ *   object schema.
+ * - body: name of the schema in schemas/ for the request body, or a schema.
+ * - csv: "request" if the body can also be CSV, or "response" if the
+ *   response can also be CSV.
+ * - status: the status of a successful response, 200 if not given.
+ * - returns: the shape of a successful response.
+ * - contentType: the media type of a successful response, application/json
+ *   if not given.
+ *
+ * @param {Object} router The Express router, or app, of the route.
+ * @param {String} route The method and path of the route in the router, e.g.
+ *   "GET /:handle".
+ * @param {Object} operation The operation.
+ */
+function documentRoute(router, route, operation) {
+  if (!routerOperations.has(router)) routerOperations.set(router, {});
+  routerOperations.get(router)[route] = operation;
+}
+
+/**
+ * Collects the operations documented with documentRoute for an Express app,
+ * including those of mounted routers.
+ *
+ * @param {Object} app The Express app, or a router.
+ * @param {String} prefix The path the app or router is mounted at.
+ * @returns {Object} { "METHOD /path": operation, ... }, where path is the
+ *   full path, with path parameters written as {name}.
+ */
+function collectOperations(app, prefix = '') {
+  const stack = app._router ? app._router.stack : app.stack;
+
+  const operations = {};
+  for (const [route, operation] of Object.entries(
+    routerOperations.get(app) || {}
+  )) {
+    const [method, routePath] = route.split(' ');
+    operations[formatRoute(method, prefix + routePath)] = operation;
+  }
+  for (const layer of stack) {
+    if (layer.name === 'router') {
+      Object.assign(
+        operations,
+        collectOperations(layer.handle, prefix + getMountPath(layer))
+      );
+    }
+  }
+  return operations;
+}
+
+// ==================================================
+
+module.exports = {
+  schemaRef,
+  buildOpenApiDocument,
+  listRoutes,
+  documentRoute,
+  collectOperations,
+};
@@ -0,0 +1,222 @@
+'use strict';
+
+const express = require('express');
+
+const {
+  buildOpenApiDocument,
+  listRoutes,
+  documentRoute,
+  collectOperations,
+} = require('./openapi');
+
+// ==================================================
+
+const operations = Object.freeze({
+  'GET /things': {
+    summary: 'Lists things.',
+    auth: 'none, or admin if includeDeleted is true',
+    query: 'companyGetAllQuery',
+    csv: 'response',
+    returns: '{ things }',
+  },
+  'POST /things/{id}/parts/{handle}': {
+    summary: 'Adds a part.',
+    auth: 'login, admin',
+    body: 'jobNew',
+    status: 201,
+    returns: '{ part }',
+  },
+  'POST /things/import': {
+    summary: 'Imports things.',
+    auth: 'none',
+    body: { type: 'array', items: { type: 'object' } },
+    csv: 'request',
+    returns: '{ report }',
+  },
+});
+
+/************************************** buildOpenApiDocument */
+
+describe('buildOpenApiDocument', function () {
+  test('Has the schemas in schemas/ as components, without $schema or $id.', function () {
+    // Act
+    const doc = buildOpenApiDocument(operations);
+
+    // Assert
+    expect(doc.openapi).toEqual('3.1.0');
+    expect(doc.components.schemas.companyNew).toEqual(
+      expect.objectContaining({ type: 'object', required: expect.any(Array) })
+    );
+    expect(doc.components.schemas.companyNew.$schema).toBeUndefined();
+    expect(doc.components.schemas.companyNew.$id).toBeUndefined();
+    expect(doc.components.schemas.Error).toBeDefined();
+  });
+
+  test('Converts draft-07 dependencies to dependentRequired.', function () {
+    // Act
+    const { jobNew } = buildOpenApiDocument(operations).components.schemas;
+
+    // Assert
+    expect(jobNew.dependencies).toBeUndefined();
+    expect(jobNew.dependentRequired).toEqual({
+      createTechnologies: ['technologies'],
+    });
+  });
+
+  test('Makes query parameters from the query schema.', function () {
+    // Act
+    const operation = buildOpenApiDocument(operations).paths['/things'].get;
+
+    // Assert
+    expect(operation.parameters).toContainEqual({
+      name: 'minEmployees',
+      in: 'query',
+      required: false,
+      schema: expect.objectContaining({ type: 'integer' }),
+    });
+    expect(operation.security).toEqual([{}, { bearerAuth: [] }]);
+    expect(operation.responses[200].content).toEqual({
+      'application/json': {},
+      'text/csv': {},
+    });
+  });
+
+  test('Makes path parameters, the request body, and the status.', function () {
+    // Act
+    const operation =
+      buildOpenApiDocument(operations).paths['/things/{id}/parts/{handle}']
+        .post;
+
+    // Assert
+    expect(operation).toEqual(
+      expect.objectContaining({
+        tags: ['things'],
+        summary: 'Adds a part.',
+        description: 'Authorization required: login, admin',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'integer', minimum: 1 },
+          },
+          {
+            name: 'handle',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/jobNew' },
+            },
+          },
+        },
+      })
+    );
+    expect(operation.responses[201].description).toEqual('{ part }');
+    expect(operation.responses.default.content).toEqual({
+      'application/json': {
+        schema: { $ref: '#/components/schemas/Error' },
+      },
+    });
+  });
+
+  test('Takes CSV request bodies, and needs no login for auth none.', function () {
+    // Act
+    const operation =
+      buildOpenApiDocument(operations).paths['/things/import'].post;
+
+    // Assert
+    expect(Object.keys(operation.requestBody.content)).toEqual([
+      'application/json',
+      'text/csv',
+    ]);
+    expect(operation.security).toEqual([]);
+  });
+});
+
+/************************************** listRoutes */
+
+describe('listRoutes', function () {
+  test('Lists the routes of the app and its mounted routers.', function () {
+    // Arrange
+    const app = express();
+    const router = new express.Router();
+    router.get('/', () => {});
+    router
+      .route('/:id')
+      .get(() => {})
+      .patch(() => {});
+    router.delete('/:id/parts/:handle', () => {});
+    app.use('/things', router);
+    app.get('/health', () => {});
+
+    // Act
+    const routes = listRoutes(app);
+
+    // Assert
+    expect(routes).toEqual([
+      'GET /things',
+      'GET /things/{id}',
+      'PATCH /things/{id}',
+      'DELETE /things/{id}/parts/{handle}',
+      'GET /health',
+    ]);
+  });
+
+  test('Lists the routes of routers mounted at the root.', function () {
+    // Arrange
+    const app = express();
+    const router = new express.Router();
+    router.get('/docs', () => {});
+    app.use('/', router);
+
+    // Act / Assert
+    expect(listRoutes(app)).toEqual(['GET /docs']);
+  });
+});
+
+/************************************** collectOperations */
+
+describe('collectOperations', function () {
+  test('Collects the documented operations with their full paths.', function () {
+    // Arrange
+    const app = express();
+    const router = new express.Router();
+    documentRoute(router, 'GET /', operations['GET /things']);
+    documentRoute(
+      router,
+      'POST /:id/parts/:handle',
+      operations['POST /things/{id}/parts/{handle}']
+    );
+    const rootRouter = new express.Router();
+    documentRoute(rootRouter, 'GET /docs', { summary: 'Shows docs.' });
+    app.use('/things', router);
+    app.use('/', rootRouter);
+
+    // Act
+    const collected = collectOperations(app);
+
+    // Assert
+    expect(collected).toEqual({
+      'GET /things': operations['GET /things'],
+      'POST /things/{id}/parts/{handle}':
+        operations['POST /things/{id}/parts/{handle}'],
+      'GET /docs': { summary: 'Shows docs.' },
+    });
+  });
+
+  test('Is empty without documented operations.', function () {
+    // Arrange
+    const app = express();
+    app.use('/things', new express.Router());
+
+    // Act / Assert
+    expect(collectOperations(app)).toEqual({});
+  });
+});
@@ -1,6 +1,6 @@
 'use strict';
 
-const { BadRequestError } = require('../expressError');
+const { BadRequestError, ValidationError } = require('../expressError');
 
 // ==================================================
 
@@ -20,7 +20,7 @@ const { BadRequestError } = require('../expressError');
  */
 function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   const keys = Object.keys(dataToUpdate);
-  if (keys.length === 0) throw new BadRequestError('No data');
+  if (keys.length === 0) throw new BadRequestError('No data', 'NO_DATA');
 
   // {firstName: 'Aliya', age: 32} => ['"first_name"=$1', '"age"=$2']
   const cols = keys.map(
@@ -33,30 +33,117 @@ function sqlForPartialUpdate(dataToUpdate, jsToSql) {
   };
 }
 
+/**
+ * Builds the SQL expression that converts a full-text search term, such as
+ * "backend engineer" or "\"data science\" -intern", into a text search query.
+ *
+ * @param {Number} idx The index of the SQL parameter holding the search term.
+ * @returns {String} The SQL expression.
+ */
+function sqlTextSearchQuery(idx) {
+  return `websearch_to_tsquery('english', $${idx})`;
+}
+
+// Sort by how well a record's search_vector matches the full-text search term
+// in the first SQL parameter, with the best matches first.
+const RELEVANCE_SORT = Object.freeze([
+  `ts_rank(search_vector, ${sqlTextSearchQuery(1)})`,
+  'DESC',
+]);
+
+// SQL conditions for the job status filters, where open jobs are the ones
+// that have not expired yet.  The jobs table must be aliased as "jobs" or not
+// aliased at all.
+const JOB_STATUS_CONDITIONS = Object.freeze({
+  open:
+    "jobs.status = 'open'" +
+    ' AND (jobs.expires_at IS NULL OR jobs.expires_at > CURRENT_TIMESTAMP)',
+  expired: "jobs.status = 'open' AND jobs.expires_at <= CURRENT_TIMESTAMP",
+  draft: "jobs.status = 'draft'",
+  closed: "jobs.status = 'closed'",
+  all: 'TRUE',
+});
+
+/**
+ * Builds the SQL condition that matches jobs with a status.
+ *
+ * @param {String} status open (the default), expired, draft, closed, or all.
+ * @returns {String} The SQL condition.
+ * @throws ValidationError If status is not a key of JOB_STATUS_CONDITIONS.
+ */
+function sqlJobStatusCondition(status = 'open') {
+  if (!Object.prototype.hasOwnProperty.call(JOB_STATUS_CONDITIONS, status)) {
+    throw new ValidationError(
+      [{ pointer: '/status', keyword: 'enum', message: 'is not allowed' }],
+      `Can not filter by job status ${status}.`
+    );
+  }
+
+  return JOB_STATUS_CONDITIONS[status];
+}
+
+/**
+ * Checks that the minimum of a range filter is not greater than its maximum.
+ * Either one can be missing.
+ *
+ * @param {Object} filters The search filters.
+ * @param {String} minName Name of the filter with the minimum.
+ * @param {String} maxName Name of the filter with the maximum.
+ * @param {String} description What the range is of, for the error message.
+ * @throws ValidationError If the minimum is greater than the maximum.
+ */
+function checkRange(filters, minName, maxName, description) {
+  const min = filters[minName];
+  const max = filters[maxName];
+
+  if (min !== undefined && max !== undefined && min > max) {
+    throw new ValidationError(
+      [
+        {
+          pointer: `/${minName}`,
+          keyword: 'range',
+          message: `can not be greater than ${maxName}`,
+        },
+      ],
+      `Minimum ${description} can not be greater than maximum.`
+    );
+  }
+}
+
 /**
  * Builds the SQL WHERE clause, used for search filtering, when retrieving the
  * list of all companies.  Only builds filters for some company properties and
- * ignores the rest.
+ * ignores the rest.  The clause only refers to the companies table, which must
+ * not be aliased.
+ *
+ * Deleted companies are not matched, unless includeDeleted is true.
+ *
+ * q is matched against the company's name and description with full-text
+ * search.  If given, it is always the first SQL parameter, so that it can also
+ * be used for ranking.
+ *
+ * minOpenJobs matches companies with at least that many open jobs.  hasEquity
+ * matches companies with an open job that offers equity.  technologies is a
+ * list of technology names, and matches companies with an open job that has
+ * any of them.  Deleted jobs are never counted as open.
  *
  * @param {Object} filters The search filters to use for getting all companies.
- *   Keys can be nameLike, minEmployees, or maxEmployees.
+ *   Keys can be q, nameLike, descriptionLike, minEmployees, maxEmployees,
+ *   minOpenJobs, hasEquity, technologies, or includeDeleted.
  * @returns {String, Array} The SQL WHERE clause to use in a SQL statement.
  *   An Array with values to use in conjunction with the String.
- * @throws BadRequestError If minEmployees > maxEmployees.
+ * @throws ValidationError If minEmployees > maxEmployees.
  */
 function sqlWhereClauseForGetCompanies(filters) {
   const clauses = [];
   const values = [];
   let idx = 1;
 
-  if (
-    filters.minEmployees &&
-    filters.maxEmployees &&
-    filters.minEmployees > filters.maxEmployees
-  ) {
-    throw new BadRequestError(
-      'Minimum number of employees can not be greater than maximum.'
-    );
+  checkRange(filters, 'minEmployees', 'maxEmployees', 'number of employees');
+
+  if (filters.q) {
+    clauses.push(`search_vector @@ ${sqlTextSearchQuery(idx++)}`);
+    values.push(filters.q);
   }
 
   if (filters.nameLike) {
@@ -64,16 +151,53 @@ function sqlWhereClauseForGetCompanies(filters) {
     values.push(`%${filters.nameLike}%`);
   }
 
-  if (filters.minEmployees) {
+  if (filters.minEmployees !== undefined) {
     clauses.push(`num_employees >= $${idx++}`);
     values.push(filters.minEmployees);
   }
 
-  if (filters.maxEmployees) {
+  if (filters.maxEmployees !== undefined) {
     clauses.push(`num_employees <= $${idx++}`);
     values.push(filters.maxEmployees);
   }
 
+  if (filters.descriptionLike) {
+    clauses.push(`description ILIKE $${idx++}`);
+    values.push(`%${filters.descriptionLike}%`);
+  }
+
+  const openJob =
+    'jobs.deleted_at IS NULL AND ' + sqlJobStatusCondition('open');
+
+  if (filters.minOpenJobs) {
+    clauses.push(
+      '(SELECT COUNT(*) FROM jobs' +
+        ` WHERE jobs.company_handle = companies.handle AND ${openJob})` +
+        ` >= $${idx++}`
+    );
+    values.push(filters.minOpenJobs);
+  }
+
+  if (filters.hasEquity) {
+    clauses.push(
+      'handle IN (SELECT jobs.company_handle FROM jobs' +
+        ` WHERE jobs.equity <> $${idx++} AND ${openJob})`
+    );
+    values.push(0);
+  }
+
+  if (filters.technologies !== undefined) {
+    clauses.push(
+      'handle IN (SELECT jobs.company_handle FROM jobs' +
+        ' JOIN jobs_technologies AS jt ON jt.job_id = jobs.id' +
+        ' JOIN technologies AS t ON jt.tech_id = t.id' +
+        ` WHERE t.name = ANY($${idx++}) AND ${openJob})`
+    );
+    values.push([...new Set(filters.technologies)]);
+  }
+
+  if (!filters.includeDeleted) clauses.push('deleted_at IS NULL');
+
   const whereClause =
     clauses.length > 0 ? ' WHERE ' + clauses.join(' AND ') : '';
 
@@ -83,43 +207,196 @@ function sqlWhereClauseForGetCompanies(filters) {
 /**
  * Builds the SQL WHERE clause, used for search filtering, when retrieving the
  * list of all jobs.  Only builds filters for some job properties and
- * ignores the rest.
+ * ignores the rest.  The clause only refers to the jobs table, which must not
+ * be aliased.
+ *
+ * q is matched against the job's title with full-text search.  If given, it
+ * is always the first SQL parameter, so that it can also be used for ranking.
+ *
+ * companyHandle is a list of handles, and matches jobs of any of the
+ * companies.  minEmployees and maxEmployees filter by the size of the job's
+ * company.  technologies is a list of technology names, and matches jobs that
+ * have any of them, or all of them if technologiesMatch is "all".
+ *
+ * status is as in sqlJobStatusCondition.  Only open jobs that have not
+ * expired are matched if status is not given.  Deleted jobs are not matched,
+ * unless includeDeleted is true.
  *
  * @param {Object} filters The search filters to use for getting all jobs.
- *   Keys can be title, minSalary, or hasEquity.
+ *   Keys can be q, title, minSalary, maxSalary, hasEquity, minEquity,
+ *   maxEquity, companyHandle, minEmployees, maxEmployees, technologies,
+ *   technologiesMatch, status, or includeDeleted.
  * @returns {String, Array} The SQL WHERE clause to use in a SQL statement.
  *   An Array with values to use in conjunction with the String.
+ * @throws ValidationError If the minimum of the salary, equity, or number of
+ *   employees range is greater than its maximum, or if status is not allowed.
  */
 function sqlWhereClauseForGetJobs(filters) {
   const clauses = [];
   const values = [];
   let idx = 1;
 
+  checkRange(filters, 'minSalary', 'maxSalary', 'salary');
+  checkRange(filters, 'minEquity', 'maxEquity', 'equity');
+  checkRange(filters, 'minEmployees', 'maxEmployees', 'number of employees');
+
+  if (filters.q) {
+    clauses.push(`search_vector @@ ${sqlTextSearchQuery(idx++)}`);
+    values.push(filters.q);
+  }
+
   if (filters.title) {
     clauses.push(`title ILIKE $${idx++}`);
     values.push(`%${filters.title}%`);
   }
 
-  if (filters.minSalary) {
+  if (filters.minSalary !== undefined) {
     clauses.push(`salary >= $${idx++}`);
     values.push(filters.minSalary);
   }
 
+  if (filters.maxSalary !== undefined) {
+    clauses.push(`salary <= $${idx++}`);
+    values.push(filters.maxSalary);
+  }
+
   if (filters.hasEquity) {
     clauses.push(`equity <> $${idx++}`);
     values.push(0);
   }
 
+  if (filters.minEquity !== undefined) {
+    clauses.push(`equity >= $${idx++}`);
+    values.push(filters.minEquity);
+  }
+
+  if (filters.maxEquity !== undefined) {
+    clauses.push(`equity <= $${idx++}`);
+    values.push(filters.maxEquity);
+  }
+
+  if (filters.companyHandle !== undefined) {
+    clauses.push(`company_handle = ANY($${idx++})`);
+    values.push(filters.companyHandle);
+  }
+
+  if (
+    filters.minEmployees !== undefined ||
+    filters.maxEmployees !== undefined
+  ) {
+    const companyClauses = [];
+
+    if (filters.minEmployees !== undefined) {
+      companyClauses.push(`num_employees >= $${idx++}`);
+      values.push(filters.minEmployees);
+    }
+
+    if (filters.maxEmployees !== undefined) {
+      companyClauses.push(`num_employees <= $${idx++}`);
+      values.push(filters.maxEmployees);
+    }
+
+    const companyWhere = companyClauses.join(' AND ');
+    clauses.push(
+      `company_handle IN (SELECT handle FROM companies WHERE ${companyWhere})`
+    );
+  }
+
+  if (filters.technologies !== undefined) {
+    let techSql =
+      'SELECT jt.job_id FROM jobs_technologies AS jt' +
+      ' JOIN technologies AS t ON jt.tech_id = t.id' +
+      ` WHERE t.name = ANY($${idx})`;
+    if (filters.technologiesMatch === 'all') {
+      techSql +=
+        ' GROUP BY jt.job_id' +
+        ` HAVING COUNT(*) = cardinality($${idx}::TEXT[])`;
+    }
+    idx++;
+
+    clauses.push(`id IN (${techSql})`);
+    values.push([...new Set(filters.technologies)]);
+  }
+
+  if (filters.status !== 'all') {
+    clauses.push(sqlJobStatusCondition(filters.status));
+  }
+
+  if (!filters.includeDeleted) clauses.push('deleted_at IS NULL');
+
   const whereClause =
     clauses.length > 0 ? ' WHERE ' + clauses.join(' AND ') : '';
 
   return { whereClause, values };
 }
 
+/**
+ * Builds the SQL ORDER BY, LIMIT, and OFFSET clauses, used for sorting and
+ * pagination, when retrieving a list of records.
+ *
+ * sort is a key of sortToSql, optionally prefixed with "-" to reverse the
+ * sorting direction.  NULL values are always sorted last.  The tie breaker
+ * column is added to the end of ORDER BY, so that pages are consistent.
+ *
+ * @param {Object} options { sort: String, limit: Number, offset: Number }.
+ * @param {Object} sortToSql Object containing allowed sort names as keys and
+ *   [database column, 'ASC' or 'DESC'] as values.
+ * @param {String} defaultSort The sort name to use if sort is not given.
+ * @param {String} tieBreaker Unique database column to sort by last.
+ * @param {Number} startIdx The index of the first SQL parameter to use.
+ * @returns {String, Array} The SQL String containing ORDER BY, LIMIT, and
+ *   OFFSET clauses.  An Array with values to use in conjunction with the
+ *   String.
+ * @throws ValidationError If sort is not an allowed sort name.
+ */
+function sqlSortAndPaginationClauses(
+  { sort, limit, offset },
+  sortToSql,
+  defaultSort,
+  tieBreaker,
+  startIdx = 1
+) {
+  const values = [];
+  let idx = startIdx;
+
+  sort = sort || defaultSort;
+  const isReversed = sort.startsWith('-');
+  const sortName = isReversed ? sort.slice(1) : sort;
+
+  if (!Object.prototype.hasOwnProperty.call(sortToSql, sortName)) {
+    throw new ValidationError(
+      [{ pointer: '/sort', keyword: 'enum', message: 'is not allowed' }],
+      `Can not sort by ${sortName}.`
+    );
+  }
+
+  let [column, direction] = sortToSql[sortName];
+  if (isReversed) direction = direction === 'ASC' ? 'DESC' : 'ASC';
+
+  let clauses = ` ORDER BY ${column} ${direction} NULLS LAST`;
+  if (column !== tieBreaker) clauses += `, ${tieBreaker}`;
+
+  if (limit !== undefined) {
+    clauses += ` LIMIT $${idx++}`;
+    values.push(limit);
+  }
+
+  if (offset !== undefined) {
+    clauses += ` OFFSET $${idx++}`;
+    values.push(offset);
+  }
+
+  return { clauses, values };
+}
+
 // ==================================================
 
 module.exports = {
+  RELEVANCE_SORT,
   sqlForPartialUpdate,
+  sqlJobStatusCondition,
+  sqlTextSearchQuery,
   sqlWhereClauseForGetCompanies,
   sqlWhereClauseForGetJobs,
+  sqlSortAndPaginationClauses,
 };
@@ -2,13 +2,28 @@
 
 const {
   sqlForPartialUpdate,
+  sqlJobStatusCondition,
+  sqlTextSearchQuery,
   sqlWhereClauseForGetCompanies,
   sqlWhereClauseForGetJobs,
+  sqlSortAndPaginationClauses,
 } = require('./sql');
 const { BadRequestError } = require('../expressError');
 
 // ==================================================
 
+// SQL condition for open jobs, which sqlWhereClauseForGetJobs adds by default.
+const OPEN_JOB =
+  "jobs.status = 'open'" +
+  ' AND (jobs.expires_at IS NULL OR jobs.expires_at > CURRENT_TIMESTAMP)';
+
+// SQL condition for records that are not deleted, which the WHERE clauses have
+// last by default.
+const NOT_DELETED = 'deleted_at IS NULL';
+
+// SQL condition for the open jobs that the company filters count.
+const OPEN_COMPANY_JOB = `jobs.deleted_at IS NULL AND ${OPEN_JOB}`;
+
 /************************************** sqlForPartialUpdate */
 
 describe('sqlForPartialUpdate', () => {
@@ -79,35 +94,168 @@ describe('sqlForPartialUpdate', () => {
   });
 });
 
+/************************************** sqlTextSearchQuery */
+
+describe('sqlTextSearchQuery', () => {
+  test('Uses the given SQL parameter as the search term.', () => {
+    // Act
+    const result = sqlTextSearchQuery(3);
+
+    // Assert
+    expect(result).toEqual("websearch_to_tsquery('english', $3)");
+  });
+});
+
+/************************************** sqlJobStatusCondition */
+
+describe('sqlJobStatusCondition', () => {
+  test.each([
+    [undefined, OPEN_JOB],
+    ['open', OPEN_JOB],
+    [
+      'expired',
+      "jobs.status = 'open' AND jobs.expires_at <= CURRENT_TIMESTAMP",
+    ],
+    ['draft', "jobs.status = 'draft'"],
+    ['closed', "jobs.status = 'closed'"],
+    ['all', 'TRUE'],
+  ])('Builds the SQL condition for status %s.', (status, expected) => {
+    // Act
+    const result = sqlJobStatusCondition(status);
+
+    // Assert
+    expect(result).toEqual(expected);
+  });
+
+  test.each([['archived'], ['toString']])(
+    'Throws an error if status is not allowed.  Status: %s.',
+    (status) => {
+      // Act / Assert
+      try {
+        sqlJobStatusCondition(status);
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.fields).toEqual([
+          { pointer: '/status', keyword: 'enum', message: expect.any(String) },
+        ]);
+      }
+      expect.assertions(2);
+    }
+  );
+});
+
 /************************************** sqlWhereClauseForGetCompanies */
 
 describe('sqlWhereClauseForGetCompanies', () => {
   test.each([
-    [{}, { whereClause: '', values: [] }],
+    [{}, { whereClause: ` WHERE ${NOT_DELETED}`, values: [] }],
     [
       { nameLike: 'net' },
-      { whereClause: ' WHERE name ILIKE $1', values: ['%net%'] },
+      {
+        whereClause: ` WHERE name ILIKE $1 AND ${NOT_DELETED}`,
+        values: ['%net%'],
+      },
     ],
     [
       { nameLike: 'Study Networks' },
-      { whereClause: ' WHERE name ILIKE $1', values: ['%Study Networks%'] },
+      {
+        whereClause: ` WHERE name ILIKE $1 AND ${NOT_DELETED}`,
+        values: ['%Study Networks%'],
+      },
     ],
     [
       { minEmployees: 2 },
-      { whereClause: ' WHERE num_employees >= $1', values: [2] },
+      {
+        whereClause: ` WHERE num_employees >= $1 AND ${NOT_DELETED}`,
+        values: [2],
+      },
     ],
     [
       { maxEmployees: 10 },
-      { whereClause: ' WHERE num_employees <= $1', values: [10] },
+      {
+        whereClause: ` WHERE num_employees <= $1 AND ${NOT_DELETED}`,
+        values: [10],
+      },
+    ],
+    [
+      { minEmployees: 0, maxEmployees: 0 },
+      {
+        whereClause:
+          ' WHERE num_employees >= $1 AND num_employees <= $2' +
+          ` AND ${NOT_DELETED}`,
+        values: [0, 0],
+      },
     ],
     [
       { nameLike: 'net', minEmployees: 2, maxEmployees: 10 },
       {
         whereClause:
-          ' WHERE name ILIKE $1 AND num_employees >= $2 AND num_employees <= $3',
+          ' WHERE name ILIKE $1 AND num_employees >= $2 AND num_employees <= $3' +
+          ` AND ${NOT_DELETED}`,
         values: ['%net%', 2, 10],
       },
     ],
+    [
+      { nameLike: 'net', q: 'backend engineer' },
+      {
+        whereClause:
+          " WHERE search_vector @@ websearch_to_tsquery('english', $1)" +
+          ' AND name ILIKE $2' +
+          ` AND ${NOT_DELETED}`,
+        values: ['backend engineer', '%net%'],
+      },
+    ],
+    [
+      { descriptionLike: 'remote' },
+      {
+        whereClause: ` WHERE description ILIKE $1 AND ${NOT_DELETED}`,
+        values: ['%remote%'],
+      },
+    ],
+    [
+      { minOpenJobs: 2 },
+      {
+        whereClause:
+          ' WHERE (SELECT COUNT(*) FROM jobs' +
+          ` WHERE jobs.company_handle = companies.handle AND ${OPEN_COMPANY_JOB})` +
+          ' >= $1' +
+          ` AND ${NOT_DELETED}`,
+        values: [2],
+      },
+    ],
+    [{ minOpenJobs: 0 }, { whereClause: ` WHERE ${NOT_DELETED}`, values: [] }],
+    [
+      { hasEquity: true },
+      {
+        whereClause:
+          ' WHERE handle IN (SELECT jobs.company_handle FROM jobs' +
+          ` WHERE jobs.equity <> $1 AND ${OPEN_COMPANY_JOB})` +
+          ` AND ${NOT_DELETED}`,
+        values: [0],
+      },
+    ],
+    [
+      { hasEquity: false },
+      { whereClause: ` WHERE ${NOT_DELETED}`, values: [] },
+    ],
+    [
+      { nameLike: 'net', technologies: ['t1', 't2', 't1'] },
+      {
+        whereClause:
+          ' WHERE name ILIKE $1' +
+          ' AND handle IN (SELECT jobs.company_handle FROM jobs' +
+          ' JOIN jobs_technologies AS jt ON jt.job_id = jobs.id' +
+          ' JOIN technologies AS t ON jt.tech_id = t.id' +
+          ` WHERE t.name = ANY($2) AND ${OPEN_COMPANY_JOB})` +
+          ` AND ${NOT_DELETED}`,
+        values: ['%net%', ['t1', 't2']],
+      },
+    ],
+    [{ includeDeleted: true }, { whereClause: '', values: [] }],
+    [
+      { nameLike: 'net', includeDeleted: true },
+      { whereClause: ' WHERE name ILIKE $1', values: ['%net%'] },
+    ],
   ])(
     'Outputs the correct SQL String to use in the WHERE clause for test case %#.',
     (filters, expected) => {
@@ -127,7 +275,10 @@ describe('sqlWhereClauseForGetCompanies', () => {
     const result = sqlWhereClauseForGetCompanies(filters);
 
     // Assert
-    expect(result).toEqual({ whereClause: '', values: [] });
+    expect(result).toEqual({
+      whereClause: ` WHERE ${NOT_DELETED}`,
+      values: [],
+    });
   });
 
   test('If minEmployees > maxEmployees, it should throw an error.', () => {
@@ -145,20 +296,52 @@ describe('sqlWhereClauseForGetCompanies', () => {
 
 describe('sqlWhereClauseForGetJobs', () => {
   test.each([
-    [{}, { whereClause: '', values: [] }],
+    [{}, { whereClause: ` WHERE ${OPEN_JOB} AND ${NOT_DELETED}`, values: [] }],
     [
       { title: 'dev' },
-      { whereClause: ' WHERE title ILIKE $1', values: ['%dev%'] },
+      {
+        whereClause: ` WHERE title ILIKE $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: ['%dev%'],
+      },
+    ],
+    [
+      { minSalary: 10 },
+      {
+        whereClause: ` WHERE salary >= $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: [10],
+      },
+    ],
+    [
+      { minSalary: 0 },
+      {
+        whereClause: ` WHERE salary >= $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: [0],
+      },
+    ],
+    [
+      { hasEquity: true },
+      {
+        whereClause: ` WHERE equity <> $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: [0],
+      },
     ],
-    [{ minSalary: 10 }, { whereClause: ' WHERE salary >= $1', values: [10] }],
-    [{ hasEquity: true }, { whereClause: ' WHERE equity <> $1', values: [0] }],
     [
       { title: 'dev', minSalary: 10, hasEquity: false },
       {
-        whereClause: ' WHERE title ILIKE $1 AND salary >= $2',
+        whereClause: ` WHERE title ILIKE $1 AND salary >= $2 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
         values: ['%dev%', 10],
       },
     ],
+    [
+      { minSalary: 10, q: 'engineer' },
+      {
+        whereClause:
+          " WHERE search_vector @@ websearch_to_tsquery('english', $1)" +
+          ' AND salary >= $2' +
+          ` AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: ['engineer', 10],
+      },
+    ],
   ])(
     'Outputs the correct SQL String to use in the WHERE clause for test case %#.',
     (filters, expected) => {
@@ -171,11 +354,20 @@ describe('sqlWhereClauseForGetJobs', () => {
   );
 
   test.each([
-    [{ id: 9 }, { whereClause: '', values: [] }],
-    [{ companyHandle: 'c1' }, { whereClause: '', values: [] }],
     [
-      { id: 9, title: 'dev', companyHandle: 'c1' },
-      { whereClause: ' WHERE title ILIKE $1', values: ['%dev%'] },
+      { id: 9 },
+      { whereClause: ` WHERE ${OPEN_JOB} AND ${NOT_DELETED}`, values: [] },
+    ],
+    [
+      { companyName: 'C1' },
+      { whereClause: ` WHERE ${OPEN_JOB} AND ${NOT_DELETED}`, values: [] },
+    ],
+    [
+      { id: 9, title: 'dev', companyName: 'C1' },
+      {
+        whereClause: ` WHERE title ILIKE $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+        values: ['%dev%'],
+      },
     ],
   ])(
     'Does not filter other company properties.  Test case: %#.',
@@ -187,4 +379,164 @@ describe('sqlWhereClauseForGetJobs', () => {
       expect(result).toEqual(expected);
     }
   );
+  test.each([
+    [
+      { maxSalary: 0 },
+      ` WHERE salary <= $1 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [0],
+    ],
+    [
+      { minSalary: 10, maxSalary: 20 },
+      ` WHERE salary >= $1 AND salary <= $2 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [10, 20],
+    ],
+    [
+      { minEquity: 0.1, maxEquity: 0.5 },
+      ` WHERE equity >= $1 AND equity <= $2 AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [0.1, 0.5],
+    ],
+    [
+      { companyHandle: ['c1', 'c2'] },
+      ` WHERE company_handle = ANY($1) AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [['c1', 'c2']],
+    ],
+    [
+      { minEmployees: 2, maxEmployees: 10 },
+      ' WHERE company_handle IN (SELECT handle FROM companies' +
+        ' WHERE num_employees >= $1 AND num_employees <= $2)' +
+        ` AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [2, 10],
+    ],
+    [
+      { maxEmployees: 10 },
+      ' WHERE company_handle IN (SELECT handle FROM companies' +
+        ' WHERE num_employees <= $1)' +
+        ` AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [10],
+    ],
+    [
+      { technologies: ['t1', 't2', 't1'] },
+      ' WHERE id IN (SELECT jt.job_id FROM jobs_technologies AS jt' +
+        ' JOIN technologies AS t ON jt.tech_id = t.id' +
+        ' WHERE t.name = ANY($1))' +
+        ` AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      [['t1', 't2']],
+    ],
+    [
+      { title: 'dev', technologies: ['t1', 't2'], technologiesMatch: 'all' },
+      ' WHERE title ILIKE $1' +
+        ' AND id IN (SELECT jt.job_id FROM jobs_technologies AS jt' +
+        ' JOIN technologies AS t ON jt.tech_id = t.id' +
+        ' WHERE t.name = ANY($2)' +
+        ' GROUP BY jt.job_id HAVING COUNT(*) = cardinality($2::TEXT[]))' +
+        ` AND ${OPEN_JOB} AND ${NOT_DELETED}`,
+      ['%dev%', ['t1', 't2']],
+    ],
+  ])(
+    'Outputs the correct SQL for range, company, and technology filters.  Filters: %o.',
+    (filters, whereClause, values) => {
+      // Act
+      const result = sqlWhereClauseForGetJobs(filters);
+
+      // Assert
+      expect(result).toEqual({ whereClause, values });
+    }
+  );
+
+  test.each([
+    [{ status: 'closed' }, ` WHERE jobs.status = 'closed' AND ${NOT_DELETED}`],
+    [{ status: 'all' }, ` WHERE ${NOT_DELETED}`],
+    [{ includeDeleted: true }, ` WHERE ${OPEN_JOB}`],
+    [{ status: 'all', includeDeleted: true }, ''],
+    [
+      { title: 'dev', status: 'draft' },
+      ` WHERE title ILIKE $1 AND jobs.status = 'draft' AND ${NOT_DELETED}`,
+    ],
+  ])(
+    'Outputs the correct SQL for the status and deleted filters.  Filters: %o.',
+    (filters, whereClause) => {
+      // Act
+      const result = sqlWhereClauseForGetJobs(filters);
+
+      // Assert
+      expect(result.whereClause).toEqual(whereClause);
+    }
+  );
+
+  test.each([
+    [{ minSalary: 20, maxSalary: 10 }, '/minSalary'],
+    [{ minEquity: 0.5, maxEquity: 0.1 }, '/minEquity'],
+    [{ minEmployees: 5, maxEmployees: 0 }, '/minEmployees'],
+  ])(
+    'Throws an error if a minimum is greater than its maximum.  Filters: %o.',
+    (filters, pointer) => {
+      // Act / Assert
+      try {
+        sqlWhereClauseForGetJobs(filters);
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.fields).toEqual([
+          { pointer, keyword: 'range', message: expect.any(String) },
+        ]);
+      }
+      expect.assertions(2);
+    }
+  );
+});
+
+/************************************** sqlSortAndPaginationClauses */
+
+describe('sqlSortAndPaginationClauses', () => {
+  const sortToSql = Object.freeze({
+    name: ['name', 'ASC'],
+    newest: ['id', 'DESC'],
+  });
+
+  test.each([
+    [{}, { clauses: ' ORDER BY name ASC NULLS LAST, id', values: [] }],
+    [
+      { sort: '-name' },
+      { clauses: ' ORDER BY name DESC NULLS LAST, id', values: [] },
+    ],
+    [
+      { sort: 'newest' },
+      { clauses: ' ORDER BY id DESC NULLS LAST', values: [] },
+    ],
+    [
+      { sort: '-newest', limit: 10, offset: 20 },
+      {
+        clauses: ' ORDER BY id ASC NULLS LAST LIMIT $3 OFFSET $4',
+        values: [10, 20],
+      },
+    ],
+    [
+      { offset: 0 },
+      { clauses: ' ORDER BY name ASC NULLS LAST, id OFFSET $3', values: [0] },
+    ],
+  ])(
+    'Outputs the correct SQL String for sorting and pagination for test case %#.',
+    (options, expected) => {
+      // Act
+      const result = sqlSortAndPaginationClauses(
+        options,
+        sortToSql,
+        'name',
+        'id',
+        3
+      );
+
+      // Assert
+      expect(result).toEqual(expected);
+    }
+  );
+
+  test.each([['title'], ['-title'], ['constructor']])(
+    'Throws error if sort is not allowed.  Sort: %s.',
+    (sort) => {
+      // Act / Assert
+      expect(() =>
+        sqlSortAndPaginationClauses({ sort }, sortToSql, 'name', 'id')
+      ).toThrow(BadRequestError);
+    }
+  );
 });
@@ -1,12 +1,29 @@
 'use strict';
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const { SECRET_KEY } = require('../config');
+const {
+  SECRET_KEY,
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_TOKEN_EXPIRES_IN,
+  REQUIRE_ADMIN_TWO_FACTOR,
+} = require('../config');
+const { UnauthorizedError } = require('../expressError');
 
 // ==================================================
 
-/** return signed JWT from user data. */
+/** return signed, short-lived JWT from user data.
+ *
+ * The payload carries the user's roles: isAdmin, and recruiterFor, the
+ * handles of the companies the user is a recruiter for.  Roles are read when
+ * the token is created, so changes to them apply to the next token.
+ *
+ * If REQUIRE_ADMIN_TWO_FACTOR is set, admins without two-factor
+ * authentication get a token without admin access, with
+ * twoFactorSetupRequired, until they enable it.
+ */
 
 function createToken(user) {
   console.assert(
@@ -17,11 +34,125 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    recruiterFor: user.recruiterFor || [],
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  if (payload.isAdmin && REQUIRE_ADMIN_TWO_FACTOR && !user.twoFactorEnabled) {
+    payload.isAdmin = false;
+    payload.twoFactorSetupRequired = true;
+  }
+
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Creates a signed refresh token, which can be exchanged for a new access
+ * token.  Each refresh token has a unique ID (jti), so that it can be revoked.
+ *
+ * @param {Object} user { username }.
+ * @returns {String} The refresh token.
+ */
+function createRefreshToken(user) {
+  const payload = {
+    username: user.username,
+    type: 'refresh',
+  };
+
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: REFRESH_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
+  });
+}
+
+/**
+ * Verifies a refresh token and returns its payload.
+ *
+ * @param {String} token The refresh token.
+ * @returns {Object} { username, type, jti, iat, exp }.
+ * @throws UnauthorizedError If the token is expired, invalid, or not a
+ *   refresh token.
+ */
+function verifyRefreshToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      throw new UnauthorizedError('Refresh token expired');
+    }
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  if (payload.type !== 'refresh' || !payload.jti) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  return payload;
+}
+
+/**
+ * Creates a signed, short-lived token for the second step of logging in,
+ * showing that the user has given their password but not yet a two-factor
+ * code.
+ *
+ * @param {Object} user { username }.
+ * @returns {String} The two-factor token.
+ */
+function createTwoFactorToken(user) {
+  const payload = {
+    username: user.username,
+    type: 'two-factor',
+  };
+
+  return jwt.sign(payload, SECRET_KEY, {
+    expiresIn: TWO_FACTOR_TOKEN_EXPIRES_IN,
+  });
+}
+
+/**
+ * Verifies a two-factor token and returns its payload.
+ *
+ * @param {String} token The two-factor token.
+ * @returns {Object} { username, type, iat, exp }.
+ * @throws UnauthorizedError If the token is expired, invalid, or not a
+ *   two-factor token.
+ */
+function verifyTwoFactorToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, SECRET_KEY);
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      throw new UnauthorizedError('Two-factor token expired');
+    }
+    throw new UnauthorizedError('Invalid two-factor token');
+  }
+
+  if (payload.type !== 'two-factor') {
+    throw new UnauthorizedError('Invalid two-factor token');
+  }
+
+  return payload;
+}
+
+/**
+ * Hashes a single-use token, such as a password reset token, so that tokens
+ * are not stored as is.
+ *
+ * @param {String} token The token.
+ * @returns {String} The SHA-256 hash of the token, in hex.
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
 }
 
 // ==================================================
 
-module.exports = { createToken };
+module.exports = {
+  createToken,
+  createRefreshToken,
+  verifyRefreshToken,
+  createTwoFactorToken,
+  verifyTwoFactorToken,
+  hashToken,
+};
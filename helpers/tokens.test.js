@@ -2,8 +2,16 @@
 
 const jwt = require('jsonwebtoken');
 
-const { createToken } = require('./tokens');
+const {
+  createToken,
+  createRefreshToken,
+  verifyRefreshToken,
+  createTwoFactorToken,
+  verifyTwoFactorToken,
+  hashToken,
+} = require('./tokens');
 const { SECRET_KEY } = require('../config');
+const { UnauthorizedError } = require('../expressError');
 
 // ==================================================
 
@@ -13,8 +21,10 @@ describe('createToken', function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: 'test',
       isAdmin: false,
+      recruiterFor: [],
     });
   });
 
@@ -23,8 +33,26 @@ describe('createToken', function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: 'test',
       isAdmin: true,
+      recruiterFor: [],
+    });
+  });
+
+  test('works: recruiter', function () {
+    const token = createToken({
+      username: 'test',
+      isAdmin: false,
+      recruiterFor: ['c1', 'c2'],
+    });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      username: 'test',
+      isAdmin: false,
+      recruiterFor: ['c1', 'c2'],
     });
   });
 
@@ -34,8 +62,174 @@ describe('createToken', function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
       username: 'test',
       isAdmin: false,
+      recruiterFor: [],
     });
   });
 });
+
+describe('createToken with REQUIRE_ADMIN_TWO_FACTOR', function () {
+  let createTokenRequiringTwoFactor;
+
+  beforeAll(function () {
+    process.env.REQUIRE_ADMIN_TWO_FACTOR = 'true';
+    jest.isolateModules(function () {
+      createTokenRequiringTwoFactor = require('./tokens').createToken;
+    });
+  });
+
+  afterAll(function () {
+    delete process.env.REQUIRE_ADMIN_TWO_FACTOR;
+  });
+
+  test('drops admin access for admins without two-factor authentication', function () {
+    const token = createTokenRequiringTwoFactor({
+      username: 'test',
+      isAdmin: true,
+      twoFactorEnabled: false,
+    });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      username: 'test',
+      isAdmin: false,
+      recruiterFor: [],
+      twoFactorSetupRequired: true,
+    });
+  });
+
+  test('keeps admin access for admins with two-factor authentication', function () {
+    const token = createTokenRequiringTwoFactor({
+      username: 'test',
+      isAdmin: true,
+      twoFactorEnabled: true,
+    });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.isAdmin).toEqual(true);
+    expect(payload.twoFactorSetupRequired).toBeUndefined();
+  });
+
+  test('does not change non-admins', function () {
+    const token = createTokenRequiringTwoFactor({
+      username: 'test',
+      isAdmin: false,
+    });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.isAdmin).toEqual(false);
+    expect(payload.twoFactorSetupRequired).toBeUndefined();
+  });
+});
+
+describe('createToken expiration', function () {
+  test('expires after the configured duration', function () {
+    const token = createToken({ username: 'test', isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(15 * 60);
+  });
+});
+
+describe('createRefreshToken', function () {
+  test('works', function () {
+    const token = createRefreshToken({ username: 'test', isAdmin: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      jti: expect.any(String),
+      username: 'test',
+      type: 'refresh',
+    });
+  });
+
+  test('creates unique tokens', function () {
+    const token1 = createRefreshToken({ username: 'test' });
+    const token2 = createRefreshToken({ username: 'test' });
+    expect(jwt.decode(token1).jti).not.toEqual(jwt.decode(token2).jti);
+  });
+});
+
+describe('verifyRefreshToken', function () {
+  test('works', function () {
+    const token = createRefreshToken({ username: 'test' });
+    const payload = verifyRefreshToken(token);
+    expect(payload.username).toEqual('test');
+  });
+
+  test('unauth if access token', function () {
+    const token = createToken({ username: 'test', isAdmin: false });
+    expect(() => verifyRefreshToken(token)).toThrow(UnauthorizedError);
+  });
+
+  test('unauth if expired', function () {
+    const token = jwt.sign(
+      { username: 'test', type: 'refresh', exp: 1 },
+      SECRET_KEY,
+      { jwtid: 'abc' }
+    );
+    expect(() => verifyRefreshToken(token)).toThrow('Refresh token expired');
+  });
+
+  test('unauth if wrong signature', function () {
+    const token = jwt.sign({ username: 'test', type: 'refresh' }, 'wrong', {
+      jwtid: 'abc',
+    });
+    expect(() => verifyRefreshToken(token)).toThrow(UnauthorizedError);
+  });
+});
+
+describe('createTwoFactorToken', function () {
+  test('works', function () {
+    const token = createTwoFactorToken({ username: 'test', isAdmin: true });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload).toEqual({
+      iat: expect.any(Number),
+      exp: expect.any(Number),
+      username: 'test',
+      type: 'two-factor',
+    });
+    expect(payload.exp - payload.iat).toEqual(5 * 60);
+  });
+});
+
+describe('verifyTwoFactorToken', function () {
+  test('works', function () {
+    const token = createTwoFactorToken({ username: 'test' });
+    const payload = verifyTwoFactorToken(token);
+    expect(payload.username).toEqual('test');
+  });
+
+  test('unauth if access or refresh token', function () {
+    const accessToken = createToken({ username: 'test', isAdmin: false });
+    const refreshToken = createRefreshToken({ username: 'test' });
+    expect(() => verifyTwoFactorToken(accessToken)).toThrow(UnauthorizedError);
+    expect(() => verifyTwoFactorToken(refreshToken)).toThrow(UnauthorizedError);
+  });
+
+  test('unauth if expired', function () {
+    const token = jwt.sign(
+      { username: 'test', type: 'two-factor', exp: 1 },
+      SECRET_KEY
+    );
+    expect(() => verifyTwoFactorToken(token)).toThrow(
+      'Two-factor token expired'
+    );
+  });
+
+  test('unauth if wrong signature', function () {
+    const token = jwt.sign({ username: 'test', type: 'two-factor' }, 'wrong');
+    expect(() => verifyTwoFactorToken(token)).toThrow(UnauthorizedError);
+  });
+});
+
+describe('hashToken', function () {
+  test('works', function () {
+    const hash = hashToken('abc');
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(hash).not.toEqual('abc');
+    expect(hashToken('abc')).toEqual(hash);
+    expect(hashToken('abd')).not.toEqual(hash);
+  });
+});
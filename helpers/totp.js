@@ -0,0 +1,181 @@
+'use strict';
+
+/** Time-based one-time passwords (TOTP, RFC 6238), for two-factor login. */
+
+const crypto = require('crypto');
+
+// ==================================================
+
+// Name shown for accounts in authenticator apps.
+const TOTP_ISSUER = 'Jobly';
+
+// Seconds each code is valid for, and how many digits codes have.  These are
+// the defaults of authenticator apps.
+const TOTP_PERIOD = 30;
+const TOTP_DIGITS = 6;
+
+// How many periods before and after the current one are also accepted, to
+// allow for clock drift.
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as base32 (RFC 4648), without padding, which is how
+ * authenticator apps expect secrets.
+ *
+ * @param {Buffer} bytes The bytes to encode.
+ * @returns {String} The base32 String.
+ */
+function base32Encode(bytes) {
+  let bits = '';
+  for (const byte of bytes) bits += byte.toString(2).padStart(8, '0');
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded +=
+      BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+}
+
+/**
+ * Decodes a base32 String (RFC 4648).  Case, spaces, and padding are ignored.
+ *
+ * @param {String} encoded The base32 String.
+ * @returns {Buffer} The decoded bytes.
+ * @throws Error If the String has characters that are not base32.
+ */
+function base32Decode(encoded) {
+  let bits = '';
+  for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error(`Invalid base32 character: ${char}`);
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+// Returns the current time in milliseconds; replaced in tests.
+let clock = () => Date.now();
+
+/**
+ * Replaces the clock used for codes, e.g. with a fixed time in tests.
+ *
+ * @param {Function} newClock () => the current time in milliseconds.
+ * @returns {Function} The previous clock, so that it can be restored.
+ */
+function setTotpClock(newClock) {
+  const previousClock = clock;
+  clock = newClock;
+  return previousClock;
+}
+
+/**
+ * Generates a new random secret.
+ *
+ * @returns {String} The secret, as base32.
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Makes the otpauth URI of a secret, which authenticator apps can read, e.g.
+ * from a QR code.
+ *
+ * @param {String} secret The secret, as base32.
+ * @param {String} username Username of the account.
+ * @returns {String} The otpauth URI.
+ */
+function createOtpauthUri(secret, username) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Gets the number of the period a time is in, which codes are made from.
+ *
+ * @param {Number} now The time in milliseconds, or the clock's time.
+ * @returns {Number} The period number.
+ */
+function getCounter(now = clock()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD);
+}
+
+/**
+ * Generates the code for a period (HOTP, RFC 4226).
+ *
+ * @param {String} secret The secret, as base32.
+ * @param {Number} counter The period number.
+ * @returns {String} The code, with TOTP_DIGITS digits.
+ */
+function generateCode(secret, counter) {
+  const counterBytes = Buffer.alloc(8);
+  counterBytes.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counterBytes)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Verifies a code against the periods around the current time.  Codes from
+ * periods up to lastCounter are refused, so that a code can only be used
+ * once.
+ *
+ * @param {String} secret The secret, as base32.
+ * @param {String} code The code to verify.
+ * @param {Number | null} lastCounter The period of the last code used, or
+ *   null if none has been.
+ * @returns {Number | null} The period the code is for, or null if the code is
+ *   not valid.
+ */
+function verifyCode(secret, code, lastCounter = null) {
+  if (!/^\d+$/.test(code) || code.length !== TOTP_DIGITS) return null;
+
+  const current = getCounter();
+  for (
+    let counter = current - TOTP_WINDOW;
+    counter <= current + TOTP_WINDOW;
+    counter++
+  ) {
+    if (lastCounter !== null && counter <= lastCounter) continue;
+
+    const expected = generateCode(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+// ==================================================
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  setTotpClock,
+  generateSecret,
+  createOtpauthUri,
+  getCounter,
+  generateCode,
+  verifyCode,
+};
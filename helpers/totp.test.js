@@ -0,0 +1,148 @@
+'use strict';
+
+const {
+  base32Encode,
+  base32Decode,
+  setTotpClock,
+  generateSecret,
+  createOtpauthUri,
+  getCounter,
+  generateCode,
+  verifyCode,
+} = require('./totp');
+
+// ==================================================
+
+// Secret of the RFC 6238 test vectors, "12345678901234567890", as base32.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/************************************** base32Encode */
+
+describe('base32Encode', () => {
+  test.each([
+    ['', ''],
+    ['f', 'MY'],
+    ['foob', 'MZXW6YQ'],
+    ['foobar', 'MZXW6YTBOI'],
+    ['12345678901234567890', RFC_SECRET],
+  ])('Encodes %o as %s.', (text, expected) => {
+    // Act / Assert
+    expect(base32Encode(Buffer.from(text))).toEqual(expected);
+  });
+});
+
+/************************************** base32Decode */
+
+describe('base32Decode', () => {
+  test.each([
+    ['MZXW6YTBOI', 'foobar'],
+    ['mzxw 6ytb oi======', 'foobar'],
+    [RFC_SECRET, '12345678901234567890'],
+  ])('Decodes %s as %o.', (encoded, expected) => {
+    // Act / Assert
+    expect(base32Decode(encoded).toString()).toEqual(expected);
+  });
+
+  test('Throws for characters that are not base32.', () => {
+    // Act / Assert
+    expect(() => base32Decode('MZ1')).toThrow();
+  });
+});
+
+/************************************** generateSecret */
+
+describe('generateSecret', () => {
+  test('Generates a different 160-bit secret each time.', () => {
+    // Act
+    const secret = generateSecret();
+
+    // Assert
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret).length).toEqual(20);
+    expect(generateSecret()).not.toEqual(secret);
+  });
+});
+
+/************************************** createOtpauthUri */
+
+describe('createOtpauthUri', () => {
+  test('Makes a URI for authenticator apps.', () => {
+    // Act
+    const uri = createOtpauthUri(RFC_SECRET, 'u1');
+
+    // Assert
+    expect(uri).toEqual(
+      `otpauth://totp/Jobly%3Au1?secret=${RFC_SECRET}&issuer=Jobly` +
+        '&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+/************************************** generateCode */
+
+describe('generateCode', () => {
+  // the RFC 6238 SHA-1 test vectors, as 6 digits
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ])('Generates the code for %i seconds.', (seconds, expected) => {
+    // Act
+    const code = generateCode(RFC_SECRET, getCounter(seconds * 1000));
+
+    // Assert
+    expect(code).toEqual(expected);
+  });
+});
+
+/************************************** verifyCode */
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+  const counter = getCounter(now);
+  let previousClock;
+
+  beforeEach(() => {
+    previousClock = setTotpClock(() => now);
+  });
+
+  afterEach(() => {
+    setTotpClock(previousClock);
+  });
+
+  test('Returns the period of a current code.', () => {
+    // Act / Assert
+    expect(verifyCode(RFC_SECRET, '005924')).toEqual(counter);
+  });
+
+  test('Accepts codes from the periods next to the current one.', () => {
+    // Act / Assert
+    expect(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter - 1))
+    ).toEqual(counter - 1);
+    expect(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, counter + 1))
+    ).toEqual(counter + 1);
+  });
+
+  test.each([
+    [generateCode(RFC_SECRET, counter - 2)],
+    [generateCode(RFC_SECRET, counter + 2)],
+    ['000000'],
+    ['5924'],
+    ['0059245'],
+    ['00592a'],
+  ])('Returns null for code %s.', (code) => {
+    // Act / Assert
+    expect(verifyCode(RFC_SECRET, code)).toBeNull();
+  });
+
+  test('Refuses codes from periods that were already used.', () => {
+    // Act / Assert
+    expect(verifyCode(RFC_SECRET, '005924', counter)).toBeNull();
+    expect(verifyCode(RFC_SECRET, '005924', counter - 1)).toEqual(counter);
+  });
+});
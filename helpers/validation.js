@@ -0,0 +1,151 @@
+'use strict';
+
+const jsonschema = require('jsonschema');
+
+const {
+  PASSWORD_MIN_LENGTH,
+  PASSWORD_MAX_LENGTH,
+  PASSWORD_MIN_CHARACTER_CLASSES,
+} = require('../config');
+const { ValidationError } = require('../expressError');
+
+// ==================================================
+
+/**
+ * Converts a path into a JSON pointer, e.g. ['technologies', 0] into
+ * "/technologies/0".
+ *
+ * @param {Array} path [key, ...], where each key is a String or Number.
+ * @returns {String} The JSON pointer, or "" for the whole document.
+ */
+function toJsonPointer(path) {
+  return path
+    .map((key) => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1'))
+    .join('');
+}
+
+/**
+ * Converts a jsonschema property String, e.g. 'instance.technologies[0]' or
+ * 'instance["first name"]', into a path.
+ *
+ * @param {String} property The property from a jsonschema error.
+ * @returns {Array} [key, ...].
+ */
+function propertyToPath(property) {
+  const path = [];
+  const keyRegex = /\.([^.[]+)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/g;
+
+  for (const match of property.replace(/^instance/, '').matchAll(keyRegex)) {
+    if (match[1] !== undefined) path.push(match[1]);
+    else if (match[2] !== undefined) path.push(Number(match[2]));
+    else path.push(JSON.parse(match[3]));
+  }
+
+  return path;
+}
+
+/**
+ * Converts a jsonschema error into a field of a ValidationError.  Errors for
+ * missing or additional properties point at that property.
+ *
+ * @param {Object} error The jsonschema error.
+ * @returns {Object} { pointer, keyword, message }.
+ */
+function schemaErrorToField(error) {
+  let path;
+  if (error.name === 'required' || error.name === 'additionalProperties') {
+    path = [...propertyToPath(error.property), error.argument];
+  } else if (error.name === 'dependencies') {
+    path = propertyToPath(error.argument);
+  } else {
+    path = propertyToPath(error.property);
+  }
+
+  return {
+    pointer: toJsonPointer(path),
+    keyword: error.name,
+    message: error.message,
+  };
+}
+
+/**
+ * Validates data against a JSON schema.
+ *
+ * @param {*} data The data to validate, e.g. a request body.
+ * @param {Object} schema The JSON schema.
+ * @throws ValidationError If the data is not valid, with a field for each
+ *   failed schema keyword.
+ */
+function validateSchema(data, schema) {
+  const validator = jsonschema.validate(data, schema);
+  if (!validator.valid) {
+    throw new ValidationError(validator.errors.map(schemaErrorToField));
+  }
+}
+
+// Kinds of characters that passwords can be made of.
+const PASSWORD_CHARACTER_CLASSES = Object.freeze([
+  /[a-z]/,
+  /[A-Z]/,
+  /[0-9]/,
+  /[^a-zA-Z0-9]/,
+]);
+
+/**
+ * Validates a new password against the password policy: it must be between
+ * PASSWORD_MIN_LENGTH characters and PASSWORD_MAX_LENGTH bytes long, use at
+ * least PASSWORD_MIN_CHARACTER_CLASSES kinds of characters, and not contain
+ * the username.
+ *
+ * @param {String} password The new password.
+ * @param {String} username Username of the user the password is for.
+ * @param {String} pointer JSON pointer to the password in the request data.
+ * @throws ValidationError If the password breaks the policy, with a field for
+ *   each broken rule.
+ */
+function validatePassword(password, username, pointer = '/password') {
+  const fields = [];
+
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    fields.push({
+      pointer,
+      keyword: 'minLength',
+      message: `must be at least ${PASSWORD_MIN_LENGTH} characters long`,
+    });
+  }
+
+  if (Buffer.byteLength(password) > PASSWORD_MAX_LENGTH) {
+    fields.push({
+      pointer,
+      keyword: 'maxLength',
+      message: `must be at most ${PASSWORD_MAX_LENGTH} bytes long`,
+    });
+  }
+
+  const classes = PASSWORD_CHARACTER_CLASSES.filter((c) => c.test(password));
+  if (classes.length < PASSWORD_MIN_CHARACTER_CLASSES) {
+    fields.push({
+      pointer,
+      keyword: 'characterClasses',
+      message:
+        `must use at least ${PASSWORD_MIN_CHARACTER_CLASSES} of lowercase ` +
+        'letters, uppercase letters, digits, and symbols',
+    });
+  }
+
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    fields.push({
+      pointer,
+      keyword: 'username',
+      message: 'must not contain the username',
+    });
+  }
+
+  if (fields.length > 0) {
+    throw new ValidationError(fields, 'Password does not meet the policy.');
+  }
+}
+
+// ==================================================
+
+module.exports = { toJsonPointer, validateSchema, validatePassword };
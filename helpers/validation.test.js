@@ -0,0 +1,119 @@
+'use strict';
+
+const {
+  toJsonPointer,
+  validateSchema,
+  validatePassword,
+} = require('./validation');
+const { ValidationError } = require('../expressError');
+
+// ==================================================
+
+/************************************** toJsonPointer */
+
+describe('toJsonPointer', () => {
+  test.each([
+    [[], ''],
+    [['name'], '/name'],
+    [['technologies', 0], '/technologies/0'],
+    [['a/b', 'c~d'], '/a~1b/c~0d'],
+  ])('Converts path %o into JSON pointer %s.', (path, expected) => {
+    // Act
+    const pointer = toJsonPointer(path);
+
+    // Assert
+    expect(pointer).toEqual(expected);
+  });
+});
+
+/************************************** validateSchema */
+
+describe('validateSchema', () => {
+  const schema = Object.freeze({
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 2 },
+      tags: { type: 'array', items: { type: 'string' } },
+      'first name': { type: 'string' },
+      createTags: { type: 'boolean' },
+    },
+    additionalProperties: false,
+    required: ['name'],
+    dependencies: { createTags: ['tags'] },
+  });
+
+  test('Does not throw if data is valid.', () => {
+    // Act / Assert
+    expect(() => validateSchema({ name: 'ab' }, schema)).not.toThrow();
+  });
+
+  test.each([
+    [{}, '/name', 'required'],
+    [{ name: 'a' }, '/name', 'minLength'],
+    [{ name: 'ab', tags: ['a', 1] }, '/tags/1', 'type'],
+    [{ name: 'ab', 'first name': 1 }, '/first name', 'type'],
+    [{ name: 'ab', other: 1 }, '/other', 'additionalProperties'],
+    [{ name: 'ab', createTags: true }, '/createTags', 'dependencies'],
+  ])(
+    'Throws ValidationError with field.  Data: %o.',
+    (data, pointer, keyword) => {
+      // Act
+      let error;
+      try {
+        validateSchema(data, schema);
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error instanceof ValidationError).toBeTruthy();
+      expect(error.code).toEqual('VALIDATION_FAILED');
+      expect(error.fields).toEqual([
+        { pointer, keyword, message: expect.any(String) },
+      ]);
+    }
+  );
+});
+
+/************************************** validatePassword */
+
+describe('validatePassword', () => {
+  test.each([['correct-horse'], ['Battery9'], ['ünïcödé-pässwörd']])(
+    'Does not throw for a valid password.  Password: %s.',
+    (password) => {
+      // Act / Assert
+      expect(() => validatePassword(password, 'u1')).not.toThrow();
+    }
+  );
+
+  test.each([
+    ['short-1', ['minLength']],
+    ['a1'.repeat(37), ['maxLength']],
+    ['ü1'.repeat(25), ['maxLength']],
+    ['longpassword', ['characterClasses']],
+    ['my-u1-password', ['username']],
+    ['MY-U1-PASSWORD', ['username']],
+    ['u1', ['minLength', 'username']],
+  ])(
+    'Throws ValidationError with a field per broken rule.  Password: %s.',
+    (password, keywords) => {
+      // Act
+      let error;
+      try {
+        validatePassword(password, 'u1', '/newPassword');
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error instanceof ValidationError).toBeTruthy();
+      expect(error.fields).toEqual(
+        keywords.map((keyword) => ({
+          pointer: '/newPassword',
+          keyword,
+          message: expect.any(String),
+        }))
+      );
+    }
+  );
+});
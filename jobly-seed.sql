@@ -1,18 +1,21 @@
--- both test users have the password "password"
+-- both test users have the password "password", and verified email addresses
 
-INSERT INTO users (username, password, first_name, last_name, email, is_admin)
+INSERT INTO users (username, password, first_name, last_name, email, is_admin,
+                   email_verified_at)
 VALUES ('testuser',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'User',
         'joel@joelburton.com',
-        FALSE),
+        FALSE,
+        CURRENT_TIMESTAMP),
        ('testadmin',
         '$2b$12$AZH7virni5jlTTiGgEg4zu3lSvAw68qVEfSIOjJ3RqtbJbdW/Oi5q',
         'Test',
         'Admin!',
         'joel@joelburton.com',
-        TRUE);
+        TRUE,
+        CURRENT_TIMESTAMP);
 
 INSERT INTO companies (handle,
                        name,
@@ -3,16 +3,11 @@
 
 DROP DATABASE IF EXISTS jobly;
 CREATE DATABASE jobly;
-\connect jobly
-
-\i jobly-schema.sql
-\i jobly-seed.sql
 
 \echo 'Delete and recreate jobly_test db?'
 \prompt 'Return for yes or control-C to cancel > ' foo
 
 DROP DATABASE IF EXISTS jobly_test;
 CREATE DATABASE jobly_test;
-\connect jobly_test
 
-\i jobly-schema.sql
+\echo 'Create the tables with "npm run migrate", then seed jobly with jobly-seed.sql.'
@@ -0,0 +1,45 @@
+'use strict';
+
+const { validateSchema } = require('../helpers/validation');
+const applicationGetAllQuerySchema = require('../schemas/applicationGetAllQuery.json');
+
+// ==================================================
+
+/**
+ * Middleware to convert the query parameters for the GET applications route
+ * to have the correct type and value.
+ *
+ * limit and offset are converted to numbers.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If any query parameter is not valid, such as status
+ *   not being an application status.
+ */
+function convertGetAllApplicationsQueryParameters(req, res, next) {
+  try {
+    const { status, companyHandle, format } = req.query;
+    const query = { status, companyHandle, format };
+
+    for (const param of ['limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
+
+    // validate json schema
+    validateSchema(query, applicationGetAllQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = { convertGetAllApplicationsQueryParameters };
@@ -0,0 +1,62 @@
+'use strict';
+
+const { convertGetAllApplicationsQueryParameters } = require('./applications');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertGetAllApplicationsQueryParameters */
+
+describe('convertGetAllApplicationsQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: {
+        status: 'applied',
+        companyHandle: 'c1',
+        limit: '10',
+        offset: '0',
+        format: 'csv',
+        other: 'dropped',
+      },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllApplicationsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({
+      status: 'applied',
+      companyHandle: 'c1',
+      limit: 10,
+      offset: 0,
+      format: 'csv',
+    });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ status: 'nope' }],
+    [{ companyHandle: '' }],
+    [{ limit: '0' }],
+    [{ offset: 'a' }],
+    [{ format: 'xml' }],
+  ])('Throws error if query parameters are invalid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertGetAllApplicationsQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+});
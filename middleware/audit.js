@@ -0,0 +1,84 @@
+'use strict';
+
+const { validateSchema } = require('../helpers/validation');
+const auditLogGetAllQuerySchema = require('../schemas/auditLogGetAllQuery.json');
+const loginFailureGetAllQuerySchema = require('../schemas/loginFailureGetAllQuery.json');
+
+// ==================================================
+
+/**
+ * Middleware to convert the query parameters for the GET audit log route to
+ * have the correct type and value.
+ *
+ * limit and offset are converted to numbers.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If any query parameter is not valid, such as since
+ *   not being a date-time.
+ */
+function convertGetAuditLogQueryParameters(req, res, next) {
+  try {
+    const { actor, action, entityType, entityId, since, until } = req.query;
+    const query = { actor, action, entityType, entityId, since, until };
+
+    for (const param of ['limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
+
+    // validate json schema
+    validateSchema(query, auditLogGetAllQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Middleware to convert the query parameters for the GET failed logins route
+ * to have the correct type and value.
+ *
+ * limit and offset are converted to numbers.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If any query parameter is not valid, such as since
+ *   not being a date-time.
+ */
+function convertGetLoginFailuresQueryParameters(req, res, next) {
+  try {
+    const { username, ip, since } = req.query;
+    const query = { username, ip, since };
+
+    for (const param of ['limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
+
+    // validate json schema
+    validateSchema(query, loginFailureGetAllQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = {
+  convertGetAuditLogQueryParameters,
+  convertGetLoginFailuresQueryParameters,
+};
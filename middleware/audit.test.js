@@ -0,0 +1,129 @@
+'use strict';
+
+const {
+  convertGetAuditLogQueryParameters,
+  convertGetLoginFailuresQueryParameters,
+} = require('./audit');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertGetAuditLogQueryParameters */
+
+describe('convertGetAuditLogQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: {
+        actor: 'u1',
+        action: 'update',
+        entityType: 'company',
+        entityId: 'c1',
+        since: '2024-01-01T00:00:00Z',
+        until: '2024-02-01T00:00:00Z',
+        limit: '10',
+        offset: '0',
+        other: 'dropped',
+      },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAuditLogQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({
+      actor: 'u1',
+      action: 'update',
+      entityType: 'company',
+      entityId: 'c1',
+      since: '2024-01-01T00:00:00Z',
+      until: '2024-02-01T00:00:00Z',
+      limit: 10,
+      offset: 0,
+    });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ actor: '' }],
+    [{ action: 'nope' }],
+    [{ entityType: 'nope' }],
+    [{ since: 'yesterday' }],
+    [{ until: '2024-13-01' }],
+    [{ limit: '0' }],
+    [{ offset: 'a' }],
+  ])('Throws error if query parameters are invalid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertGetAuditLogQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+});
+
+/************************************** convertGetLoginFailuresQueryParameters */
+
+describe('convertGetLoginFailuresQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: {
+        username: 'u1',
+        ip: '203.0.113.7',
+        since: '2024-01-01T00:00:00Z',
+        limit: '10',
+        offset: '0',
+        other: 'dropped',
+      },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetLoginFailuresQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({
+      username: 'u1',
+      ip: '203.0.113.7',
+      since: '2024-01-01T00:00:00Z',
+      limit: 10,
+      offset: 0,
+    });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ username: '' }],
+    [{ ip: '' }],
+    [{ since: 'yesterday' }],
+    [{ limit: '101' }],
+    [{ offset: '-1' }],
+  ])('Throws error if query parameters are invalid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertGetLoginFailuresQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+});
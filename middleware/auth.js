@@ -6,15 +6,21 @@ const jwt = require('jsonwebtoken');
 
 const { SECRET_KEY } = require('../config');
 const { UnauthorizedError, ForbiddenError } = require('../expressError');
+const User = require('../models/user');
 
 // ==================================================
 
 /** Middleware: Authenticate user.
  *
  * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * on res.locals (this will include the username, isAdmin, and recruiterFor
+ * fields.)
  *
  * It's not an error if no token was provided or if the token is not valid.
+ * Refresh and two-factor tokens are not valid for authenticating requests.
+ *
+ * If the token has expired, raises Unauthorized, so that the client knows to
+ * get a new token.
  */
 
 function authenticateJWT(req, res, next) {
@@ -22,11 +28,35 @@ function authenticateJWT(req, res, next) {
     const authHeader = req.headers && req.headers.authorization;
     if (authHeader) {
       const token = authHeader.replace(/^[Bb]earer /, '').trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
+      const payload = jwt.verify(token, SECRET_KEY);
+      if (payload.type === undefined) res.locals.user = payload;
     }
     return next();
   } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) {
+      return next(new UnauthorizedError('Token expired'));
+    }
+    return next();
+  }
+}
+
+/** Middleware: Reject tokens that were revoked by a password change.
+ *
+ * Runs after authenticateJWT.  If the user's password was changed after their
+ * token was issued, raises Unauthorized, so that the client knows to log in
+ * again.
+ */
+
+async function rejectRevokedTokens(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (user && (await User.isTokenRevoked(user.username, user.iat))) {
+      delete res.locals.user;
+      throw new UnauthorizedError('Token revoked');
+    }
     return next();
+  } catch (err) {
+    return next(err);
   }
 }
 
@@ -77,11 +107,46 @@ function ensureAdminOrSelf(req, res, next) {
   }
 }
 
+/**
+ * Makes middleware to ensure that the logged in user is an admin, or a
+ * recruiter for the company that the request is about.  Without
+ * getCompanyHandle, a recruiter for any company is allowed, and the route
+ * must limit them to their own companies.
+ *
+ * Users that are not recruiters are refused before getCompanyHandle is
+ * called, so that they can not find out which records exist.
+ *
+ * If not allowed, raises ForbiddenError.
+ *
+ * @param {Function} getCompanyHandle Optional, async (req) => handle of the
+ *   company, e.g. of the job in the URL path parameter.
+ * @returns {Function} The middleware.
+ */
+function ensureAdminOrRecruiter(getCompanyHandle) {
+  return async function (req, res, next) {
+    try {
+      const { isAdmin, recruiterFor = [] } = res.locals.user;
+      if (isAdmin) return next();
+
+      if (recruiterFor.length === 0) throw new ForbiddenError();
+      if (getCompanyHandle) {
+        const handle = await getCompanyHandle(req);
+        if (!recruiterFor.includes(handle)) throw new ForbiddenError();
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
 // ==================================================
 
 module.exports = {
   authenticateJWT,
+  rejectRevokedTokens,
   ensureLoggedIn,
   ensureAdmin,
   ensureAdminOrSelf,
+  ensureAdminOrRecruiter,
 };
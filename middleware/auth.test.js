@@ -2,8 +2,13 @@
 
 const jwt = require('jsonwebtoken');
 
-const { UnauthorizedError } = require('../expressError');
-const { authenticateJWT, ensureLoggedIn } = require('./auth');
+const { UnauthorizedError, ForbiddenError } = require('../expressError');
+const {
+  authenticateJWT,
+  rejectRevokedTokens,
+  ensureLoggedIn,
+  ensureAdminOrRecruiter,
+} = require('./auth');
 
 const { SECRET_KEY } = require('../config');
 
@@ -57,6 +62,68 @@ describe('authenticateJWT', function () {
   });
 });
 
+describe('authenticateJWT expiration', function () {
+  test('unauth if token expired', function () {
+    expect.assertions(3);
+    const expiredJwt = jwt.sign(
+      { username: 'test', isAdmin: false, exp: 1 },
+      SECRET_KEY
+    );
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+      expect(err.message).toEqual('Token expired');
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test('ignores refresh tokens', function () {
+    expect.assertions(2);
+    const refreshJwt = jwt.sign(
+      { username: 'test', type: 'refresh' },
+      SECRET_KEY,
+      { jwtid: 'abc' }
+    );
+    const req = { headers: { authorization: `Bearer ${refreshJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test('ignores two-factor tokens', function () {
+    expect.assertions(2);
+    const twoFactorJwt = jwt.sign(
+      { username: 'test', type: 'two-factor' },
+      SECRET_KEY
+    );
+    const req = { headers: { authorization: `Bearer ${twoFactorJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+});
+
+describe('rejectRevokedTokens', function () {
+  test('works: not logged in', async function () {
+    expect.assertions(2);
+    const req = {};
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await rejectRevokedTokens(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+});
+
 describe('ensureLoggedIn', function () {
   test('works', function () {
     expect.assertions(1);
@@ -78,3 +145,73 @@ describe('ensureLoggedIn', function () {
     ensureLoggedIn(req, res, next);
   });
 });
+
+describe('ensureAdminOrRecruiter', function () {
+  const getCompanyHandle = async () => 'c1';
+
+  test.each([
+    [{ username: 'test', isAdmin: true, recruiterFor: [] }],
+    [{ username: 'test', isAdmin: false, recruiterFor: ['c2', 'c1'] }],
+  ])('works for admins and recruiters for the company: %o', async (user) => {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureAdminOrRecruiter(getCompanyHandle)(req, res, next);
+  });
+
+  test.each([
+    [{ username: 'test', isAdmin: false, recruiterFor: ['c2'] }],
+    [{ username: 'test', isAdmin: false, recruiterFor: [] }],
+    [{ username: 'test', isAdmin: false }],
+  ])('forbidden for other users: %o', async (user) => {
+    expect.assertions(1);
+    const req = {};
+    const res = { locals: { user } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await ensureAdminOrRecruiter(getCompanyHandle)(req, res, next);
+  });
+
+  test('does not get the company for users that are not recruiters', async function () {
+    expect.assertions(2);
+    const getCompanyHandle = jest.fn();
+    const req = {};
+    const res = { locals: { user: { username: 'test', recruiterFor: [] } } };
+    const next = function (err) {
+      expect(err instanceof ForbiddenError).toBeTruthy();
+    };
+    await ensureAdminOrRecruiter(getCompanyHandle)(req, res, next);
+    expect(getCompanyHandle).not.toHaveBeenCalled();
+  });
+
+  test('works for recruiters for any company without getCompanyHandle', async function () {
+    expect.assertions(1);
+    const req = {};
+    const res = {
+      locals: { user: { username: 'test', recruiterFor: ['c2'] } },
+    };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await ensureAdminOrRecruiter()(req, res, next);
+  });
+
+  test('passes on errors from getCompanyHandle', async function () {
+    expect.assertions(1);
+    const error = new Error('not found');
+    const req = {};
+    const res = {
+      locals: { user: { username: 'test', recruiterFor: ['c1'] } },
+    };
+    const next = function (err) {
+      expect(err).toBe(error);
+    };
+    await ensureAdminOrRecruiter(async () => {
+      throw error;
+    })(req, res, next);
+  });
+});
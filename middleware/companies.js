@@ -1,79 +1,129 @@
 'use strict';
 
-const { BadRequestError, ServerError } = require('../expressError');
+const { ValidationError, ServerError } = require('../expressError');
+const { validateSchema } = require('../helpers/validation');
+const companyGetAllQuerySchema = require('../schemas/companyGetAllQuery.json');
 
 // ==================================================
 
+/**
+ * Decodes a partial match query parameter from URI to plain String.
+ *
+ * @param {Object} query The query parameters from Express.
+ * @param {String} param Name of the query parameter to decode.
+ * @returns {String|undefined} The decoded query parameter.
+ * @throws ValidationError If the query parameter contains a % not followed by
+ *   two hexadecimal digits, or if the escape sequence does not encode a valid
+ *   UTF-8 character.
+ */
+function decodeLikeParameter(query, param) {
+  const value = query[param];
+  try {
+    return typeof value === 'string'
+      ? decodeURIComponent(value.replace(/\+/g, ' '))
+      : value;
+  } catch (err) {
+    if (err instanceof URIError) {
+      throw new ValidationError(
+        [
+          {
+            pointer: `/${param}`,
+            keyword: 'format',
+            message: 'can not be decoded from URL encoding',
+          },
+        ],
+        `Can not decode query parameter ${param} from URL encoding.`
+      );
+    } else {
+      throw new ServerError();
+    }
+  }
+}
+
 /**
  * Middleware to convert the query parameters (filters) for the GET companies
- * route to have the correct type and value.
+ * route to have the correct type and value, and validate them with the
+ * companyGetAllQuery JSON schema.
  *
- * minEmployees and maxEmployees are converted to integers, and
- * nameLike is decoded from URI to plain String.
+ * nameLike and descriptionLike are decoded from URI to plain String,
+ * minEmployees, maxEmployees, and minOpenJobs are converted to numbers,
+ * hasEquity is converted to a boolean if it is "true" or "false", and
+ * technologies is converted to an Array, since it can be repeated.  q is the
+ * full-text search term.  includeDeleted is converted to a boolean if it is
+ * "true" or "false".
  *
- * A max integer value of 2147483647 is used, because that is PostgreSQL's max
- * value for its integer data type.
+ * For pagination, limit and offset are converted to integers, and sort must
+ * be one of the values allowed by the schema.  format must be json or csv.
  *
- * An error is thrown if queries can not be converted.
+ * Query parameters that are not in the schema are ignored.
  *
  * @param {Object} req The request Object from Express, containing the query
  *   parameters.
  * @param {Object} res The response Object from Express.
  * @param {Function} next The next function to execute.
  * @returns Output of "next" function.
- * @throws BadRequestError If minEmployees or maxEmployees is not an integer
- *   between 0 and 2147483647, inclusive.  Also if nameLike contains a % not
- *   followed by two hexadecimal digits, or if the escape sequence does not
- *   encode a valid UTF-8 character.
+ * @throws ValidationError If minEmployees, maxEmployees, or minOpenJobs is not
+ *   an integer between 0 and 2147483647, inclusive.  Also if nameLike or
+ *   descriptionLike contains a % not followed by two hexadecimal digits, or if
+ *   the escape sequence does not encode a valid UTF-8 character.  Also if q,
+ *   hasEquity, technologies, includeDeleted, limit, offset, sort, or format
+ *   is not valid.
  */
 function convertGetAllCompaniesQueryParameters(req, res, next) {
   try {
-    // minEmployees / maxEmployees
-    const minEmployees = req.query.minEmployees
-      ? Number.parseFloat(req.query.minEmployees)
-      : undefined;
-    const maxEmployees = req.query.maxEmployees
-      ? Number.parseFloat(req.query.maxEmployees)
-      : undefined;
+    const query = {
+      q: req.query.q,
+      nameLike: decodeLikeParameter(req.query, 'nameLike'),
+      descriptionLike: decodeLikeParameter(req.query, 'descriptionLike'),
+      sort: req.query.sort,
+      format: req.query.format,
+    };
+
+    // minEmployees / maxEmployees / minOpenJobs / limit / offset
+    for (const param of [
+      'minEmployees',
+      'maxEmployees',
+      'minOpenJobs',
+      'limit',
+      'offset',
+    ]) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
 
-    for (const query of [minEmployees, maxEmployees]) {
-      if (
-        query !== undefined &&
-        (Number.isNaN(query) ||
-          query < 0 ||
-          query > 2147483647 ||
-          !Number.isInteger(query))
-      ) {
-        throw new BadRequestError(
-          'minEmployees or maxEmployees is not a positive integer ' +
-            'between 0 and 2147483647, inclusive.'
-        );
+    // hasEquity
+    let hasEquity = req.query.hasEquity;
+    if (typeof hasEquity === 'string') {
+      switch (hasEquity.toLowerCase()) {
+        case 'true':
+          hasEquity = true;
+          break;
+        case 'false':
+          hasEquity = false;
+          break;
       }
     }
+    query.hasEquity = hasEquity;
 
-    req.query.minEmployees = minEmployees;
-    req.query.maxEmployees = maxEmployees;
+    // technologies
+    if (req.query.technologies !== undefined)
+      query.technologies = [].concat(req.query.technologies);
 
-    // nameLike
-    const nameLike = req.query.nameLike;
+    // includeDeleted
+    const { includeDeleted } = req.query;
+    query.includeDeleted =
+      includeDeleted === 'true' || includeDeleted === 'false'
+        ? includeDeleted === 'true'
+        : includeDeleted;
 
-    if (nameLike) {
-      try {
-        req.query.nameLike = decodeURIComponent(nameLike.replace(/\+/g, ' '));
-      } catch (err) {
-        if (err instanceof URIError) {
-          throw new BadRequestError(
-            'Can not decode query parameter nameLike from URL encoding.'
-          );
-        } else {
-          throw new ServerError();
-        }
-      }
-    }
+    // validate json schema
+    validateSchema(query, companyGetAllQuerySchema);
+
+    req.query = query;
 
     return next();
   } catch (err) {
-    next(err);
+    return next(err);
   }
 }
 
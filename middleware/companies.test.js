@@ -20,6 +20,36 @@ describe('convertGetAllCompaniesQueryParameters', () => {
       },
     ],
     [{}, {}],
+    [
+      { sort: '-numEmployees', limit: '10', offset: '0' },
+      { sort: '-numEmployees', limit: 10, offset: 0 },
+    ],
+    [{ format: 'csv' }, { format: 'csv' }],
+    [
+      { q: 'backend', sort: 'relevance' },
+      { q: 'backend', sort: 'relevance' },
+    ],
+    [
+      {
+        descriptionLike: 'remote%20first',
+        minOpenJobs: '2',
+        hasEquity: 'TRUE',
+        technologies: 't1',
+      },
+      {
+        descriptionLike: 'remote first',
+        minOpenJobs: 2,
+        hasEquity: true,
+        technologies: ['t1'],
+      },
+    ],
+    [
+      { hasEquity: 'false', technologies: ['t1', 't2'] },
+      { hasEquity: false, technologies: ['t1', 't2'] },
+    ],
+    [{ handle: 'c1', description: 'Desc1' }, {}],
+    [{ includeDeleted: 'true' }, { includeDeleted: true }],
+    [{ includeDeleted: 'false' }, { includeDeleted: false }],
   ])(
     'If queries are valid, should not throw an error.  Test case: %#.',
     (query, convertedQuery) => {
@@ -40,30 +70,50 @@ describe('convertGetAllCompaniesQueryParameters', () => {
   );
 
   test.each([
-    [{ minEmployees: 'a' }],
-    [{ minEmployees: '-1' }],
-    [{ minEmployees: '2147483648' }],
-    [{ minEmployees: '1.5' }],
-    [{ maxEmployees: 'a' }],
-    [{ maxEmployees: '-1' }],
-    [{ maxEmployees: '2147483648' }],
-    [{ maxEmployees: '1.5' }],
-    [{ nameLike: 'c%' }],
+    [{ minEmployees: 'a' }, '/minEmployees', 'type'],
+    [{ minEmployees: '-1' }, '/minEmployees', 'minimum'],
+    [{ minEmployees: '2147483648' }, '/minEmployees', 'maximum'],
+    [{ minEmployees: '1.5' }, '/minEmployees', 'type'],
+    [{ maxEmployees: 'a' }, '/maxEmployees', 'type'],
+    [{ maxEmployees: '-1' }, '/maxEmployees', 'minimum'],
+    [{ maxEmployees: '2147483648' }, '/maxEmployees', 'maximum'],
+    [{ maxEmployees: '1.5' }, '/maxEmployees', 'type'],
+    [{ nameLike: 'c%' }, '/nameLike', 'format'],
+    [{ limit: '0' }, '/limit', 'minimum'],
+    [{ limit: '101' }, '/limit', 'maximum'],
+    [{ offset: '-1' }, '/offset', 'minimum'],
+    [{ offset: 'a' }, '/offset', 'type'],
+    [{ sort: 'handle' }, '/sort', 'enum'],
+    [{ format: 'xml' }, '/format', 'enum'],
+    [{ q: '' }, '/q', 'minLength'],
+    [{ q: 'a'.repeat(201) }, '/q', 'maxLength'],
+    [{ q: ['a', 'b'] }, '/q', 'type'],
+    [{ nameLike: '' }, '/nameLike', 'minLength'],
+    [{ descriptionLike: '%E0%A4%A' }, '/descriptionLike', 'format'],
+    [{ minOpenJobs: 'a' }, '/minOpenJobs', 'type'],
+    [{ minOpenJobs: '-1' }, '/minOpenJobs', 'minimum'],
+    [{ hasEquity: 'yes' }, '/hasEquity', 'type'],
+    [{ technologies: [] }, '/technologies', 'minItems'],
+    [{ technologies: '' }, '/technologies/0', 'minLength'],
+    [{ includeDeleted: 'yes' }, '/includeDeleted', 'type'],
   ])(
     'If queries are invalid, should throw an error.  Input is %o.',
-    (query) => {
+    (query, pointer, keyword) => {
       // Arrange
       const req = { query };
       const res = {};
       const next = function (err) {
         expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.fields).toEqual([
+          { pointer, keyword, message: expect.any(String) },
+        ]);
       };
 
       // Act
       convertGetAllCompaniesQueryParameters(req, res, next);
 
       // Assert
-      expect.assertions(1);
+      expect.assertions(2);
     }
   );
 });
@@ -0,0 +1,68 @@
+'use strict';
+
+const express = require('express');
+
+const { ValidationError } = require('../expressError');
+
+// ==================================================
+
+/** The query parameters of import routes, for their OpenAPI operations. */
+const IMPORT_QUERY_SCHEMA = Object.freeze({
+  type: 'object',
+  properties: {
+    skipInvalid: {
+      type: 'boolean',
+      default: false,
+      description: 'Whether to import the valid rows if any are rejected',
+    },
+  },
+});
+
+/** Middleware to parse CSV request bodies of import routes into Strings. */
+const parseCsvBody = express.text({ type: 'text/csv', limit: '1mb' });
+
+/**
+ * Middleware to convert the query parameters for import routes to have the
+ * correct type and value.
+ *
+ * skipInvalid is converted to a boolean, and is false if not given.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If skipInvalid is not "true" or "false".
+ */
+function convertImportQueryParameters(req, res, next) {
+  try {
+    const { skipInvalid } = req.query;
+
+    if (![undefined, 'true', 'false'].includes(skipInvalid)) {
+      throw new ValidationError(
+        [
+          {
+            pointer: '/skipInvalid',
+            keyword: 'enum',
+            message: 'is not one of: true, false',
+          },
+        ],
+        'skipInvalid must be true or false.'
+      );
+    }
+
+    req.query = { skipInvalid: skipInvalid === 'true' };
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = {
+  IMPORT_QUERY_SCHEMA,
+  parseCsvBody,
+  convertImportQueryParameters,
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+const { convertImportQueryParameters } = require('./import');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertImportQueryParameters */
+
+describe('convertImportQueryParameters', () => {
+  test.each([
+    [{}, false],
+    [{ skipInvalid: 'false' }, false],
+    [{ skipInvalid: 'true' }, true],
+  ])('Converts skipInvalid to a boolean.  Query: %o.', (query, skipInvalid) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertImportQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({ skipInvalid });
+    expect.assertions(2);
+  });
+
+  test.each([[{ skipInvalid: 'yes' }], [{ skipInvalid: '' }]])(
+    'Throws error if skipInvalid is invalid.  Query: %o.',
+    (query) => {
+      // Arrange
+      const req = { query };
+      const res = {};
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+
+      // Act
+      convertImportQueryParameters(req, res, next);
+
+      // Assert
+      expect.assertions(1);
+    }
+  );
+});
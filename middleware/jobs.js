@@ -1,8 +1,7 @@
 'use strict';
 
-const jsonschema = require('jsonschema');
-
-const { BadRequestError, ServerError } = require('../expressError');
+const { ValidationError, ServerError } = require('../expressError');
+const { validateSchema } = require('../helpers/validation');
 const jobGetAllQuerySchema = require('../schemas/jobGetAllQuery.json');
 
 // ==================================================
@@ -16,14 +15,23 @@ const jobGetAllQuerySchema = require('../schemas/jobGetAllQuery.json');
  * @param {Object} res The response Object from Express.
  * @param {Function} next The next function to execute.
  * @returns Output of "next" function.
- * @throws BadRequestError If id can not be converted into a number.
+ * @throws ValidationError If id can not be converted into a number.
  */
 function convertJobId(req, res, next) {
   try {
     const id = Number(req.params.id);
 
     if (Number.isNaN(id) || !Number.isInteger(id) || id < 1) {
-      throw new BadRequestError('id is not a positive integer.');
+      throw new ValidationError(
+        [
+          {
+            pointer: '/id',
+            keyword: Number.isInteger(id) ? 'minimum' : 'type',
+            message: 'is not a positive integer',
+          },
+        ],
+        'id is not a positive integer.'
+      );
     }
 
     req.params.id = id;
@@ -34,13 +42,99 @@ function convertJobId(req, res, next) {
   }
 }
 
+/**
+ * Converts job search filters from query parameter Strings into their correct
+ * types.  This does not validate the converted values.
+ *
+ * title is decoded from URI to plain String,
+ * minSalary, maxSalary, minEquity, maxEquity, minEmployees, and maxEmployees
+ * are converted to numbers,
+ * hasEquity is converted to a boolean if it is "true" or "false", and
+ * companyHandle and technologies are converted to Arrays, since they can be
+ * repeated.
+ *
+ * @param {Object} query The query parameters from Express.
+ * @returns {Object} { title, minSalary, maxSalary, hasEquity, minEquity,
+ *   maxEquity, companyHandle, minEmployees, maxEmployees, technologies,
+ *   technologiesMatch }
+ * @throws ValidationError If title contains a % not followed by two
+ *   hexadecimal digits, or if the escape sequence does not encode a valid
+ *   UTF-8 character.
+ */
+function convertJobFilters(query) {
+  // title
+  let title = query.title;
+  try {
+    title = title && decodeURIComponent(title.replace(/\+/g, ' '));
+  } catch (err) {
+    if (err instanceof URIError) {
+      throw new ValidationError(
+        [
+          {
+            pointer: '/title',
+            keyword: 'format',
+            message: 'can not be decoded from URL encoding',
+          },
+        ],
+        'Can not decode query parameter title from URL encoding.'
+      );
+    } else {
+      throw new ServerError();
+    }
+  }
+
+  // minSalary / maxSalary / minEquity / maxEquity / minEmployees /
+  // maxEmployees
+  const numbers = {};
+  for (const param of [
+    'minSalary',
+    'maxSalary',
+    'minEquity',
+    'maxEquity',
+    'minEmployees',
+    'maxEmployees',
+  ]) {
+    if (query[param] !== undefined) numbers[param] = Number(query[param]);
+  }
+
+  // hasEquity
+  let hasEquity = query.hasEquity;
+  if (hasEquity) {
+    switch (hasEquity.toLowerCase()) {
+      case 'true':
+        hasEquity = true;
+        break;
+      case 'false':
+        hasEquity = false;
+        break;
+    }
+  }
+
+  // companyHandle / technologies
+  const lists = {};
+  for (const param of ['companyHandle', 'technologies']) {
+    if (query[param] !== undefined) lists[param] = [].concat(query[param]);
+  }
+
+  return {
+    title,
+    ...numbers,
+    hasEquity,
+    ...lists,
+    technologiesMatch: query.technologiesMatch,
+  };
+}
+
 /**
  * Middleware to convert the query parameters (filters) for the GET jobs
  * route to have the correct type and value.
  *
- * title is decoded from URI to plain String,
- * minSalary is converted to a positive safe integer or 0, and
- * hasEquity is converted to a boolean.
+ * The job filters are converted by convertJobFilters.  q is the full-text
+ * search term, and status is the job status to list.  includeDeleted is
+ * converted to a boolean if it is "true" or "false".
+ *
+ * For pagination, limit and offset are converted to integers, and sort must
+ * be one of the values allowed by the jobGetAllQuery JSON schema.
  *
  * An error is thrown if queries can not be converted.
  *
@@ -49,53 +143,36 @@ function convertJobId(req, res, next) {
  * @param {Object} res The response Object from Express.
  * @param {Function} next The next function to execute.
  * @returns Output of "next" function.
- * @throws BadRequestError If minSalary is not an integer
- *   between 0 and 2147483647, inclusive.  Also if title contains a %
+ * @throws ValidationError If minSalary, maxSalary, minEmployees, or
+ *   maxEmployees is not an integer between 0 and 2147483647, inclusive, or
+ *   minEquity or maxEquity is not between 0 and 1.  Also if title contains a %
  *   not followed by two hexadecimal digits, or if the escape sequence does not
- *   encode a valid UTF-8 character.
+ *   encode a valid UTF-8 character.  Also if status, includeDeleted, limit,
+ *   offset, sort, or format is not valid.
  */
 function convertGetAllJobsQueryParameters(req, res, next) {
   try {
-    // title
-    let title = req.query.title;
-    try {
-      title = title && decodeURIComponent(title.replace(/\+/g, ' '));
-    } catch (err) {
-      if (err instanceof URIError) {
-        throw new BadRequestError(
-          'Can not decode query parameter title from URL encoding.'
-        );
-      } else {
-        throw new ServerError();
-      }
-    }
-
-    // minSalary
-    let minSalary;
-    if (req.query.minSalary !== undefined)
-      minSalary = Number(req.query.minSalary);
-
-    // hasEquity
-    let hasEquity = req.query.hasEquity;
-    if (hasEquity) {
-      switch (hasEquity.toLowerCase()) {
-        case 'true':
-          hasEquity = true;
-          break;
-        case 'false':
-          hasEquity = false;
-          break;
-      }
+    const query = convertJobFilters(req.query);
+    query.q = req.query.q;
+    query.status = req.query.status;
+
+    // includeDeleted
+    const { includeDeleted } = req.query;
+    query.includeDeleted =
+      includeDeleted === 'true' || includeDeleted === 'false'
+        ? includeDeleted === 'true'
+        : includeDeleted;
+
+    // pagination
+    for (const param of ['limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
     }
+    query.sort = req.query.sort;
+    query.format = req.query.format;
 
     // validate json schema
-    const query = { title, minSalary, hasEquity };
-
-    const validator = jsonschema.validate(query, jobGetAllQuerySchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+    validateSchema(query, jobGetAllQuerySchema);
 
     req.query = query;
 
@@ -109,5 +186,6 @@ function convertGetAllJobsQueryParameters(req, res, next) {
 
 module.exports = {
   convertJobId,
+  convertJobFilters,
   convertGetAllJobsQueryParameters,
 };
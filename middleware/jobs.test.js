@@ -71,6 +71,65 @@ describe('convertGetAllJobsQueryParameters', () => {
     expect.assertions(4);
   });
 
+  test('Converts range, company, and technology filters.', () => {
+    // Arrange
+    const req = {
+      query: {
+        maxSalary: '1000',
+        minEquity: '0.1',
+        maxEquity: '0.5',
+        companyHandle: 'c1',
+        minEmployees: '2',
+        maxEmployees: '10',
+        technologies: ['t1', 't2'],
+        technologiesMatch: 'all',
+      },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({
+      maxSalary: 1000,
+      minEquity: 0.1,
+      maxEquity: 0.5,
+      companyHandle: ['c1'],
+      minEmployees: 2,
+      maxEmployees: 10,
+      technologies: ['t1', 't2'],
+      technologiesMatch: 'all',
+    });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ maxSalary: '-1' }],
+    [{ minEquity: 'a' }],
+    [{ maxEquity: '1.1' }],
+    [{ companyHandle: '' }],
+    [{ minEmployees: '1.5' }],
+    [{ technologies: '' }],
+    [{ technologiesMatch: 'some' }],
+  ])('Throws error if filters are not valid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertGetAllJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+
   test('Throws error if title can not be converted.', () => {
     // Arrange
     const req = {
@@ -110,6 +169,85 @@ describe('convertGetAllJobsQueryParameters', () => {
     }
   );
 
+  test('Converts pagination query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: { sort: '-salary', limit: '10', offset: '0' },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({ sort: '-salary', limit: 10, offset: 0 });
+    expect.assertions(2);
+  });
+
+  test('Passes the status filter through.', () => {
+    // Arrange
+    const req = { query: { status: 'closed' } };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({ status: 'closed' });
+    expect.assertions(2);
+  });
+
+  test.each([
+    ['true', true],
+    ['false', false],
+  ])('Converts includeDeleted %s to a boolean.', (includeDeleted, expected) => {
+    // Arrange
+    const req = { query: { includeDeleted } };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({ includeDeleted: expected });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ sort: 'id' }],
+    [{ limit: '0' }],
+    [{ limit: '1.5' }],
+    [{ offset: '-1' }],
+    [{ format: 'xml' }],
+    [{ status: 'archived' }],
+    [{ includeDeleted: '1' }],
+  ])(
+    'Throws error if pagination, format, status, includeDeleted, or q is not valid.  Query: %o.',
+    (query) => {
+      // Arrange
+      const req = { query };
+      const res = {};
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+
+      // Act
+      convertGetAllJobsQueryParameters(req, res, next);
+
+      // Assert
+      expect.assertions(1);
+    }
+  );
+
   test.each([['a'], ['t'], ['1'], ['f'], ['0']])(
     'Throws error if hasEquity is not a boolean.',
     (hasEquity) => {
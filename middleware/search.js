@@ -0,0 +1,44 @@
+'use strict';
+
+const { validateSchema } = require('../helpers/validation');
+const searchQuerySchema = require('../schemas/searchQuery.json');
+
+// ==================================================
+
+/**
+ * Middleware to convert the query parameters for the search route to have the
+ * correct type and value.
+ *
+ * limit and offset are converted to numbers.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If any query parameter is not valid, such as q
+ *   missing.
+ */
+function convertSearchQueryParameters(req, res, next) {
+  try {
+    const query = { q: req.query.q };
+
+    for (const param of ['limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
+
+    // validate json schema
+    validateSchema(query, searchQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = { convertSearchQueryParameters };
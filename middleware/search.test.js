@@ -0,0 +1,50 @@
+'use strict';
+
+const { convertSearchQueryParameters } = require('./search');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertSearchQueryParameters */
+
+describe('convertSearchQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: { q: 'backend', limit: '10', offset: '0', other: 'dropped' },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertSearchQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({ q: 'backend', limit: 10, offset: 0 });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{}],
+    [{ q: '' }],
+    [{ q: 'a'.repeat(201) }],
+    [{ q: ['a', 'b'] }],
+    [{ q: 'a', limit: '0' }],
+    [{ q: 'a', offset: 'a' }],
+  ])('Throws error if query parameters are invalid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertSearchQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const { ValidationError, ServerError } = require('../expressError');
+const { validateSchema } = require('../helpers/validation');
+const technologyGetAllQuerySchema = require('../schemas/technologyGetAllQuery.json');
+
+// ==================================================
+
+/**
+ * Middleware to convert the path parameter id for technologies routes to have
+ * it as a number type.
+ *
+ * @param {Object} req The request Object from Express, containing the path
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If id can not be converted into a number.
+ */
+function convertTechnologyId(req, res, next) {
+  try {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || !Number.isInteger(id) || id < 1) {
+      throw new ValidationError(
+        [
+          {
+            pointer: '/id',
+            keyword: Number.isInteger(id) ? 'minimum' : 'type',
+            message: 'is not a positive integer',
+          },
+        ],
+        'id is not a positive integer.'
+      );
+    }
+
+    req.params.id = id;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Middleware to convert the query parameters (filters) for the GET
+ * technologies route to have the correct type and value.
+ *
+ * name is decoded from URI to plain String.
+ *
+ * An error is thrown if queries can not be converted.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If name contains a % not followed by two
+ *   hexadecimal digits, or if the escape sequence does not encode a valid
+ *   UTF-8 character.
+ */
+function convertGetAllTechnologiesQueryParameters(req, res, next) {
+  try {
+    // name
+    let name = req.query.name;
+    try {
+      name = name && decodeURIComponent(name.replace(/\+/g, ' '));
+    } catch (err) {
+      if (err instanceof URIError) {
+        throw new ValidationError(
+          [
+            {
+              pointer: '/name',
+              keyword: 'format',
+              message: 'can not be decoded from URL encoding',
+            },
+          ],
+          'Can not decode query parameter name from URL encoding.'
+        );
+      } else {
+        throw new ServerError();
+      }
+    }
+
+    // validate json schema
+    const query = { name };
+
+    validateSchema(query, technologyGetAllQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = {
+  convertTechnologyId,
+  convertGetAllTechnologiesQueryParameters,
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+const {
+  convertTechnologyId,
+  convertGetAllTechnologiesQueryParameters,
+} = require('./technologies');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertTechnologyId */
+
+describe('convertTechnologyId', () => {
+  test('Does not throw if ID is valid.', () => {
+    // Arrange
+    const id = '1';
+    const req = { params: { id } };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertTechnologyId(req, res, next);
+
+    // Assert
+    expect(req.params.id).toEqual(1);
+    expect.assertions(2);
+  });
+
+  test.each([['a'], ['1.1'], ['-1'], ['0']])(
+    'Throws an error if ID is not valid.',
+    (id) => {
+      // Arrange
+      const req = { params: { id } };
+      const res = {};
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+
+      // Act
+      convertTechnologyId(req, res, next);
+
+      // Assert
+      expect.assertions(1);
+    }
+  );
+});
+
+/************************************** convertGetAllTechnologiesQueryParameters */
+
+describe('convertGetAllTechnologiesQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = { query: { name: 'node%20js' } };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllTechnologiesQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query.name).toEqual('node js');
+    expect.assertions(2);
+  });
+
+  test.each([[{ name: '%E0%A4%A' }], [{ name: 'a'.repeat(51) }]])(
+    'Throws error if query parameters are invalid.  Query: %o.',
+    (query) => {
+      // Arrange
+      const req = { query };
+      const res = {};
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+
+      // Act
+      convertGetAllTechnologiesQueryParameters(req, res, next);
+
+      // Assert
+      expect.assertions(1);
+    }
+  );
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const { validateSchema } = require('../helpers/validation');
+const { convertJobFilters } = require('./jobs');
+const userGetAllQuerySchema = require('../schemas/userGetAllQuery.json');
+const userMatchJobsQuerySchema = require('../schemas/userMatchJobsQuery.json');
+
+// ==================================================
+
+/**
+ * Middleware to convert the query parameters for the GET users route to have
+ * the correct type and value.
+ *
+ * includeDeleted is converted to a boolean if it is "true" or "false".
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If includeDeleted is not valid.
+ */
+function convertGetAllUsersQueryParameters(req, res, next) {
+  try {
+    const query = {};
+
+    // includeDeleted
+    const { includeDeleted } = req.query;
+    query.includeDeleted =
+      includeDeleted === 'true' || includeDeleted === 'false'
+        ? includeDeleted === 'true'
+        : includeDeleted;
+
+    // validate json schema
+    validateSchema(query, userGetAllQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Middleware to convert the query parameters for the GET matching jobs route
+ * to have the correct type and value.
+ *
+ * title, minSalary, and hasEquity are converted the same way as for the GET
+ * jobs route.  minScore, limit, and offset are converted to numbers.
+ *
+ * An error is thrown if queries can not be converted.
+ *
+ * @param {Object} req The request Object from Express, containing the query
+ *   parameters.
+ * @param {Object} res The response Object from Express.
+ * @param {Function} next The next function to execute.
+ * @returns Output of "next" function.
+ * @throws ValidationError If any query parameter is not valid, such as
+ *   minScore not being between 0 and 1, inclusive.
+ */
+function convertMatchJobsQueryParameters(req, res, next) {
+  try {
+    const query = convertJobFilters(req.query);
+
+    for (const param of ['minScore', 'limit', 'offset']) {
+      if (req.query[param] !== undefined)
+        query[param] = Number(req.query[param]);
+    }
+
+    // validate json schema
+    validateSchema(query, userMatchJobsQuerySchema);
+
+    req.query = query;
+
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// ==================================================
+
+module.exports = {
+  convertGetAllUsersQueryParameters,
+  convertMatchJobsQueryParameters,
+};
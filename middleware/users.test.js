@@ -0,0 +1,112 @@
+'use strict';
+
+const {
+  convertGetAllUsersQueryParameters,
+  convertMatchJobsQueryParameters,
+} = require('./users');
+const { BadRequestError } = require('../expressError');
+
+// ==================================================
+
+/************************************** convertGetAllUsersQueryParameters */
+
+describe('convertGetAllUsersQueryParameters', () => {
+  test.each([
+    [{}, {}],
+    [{ includeDeleted: 'true' }, { includeDeleted: true }],
+    [{ includeDeleted: 'false' }, { includeDeleted: false }],
+    [{ username: 'u1' }, {}],
+  ])('Converts query parameters.  Query: %o.', (query, convertedQuery) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertGetAllUsersQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual(convertedQuery);
+    expect.assertions(2);
+  });
+
+  test.each([[{ includeDeleted: 'yes' }], [{ includeDeleted: ['true'] }]])(
+    'Throws error if query parameters are invalid.  Query: %o.',
+    (query) => {
+      // Arrange
+      const req = { query };
+      const res = {};
+      const next = function (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      };
+
+      // Act
+      convertGetAllUsersQueryParameters(req, res, next);
+
+      // Assert
+      expect.assertions(1);
+    }
+  );
+});
+
+/************************************** convertMatchJobsQueryParameters */
+
+describe('convertMatchJobsQueryParameters', () => {
+  test('Converts query parameters to their correct types.', () => {
+    // Arrange
+    const req = {
+      query: {
+        title: 'software%20engineer',
+        minSalary: '100',
+        hasEquity: 'false',
+        minScore: '0.5',
+        limit: '10',
+        offset: '20',
+      },
+    };
+    const res = {};
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+
+    // Act
+    convertMatchJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect(req.query).toEqual({
+      title: 'software engineer',
+      minSalary: 100,
+      hasEquity: false,
+      minScore: 0.5,
+      limit: 10,
+      offset: 20,
+    });
+    expect.assertions(2);
+  });
+
+  test.each([
+    [{ minScore: 'a' }],
+    [{ minScore: '-0.1' }],
+    [{ minScore: '1.1' }],
+    [{ limit: '0' }],
+    [{ limit: '101' }],
+    [{ limit: '1.5' }],
+    [{ offset: '-1' }],
+    [{ title: '%E0%A4%A' }],
+  ])('Throws error if query parameters are invalid.  Query: %o.', (query) => {
+    // Arrange
+    const req = { query };
+    const res = {};
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    };
+
+    // Act
+    convertMatchJobsQueryParameters(req, res, next);
+
+    // Assert
+    expect.assertions(1);
+  });
+});
@@ -0,0 +1,281 @@
+'use strict';
+
+/** Database schema migrations for jobly. */
+
+const fs = require('fs');
+const path = require('path');
+
+const db = require('./db');
+
+// ==================================================
+
+const MIGRATIONS_DIRECTORY = path.join(__dirname, 'migrations');
+
+// Migration files are named like "001-create-users.up.sql", where the number
+// sets the order the migrations are applied in.
+const MIGRATION_FILE_PATTERN = /^((\d+)-[\w-]+)\.(up|down)\.sql$/;
+
+// Key of the advisory lock that keeps migrations from running concurrently.
+const MIGRATION_LOCK_KEY = 1804289383;
+
+/**
+ * Compares migration names by their number, for sorting.
+ *
+ * @param {String} a Name of a migration.
+ * @param {String} b Name of another migration.
+ * @returns {Number} Negative if a comes first, positive if b comes first.
+ */
+function compareMigrationNames(a, b) {
+  return parseInt(a) - parseInt(b) || a.localeCompare(b);
+}
+
+/**
+ * Loads the migrations in a directory.  Every migration needs both an up and
+ * a down file, and a unique number.
+ *
+ * @param {String} directory Path of the directory with the migration files.
+ * @returns {Array} [{ name, up, down }, ...], in the order to apply them,
+ *   where up and down are SQL.
+ * @throws Error If a migration is missing a file or shares its number.
+ */
+function loadMigrations(directory = MIGRATIONS_DIRECTORY) {
+  const migrations = new Map();
+
+  for (const fileName of fs.readdirSync(directory)) {
+    const match = MIGRATION_FILE_PATTERN.exec(fileName);
+    if (!match) continue;
+
+    const [, name, , direction] = match;
+    if (!migrations.has(name)) migrations.set(name, { name });
+    migrations.get(name)[direction] = fs.readFileSync(
+      path.join(directory, fileName),
+      'utf8'
+    );
+  }
+
+  const sortedMigrations = [...migrations.values()].sort((a, b) =>
+    compareMigrationNames(a.name, b.name)
+  );
+
+  sortedMigrations.forEach((migration, i) => {
+    for (const direction of ['up', 'down']) {
+      if (migration[direction] === undefined)
+        throw new Error(
+          `Migration ${migration.name} is missing its ${direction} file.`
+        );
+    }
+
+    const previous = sortedMigrations[i - 1];
+    if (previous && parseInt(previous.name) === parseInt(migration.name))
+      throw new Error(
+        `Migrations ${previous.name} and ${migration.name} have the same number.`
+      );
+  });
+
+  return sortedMigrations;
+}
+
+/** Creates the table that tracks applied migrations, if it does not exist. */
+
+async function createMigrationsTable() {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+/**
+ * Gets the names of the applied migrations, in the order they are applied in.
+ *
+ * @param {Object} client The database client to query with.
+ * @returns {Array} [name, ...].
+ */
+async function getAppliedMigrationNames(client) {
+  const result = await client.query(
+    `SELECT name
+    FROM schema_migrations`
+  );
+  return result.rows.map((r) => r.name).sort(compareMigrationNames);
+}
+
+/**
+ * Runs a function in a transaction that holds the migration lock, so that only
+ * one migration runs at a time.
+ *
+ * @param {Function} fn async (client) => result.
+ * @returns The result of fn.
+ */
+async function withMigrationLock(fn) {
+  return await db.withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1)', [
+      MIGRATION_LOCK_KEY,
+    ]);
+    return await fn(client);
+  });
+}
+
+// ==================================================
+
+/**
+ * Applies all pending migrations, in order.  Each migration runs in its own
+ * transaction, so a failing migration is rolled back and stops the ones after
+ * it, while the ones before it stay applied.
+ *
+ * @param {String} directory Path of the directory with the migration files.
+ * @returns {Array} [name, ...] of the migrations that were applied.
+ * @throws Error If a migration fails.
+ */
+async function migrate(directory = MIGRATIONS_DIRECTORY) {
+  const migrations = loadMigrations(directory);
+  await createMigrationsTable();
+
+  const appliedNames = [];
+  for (const { name, up } of migrations) {
+    const isApplied = await withMigrationLock(async (client) => {
+      if ((await getAppliedMigrationNames(client)).includes(name)) return false;
+
+      try {
+        await client.query(up);
+      } catch (err) {
+        throw new Error(`Migration ${name} failed: ${err.message}`);
+      }
+      await client.query(
+        `INSERT INTO schema_migrations (name)
+        VALUES ($1)`,
+        [name]
+      );
+      return true;
+    });
+
+    if (isApplied) appliedNames.push(name);
+  }
+
+  return appliedNames;
+}
+
+/**
+ * Rolls back the most recent migrations, one at a time, using their down
+ * files.
+ *
+ * @param {Number} steps How many migrations to roll back.
+ * @param {String} directory Path of the directory with the migration files.
+ * @returns {Array} [name, ...] of the migrations that were rolled back.
+ * @throws Error If a migration fails, or an applied migration has no files.
+ */
+async function rollback(steps = 1, directory = MIGRATIONS_DIRECTORY) {
+  const migrations = new Map(loadMigrations(directory).map((m) => [m.name, m]));
+  await createMigrationsTable();
+
+  const rolledBackNames = [];
+  for (let i = 0; i < steps; i++) {
+    const name = await withMigrationLock(async (client) => {
+      const latestName = (await getAppliedMigrationNames(client)).pop();
+      if (latestName === undefined) return undefined;
+
+      const migration = migrations.get(latestName);
+      if (!migration) throw new Error(`No files for migration: ${latestName}`);
+
+      try {
+        await client.query(migration.down);
+      } catch (err) {
+        throw new Error(`Rolling back ${latestName} failed: ${err.message}`);
+      }
+      await client.query(
+        `DELETE FROM schema_migrations
+        WHERE name = $1`,
+        [latestName]
+      );
+      return latestName;
+    });
+
+    if (name === undefined) break;
+    rolledBackNames.push(name);
+  }
+
+  return rolledBackNames;
+}
+
+/**
+ * Gets the status of every migration.  Applied migrations whose files no
+ * longer exist are included with the status "missing".
+ *
+ * @param {String} directory Path of the directory with the migration files.
+ * @returns {Array} [{ name, status, appliedAt }, ...], where status is
+ *   "applied", "pending", or "missing", and appliedAt is null if pending.
+ */
+async function getMigrationStatus(directory = MIGRATIONS_DIRECTORY) {
+  const migrations = loadMigrations(directory);
+  await createMigrationsTable();
+
+  const result = await db.query(
+    `SELECT name, applied_at AS "appliedAt"
+    FROM schema_migrations`
+  );
+  const appliedAt = new Map(result.rows.map((r) => [r.name, r.appliedAt]));
+
+  const statuses = migrations.map(({ name }) => ({
+    name,
+    status: appliedAt.has(name) ? 'applied' : 'pending',
+    appliedAt: appliedAt.get(name) || null,
+  }));
+
+  for (const [name, date] of appliedAt) {
+    if (!statuses.some((s) => s.name === name))
+      statuses.push({ name, status: 'missing', appliedAt: date });
+  }
+
+  return statuses.sort((a, b) => compareMigrationNames(a.name, b.name));
+}
+
+// ==================================================
+
+/**
+ * Runs a migration command from the command line.
+ *
+ * @param {String} command "up", "down", or "status".
+ * @param {String} steps How many migrations "down" rolls back.
+ */
+async function runCommand(command = 'up', steps = '1') {
+  if (command === 'up') {
+    const names = await migrate();
+    names.forEach((name) => console.log('Applied:'.green, name));
+    if (names.length === 0) console.log('No pending migrations.');
+  } else if (command === 'down') {
+    if (!/^\d+$/.test(steps)) throw new Error(`Invalid steps: ${steps}`);
+
+    const names = await rollback(+steps);
+    names.forEach((name) => console.log('Rolled back:'.yellow, name));
+    if (names.length === 0) console.log('No applied migrations.');
+  } else if (command === 'status') {
+    for (const { name, status, appliedAt } of await getMigrationStatus()) {
+      console.log(
+        status.padEnd(8),
+        name,
+        appliedAt ? appliedAt.toISOString() : ''
+      );
+    }
+  } else {
+    throw new Error(`Unknown command: ${command}.  Use up, down, or status.`);
+  }
+}
+
+if (require.main === module) {
+  runCommand(...process.argv.slice(2))
+    .catch((err) => {
+      console.error(err.message.red);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
+
+// ==================================================
+
+module.exports = {
+  MIGRATIONS_DIRECTORY,
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const db = require('./db.js');
+const {
+  MIGRATIONS_DIRECTORY,
+  loadMigrations,
+  migrate,
+  rollback,
+  getMigrationStatus,
+} = require('./migrate');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./models/_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// Test migrations are numbered after the real ones, so that they are the
+// latest applied migrations.
+const testMigrationFiles = Object.freeze({
+  '901-create-things.up.sql': 'CREATE TABLE things (id INTEGER);',
+  '901-create-things.down.sql': 'DROP TABLE things;',
+  '902-add-things-name.up.sql': 'ALTER TABLE things ADD COLUMN name TEXT;',
+  '902-add-things-name.down.sql': 'ALTER TABLE things DROP COLUMN name;',
+});
+
+let directory;
+
+beforeEach(function () {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jobly-migrations-'));
+  for (const [fileName, sql] of Object.entries(testMigrationFiles)) {
+    fs.writeFileSync(path.join(directory, fileName), sql);
+  }
+});
+
+afterEach(function () {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Gets the columns of the things table.
+ *
+ * @returns {Array} [columnName, ...], or [] if the table does not exist.
+ */
+async function getThingsColumns() {
+  const result = await db.query(
+    `SELECT column_name
+    FROM information_schema.columns
+    WHERE table_name = 'things'
+    ORDER BY ordinal_position`
+  );
+  return result.rows.map((r) => r.column_name);
+}
+
+/************************************** loadMigrations */
+
+describe('loadMigrations', function () {
+  test('Loads migrations in order of their numbers.', function () {
+    // Arrange
+    fs.writeFileSync(path.join(directory, '10-last.up.sql'), 'up');
+    fs.writeFileSync(path.join(directory, '10-last.down.sql'), 'down');
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'ignored');
+
+    // Act
+    const migrations = loadMigrations(directory);
+
+    // Assert
+    expect(migrations).toEqual([
+      { name: '10-last', up: 'up', down: 'down' },
+      {
+        name: '901-create-things',
+        up: testMigrationFiles['901-create-things.up.sql'],
+        down: testMigrationFiles['901-create-things.down.sql'],
+      },
+      {
+        name: '902-add-things-name',
+        up: testMigrationFiles['902-add-things-name.up.sql'],
+        down: testMigrationFiles['902-add-things-name.down.sql'],
+      },
+    ]);
+  });
+
+  test('Every real migration has up and down files.', function () {
+    // Act
+    const migrations = loadMigrations(MIGRATIONS_DIRECTORY);
+
+    // Assert
+    expect(migrations.length).toBeGreaterThan(0);
+  });
+
+  test.each([
+    [{ '903-missing-down.up.sql': 'up' }, /missing its down file/],
+    [{ '903-missing-up.down.sql': 'down' }, /missing its up file/],
+    [
+      { '901-same-number.up.sql': 'up', '901-same-number.down.sql': 'down' },
+      /have the same number/,
+    ],
+  ])('Throws error for invalid files.  Files: %o.', function (files, message) {
+    // Arrange
+    for (const [fileName, sql] of Object.entries(files)) {
+      fs.writeFileSync(path.join(directory, fileName), sql);
+    }
+
+    // Act / Assert
+    expect(() => loadMigrations(directory)).toThrow(message);
+  });
+});
+
+/************************************** migrate */
+
+describe('migrate', function () {
+  test('Applies pending migrations in order.', async function () {
+    // Act
+    const appliedNames = await migrate(directory);
+
+    // Assert
+    expect(appliedNames).toEqual(['901-create-things', '902-add-things-name']);
+    expect(await getThingsColumns()).toEqual(['id', 'name']);
+  });
+
+  test('Does not apply migrations again.', async function () {
+    // Arrange
+    await migrate(directory);
+
+    // Act
+    const appliedNames = await migrate(directory);
+
+    // Assert
+    expect(appliedNames).toEqual([]);
+  });
+
+  test('Stops at a failing migration and keeps earlier ones.', async function () {
+    // Arrange
+    fs.writeFileSync(
+      path.join(directory, '902-add-things-name.up.sql'),
+      'ALTER TABLE nope ADD COLUMN name TEXT;'
+    );
+
+    // Act
+    const promise = migrate(directory);
+
+    // Assert
+    await expect(promise).rejects.toThrow(
+      /Migration 902-add-things-name failed/
+    );
+    expect(await getThingsColumns()).toEqual(['id']);
+  });
+});
+
+/************************************** rollback */
+
+describe('rollback', function () {
+  test('Rolls back the latest migration.', async function () {
+    // Arrange
+    await migrate(directory);
+
+    // Act
+    const rolledBackNames = await rollback(1, directory);
+
+    // Assert
+    expect(rolledBackNames).toEqual(['902-add-things-name']);
+    expect(await getThingsColumns()).toEqual(['id']);
+  });
+
+  test('Rolls back several migrations.', async function () {
+    // Arrange
+    await migrate(directory);
+
+    // Act
+    const rolledBackNames = await rollback(2, directory);
+
+    // Assert
+    expect(rolledBackNames).toEqual([
+      '902-add-things-name',
+      '901-create-things',
+    ]);
+    expect(await getThingsColumns()).toEqual([]);
+  });
+
+  test('Throws error if the latest migration has no files.', async function () {
+    // Arrange
+    await migrate(directory);
+    fs.unlinkSync(path.join(directory, '902-add-things-name.up.sql'));
+    fs.unlinkSync(path.join(directory, '902-add-things-name.down.sql'));
+
+    // Act / Assert
+    await expect(rollback(1, directory)).rejects.toThrow(
+      'No files for migration: 902-add-things-name'
+    );
+  });
+});
+
+/************************************** getMigrationStatus */
+
+describe('getMigrationStatus', function () {
+  test('Gets applied, pending, and missing migrations.', async function () {
+    // Arrange
+    await migrate(directory);
+    await rollback(1, directory);
+
+    // Act
+    const statuses = await getMigrationStatus(directory);
+
+    // Assert
+    const realNames = loadMigrations(MIGRATIONS_DIRECTORY).map((m) => m.name);
+    expect(statuses).toEqual([
+      ...realNames.map((name) => ({
+        name,
+        status: 'missing',
+        appliedAt: expect.any(Date),
+      })),
+      {
+        name: '901-create-things',
+        status: 'applied',
+        appliedAt: expect.any(Date),
+      },
+      { name: '902-add-things-name', status: 'pending', appliedAt: null },
+    ]);
+  });
+});
@@ -0,0 +1,15 @@
+DROP TABLE users_technologies;
+
+DROP TABLE jobs_technologies;
+
+DROP TABLE technologies;
+
+DROP TABLE applications;
+
+DROP TYPE app_status;
+
+DROP TABLE jobs;
+
+DROP TABLE users;
+
+DROP TABLE companies;
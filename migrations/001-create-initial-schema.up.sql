@@ -55,4 +55,4 @@ CREATE TABLE users_technologies (
   tech_id INTEGER
     REFERENCES technologies ON DELETE CASCADE,
   PRIMARY KEY (username, tech_id)
-);
\ No newline at end of file
+);
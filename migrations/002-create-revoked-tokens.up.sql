@@ -0,0 +1,6 @@
+CREATE TABLE revoked_tokens (
+  jti TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
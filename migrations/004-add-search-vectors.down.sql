@@ -0,0 +1,3 @@
+ALTER TABLE jobs DROP COLUMN search_vector;
+
+ALTER TABLE companies DROP COLUMN search_vector;
@@ -0,0 +1,6 @@
+ALTER TABLE jobs
+  DROP COLUMN expires_at,
+  DROP COLUMN posted_at,
+  DROP COLUMN status;
+
+DROP TYPE job_status;
@@ -0,0 +1,16 @@
+CREATE TYPE job_status AS ENUM ('draft', 'open', 'closed');
+
+-- jobs that already exist are listed, so they start out open and posted, like
+-- new jobs do unless they are drafts
+ALTER TABLE jobs
+  ADD COLUMN status job_status NOT NULL DEFAULT 'open',
+  ADD COLUMN posted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  ADD COLUMN expires_at TIMESTAMPTZ;
+
+-- only drafts have never been posted
+ALTER TABLE jobs
+  ADD CONSTRAINT jobs_posted_at_check
+    CHECK (status = 'draft' OR posted_at IS NOT NULL);
+
+CREATE INDEX jobs_status_expires_at_idx
+  ON jobs (status, expires_at);
@@ -0,0 +1,8 @@
+ALTER TABLE users
+  DROP COLUMN deleted_at;
+
+ALTER TABLE jobs
+  DROP COLUMN deleted_at;
+
+ALTER TABLE companies
+  DROP COLUMN deleted_at;
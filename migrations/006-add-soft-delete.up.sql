@@ -0,0 +1,19 @@
+-- deleted records are hidden, and kept until they are purged, so that they
+-- can be restored
+ALTER TABLE companies
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+ALTER TABLE jobs
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+ALTER TABLE users
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX companies_deleted_at_idx
+  ON companies (deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX jobs_deleted_at_idx
+  ON jobs (deleted_at) WHERE deleted_at IS NOT NULL;
+
+CREATE INDEX users_deleted_at_idx
+  ON users (deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,19 @@
+-- actor and entity_id are not foreign keys, so that entries are kept after
+-- the users and records they refer to are purged
+CREATE TABLE audit_log (
+  id SERIAL PRIMARY KEY,
+  actor VARCHAR(25),
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  before JSONB,
+  after JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX audit_log_entity_idx
+  ON audit_log (entity_type, entity_id);
+CREATE INDEX audit_log_actor_idx
+  ON audit_log (actor);
+CREATE INDEX audit_log_created_at_idx
+  ON audit_log (created_at);
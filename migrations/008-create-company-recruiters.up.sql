@@ -0,0 +1,11 @@
+-- recruiters can manage the jobs of the companies they are linked to
+CREATE TABLE company_recruiters (
+  username VARCHAR(25)
+    REFERENCES users ON DELETE CASCADE,
+  company_handle VARCHAR(25)
+    REFERENCES companies ON DELETE CASCADE,
+  PRIMARY KEY (username, company_handle)
+);
+
+CREATE INDEX company_recruiters_company_handle_idx
+  ON company_recruiters (company_handle);
@@ -0,0 +1,27 @@
+-- every failed login, kept for review; username is not a foreign key, since
+-- logins can fail for usernames that do not exist
+CREATE TABLE login_failures (
+  id SERIAL PRIMARY KEY,
+  username TEXT NOT NULL,
+  ip TEXT NOT NULL,
+  failed_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX login_failures_username_idx
+  ON login_failures (username);
+CREATE INDEX login_failures_ip_idx
+  ON login_failures (ip);
+CREATE INDEX login_failures_failed_at_idx
+  ON login_failures (failed_at);
+
+-- recent failures per username and per IP address, and until when logins for
+-- them are locked out
+CREATE TABLE login_lockouts (
+  key_type TEXT
+    CHECK (key_type IN ('username', 'ip')),
+  key TEXT,
+  failures INTEGER NOT NULL,
+  last_failure_at TIMESTAMPTZ NOT NULL,
+  locked_until TIMESTAMPTZ,
+  PRIMARY KEY (key_type, key)
+);
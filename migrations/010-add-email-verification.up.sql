@@ -0,0 +1,22 @@
+-- new users start unverified; users that already exist are treated as
+-- verified, so that they are not blocked from applying to jobs
+ALTER TABLE users
+  ADD COLUMN email_verified_at TIMESTAMPTZ;
+
+UPDATE users
+SET email_verified_at = CURRENT_TIMESTAMP;
+
+-- the email a token was sent to is kept, so that a token can not verify an
+-- address the user changed to afterwards
+CREATE TABLE email_verification_tokens (
+  token_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX email_verification_tokens_username_idx
+  ON email_verification_tokens (username);
@@ -0,0 +1,4 @@
+-- tokens issued before a user's password was changed are no longer valid;
+-- kept to the second, since token issue times are in whole seconds
+ALTER TABLE users
+  ADD COLUMN password_changed_at TIMESTAMPTZ;
@@ -0,0 +1,18 @@
+-- totp_secret is set when enrollment starts, and totp_enabled_at when it is
+-- confirmed with a code; totp_last_counter is the period of the last code
+-- used, so that a code can not be used twice
+ALTER TABLE users
+  ADD COLUMN totp_secret TEXT,
+  ADD COLUMN totp_enabled_at TIMESTAMPTZ,
+  ADD COLUMN totp_last_counter BIGINT;
+
+-- single-use codes for logging in without the authenticator app
+CREATE TABLE recovery_codes (
+  code_hash TEXT PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX recovery_codes_username_idx
+  ON recovery_codes (username);
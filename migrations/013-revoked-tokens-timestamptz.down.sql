@@ -0,0 +1,3 @@
+ALTER TABLE revoked_tokens
+  ALTER COLUMN expires_at TYPE TIMESTAMP,
+  ALTER COLUMN revoked_at TYPE TIMESTAMP;
@@ -0,0 +1,6 @@
+-- times of revoked tokens are compared to CURRENT_TIMESTAMP, so they have a
+-- time zone like the other time columns; existing times are read in the
+-- session's time zone, which is the one they were written in
+ALTER TABLE revoked_tokens
+  ALTER COLUMN expires_at TYPE TIMESTAMPTZ,
+  ALTER COLUMN revoked_at TYPE TIMESTAMPTZ;
@@ -3,11 +3,14 @@
 const bcrypt = require('bcrypt');
 
 const db = require('../db.js');
+const { migrate } = require('../migrate');
 const { BCRYPT_WORK_FACTOR } = require('../config');
 
 // ==================================================
 
 async function commonBeforeAll() {
+  await migrate();
+
   // noinspection SqlWithoutWhere
   await db.query('DELETE FROM companies');
   // noinspection SqlWithoutWhere
@@ -22,6 +25,22 @@ async function commonBeforeAll() {
   await db.query('TRUNCATE TABLE jobs_technologies CASCADE');
   // noinspection SqlWithoutWhere
   await db.query('TRUNCATE TABLE users_technologies CASCADE');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE revoked_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE password_reset_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE audit_log RESTART IDENTITY');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE company_recruiters');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE login_failures RESTART IDENTITY');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE login_lockouts');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE email_verification_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE recovery_codes');
 
   await db.query(`
     INSERT INTO companies(handle, name, num_employees, description, logo_url)
@@ -75,11 +94,11 @@ async function commonBeforeAll() {
 }
 
 async function commonBeforeEach() {
-  await db.query('BEGIN');
+  await db.beginTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query('ROLLBACK');
+  await db.rollbackTransaction();
 }
 
 async function commonAfterAll() {
@@ -112,6 +131,10 @@ const jobs = Object.freeze([
     salary: 0,
     equity: 1.0,
     companyHandle: 'c1',
+    status: 'open',
+    postedAt: expect.any(Date),
+    expiresAt: null,
+    technologies: ['t1', 't2', 't3'],
   }),
   Object.freeze({
     id: expect.any(Number),
@@ -119,6 +142,10 @@ const jobs = Object.freeze([
     salary: 100,
     equity: 0.5,
     companyHandle: 'c1',
+    status: 'open',
+    postedAt: expect.any(Date),
+    expiresAt: null,
+    technologies: ['t1'],
   }),
   Object.freeze({
     id: expect.any(Number),
@@ -126,6 +153,10 @@ const jobs = Object.freeze([
     salary: 1000,
     equity: 0.0,
     companyHandle: 'c2',
+    status: 'open',
+    postedAt: expect.any(Date),
+    expiresAt: null,
+    technologies: [],
   }),
 ]);
 
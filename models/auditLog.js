@@ -0,0 +1,205 @@
+'use strict';
+
+const db = require('../db');
+const { sqlSortAndPaginationClauses } = require('../helpers/sql');
+
+// ==================================================
+
+// Sorts allowed for audit log entries.  Newest entries are listed first.
+const AUDIT_LOG_SORTS = Object.freeze({
+  createdAt: Object.freeze(['created_at', 'DESC']),
+});
+
+// Fields whose values are never written to the audit log.
+const REDACTED_FIELDS = Object.freeze(['password']);
+
+// SQL select expressions for the columns of an audit log entry.
+const entryColumns = `id,
+                      actor,
+                      action,
+                      entity_type AS "entityType",
+                      entity_id AS "entityId",
+                      before,
+                      after,
+                      created_at AS "createdAt"`;
+
+/**
+ * Copies some fields of a record, with the values of redacted fields, such as
+ * passwords, replaced.
+ *
+ * @param {Object} record The record to copy.
+ * @param {Array} fields [name, ...] of the fields to copy.
+ * @returns {Object} The copied fields.
+ */
+function pickFields(record, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = REDACTED_FIELDS.includes(field)
+      ? '[REDACTED]'
+      : record[field];
+  }
+  return picked;
+}
+
+/**
+ * Finds the changes between a record before and after it was changed.  If
+ * both are given, only the fields of after whose values differ are kept, so
+ * that fields that only one of them has, such as a company's jobs, are
+ * ignored.  Values are compared as JSON.
+ *
+ * @param {Object | null} before The record before the change, or null if it
+ *   was created.
+ * @param {Object | null} after The record after the change, or null if it was
+ *   deleted.
+ * @returns {Object} { before, after }, with the changed fields, or null for a
+ *   record that was missing.
+ */
+function diffRecords(before, after) {
+  if (!before || !after) {
+    return {
+      before: before && pickFields(before, Object.keys(before)),
+      after: after && pickFields(after, Object.keys(after)),
+    };
+  }
+
+  const changedFields = Object.keys(after).filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+  return {
+    before: pickFields(before, changedFields),
+    after: pickFields(after, changedFields),
+  };
+}
+
+/**
+ * Builds the SQL WHERE clause for finding audit log entries.
+ *
+ * @param {Object} filters { actor, action, entityType, entityId, since,
+ *   until }, where since and until are dates.
+ * @returns {String, Array} The SQL String, which is empty if there are no
+ *   filters, and the values of its parameters.
+ */
+function sqlWhereClauseForGetAuditLog(filters) {
+  const clauses = [];
+  const values = [];
+
+  const columns = {
+    actor: 'actor = $',
+    action: 'action = $',
+    entityType: 'entity_type = $',
+    entityId: 'entity_id = $',
+    since: 'created_at >= $',
+    until: 'created_at < $',
+  };
+  for (const [name, condition] of Object.entries(columns)) {
+    if (filters[name] === undefined) continue;
+    values.push(filters[name]);
+    clauses.push(condition + values.length);
+  }
+
+  const whereClause =
+    clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  return { whereClause, values };
+}
+
+/** Related functions for the audit log of changes made by users. */
+
+class AuditLog {
+  /**
+   * Records a change in the audit log.  Only the fields that changed are
+   * recorded for updates, as by diffRecords, and passwords are never recorded.
+   *
+   * Should be called in the same transaction as the change, so that the change
+   * is not kept if it can not be recorded.
+   *
+   * @param {Object} param0 { actor, action, entityType, entityId, before,
+   *   after }, where actor is the username of the user making the change, or
+   *   null, action is e.g. "create", "update", "delete", or "apply", and
+   *   before and after are the changed record, or null if it was created or
+   *   deleted.
+   * @returns {Object} { id, actor, action, entityType, entityId, before,
+   *   after, createdAt }
+   */
+  static async record({
+    actor = null,
+    action,
+    entityType,
+    entityId = null,
+    before = null,
+    after = null,
+  }) {
+    const diff = diffRecords(before, after);
+
+    const result = await db.query(
+      `INSERT INTO audit_log
+        (actor, action, entity_type, entity_id, before, after)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${entryColumns}`,
+      [
+        actor,
+        action,
+        entityType,
+        entityId === null ? null : String(entityId),
+        diff.before && JSON.stringify(diff.before),
+        diff.after && JSON.stringify(diff.after),
+      ]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Finds audit log entries, newest first.
+   *
+   * Filters can be { actor, action, entityType, entityId, since, until },
+   * where since and until are dates, and until is exclusive.
+   *
+   * Can also paginate with { limit: Number, offset: Number }.
+   *
+   * @param {Object} filters The filters to use.
+   * @returns [{ id, actor, action, entityType, entityId, before, after,
+   *   createdAt }, ...]
+   */
+  static async findAll(filters = {}) {
+    const { whereClause, values } = sqlWhereClauseForGetAuditLog(filters);
+    const sortAndPagination = sqlSortAndPaginationClauses(
+      filters,
+      AUDIT_LOG_SORTS,
+      'createdAt',
+      'id DESC',
+      values.length + 1
+    );
+
+    const result = await db.query(
+      `SELECT ${entryColumns}
+      FROM audit_log` +
+        whereClause +
+        sortAndPagination.clauses,
+      [...values, ...sortAndPagination.values]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Counts the audit log entries that match filters, ignoring pagination.
+   *
+   * @param {Object} filters The same filters as findAll.
+   * @returns {Number} The number of entries.
+   */
+  static async count(filters = {}) {
+    const { whereClause, values } = sqlWhereClauseForGetAuditLog(filters);
+
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS total
+      FROM audit_log` + whereClause,
+      values
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+// ==================================================
+
+module.exports = AuditLog;
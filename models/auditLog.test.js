@@ -0,0 +1,167 @@
+'use strict';
+
+const db = require('../db.js');
+const AuditLog = require('./auditLog.js');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** record */
+
+describe('record', function () {
+  test('Records a created record.', async function () {
+    // Act
+    const entry = await AuditLog.record({
+      actor: 'u1',
+      action: 'create',
+      entityType: 'technology',
+      entityId: 4,
+      after: { id: 4, name: 't4' },
+    });
+
+    // Assert
+    expect(entry).toEqual({
+      id: expect.any(Number),
+      actor: 'u1',
+      action: 'create',
+      entityType: 'technology',
+      entityId: '4',
+      before: null,
+      after: { id: 4, name: 't4' },
+      createdAt: expect.any(Date),
+    });
+  });
+
+  test('Records only the changed fields of an updated record.', async function () {
+    // Act
+    const entry = await AuditLog.record({
+      actor: 'u1',
+      action: 'update',
+      entityType: 'company',
+      entityId: 'c1',
+      before: { handle: 'c1', name: 'C1', numEmployees: 1, jobs: [] },
+      after: { handle: 'c1', name: 'New', numEmployees: 1 },
+    });
+
+    // Assert
+    expect(entry.before).toEqual({ name: 'C1' });
+    expect(entry.after).toEqual({ name: 'New' });
+  });
+
+  test('Compares dates and arrays as JSON.', async function () {
+    // Act
+    const entry = await AuditLog.record({
+      action: 'update',
+      entityType: 'job',
+      entityId: 1,
+      before: {
+        postedAt: new Date('2024-01-01T00:00:00Z'),
+        technologies: ['t1'],
+      },
+      after: {
+        postedAt: new Date('2024-01-01T00:00:00Z'),
+        technologies: ['t1', 't2'],
+      },
+    });
+
+    // Assert
+    expect(entry.actor).toBeNull();
+    expect(entry.before).toEqual({ technologies: ['t1'] });
+    expect(entry.after).toEqual({ technologies: ['t1', 't2'] });
+  });
+
+  test('Records a deleted record, without its password.', async function () {
+    // Act
+    const entry = await AuditLog.record({
+      actor: 'u1',
+      action: 'delete',
+      entityType: 'user',
+      entityId: 'u2',
+      before: { username: 'u2', password: 'secret' },
+    });
+
+    // Assert
+    expect(entry.before).toEqual({ username: 'u2', password: '[REDACTED]' });
+    expect(entry.after).toBeNull();
+
+    const result = await db.query(
+      `SELECT before::TEXT AS before
+      FROM audit_log
+      WHERE id = $1`,
+      [entry.id]
+    );
+    expect(result.rows[0].before).not.toContain('secret');
+  });
+});
+
+/************************************** findAll and count */
+
+describe('findAll and count', function () {
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO audit_log
+        (actor, action, entity_type, entity_id, after, created_at)
+      VALUES ('u1', 'create', 'company', 'c1', '{}', '2024-01-01'),
+             ('u1', 'update', 'job', '1', '{}', '2024-02-01'),
+             ('u2', 'apply', 'application', 'u2/1', '{}', '2024-03-01')`
+    );
+  });
+
+  test('Finds all entries, newest first.', async function () {
+    // Act
+    const entries = await AuditLog.findAll();
+    const total = await AuditLog.count();
+
+    // Assert
+    expect(entries.map((e) => e.entityId)).toEqual(['u2/1', '1', 'c1']);
+    expect(entries[0]).toEqual({
+      id: expect.any(Number),
+      actor: 'u2',
+      action: 'apply',
+      entityType: 'application',
+      entityId: 'u2/1',
+      before: null,
+      after: {},
+      createdAt: expect.any(Date),
+    });
+    expect(total).toEqual(3);
+  });
+
+  test.each([
+    [{ actor: 'u1' }, ['1', 'c1']],
+    [{ action: 'create' }, ['c1']],
+    [{ entityType: 'job' }, ['1']],
+    [{ entityType: 'company', entityId: 'c1' }, ['c1']],
+    [{ since: '2024-02-01T00:00:00Z' }, ['u2/1', '1']],
+    [{ until: '2024-02-01T00:00:00Z' }, ['c1']],
+    [{ actor: 'nope' }, []],
+  ])('Filters entries.  Filters: %o.', async function (filters, entityIds) {
+    // Act
+    const entries = await AuditLog.findAll(filters);
+    const total = await AuditLog.count(filters);
+
+    // Assert
+    expect(entries.map((e) => e.entityId)).toEqual(entityIds);
+    expect(total).toEqual(entityIds.length);
+  });
+
+  test('Paginates entries.', async function () {
+    // Act
+    const entries = await AuditLog.findAll({ limit: 1, offset: 1 });
+    const total = await AuditLog.count({ limit: 1, offset: 1 });
+
+    // Assert
+    expect(entries.map((e) => e.entityId)).toEqual(['1']);
+    expect(total).toEqual(3);
+  });
+});
@@ -1,14 +1,29 @@
 'use strict';
 
 const db = require('../db');
-const { BadRequestError, NotFoundError } = require('../expressError');
+const { NotFoundError } = require('../expressError');
 const {
+  constraintError,
+  translateDatabaseError,
+} = require('../helpers/dbErrors');
+const { importRejectedError } = require('../helpers/import');
+const {
+  RELEVANCE_SORT,
   sqlForPartialUpdate,
+  sqlJobStatusCondition,
   sqlWhereClauseForGetCompanies,
+  sqlSortAndPaginationClauses,
 } = require('../helpers/sql');
 
 // ==================================================
 
+// Allowed sort names for finding all companies, with their database column and
+// sorting direction.
+const COMPANY_SORTS = Object.freeze({
+  name: Object.freeze(['name', 'ASC']),
+  numEmployees: Object.freeze(['num_employees', 'ASC']),
+});
+
 /** Related functions for companies. */
 
 class Company {
@@ -22,74 +37,242 @@ class Company {
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-      `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-      [handle]
-    );
+    // a nested transaction, so that a duplicate only rolls back this insert
+    try {
+      return await db.withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO companies
+             (handle, name, description, num_employees, logo_url)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
+          [handle, name, description, numEmployees, logoUrl]
+        );
+        const company = result.rows[0];
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
+        return company;
+      });
+    } catch (err) {
+      if (err.code === '23505' && err.constraint === 'companies_pkey') {
+        throw constraintError('companies_pkey', `Duplicate company: ${handle}`);
+      }
+      throw err;
+    }
+  }
 
-    const result = await db.query(
-      `INSERT INTO companies
-           (handle, name, description, num_employees, logo_url)
-           VALUES ($1, $2, $3, $4, $5)
-           RETURNING handle, name, description, num_employees AS "numEmployees", logo_url AS "logoUrl"`,
-      [handle, name, description, numEmployees, logoUrl]
-    );
-    const company = result.rows[0];
+  /** Import companies in a single transaction, creating new companies and
+   * updating existing ones by handle.  When updating, only the given fields
+   * are changed.
+   *
+   * rows should be [{ index, data }, ...], where data is
+   * { handle, name, description, numEmployees, logoUrl }, and index is the
+   * position of the row in the import.
+   *
+   * Rows are rejected if their handle appears in an earlier row or belongs to
+   * a deleted company, their name belongs to another company, or they break
+   * a database constraint, such as a handle that is not lowercase.  If
+   * skipInvalid is false, any rejected row rolls back the whole import.
+   *
+   * Returns [{ index, status, handle }, ...] for created and updated rows,
+   *   and [{ index, status, errors }, ...] for rejected rows, where status is
+   *   "created", "updated", or "rejected".
+   *
+   * Throws BadRequestError if a row is rejected and skipInvalid is false.
+   * */
 
-    return company;
+  static async bulkImport(rows, skipInvalid = false) {
+    return await db.withTransaction(async (client) => {
+      const existingResult = await client.query(
+        `SELECT handle, name, deleted_at IS NOT NULL AS "isDeleted"
+             FROM companies
+             WHERE handle = ANY($1) OR name = ANY($2)`,
+        [rows.map((r) => r.data.handle), rows.map((r) => r.data.name)]
+      );
+      const existingHandles = new Set(existingResult.rows.map((r) => r.handle));
+      const deletedHandles = new Set(
+        existingResult.rows.filter((r) => r.isDeleted).map((r) => r.handle)
+      );
+      const nameOwners = new Map(
+        existingResult.rows.map((r) => [r.name, r.handle])
+      );
+      const importedHandles = new Set();
+      const results = [];
+
+      for (const { index, data } of rows) {
+        const { handle, name, description, numEmployees, logoUrl } = data;
+        const errors = [];
+
+        if (importedHandles.has(handle)) {
+          errors.push({
+            pointer: '/handle',
+            keyword: 'unique',
+            message: 'Company handle appears in an earlier row.',
+          });
+        } else if (deletedHandles.has(handle)) {
+          errors.push({
+            pointer: '/handle',
+            keyword: 'deleted',
+            message: 'Company is deleted.  Restore it before updating it.',
+          });
+        }
+        const nameOwner = nameOwners.get(name);
+        if (nameOwner !== undefined && nameOwner !== handle) {
+          errors.push(...constraintError('companies_name_key').fields);
+        }
+        if (errors.length > 0) {
+          results.push({ index, status: 'rejected', errors });
+          continue;
+        }
+
+        try {
+          // a nested transaction, so that a row breaking a constraint is
+          // rolled back alone
+          await db.withTransaction((rowClient) =>
+            rowClient.query(
+              `INSERT INTO companies
+                   (handle, name, description, num_employees, logo_url)
+                   VALUES ($1, $2, $3, $4, $5)
+                   ON CONFLICT (handle) DO UPDATE
+                   SET name = EXCLUDED.name,
+                       description = EXCLUDED.description,
+                       num_employees = COALESCE(EXCLUDED.num_employees,
+                                                companies.num_employees),
+                       logo_url = COALESCE(EXCLUDED.logo_url,
+                                           companies.logo_url)`,
+              [handle, name, description, numEmployees, logoUrl]
+            )
+          );
+        } catch (err) {
+          const constraintErr = translateDatabaseError(err);
+          if (!constraintErr) throw err;
+          results.push({
+            index,
+            status: 'rejected',
+            errors: constraintErr.fields,
+          });
+          continue;
+        }
+
+        importedHandles.add(handle);
+        for (const [ownedName, owner] of nameOwners) {
+          if (owner === handle) nameOwners.delete(ownedName);
+        }
+        nameOwners.set(name, handle);
+
+        results.push({
+          index,
+          status: existingHandles.has(handle) ? 'updated' : 'created',
+          handle,
+        });
+      }
+
+      const rejected = results.filter((r) => r.status === 'rejected');
+      if (!skipInvalid && rejected.length > 0) {
+        throw importRejectedError(rejected);
+      }
+
+      return results;
+    });
   }
 
   /** Find all companies.
    *
    * Filters should be
-   * { nameLike: String, minEmployees: Number, maxEmployees: Number }.
+   * { q: String, nameLike: String, descriptionLike: String,
+   *   minEmployees: Number, maxEmployees: Number, minOpenJobs: Number,
+   *   hasEquity: Boolean, technologies: [String, ...],
+   *   includeDeleted: Boolean }, where q is a full-text search of the name and
+   * description, and the other filters are as in
+   * sqlWhereClauseForGetCompanies.  Deleted companies are only found if
+   * includeDeleted is true, and then each company also has deletedAt, which
+   * is null if the company is not deleted.
+   *
+   * Can also sort and paginate with { sort: String, limit: Number,
+   * offset: Number }, where sort is name or numEmployees, optionally prefixed
+   * with "-" for descending order, or relevance if q is given.  Sorts by
+   * relevance if q is given, or else by name, by default.
    *
    * Returns [{ handle, name, description, numEmployees, logoUrl }, ...]
    * */
 
   static async findAll(filters) {
+    const deletedAtCol = filters.includeDeleted
+      ? ', deleted_at AS "deletedAt"'
+      : '';
     let querySql = `SELECT handle,
                         name,
                         description,
                         num_employees AS "numEmployees",
-                        logo_url AS "logoUrl"
+                        logo_url AS "logoUrl"${deletedAtCol}
                       FROM companies`;
 
     const { whereClause, values } = sqlWhereClauseForGetCompanies(filters);
+    const sortAndPagination = sqlSortAndPaginationClauses(
+      filters,
+      filters.q
+        ? { ...COMPANY_SORTS, relevance: RELEVANCE_SORT }
+        : COMPANY_SORTS,
+      filters.q ? 'relevance' : 'name',
+      'handle',
+      values.length + 1
+    );
 
     querySql += whereClause;
-    querySql += ' ORDER BY name';
+    querySql += sortAndPagination.clauses;
 
-    const companiesRes = await db.query(querySql, values);
+    const companiesRes = await db.query(querySql, [
+      ...values,
+      ...sortAndPagination.values,
+    ]);
     return companiesRes.rows;
   }
 
+  /** Count all companies that match the filters, ignoring pagination.
+   *
+   * Filters should be as in findAll.
+   *
+   * Returns the number of companies.
+   * */
+
+  static async count(filters) {
+    const { whereClause, values } = sqlWhereClauseForGetCompanies(filters);
+
+    const countRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS total
+      FROM companies${whereClause}`,
+      values
+    );
+    return countRes.rows[0].total;
+  }
+
   /** Given a company handle, return data about company.
+   *
+   * jobs only has the company's open jobs that have not expired, unless
+   * jobStatus is another status, as in sqlJobStatusCondition.  Deleted jobs
+   * are never included.
    *
    * Returns { handle, name, description, numEmployees, logoUrl, jobs }
    *   where jobs is [{ id, title, salary, equity }, ...]
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found or deleted.
    **/
 
-  static async get(handle) {
+  static async get(handle, jobStatus = 'open') {
     const companyRes = await db.query(
       `SELECT c.name,
               c.description,
               c.num_employees AS "numEmployees",
               c.logo_url AS "logoUrl",
-              j.id,
-              j.title,
-              j.salary,
-              j.equity
+              jobs.id,
+              jobs.title,
+              jobs.salary,
+              jobs.equity
       FROM companies AS c
-      LEFT JOIN jobs AS j ON c.handle = j.company_handle
-      WHERE handle = $1`,
+      LEFT JOIN jobs
+        ON c.handle = jobs.company_handle
+        AND jobs.deleted_at IS NULL
+        AND ${sqlJobStatusCondition(jobStatus)}
+      WHERE handle = $1 AND c.deleted_at IS NULL
+      ORDER BY jobs.id`,
       [handle]
     );
 
@@ -120,7 +303,7 @@ class Company {
    *
    * Returns {handle, name, description, numEmployees, logoUrl}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found or deleted.
    */
 
   static async update(handle, data) {
@@ -132,7 +315,7 @@ class Company {
 
     const querySql = `UPDATE companies
                       SET ${setCols}
-                      WHERE handle = ${handleVarIdx}
+                      WHERE handle = ${handleVarIdx} AND deleted_at IS NULL
                       RETURNING handle,
                                 name,
                                 description,
@@ -146,22 +329,162 @@ class Company {
     return company;
   }
 
-  /** Delete given company from database; returns undefined.
+  /** Soft delete given company, along with its jobs; returns undefined.
    *
-   * Throws NotFoundError if company not found.
+   * The company and its jobs are hidden until they are restored, or until
+   * they are purged after the retention period.  Their applications are kept.
+   *
+   * Throws NotFoundError if company not found or already deleted.
    **/
 
   static async remove(handle) {
+    await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE companies
+             SET deleted_at = CURRENT_TIMESTAMP
+             WHERE handle = $1 AND deleted_at IS NULL
+             RETURNING handle`,
+        [handle]
+      );
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No company: ${handle}`);
+
+      // CURRENT_TIMESTAMP is the same for the whole transaction, so the jobs
+      // get the same deleted_at as the company, and restoring the company
+      // only restores the jobs that were deleted with it
+      await client.query(
+        `UPDATE jobs
+             SET deleted_at = CURRENT_TIMESTAMP
+             WHERE company_handle = $1 AND deleted_at IS NULL`,
+        [handle]
+      );
+    });
+  }
+
+  /** Restore given deleted company, along with the jobs that were deleted
+   * with it.
+   *
+   * Returns { handle, name, description, numEmployees, logoUrl, jobs }, as in
+   *   get.
+   *
+   * Throws NotFoundError if there is no deleted company with the handle.
+   **/
+
+  static async restore(handle) {
+    return await db.withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT handle
+             FROM companies
+             WHERE handle = $1 AND deleted_at IS NOT NULL
+             FOR UPDATE`,
+        [handle]
+      );
+      const company = result.rows[0];
+
+      if (!company) throw new NotFoundError(`No deleted company: ${handle}`);
+
+      await client.query(
+        `UPDATE jobs
+             SET deleted_at = NULL
+             WHERE company_handle = $1
+               AND deleted_at = (SELECT deleted_at
+                                 FROM companies
+                                 WHERE handle = $1)`,
+        [handle]
+      );
+      await client.query(
+        `UPDATE companies
+             SET deleted_at = NULL
+             WHERE handle = $1`,
+        [handle]
+      );
+
+      return await Company.get(handle);
+    });
+  }
+
+  /** Get the usernames of a company's recruiters, without deleted users.
+   *
+   * Returns [username, ...], ordered by username.
+   *
+   * Throws NotFoundError if company not found or deleted.
+   **/
+
+  static async getRecruiters(handle) {
     const result = await db.query(
-      `DELETE
-           FROM companies
-           WHERE handle = $1
-           RETURNING handle`,
+      `SELECT COALESCE(
+                json_agg(u.username ORDER BY u.username)
+                  FILTER (WHERE u.username IS NOT NULL),
+                '[]'
+              ) AS recruiters
+       FROM companies AS c
+       LEFT JOIN (company_recruiters AS cr
+                  JOIN users AS u
+                    ON cr.username = u.username AND u.deleted_at IS NULL)
+         ON c.handle = cr.company_handle
+       WHERE c.handle = $1 AND c.deleted_at IS NULL
+       GROUP BY c.handle`,
       [handle]
     );
-    const company = result.rows[0];
 
-    if (!company) throw new NotFoundError(`No company: ${handle}`);
+    if (result.rowCount === 0) throw new NotFoundError(`No company: ${handle}`);
+
+    return result.rows[0].recruiters;
+  }
+
+  /** Make a user a recruiter for a company, so that they can create and
+   * update the company's jobs, and see their applications.  Adding an
+   * existing recruiter does nothing.
+   *
+   * Returns { username, companyHandle }
+   *
+   * Throws NotFoundError if company or user not found or deleted.
+   **/
+
+  static async addRecruiter(handle, username) {
+    const result = await db.query(
+      `SELECT (SELECT handle
+               FROM companies
+               WHERE handle = $1 AND deleted_at IS NULL) AS "companyHandle",
+              (SELECT username
+               FROM users
+               WHERE username = $2 AND deleted_at IS NULL) AS username`,
+      [handle, username]
+    );
+    const found = result.rows[0];
+
+    if (!found.companyHandle) throw new NotFoundError(`No company: ${handle}`);
+    if (!found.username) throw new NotFoundError(`No user: ${username}`);
+
+    await db.query(
+      `INSERT INTO company_recruiters (username, company_handle)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      [username, handle]
+    );
+
+    return { username, companyHandle: handle };
+  }
+
+  /** Stop a user being a recruiter for a company; returns undefined.
+   *
+   * Throws NotFoundError if the user is not a recruiter for the company.
+   **/
+
+  static async removeRecruiter(handle, username) {
+    const result = await db.query(
+      `DELETE FROM company_recruiters
+       WHERE company_handle = $1 AND username = $2
+       RETURNING username`,
+      [handle, username]
+    );
+
+    if (result.rowCount === 0) {
+      throw new NotFoundError(
+        `No recruiter: ${username}; for company: ${handle}.`
+      );
+    }
   }
 }
 
@@ -59,9 +59,227 @@ describe('create', function () {
   });
 });
 
+/************************************** bulkImport */
+
+describe('bulkImport', function () {
+  const newCompany = Object.freeze({
+    handle: 'new',
+    name: 'New',
+    description: 'New Description',
+  });
+
+  test('Creates new companies and updates existing ones.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: newCompany },
+      { index: 1, data: { handle: 'c1', name: 'C1-new', description: 'D' } },
+    ];
+
+    // Act
+    const results = await Company.bulkImport(rows);
+
+    // Assert
+    expect(results).toEqual([
+      { index: 0, status: 'created', handle: 'new' },
+      { index: 1, status: 'updated', handle: 'c1' },
+    ]);
+    expect(await Company.get('new')).toEqual(
+      expect.objectContaining({ ...newCompany, numEmployees: null })
+    );
+    expect(await Company.get('c1')).toEqual(
+      expect.objectContaining({
+        name: 'C1-new',
+        description: 'D',
+        numEmployees: 1,
+        logoUrl: 'http://c1.img',
+      })
+    );
+  });
+
+  test('Allows a name freed by an earlier row.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: { handle: 'c1', name: 'C1-new', description: 'D' } },
+      { index: 1, data: { ...newCompany, name: 'C1' } },
+    ];
+
+    // Act
+    const results = await Company.bulkImport(rows);
+
+    // Assert
+    expect(results.map((r) => r.status)).toEqual(['updated', 'created']);
+  });
+
+  test.each([
+    [[newCompany, newCompany], '/handle'],
+    [[{ ...newCompany, name: 'C2' }], '/name'],
+    [[newCompany, { ...newCompany, handle: 'new2' }], '/name'],
+  ])(
+    'Rejects invalid rows and imports nothing.  Data: %o.',
+    async function (data, pointer) {
+      // Arrange
+      const rows = data.map((d, index) => ({ index, data: d }));
+
+      // Act
+      let error;
+      try {
+        await Company.bulkImport(rows);
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error instanceof BadRequestError).toBeTruthy();
+      expect(error.code).toEqual('IMPORT_REJECTED');
+      expect(error.fields).toEqual([
+        {
+          pointer: `/${data.length - 1}${pointer}`,
+          keyword: 'unique',
+          message: expect.any(String),
+        },
+      ]);
+      const result = await db.query(
+        `SELECT handle FROM companies WHERE handle = 'new'`
+      );
+      expect(result.rows).toEqual([]);
+    }
+  );
+
+  test('Imports valid rows if skipping invalid rows.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: { ...newCompany, name: 'C2' } },
+      { index: 1, data: newCompany },
+    ];
+
+    // Act
+    const results = await Company.bulkImport(rows, true);
+
+    // Assert
+    expect(results).toEqual([
+      { index: 0, status: 'rejected', errors: [expect.any(Object)] },
+      { index: 1, status: 'created', handle: 'new' },
+    ]);
+    expect(await Company.get('new')).toEqual(
+      expect.objectContaining(newCompany)
+    );
+  });
+
+  test('Rejects rows breaking a constraint if skipping invalid rows.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: newCompany },
+      { index: 1, data: { ...newCompany, handle: 'BAD', name: 'Bad' } },
+    ];
+
+    // Act
+    const results = await Company.bulkImport(rows, true);
+
+    // Assert
+    expect(results).toEqual([
+      { index: 0, status: 'created', handle: 'new' },
+      {
+        index: 1,
+        status: 'rejected',
+        errors: [
+          { pointer: '/handle', keyword: 'check', message: expect.any(String) },
+        ],
+      },
+    ]);
+    expect(await Company.get('new')).toEqual(
+      expect.objectContaining(newCompany)
+    );
+  });
+
+  test('Rejects rows breaking a constraint and imports nothing.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: newCompany },
+      { index: 1, data: { ...newCompany, handle: 'BAD', name: 'Bad' } },
+    ];
+
+    // Act
+    let error;
+    try {
+      await Company.bulkImport(rows);
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(error instanceof BadRequestError).toBeTruthy();
+    expect(error.code).toEqual('IMPORT_REJECTED');
+    expect(error.fields).toEqual([
+      { pointer: '/1/handle', keyword: 'check', message: expect.any(String) },
+    ]);
+    const result = await db.query(
+      `SELECT handle FROM companies WHERE handle = 'new'`
+    );
+    expect(result.rows).toEqual([]);
+  });
+
+  test('Rejects rows of deleted companies.', async function () {
+    // Arrange
+    await Company.remove('c1');
+    const rows = [{ index: 0, data: { ...newCompany, handle: 'c1' } }];
+
+    // Act
+    const results = await Company.bulkImport(rows, true);
+
+    // Assert
+    expect(results).toEqual([
+      {
+        index: 0,
+        status: 'rejected',
+        errors: [
+          {
+            pointer: '/handle',
+            keyword: 'deleted',
+            message: expect.any(String),
+          },
+        ],
+      },
+    ]);
+    const result = await db.query(
+      `SELECT name FROM companies WHERE handle = 'c1'`
+    );
+    expect(result.rows).toEqual([{ name: 'C1' }]);
+  });
+});
+
 /************************************** findAll */
 
 describe('findAll', function () {
+  test('works: deleted companies are not found', async function () {
+    // Arrange
+    await Company.remove('c2');
+
+    // Act
+    const companies = await Company.findAll({});
+
+    // Assert
+    expect(companies.map((c) => c.handle)).toEqual(['c1', 'c3']);
+    expect(await Company.count({})).toEqual(2);
+  });
+
+  test('works: includeDeleted', async function () {
+    // Arrange
+    await Company.remove('c2');
+
+    // Act
+    const companies = await Company.findAll({ includeDeleted: true });
+
+    // Assert
+    expect(
+      companies.map(({ handle, deletedAt }) => ({ handle, deletedAt }))
+    ).toEqual([
+      { handle: 'c1', deletedAt: null },
+      { handle: 'c2', deletedAt: expect.any(Date) },
+      { handle: 'c3', deletedAt: null },
+    ]);
+    expect(await Company.count({ includeDeleted: true })).toEqual(3);
+  });
+
   test('works: no filter', async function () {
     let companies = await Company.findAll({});
     expect(companies).toEqual([
@@ -179,6 +397,115 @@ describe('findAll', function () {
     // Act / Assert
     await expect(Company.findAll(filters)).rejects.toThrow(BadRequestError);
   });
+
+  test.each([
+    [{ sort: '-name' }, ['c3', 'c2', 'c1']],
+    [{ sort: '-numEmployees', limit: 2 }, ['c3', 'c2']],
+    [{ sort: 'numEmployees', limit: 2, offset: 2 }, ['c3']],
+    [{ minEmployees: 2, offset: 1 }, ['c3']],
+  ])(
+    'works: sorting and pagination, case %#',
+    async function (filters, handles) {
+      // Act
+      const companies = await Company.findAll(filters);
+
+      // Assert
+      expect(companies.map((c) => c.handle)).toEqual(handles);
+    }
+  );
+
+  test.each([
+    [{ descriptionLike: 'sc3' }, ['c3']],
+    [{ minOpenJobs: 1 }, ['c1', 'c2']],
+    [{ minOpenJobs: 2 }, ['c1']],
+    [{ minOpenJobs: 3 }, []],
+    [{ hasEquity: true }, ['c1']],
+    [{ hasEquity: false }, ['c1', 'c2', 'c3']],
+    [{ technologies: ['t1'] }, ['c1']],
+    [{ technologies: ['t3', 'nope'] }, ['c1']],
+    [{ technologies: ['nope'] }, []],
+    [{ minOpenJobs: 1, minEmployees: 2 }, ['c2']],
+  ])(
+    'works: job and description filters, case %#',
+    async function (filters, handles) {
+      // Act
+      const companies = await Company.findAll(filters);
+
+      // Assert
+      expect(companies.map((c) => c.handle)).toEqual(handles);
+    }
+  );
+
+  test.each([
+    [{ minOpenJobs: 1 }, ['c2']],
+    [{ hasEquity: true }, []],
+    [{ technologies: ['t1'] }, []],
+  ])(
+    'works: job filters only match open jobs, case %#',
+    async function (filters, handles) {
+      // Arrange
+      await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j1'`);
+      await db.query(
+        `UPDATE jobs
+        SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+        WHERE title = 'j2'`
+      );
+
+      // Act
+      const companies = await Company.findAll(filters);
+
+      // Assert
+      expect(companies.map((c) => c.handle)).toEqual(handles);
+    }
+  );
+
+  test.each([
+    [{ q: 'backend' }, ['zeta', 'alpha']],
+    [{ q: 'backend', sort: 'name' }, ['alpha', 'zeta']],
+    [{ q: 'backend teams' }, ['alpha']],
+    [{ q: 'backend', minEmployees: 5 }, ['zeta']],
+  ])(
+    'works: full-text search, sorted by relevance by default, case %#',
+    async function (filters, handles) {
+      // Arrange
+      await db.query(
+        `INSERT INTO companies (handle, name, num_employees, description)
+        VALUES ('alpha', 'Alpha', 1, 'Tools for backend teams.'),
+               ('zeta', 'Zeta Backend', 9, 'Payments.')`
+      );
+
+      // Act
+      const companies = await Company.findAll(filters);
+
+      // Assert
+      expect(companies.map((c) => c.handle)).toEqual(handles);
+    }
+  );
+
+  test('bad request when sorting by relevance without q', async function () {
+    // Act / Assert
+    await expect(Company.findAll({ sort: 'relevance' })).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
+
+/************************************** count */
+
+describe('count', function () {
+  test.each([
+    [{}, 3],
+    [{ nameLike: '2' }, 1],
+    [{ minEmployees: 2, limit: 1, offset: 1 }, 2],
+    [{ q: 'desc2' }, 1],
+    [{ minOpenJobs: 1, technologies: ['t1'] }, 1],
+  ])('counts companies, case %#', async function (filters, expected) {
+    // Act
+    const total = await Company.count(filters);
+
+    // Assert
+    expect(total).toBe(expected);
+  });
 });
 
 /************************************** get */
@@ -209,6 +536,51 @@ describe('get', function () {
     });
   });
 
+  test('works: only open jobs that have not expired by default', async function () {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j1'`);
+    await db.query(
+      `UPDATE jobs
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+      WHERE title = 'j3'`
+    );
+
+    // Act
+    const c1 = await Company.get('c1');
+    const c2 = await Company.get('c2');
+
+    // Assert
+    expect(c1.jobs.map((j) => j.title)).toEqual(['j2']);
+    expect(c2.jobs).toEqual([]);
+  });
+
+  test.each([
+    ['closed', ['j1']],
+    ['all', ['j1', 'j2']],
+  ])('works: jobs with status %s', async function (jobStatus, titles) {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j1'`);
+
+    // Act
+    const company = await Company.get('c1', jobStatus);
+
+    // Assert
+    expect(company.jobs.map((j) => j.title)).toEqual(titles);
+  });
+
+  test('works: deleted jobs are not included', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE title = 'j1'`
+    );
+
+    // Act
+    const company = await Company.get('c1', 'all');
+
+    // Assert
+    expect(company.jobs.map((j) => j.title)).toEqual(['j2']);
+  });
+
   test('works: no jobs', async function () {
     // Act
     const result = await Company.get('c3');
@@ -232,6 +604,16 @@ describe('get', function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test('not found if company is deleted', async function () {
+    await Company.remove('c1');
+    try {
+      await Company.get('c1');
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** update */
@@ -306,6 +688,16 @@ describe('update', function () {
     }
   });
 
+  test('not found if company is deleted', async function () {
+    await Company.remove('c1');
+    try {
+      await Company.update('c1', updateData);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
   test('bad request with no data', async function () {
     try {
       await Company.update('c1', {});
@@ -322,9 +714,34 @@ describe('remove', function () {
   test('works', async function () {
     await Company.remove('c1');
     const res = await db.query(
-      "SELECT handle FROM companies WHERE handle='c1'"
+      "SELECT deleted_at FROM companies WHERE handle='c1'"
     );
-    expect(res.rows.length).toEqual(0);
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
+  });
+
+  test('works: deletes the jobs with the company', async function () {
+    // Arrange
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u1', 1, 'applied')`
+    );
+
+    // Act
+    await Company.remove('c1');
+
+    // Assert
+    const jobsRes = await db.query(
+      `SELECT j.title
+      FROM jobs AS j
+      JOIN companies AS c ON j.company_handle = c.handle
+      WHERE j.deleted_at = c.deleted_at
+      ORDER BY j.title`
+    );
+    expect(jobsRes.rows).toEqual([{ title: 'j1' }, { title: 'j2' }]);
+    const applicationsRes = await db.query(
+      'SELECT username, job_id FROM applications'
+    );
+    expect(applicationsRes.rows).toEqual([{ username: 'u1', job_id: 1 }]);
   });
 
   test('not found if no such company', async function () {
@@ -335,4 +752,166 @@ describe('remove', function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test('not found if company is already deleted', async function () {
+    await Company.remove('c1');
+    try {
+      await Company.remove('c1');
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe('restore', function () {
+  test('works', async function () {
+    // Arrange
+    await Company.remove('c1');
+
+    // Act
+    const company = await Company.restore('c1');
+
+    // Assert
+    expect(company).toEqual(await Company.get('c1'));
+    expect(company.jobs.map((j) => j.title)).toEqual(['j1', 'j2']);
+  });
+
+  test('works: jobs deleted before the company stay deleted', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE jobs
+      SET deleted_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+      WHERE title = 'j1'`
+    );
+    await Company.remove('c1');
+
+    // Act
+    const company = await Company.restore('c1');
+
+    // Assert
+    expect(company.jobs.map((j) => j.title)).toEqual(['j2']);
+  });
+
+  test.each([['nope'], ['c1']])(
+    'not found if no deleted company: %s',
+    async function (handle) {
+      try {
+        await Company.restore(handle);
+        fail();
+      } catch (err) {
+        expect(err instanceof NotFoundError).toBeTruthy();
+      }
+    }
+  );
+});
+
+/************************************** recruiters */
+
+describe('getRecruiters', function () {
+  test('works', async function () {
+    // Arrange
+    await Company.addRecruiter('c1', 'u2');
+    await Company.addRecruiter('c1', 'u1');
+    await Company.addRecruiter('c2', 'u1');
+
+    // Act
+    const recruiters = await Company.getRecruiters('c1');
+
+    // Assert
+    expect(recruiters).toEqual(['u1', 'u2']);
+  });
+
+  test('works: no recruiters', async function () {
+    // Act
+    const recruiters = await Company.getRecruiters('c1');
+
+    // Assert
+    expect(recruiters).toEqual([]);
+  });
+
+  test('works: no deleted users', async function () {
+    // Arrange
+    await Company.addRecruiter('c1', 'u1');
+    await db.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE username = 'u1'`
+    );
+
+    // Act
+    const recruiters = await Company.getRecruiters('c1');
+
+    // Assert
+    expect(recruiters).toEqual([]);
+  });
+
+  test('not found if no such company', async function () {
+    await expect(Company.getRecruiters('nope')).rejects.toThrow(NotFoundError);
+  });
+});
+
+describe('addRecruiter', function () {
+  test('works', async function () {
+    // Act
+    const recruiter = await Company.addRecruiter('c1', 'u1');
+
+    // Assert
+    expect(recruiter).toEqual({ username: 'u1', companyHandle: 'c1' });
+    const result = await db.query(
+      `SELECT username, company_handle
+      FROM company_recruiters`
+    );
+    expect(result.rows).toEqual([{ username: 'u1', company_handle: 'c1' }]);
+  });
+
+  test('works: adding again does nothing', async function () {
+    // Act
+    await Company.addRecruiter('c1', 'u1');
+    await Company.addRecruiter('c1', 'u1');
+
+    // Assert
+    expect(await Company.getRecruiters('c1')).toEqual(['u1']);
+  });
+
+  test.each([
+    ['nope', 'u1'],
+    ['c1', 'nope'],
+  ])(
+    'not found if no such company or user: %s, %s',
+    async function (handle, username) {
+      await expect(Company.addRecruiter(handle, username)).rejects.toThrow(
+        NotFoundError
+      );
+    }
+  );
+
+  test('not found if company is deleted', async function () {
+    // Arrange
+    await Company.remove('c1');
+
+    // Act / Assert
+    await expect(Company.addRecruiter('c1', 'u1')).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+describe('removeRecruiter', function () {
+  test('works', async function () {
+    // Arrange
+    await Company.addRecruiter('c1', 'u1');
+
+    // Act
+    await Company.removeRecruiter('c1', 'u1');
+
+    // Assert
+    expect(await Company.getRecruiters('c1')).toEqual([]);
+  });
+
+  test('not found if not a recruiter', async function () {
+    await expect(Company.removeRecruiter('c1', 'u1')).rejects.toThrow(
+      NotFoundError
+    );
+  });
 });
@@ -0,0 +1,139 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const db = require('../db');
+const {
+  EMAIL_VERIFICATION_EXPIRES_IN,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+} = require('../config');
+const {
+  BadRequestError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+
+// ==================================================
+
+/** Related functions for verifying users' email addresses. */
+
+class EmailVerification {
+  /**
+   * Creates a single-use token that verifies the current email address of a
+   * user.  Only the hash of the token is stored.  Any earlier tokens for the
+   * user are removed, but a new token can only be created once every
+   * EMAIL_VERIFICATION_RESEND_SECONDS, so that users can not be sent too many
+   * emails.  The user's row is locked first, so that concurrent requests for
+   * the same user take turns, and each sees the token of the one before it.
+   *
+   * @param {String} username Username of the user to verify.
+   * @returns {Object} { token, email }, where email is the address to send
+   *   the token to.
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If the user's email address is already verified.
+   * @throws TooManyRequestsError If the last token was created too recently,
+   *   with the seconds until a new one can be created as retryAfter.
+   */
+  static async create(username) {
+    return db.withTransaction(async () => {
+      const userRes = await db.query(
+        `SELECT email,
+                email_verified_at IS NOT NULL AS "emailVerified"
+        FROM users
+        WHERE username = $1 AND deleted_at IS NULL
+        FOR UPDATE`,
+        [username]
+      );
+
+      const user = userRes.rows[0];
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      if (user.emailVerified)
+        throw new BadRequestError(
+          'Email address is already verified',
+          'EMAIL_ALREADY_VERIFIED'
+        );
+
+      // a separate query from the lock, so that it sees the token of a
+      // request that held the lock before
+      const retryRes = await db.query(
+        `SELECT CEIL(EXTRACT(EPOCH FROM
+                  MAX(created_at) + make_interval(secs => $2)
+                    - CURRENT_TIMESTAMP))::INTEGER AS "retryAfter"
+        FROM email_verification_tokens
+        WHERE username = $1`,
+        [username, EMAIL_VERIFICATION_RESEND_SECONDS]
+      );
+
+      const { retryAfter } = retryRes.rows[0];
+      if (retryAfter > 0)
+        throw new TooManyRequestsError(
+          'A verification email was sent recently.  ' +
+            `Try again in ${retryAfter} seconds.`,
+          retryAfter
+        );
+
+      await db.query(
+        `DELETE FROM email_verification_tokens
+        WHERE username = $1
+          OR expires_at < CURRENT_TIMESTAMP`,
+        [username]
+      );
+
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await db.query(
+        `INSERT INTO email_verification_tokens
+          (token_hash, username, email, expires_at)
+        VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4))`,
+        [hashToken(token), username, user.email, EMAIL_VERIFICATION_EXPIRES_IN]
+      );
+
+      return { token, email: user.email };
+    });
+  }
+
+  /**
+   * Marks the email address a token was sent to as verified, and the token as
+   * used, so that it can not be used again.
+   *
+   * @param {String} token The email verification token.
+   * @returns {String} Username of the user the token was created for.
+   * @throws BadRequestError If the token does not exist, is expired, has
+   *   already been used, or the user's email address has changed since it
+   *   was created.
+   */
+  static async consume(token) {
+    const result = await db.query(
+      `WITH used_token AS (
+        UPDATE email_verification_tokens
+        SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = $1
+          AND used_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP
+        RETURNING username, email
+      )
+      UPDATE users AS u
+      SET email_verified_at = CURRENT_TIMESTAMP
+      FROM used_token AS t
+      WHERE u.username = t.username
+        AND u.email = t.email
+        AND u.deleted_at IS NULL
+      RETURNING u.username`,
+      [hashToken(token)]
+    );
+
+    if (!result.rows[0])
+      throw new BadRequestError(
+        'Invalid or expired email verification token',
+        'INVALID_EMAIL_VERIFICATION_TOKEN'
+      );
+
+    return result.rows[0].username;
+  }
+}
+
+// ==================================================
+
+module.exports = EmailVerification;
@@ -0,0 +1,194 @@
+'use strict';
+
+const { Client } = require('pg');
+
+const db = require('../db.js');
+const EmailVerification = require('./emailVerification.js');
+const User = require('./user.js');
+const {
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+  getDatabaseUri,
+} = require('../config');
+const {
+  BadRequestError,
+  NotFoundError,
+  TooManyRequestsError,
+} = require('../expressError');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * Makes the verification tokens old enough that a new one can be created.
+ */
+async function ageTokens() {
+  await db.query(
+    `UPDATE email_verification_tokens
+    SET created_at = created_at - make_interval(secs => $1)`,
+    [EMAIL_VERIFICATION_RESEND_SECONDS]
+  );
+}
+
+/************************************** create */
+
+describe('create', function () {
+  test('Creates a token for the email address and only stores its hash.', async function () {
+    // Act
+    const { token, email } = await EmailVerification.create('u1');
+
+    // Assert
+    expect(token).toEqual(expect.any(String));
+    expect(email).toEqual('u1@email.com');
+    const result = await db.query(
+      `SELECT token_hash, username, email
+      FROM email_verification_tokens`
+    );
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: 'u1', email: 'u1@email.com' },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+
+  test('Invalidates earlier tokens for the user.', async function () {
+    // Arrange
+    const { token: oldToken } = await EmailVerification.create('u1');
+    await ageTokens();
+
+    // Act
+    const { token } = await EmailVerification.create('u1');
+
+    // Assert
+    await expect(EmailVerification.consume(oldToken)).rejects.toThrow(
+      BadRequestError
+    );
+    expect(await EmailVerification.consume(token)).toEqual('u1');
+  });
+
+  test('Throws TooManyRequestsError if a token was created too recently.', async function () {
+    // Arrange
+    await EmailVerification.create('u1');
+
+    // Act
+    let error;
+    try {
+      await EmailVerification.create('u1');
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.retryAfter).toEqual(EMAIL_VERIFICATION_RESEND_SECONDS);
+  });
+
+  test("Locks the user's row until the transaction ends.", async function () {
+    // Arrange
+    const otherClient = new Client({ connectionString: getDatabaseUri() });
+    await otherClient.connect();
+
+    // Act
+    await EmailVerification.create('u1');
+
+    // Assert
+    try {
+      await expect(
+        otherClient.query(
+          `SELECT username FROM users WHERE username = 'u1' FOR NO KEY UPDATE NOWAIT`
+        )
+      ).rejects.toMatchObject({ code: '55P03' });
+    } finally {
+      await otherClient.end();
+    }
+  });
+
+  test('Throws BadRequestError if the email is already verified.', async function () {
+    // Arrange
+    const { token } = await EmailVerification.create('u1');
+    await EmailVerification.consume(token);
+    await ageTokens();
+
+    // Act / Assert
+    await expect(EmailVerification.create('u1')).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test('Throws NotFoundError if user does not exist.', async function () {
+    // Act / Assert
+    await expect(EmailVerification.create('nope')).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** consume */
+
+describe('consume', function () {
+  test('Verifies the email address and returns the username.', async function () {
+    // Arrange
+    const { token } = await EmailVerification.create('u2');
+
+    // Act
+    const username = await EmailVerification.consume(token);
+
+    // Assert
+    expect(username).toEqual('u2');
+    expect(await User.isEmailVerified('u2')).toEqual(true);
+    expect(await User.isEmailVerified('u1')).toEqual(false);
+  });
+
+  test('Throws BadRequestError if token was already used.', async function () {
+    // Arrange
+    const { token } = await EmailVerification.create('u1');
+    await EmailVerification.consume(token);
+
+    // Act / Assert
+    await expect(EmailVerification.consume(token)).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test('Throws BadRequestError if token is expired.', async function () {
+    // Arrange
+    const { token } = await EmailVerification.create('u1');
+    await db.query(
+      `UPDATE email_verification_tokens
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+
+    // Act / Assert
+    await expect(EmailVerification.consume(token)).rejects.toThrow(
+      BadRequestError
+    );
+    expect(await User.isEmailVerified('u1')).toEqual(false);
+  });
+
+  test('Throws BadRequestError if the email address has changed.', async function () {
+    // Arrange
+    const { token } = await EmailVerification.create('u1');
+    await User.update('u1', { email: 'new@email.com' });
+
+    // Act / Assert
+    await expect(EmailVerification.consume(token)).rejects.toThrow(
+      BadRequestError
+    );
+    expect(await User.isEmailVerified('u1')).toEqual(false);
+  });
+
+  test('Throws BadRequestError if token does not exist.', async function () {
+    // Act / Assert
+    await expect(EmailVerification.consume('nope')).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
@@ -1,83 +1,295 @@
 'use strict';
 
 const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
 const {
-  BadRequestError,
-  NotFoundError,
-  ServerError,
-} = require('../expressError');
-const {
+  RELEVANCE_SORT,
   sqlForPartialUpdate,
+  sqlJobStatusCondition,
   sqlWhereClauseForGetJobs,
+  sqlSortAndPaginationClauses,
 } = require('../helpers/sql');
+const { importRejectedError } = require('../helpers/import');
+const Technology = require('./technology');
 
 // ==================================================
 
+// Allowed sort names for finding all jobs, with their database column and
+// sorting direction.
+const JOB_SORTS = Object.freeze({
+  id: Object.freeze(['id', 'ASC']),
+  title: Object.freeze(['title', 'ASC']),
+  salary: Object.freeze(['salary', 'ASC']),
+  equity: Object.freeze(['equity', 'ASC']),
+  newest: Object.freeze(['id', 'DESC']),
+});
+
+// Sort names for finding all applications, with their database column and
+// sorting direction.
+const APPLICATION_SORTS = Object.freeze({
+  jobId: Object.freeze(['a.job_id', 'ASC']),
+});
+
+// Allowed job status changes, from a current status to new statuses.  Jobs
+// that have been posted can be closed and reopened, but not made drafts again.
+const JOB_STATUS_TRANSITIONS = Object.freeze({
+  draft: Object.freeze(['open', 'closed']),
+  open: Object.freeze(['closed']),
+  closed: Object.freeze(['open']),
+});
+
+// SQL select expression for the lifecycle columns of a job.  The jobs table
+// must be aliased as "jobs" or not aliased at all.
+const lifecycleSelect = `
+  jobs.status,
+  jobs.posted_at AS "postedAt",
+  jobs.expires_at AS "expiresAt"`;
+
+// SQL select expression for the names of a job's technologies.  The jobs table
+// must be aliased as "jobs" or not aliased at all.
+const technologiesSelect = `
+  COALESCE(
+    (SELECT json_agg(t.name ORDER BY t.name)
+     FROM jobs_technologies AS jt
+     JOIN technologies AS t ON jt.tech_id = t.id
+     WHERE jt.job_id = jobs.id),
+    '[]'
+  ) AS technologies`;
+
+/**
+ * Replaces the technologies of a job.
+ *
+ * @param {Number} jobId ID of the job to set the technologies for.
+ * @param {Array} techIds [techId, ...].
+ */
+async function setJobTechnologies(jobId, techIds) {
+  await db.query(
+    `DELETE FROM jobs_technologies
+    WHERE job_id = $1`,
+    [jobId]
+  );
+
+  await db.query(
+    `INSERT INTO jobs_technologies (job_id, tech_id)
+    SELECT $1, unnest($2::INTEGER[])`,
+    [jobId, techIds]
+  );
+}
+
 /** Related functions for jobs. */
 
 class Job {
   /**
    * Inserts a new job into the database and returns the database data.
    *
-   * @param {Object} param0 { title, salary, equity, companyHandle }.
-   * @returns {id, title, salary, equity, companyHandle}.
+   * technologies is a list of technology names and/or IDs to attach to the
+   * job.  Names that do not exist are created if createTechnologies is true,
+   * or else rejected.
+   *
+   * status is open by default, which posts the job right away, or draft.
+   * expiresAt is when the job stops being listed, or null for never.
+   *
+   * Deleted jobs do not count as duplicates, and jobs can not be added to
+   * deleted companies.
+   *
+   * @param {Object} param0 { title, salary, equity, companyHandle,
+   *   technologies, createTechnologies, status, expiresAt }.
+   * @returns {id, title, salary, equity, companyHandle, status, postedAt,
+   *   expiresAt, technologies}, where technologies is [name, ...], and
+   *   postedAt is null for drafts.
    * @throws BadRequestError - If the job already exists in the database.
-   * @throws NotFoundError - If the company is not found.
+   * @throws NotFoundError - If the company or a technology is not found, or
+   *   if the company is deleted.
    */
-  static async create({ title, salary, equity, companyHandle }) {
-    const duplicateCheck = await db.query(
-      `SELECT id
-           FROM jobs
-           WHERE title=$1 AND salary=$2 AND equity=$3 AND company_handle=$4`,
-      [title, salary, equity, companyHandle]
-    );
+  static async create({
+    title,
+    salary,
+    equity,
+    companyHandle,
+    technologies = [],
+    createTechnologies = false,
+    status = 'open',
+    expiresAt = null,
+  }) {
+    // new technologies, the job, and its technologies are inserted together
+    return await db.withTransaction(async () => {
+      const duplicateCheck = await db.query(
+        `SELECT id
+             FROM jobs
+             WHERE title=$1 AND salary=$2 AND equity=$3 AND company_handle=$4
+               AND deleted_at IS NULL`,
+        [title, salary, equity, companyHandle]
+      );
 
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate job: ${title}`);
+      if (duplicateCheck.rows[0]) {
+        throw new BadRequestError(`Duplicate job: ${title}`, 'DUPLICATE_JOB', [
+          {
+            pointer: '/title',
+            keyword: 'unique',
+            message: 'Job already exists.',
+          },
+        ]);
+      }
 
-    let job;
-    try {
-      const jobsResult = await db.query(
-        `INSERT INTO jobs
-        (title, salary, equity, company_handle)
-        VALUES ($1, $2, $3, $4)
-        RETURNING id, title, salary, equity, company_handle AS "companyHandle"`,
-        [title, salary, equity, companyHandle]
+      const companyCheck = await db.query(
+        `SELECT handle
+        FROM companies
+        WHERE handle = $1 AND deleted_at IS NULL`,
+        [companyHandle]
       );
-      job = jobsResult.rows[0];
-    } catch (err) {
-      if (err.code === '23503') {
+
+      if (companyCheck.rowCount === 0) {
         throw new NotFoundError(
           `Company not found for handle: ${companyHandle}.`
         );
-      } else {
-        throw new ServerError();
       }
-    }
 
-    if (job.equity !== null) {
-      job.equity = Number(job.equity);
-    }
+      const techIds = await Technology.resolveIds(
+        technologies,
+        createTechnologies
+      );
 
-    return job;
+      const jobsResult = await db.query(
+        `INSERT INTO jobs
+        (title, salary, equity, company_handle, status, posted_at, expires_at)
+        VALUES ($1, $2, $3, $4, $5,
+                CASE WHEN $5::job_status = 'draft' THEN NULL
+                     ELSE CURRENT_TIMESTAMP END,
+                $6)
+        RETURNING id`,
+        [title, salary, equity, companyHandle, status, expiresAt]
+      );
+      const job = jobsResult.rows[0];
+
+      await setJobTechnologies(job.id, techIds);
+
+      return await Job.get(job.id);
+    });
+  }
+
+  /**
+   * Imports jobs in a single transaction.
+   *
+   * Rows are rejected if their company does not exist or is deleted, the job
+   * already exists, or a technology does not exist and createTechnologies is
+   * not true.
+   * If skipInvalid is false, any rejected row rolls back the whole import.
+   *
+   * @param {Array} rows [{ index, data }, ...], where data is the same as for
+   *   creating a job, and index is the position of the row in the import.
+   * @param {Boolean} skipInvalid Whether to import the valid rows when some
+   *   rows are rejected.
+   * @returns {Array} [{ index, status: 'created', id }, ...] for created rows,
+   *   and [{ index, status: 'rejected', errors }, ...] for rejected rows.
+   * @throws BadRequestError - If a row is rejected and skipInvalid is false.
+   */
+  static async bulkImport(rows, skipInvalid = false) {
+    return await db.withTransaction(async (client) => {
+      const companiesResult = await client.query(
+        `SELECT handle
+        FROM companies
+        WHERE handle = ANY($1) AND deleted_at IS NULL`,
+        [rows.map((r) => r.data.companyHandle)]
+      );
+      const companyHandles = companiesResult.rows.map((r) => r.handle);
+      const results = [];
+
+      for (const { index, data } of rows) {
+        if (!companyHandles.includes(data.companyHandle)) {
+          results.push({
+            index,
+            status: 'rejected',
+            errors: [
+              {
+                pointer: '/companyHandle',
+                keyword: 'reference',
+                message: `Company not found for handle: ${data.companyHandle}.`,
+              },
+            ],
+          });
+          continue;
+        }
+
+        try {
+          const job = await Job.create(data);
+          results.push({ index, status: 'created', id: job.id });
+        } catch (err) {
+          if (err instanceof NotFoundError) {
+            results.push({
+              index,
+              status: 'rejected',
+              errors: [
+                {
+                  pointer: '/technologies',
+                  keyword: 'reference',
+                  message: err.message,
+                },
+              ],
+            });
+          } else if (err instanceof BadRequestError) {
+            results.push({ index, status: 'rejected', errors: err.fields });
+          } else {
+            throw err;
+          }
+        }
+      }
+
+      const rejected = results.filter((r) => r.status === 'rejected');
+      if (!skipInvalid && rejected.length > 0) {
+        throw importRejectedError(rejected);
+      }
+
+      return results;
+    });
   }
 
   /**
    * Finds all jobs.
    *
    * Filters should be
-   * { title: String, minSalary: Number, hasEquity: Boolean }.
+   * { q: String, title: String, minSalary: Number, hasEquity: Boolean,
+   *   status: String, ... }, where q is a full-text search of the title, and
+   * the other filters are as in sqlWhereClauseForGetJobs.  Only open jobs
+   * that have not expired are found if status is not given.  Deleted jobs are
+   * only found if includeDeleted is true, and then each job also has
+   * deletedAt, which is null if the job is not deleted.
    *
-   * @returns [{ id, title, salary, equity, companyHandle }, ...]
+   * Can also sort and paginate with { sort: String, limit: Number,
+   * offset: Number }, where sort is title, salary, equity, or newest,
+   * optionally prefixed with "-" to reverse the order, or relevance if q is
+   * given.  Sorts by relevance if q is given, or else by ID, by default.
+   *
+   * @returns [{ id, title, salary, equity, companyHandle, status, postedAt,
+   *   expiresAt, technologies }, ...] where technologies is [name, ...].
    */
   static async findAll(filters) {
+    const deletedAtCol = filters.includeDeleted
+      ? ', deleted_at AS "deletedAt"'
+      : '';
     let querySql = `
-      SELECT id, title, salary, equity, company_handle AS "companyHandle"
+      SELECT id,
+             title,
+             salary,
+             equity,
+             company_handle AS "companyHandle",
+             ${lifecycleSelect},
+             ${technologiesSelect}${deletedAtCol}
       FROM jobs`;
     const { whereClause, values } = sqlWhereClauseForGetJobs(filters);
+    const sortAndPagination = sqlSortAndPaginationClauses(
+      filters,
+      filters.q ? { ...JOB_SORTS, relevance: RELEVANCE_SORT } : JOB_SORTS,
+      filters.q ? 'relevance' : 'id',
+      'id',
+      values.length + 1
+    );
     querySql += whereClause;
+    querySql += sortAndPagination.clauses;
 
-    const jobsResult = await db.query(querySql, values);
+    const jobsResult = await db.query(querySql, [
+      ...values,
+      ...sortAndPagination.values,
+    ]);
 
     const jobs = jobsResult.rows.map((job) => {
       if (job.equity !== null) {
@@ -90,17 +302,43 @@ class Job {
   }
 
   /**
-   * Gets a specified job by ID.
+   * Counts all jobs that match the filters, ignoring pagination.
+   *
+   * Filters should be as in findAll.
+   *
+   * @returns {Number} The number of jobs.
+   */
+  static async count(filters) {
+    const { whereClause, values } = sqlWhereClauseForGetJobs(filters);
+
+    const countResult = await db.query(
+      `SELECT COUNT(*)::INTEGER AS total
+      FROM jobs${whereClause}`,
+      values
+    );
+
+    return countResult.rows[0].total;
+  }
+
+  /**
+   * Gets a specified job by ID, whatever its status, unless it is deleted.
    *
    * @param {Number} id Job ID of job to get.
-   * @returns { id, title, salary, equity, companyHandle }.
+   * @returns { id, title, salary, equity, companyHandle, status, postedAt,
+   *   expiresAt, technologies }, where technologies is [name, ...].
    * @throws NotFoundError If job is not found.
    */
   static async get(id) {
     const jobsResult = await db.query(
-      `SELECT id, title, salary, equity, company_handle AS "companyHandle"
+      `SELECT id,
+              title,
+              salary,
+              equity,
+              company_handle AS "companyHandle",
+              ${lifecycleSelect},
+              ${technologiesSelect}
       FROM jobs
-      WHERE id = $1`,
+      WHERE id = $1 AND deleted_at IS NULL`,
       [id]
     );
 
@@ -115,56 +353,228 @@ class Job {
     return job;
   }
 
+  /**
+   * Gets the applications to a specified job, from users that are not
+   * deleted.
+   *
+   * @param {Number} id Job ID of job to get the applications of.
+   * @returns [{ username, status }, ...]
+   * @throws NotFoundError If job is not found.
+   */
+  static async getApplications(id) {
+    await Job.get(id);
+
+    const applicationsResult = await db.query(
+      `SELECT a.username, a.status
+      FROM applications AS a
+      JOIN users AS u ON a.username = u.username
+      WHERE a.job_id = $1 AND u.deleted_at IS NULL
+      ORDER BY a.username`,
+      [id]
+    );
+
+    return applicationsResult.rows;
+  }
+
+  /**
+   * Finds all applications, along with their user, job, and company, ordered
+   * by job ID and username.  Applications of deleted users and jobs are not
+   * found.
+   *
+   * Filters should be { status: String, companyHandle: String,
+   * companyHandles: Array }, where companyHandles limits the applications to
+   * the jobs of any of the companies, such as a recruiter's.
+   *
+   * Can also paginate with { limit: Number, offset: Number }.
+   *
+   * @param {Object} filters The filters to use.
+   * @returns [{ username, firstName, lastName, email, jobId, jobTitle,
+   *   companyHandle, companyName, status }, ...]
+   */
+  static async findAllApplications(filters = {}) {
+    const clauses = ['u.deleted_at IS NULL', 'j.deleted_at IS NULL'];
+    const values = [];
+
+    if (filters.status) {
+      values.push(filters.status);
+      clauses.push(`a.status = $${values.length}`);
+    }
+
+    if (filters.companyHandle) {
+      values.push(filters.companyHandle);
+      clauses.push(`j.company_handle = $${values.length}`);
+    }
+
+    if (filters.companyHandles) {
+      values.push(filters.companyHandles);
+      clauses.push(`j.company_handle = ANY($${values.length})`);
+    }
+
+    const whereClause = ` WHERE ${clauses.join(' AND ')}`;
+    const sortAndPagination = sqlSortAndPaginationClauses(
+      filters,
+      APPLICATION_SORTS,
+      'jobId',
+      'a.username',
+      values.length + 1
+    );
+
+    const result = await db.query(
+      `SELECT a.username,
+              u.first_name AS "firstName",
+              u.last_name AS "lastName",
+              u.email,
+              a.job_id AS "jobId",
+              j.title AS "jobTitle",
+              j.company_handle AS "companyHandle",
+              c.name AS "companyName",
+              a.status
+      FROM applications AS a
+      JOIN users AS u ON a.username = u.username
+      JOIN jobs AS j ON a.job_id = j.id
+      JOIN companies AS c ON j.company_handle = c.handle` +
+        whereClause +
+        sortAndPagination.clauses,
+      [...values, ...sortAndPagination.values]
+    );
+
+    return result.rows;
+  }
+
   /**
    * Updates a job.  ID and company handle can not be changed.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
+   * If technologies is given, it replaces the job's current technologies.
+   * Names that do not exist are created if createTechnologies is true, or else
+   * rejected.
+   *
+   * status closes or reopens the job, or posts a draft, as allowed by
+   * JOB_STATUS_TRANSITIONS.  postedAt is set when a job stops being a draft.
+   * Closing a job keeps its applications.
+   *
    * @param {Number} id The job ID of job to update.
-   * @param {Object} data { title, salary, equity }.
-   * @returns { id, title, salary, equity, companyHandle }.
-   * @throws NotFoundError If job is not found.
+   * @param {Object} data { title, salary, equity, technologies,
+   *   createTechnologies, status, expiresAt }.
+   * @returns { id, title, salary, equity, companyHandle, status, postedAt,
+   *   expiresAt, technologies }.
+   * @throws NotFoundError If job or a technology is not found, or if job is
+   *   deleted.
+   * @throws BadRequestError If there is no data, or if the status change is
+   *   not allowed.
    */
   static async update(id, data) {
-    delete data.id;
-    delete data.companyHandle;
+    const { technologies, createTechnologies = false, ...jobData } = data;
+    delete jobData.id;
+    delete jobData.companyHandle;
+    delete jobData.postedAt;
 
-    const { setCols, values } = sqlForPartialUpdate(data, {});
-    const idVarIdx = '$' + (values.length + 1);
+    if (jobData.status !== undefined) {
+      const currentStatus = (await Job.get(id)).status;
+      if (
+        jobData.status !== currentStatus &&
+        !JOB_STATUS_TRANSITIONS[currentStatus].includes(jobData.status)
+      ) {
+        const message = `Can not change job status from ${currentStatus} to ${jobData.status}.`;
+        throw new BadRequestError(message, 'INVALID_STATUS_TRANSITION', [
+          { pointer: '/status', keyword: 'transition', message },
+        ]);
+      }
+    }
 
-    const querySql = `
-      UPDATE jobs
-      SET ${setCols}
-      WHERE id = ${idVarIdx}
-      RETURNING id, title, salary, equity, company_handle AS "companyHandle"`;
-    const result = await db.query(querySql, [...values, id]);
-    const job = result.rows[0];
+    let techIds;
+    if (technologies !== undefined) {
+      // ensures that the job exists before possibly creating technologies
+      await Job.get(id);
+      techIds = await Technology.resolveIds(technologies, createTechnologies);
+    }
 
-    if (!job) throw new NotFoundError(`No job: ${id}`);
+    if (Object.keys(jobData).length > 0 || technologies === undefined) {
+      const { setCols, values } = sqlForPartialUpdate(jobData, {
+        expiresAt: 'expires_at',
+      });
+      const idVarIdx = '$' + (values.length + 1);
 
-    if (job.equity !== null) {
-      job.equity = Number(job.equity);
+      // a job is posted when it first stops being a draft
+      const postedAtCol =
+        jobData.status !== undefined && jobData.status !== 'draft'
+          ? ', posted_at = COALESCE(posted_at, CURRENT_TIMESTAMP)'
+          : '';
+
+      const querySql = `
+        UPDATE jobs
+        SET ${setCols}${postedAtCol}
+        WHERE id = ${idVarIdx} AND deleted_at IS NULL`;
+      const result = await db.query(querySql, [...values, id]);
+
+      if (result.rowCount === 0) throw new NotFoundError(`No job: ${id}`);
     }
 
-    return job;
+    if (techIds !== undefined) await setJobTechnologies(id, techIds);
+
+    return await Job.get(id);
   }
 
   /**
-   * Deletes a specified job by ID.
+   * Soft deletes a specified job by ID.  The job is hidden until it is
+   * restored, or until it is purged after the retention period.  Its
+   * applications are kept.
    *
    * @param {Number} id The job ID of the job to delete.
-   * @throws NotFoundError If job is not found.
+   * @throws NotFoundError If job is not found or already deleted.
    */
   static async remove(id) {
     const result = await db.query(
-      `DELETE FROM jobs
-      WHERE id = $1`,
+      `UPDATE jobs
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND deleted_at IS NULL`,
       [id]
     );
 
     if (result.rowCount === 0) throw new NotFoundError(`No job: ${id}`);
   }
+
+  /**
+   * Restores a deleted job by ID.  Jobs of deleted companies can only be
+   * restored by restoring the company.
+   *
+   * @param {Number} id The job ID of the job to restore.
+   * @returns { id, title, salary, equity, companyHandle, status, postedAt,
+   *   expiresAt, technologies }.
+   * @throws NotFoundError If there is no deleted job with the ID.
+   * @throws BadRequestError If the job's company is deleted.
+   */
+  static async restore(id) {
+    const jobsResult = await db.query(
+      `SELECT j.company_handle AS "companyHandle",
+              c.deleted_at IS NOT NULL AS "isCompanyDeleted"
+      FROM jobs AS j
+      JOIN companies AS c ON j.company_handle = c.handle
+      WHERE j.id = $1 AND j.deleted_at IS NOT NULL`,
+      [id]
+    );
+    const job = jobsResult.rows[0];
+
+    if (!job) throw new NotFoundError(`No deleted job: ${id}`);
+
+    if (job.isCompanyDeleted) {
+      throw new BadRequestError(
+        `Can not restore job ${id} of deleted company: ${job.companyHandle}.`,
+        'COMPANY_DELETED'
+      );
+    }
+
+    await db.query(
+      `UPDATE jobs
+      SET deleted_at = NULL
+      WHERE id = $1`,
+      [id]
+    );
+
+    return await Job.get(id);
+  }
 }
 
 // ==================================================
@@ -30,7 +30,14 @@ describe('create', function () {
 
   test('Successfully creates a new job.', async function () {
     // Arrange
-    const expectedJob = { ...newJob, id: expect.any(Number) };
+    const expectedJob = {
+      ...newJob,
+      id: expect.any(Number),
+      status: 'open',
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      technologies: [],
+    };
 
     // Act
     const result = await Job.create(newJob);
@@ -42,6 +49,75 @@ describe('create', function () {
     expect(job).toEqual(expectedJob);
   });
 
+  test('Creates a new job with technology names and IDs.', async function () {
+    // Arrange
+    const newJobWithTechnologies = { ...newJob, technologies: ['t3', 1] };
+
+    // Act
+    const result = await Job.create(newJobWithTechnologies);
+
+    // Assert
+    expect(result).toEqual({
+      ...newJob,
+      id: expect.any(Number),
+      status: 'open',
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      technologies: ['t1', 't3'],
+    });
+  });
+
+  test('Creates a draft job, which is not posted yet.', async function () {
+    // Arrange
+    const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+    // Act
+    const result = await Job.create({ ...newJob, status: 'draft', expiresAt });
+
+    // Assert
+    expect(result).toEqual(
+      expect.objectContaining({ status: 'draft', postedAt: null, expiresAt })
+    );
+  });
+
+  test('Creates unknown technologies if specified.', async function () {
+    // Arrange
+    const newJobWithTechnologies = {
+      ...newJob,
+      technologies: ['t1', 'new tech'],
+      createTechnologies: true,
+    };
+
+    // Act
+    const result = await Job.create(newJobWithTechnologies);
+
+    // Assert
+    expect(result.technologies).toEqual(['new tech', 't1']);
+
+    const techResult = await db.query(
+      `SELECT name FROM technologies WHERE name = 'new tech'`
+    );
+    expect(techResult.rowCount).toBe(1);
+  });
+
+  test.each([[['t1', 'new tech']], [['t1', 99]]])(
+    'not found with unknown technologies; technologies: %o',
+    async function (technologies) {
+      // Arrange
+      const newJobWithTechnologies = { ...newJob, technologies };
+
+      // Act / Assert
+      await expect(Job.create(newJobWithTechnologies)).rejects.toThrow(
+        NotFoundError
+      );
+
+      const jobResult = await db.query(`SELECT id FROM jobs WHERE title = $1`, [
+        newJob.title,
+      ]);
+      expect(jobResult.rowCount).toBe(0);
+    }
+  );
+
   test('bad request with dupe', async function () {
     // Arrange
     await Job.create(newJob);
@@ -57,6 +133,125 @@ describe('create', function () {
     // Act / Assert
     await expect(Job.create(invalidJob)).rejects.toThrow(NotFoundError);
   });
+
+  test('not found if company is deleted', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'c1'`
+    );
+
+    // Act / Assert
+    await expect(Job.create(newJob)).rejects.toThrow(NotFoundError);
+  });
+
+  test('a deleted job is not a dupe', async function () {
+    // Arrange
+    const deleted = await Job.create(newJob);
+    await Job.remove(deleted.id);
+
+    // Act
+    const result = await Job.create(newJob);
+
+    // Assert
+    expect(result.id).not.toEqual(deleted.id);
+  });
+});
+
+/************************************** bulkImport */
+
+describe('bulkImport', function () {
+  const newJob = Object.freeze({
+    title: 'new',
+    salary: 10,
+    equity: 0.5,
+    companyHandle: 'c1',
+  });
+
+  test('Creates jobs.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: newJob },
+      { index: 1, data: { title: 'new2', companyHandle: 'c2' } },
+    ];
+
+    // Act
+    const results = await Job.bulkImport(rows);
+
+    // Assert
+    expect(results).toEqual([
+      { index: 0, status: 'created', id: expect.any(Number) },
+      { index: 1, status: 'created', id: expect.any(Number) },
+    ]);
+    expect(await Job.get(results[0].id)).toEqual({
+      ...newJob,
+      id: results[0].id,
+      status: 'open',
+      postedAt: expect.any(Date),
+      expiresAt: null,
+      technologies: [],
+    });
+  });
+
+  test.each([
+    [{ ...newJob, companyHandle: 'nope' }, '/companyHandle', 'reference'],
+    [{ ...newJob, technologies: ['nope'] }, '/technologies', 'reference'],
+    [{ ...newJob, title: 'j1', salary: 0, equity: 1 }, '/title', 'unique'],
+  ])(
+    'Rejects invalid rows and imports nothing.  Data: %o.',
+    async function (data, pointer, keyword) {
+      // Arrange
+      const rows = [
+        { index: 0, data: { ...newJob, title: 'valid' } },
+        { index: 1, data },
+      ];
+
+      // Act
+      let error;
+      try {
+        await Job.bulkImport(rows);
+      } catch (err) {
+        error = err;
+      }
+
+      // Assert
+      expect(error instanceof BadRequestError).toBeTruthy();
+      expect(error.fields).toEqual([
+        { pointer: `/1${pointer}`, keyword, message: expect.any(String) },
+      ]);
+      const result = await db.query(
+        `SELECT id FROM jobs WHERE title = 'valid'`
+      );
+      expect(result.rows).toEqual([]);
+    }
+  );
+
+  test('Imports valid rows if skipping invalid rows.', async function () {
+    // Arrange
+    const rows = [
+      { index: 0, data: { ...newJob, companyHandle: 'nope' } },
+      {
+        index: 1,
+        data: {
+          ...newJob,
+          technologies: ['t1', 'new tech'],
+          createTechnologies: true,
+        },
+      },
+    ];
+
+    // Act
+    const results = await Job.bulkImport(rows, true);
+
+    // Assert
+    expect(results).toEqual([
+      { index: 0, status: 'rejected', errors: [expect.any(Object)] },
+      { index: 1, status: 'created', id: expect.any(Number) },
+    ]);
+    expect((await Job.get(results[1].id)).technologies).toEqual([
+      'new tech',
+      't1',
+    ]);
+  });
 });
 
 /************************************** findAll */
@@ -70,6 +265,34 @@ describe('findAll', function () {
     expect(result).toEqual(jobs);
   });
 
+  test('works: deleted jobs are not found', async function () {
+    // Arrange
+    await Job.remove(2);
+
+    // Act
+    const result = await Job.findAll({});
+
+    // Assert
+    expect(result).toEqual([jobs[0], jobs[2]]);
+    expect(await Job.count({})).toEqual(2);
+  });
+
+  test('works: includeDeleted', async function () {
+    // Arrange
+    await Job.remove(2);
+
+    // Act
+    const result = await Job.findAll({ includeDeleted: true });
+
+    // Assert
+    expect(result).toEqual([
+      { ...jobs[0], deletedAt: null },
+      { ...jobs[1], deletedAt: expect.any(Date) },
+      { ...jobs[2], deletedAt: null },
+    ]);
+    expect(await Job.count({ includeDeleted: true })).toEqual(3);
+  });
+
   test.each([
     [{ title: '2' }, [jobs[1]]],
     [{ title: 'J' }, jobs],
@@ -93,6 +316,120 @@ describe('findAll', function () {
     // Assert
     expect(result).toEqual([jobs[2]]);
   });
+
+  test.each([
+    [{ sort: '-salary' }, [jobs[2], jobs[1], jobs[0]]],
+    [{ sort: 'newest', limit: 2 }, [jobs[2], jobs[1]]],
+    [{ sort: 'title', limit: 2, offset: 1 }, [jobs[1], jobs[2]]],
+    [{ hasEquity: true, sort: 'equity' }, [jobs[1], jobs[0]]],
+  ])('works: sorting and pagination, case %#', async (filters, expected) => {
+    // Act
+    const result = await Job.findAll(filters);
+
+    // Assert
+    expect(result).toEqual(expected);
+  });
+  test.each([
+    [
+      { q: 'backend engineer' },
+      ['Backend Engineer, Backend Platform', 'Engineer, Backend'],
+    ],
+    [
+      { q: 'backend engineer', sort: '-title' },
+      ['Engineer, Backend', 'Backend Engineer, Backend Platform'],
+    ],
+    [{ q: 'backend', minSalary: 50 }, ['Backend Engineer, Backend Platform']],
+  ])(
+    'works: full-text search, sorted by relevance by default, case %#',
+    async function (filters, titles) {
+      // Arrange
+      await db.query(
+        `INSERT INTO jobs (title, salary, equity, company_handle)
+        VALUES ('Engineer, Backend', 10, 0, 'c1'),
+               ('Backend Engineer, Backend Platform', 100, 0, 'c2'),
+               ('Frontend Engineer', 100, 0, 'c2')`
+      );
+
+      // Act
+      const jobs = await Job.findAll(filters);
+
+      // Assert
+      expect(jobs.map((j) => j.title)).toEqual(titles);
+    }
+  );
+  test.each([
+    [{ maxSalary: 100, minEquity: 0.5 }, ['j1', 'j2']],
+    [{ companyHandle: ['c2', 'c3'] }, ['j3']],
+    [{ minEmployees: 2, maxEmployees: 3 }, ['j3']],
+    [{ technologies: ['t1', 't3'] }, ['j1', 'j2']],
+    [{ technologies: ['t1', 't3'], technologiesMatch: 'all' }, ['j1']],
+    [{ technologies: ['nope'] }, []],
+  ])(
+    'works: range, company, and technology filters, case %#',
+    async function (filters, titles) {
+      // Act
+      const jobs = await Job.findAll(filters);
+
+      // Assert
+      expect(jobs.map((j) => j.title)).toEqual(titles);
+    }
+  );
+
+  test.each([
+    [{}, ['j1']],
+    [{ status: 'open' }, ['j1']],
+    [{ status: 'expired' }, ['j3']],
+    [{ status: 'closed' }, ['j2']],
+    [{ status: 'draft' }, ['draft']],
+    [{ status: 'all', minSalary: 100 }, ['j2', 'j3']],
+  ])('works: status filter, case %#', async function (filters, titles) {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j2'`);
+    await db.query(
+      `UPDATE jobs
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 second'
+      WHERE title = 'j3'`
+    );
+    await db.query(
+      `UPDATE jobs
+      SET expires_at = CURRENT_TIMESTAMP + INTERVAL '1 day'
+      WHERE title = 'j1'`
+    );
+    await Job.create({ title: 'draft', companyHandle: 'c3', status: 'draft' });
+
+    // Act
+    const jobs = await Job.findAll(filters);
+
+    // Assert
+    expect(jobs.map((j) => j.title)).toEqual(titles);
+  });
+
+  test('bad request with an unknown status', async function () {
+    // Act / Assert
+    await expect(Job.findAll({ status: 'archived' })).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
+
+/************************************** count */
+
+describe('count', function () {
+  test.each([
+    [{}, 3],
+    [{ title: '2' }, 1],
+    [{ hasEquity: true, limit: 1 }, 2],
+    [{ q: 'j1' }, 1],
+    [{ technologies: ['t1', 't3'], technologiesMatch: 'all' }, 1],
+    [{ companyHandle: ['c1'], maxEmployees: 1 }, 2],
+    [{ status: 'closed' }, 0],
+  ])('counts jobs, case %#', async (filters, expected) => {
+    // Act
+    const total = await Job.count(filters);
+
+    // Assert
+    expect(total).toBe(expected);
+  });
 });
 
 /************************************** get */
@@ -116,6 +453,152 @@ describe('get', function () {
     // Act / Assert
     await expect(Job.get(id)).rejects.toThrow(NotFoundError);
   });
+
+  test('not found if job is deleted', async function () {
+    // Arrange
+    await Job.remove(1);
+
+    // Act / Assert
+    await expect(Job.get(1)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getApplications */
+
+describe('getApplications', function () {
+  test('gets the applications to a job', async function () {
+    // Arrange
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u2', 1, 'interested'),
+             ('u1', 1, 'applied'),
+             ('u1', 2, 'applied')`
+    );
+
+    // Act
+    const result = await Job.getApplications(1);
+
+    // Assert
+    expect(result).toEqual([
+      { username: 'u1', status: 'applied' },
+      { username: 'u2', status: 'interested' },
+    ]);
+  });
+
+  test('does not get applications of deleted users', async function () {
+    // Arrange
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u1', 1, 'applied'),
+             ('u2', 1, 'applied')`
+    );
+    await db.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE username = 'u2'`
+    );
+
+    // Act
+    const result = await Job.getApplications(1);
+
+    // Assert
+    expect(result).toEqual([{ username: 'u1', status: 'applied' }]);
+  });
+
+  test('not found if job does not exist', async function () {
+    // Act / Assert
+    await expect(Job.getApplications(999)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** findAllApplications */
+
+describe('findAllApplications', function () {
+  beforeEach(async function () {
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u2', 1, 'interested'),
+             ('u1', 1, 'applied'),
+             ('u1', 3, 'applied')`
+    );
+  });
+
+  test('works: no filter', async function () {
+    // Act
+    const result = await Job.findAllApplications();
+
+    // Assert
+    expect(result).toEqual([
+      {
+        username: 'u1',
+        firstName: 'U1F',
+        lastName: 'U1L',
+        email: 'u1@email.com',
+        jobId: 1,
+        jobTitle: 'j1',
+        companyHandle: 'c1',
+        companyName: 'C1',
+        status: 'applied',
+      },
+      {
+        username: 'u2',
+        firstName: 'U2F',
+        lastName: 'U2L',
+        email: 'u2@email.com',
+        jobId: 1,
+        jobTitle: 'j1',
+        companyHandle: 'c1',
+        companyName: 'C1',
+        status: 'interested',
+      },
+      {
+        username: 'u1',
+        firstName: 'U1F',
+        lastName: 'U1L',
+        email: 'u1@email.com',
+        jobId: 3,
+        jobTitle: 'j3',
+        companyHandle: 'c2',
+        companyName: 'C2',
+        status: 'applied',
+      },
+    ]);
+  });
+
+  test.each([
+    [
+      { status: 'applied' },
+      [
+        ['u1', 1],
+        ['u1', 3],
+      ],
+    ],
+    [{ companyHandle: 'c2' }, [['u1', 3]]],
+    [{ status: 'interested', companyHandle: 'c1' }, [['u2', 1]]],
+    [{ limit: 1, offset: 1 }, [['u2', 1]]],
+    [{ companyHandle: 'c3' }, []],
+    [{ companyHandles: ['c2', 'c3'] }, [['u1', 3]]],
+    [{ companyHandle: 'c1', companyHandles: ['c2'] }, []],
+    [{ companyHandles: [] }, []],
+  ])('works: filters %o', async function (filters, expected) {
+    // Act
+    const result = await Job.findAllApplications(filters);
+
+    // Assert
+    expect(result.map((a) => [a.username, a.jobId])).toEqual(expected);
+  });
+
+  test('works: no applications of deleted users or jobs', async function () {
+    // Arrange
+    await Job.remove(3);
+    await db.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE username = 'u2'`
+    );
+
+    // Act
+    const result = await Job.findAllApplications();
+
+    // Assert
+    expect(result.map((a) => [a.username, a.jobId])).toEqual([['u1', 1]]);
+  });
 });
 
 /************************************** update */
@@ -181,6 +664,58 @@ describe('update', function () {
     expect(job).toEqual(expectedJob);
   });
 
+  test('replaces the technologies of a job', async function () {
+    // Arrange
+    const updateData = { technologies: [3, 't2'] };
+    const expectedJob = { ...jobs[0], technologies: ['t2', 't3'] };
+
+    // Act
+    const result = await Job.update(id, updateData);
+
+    // Assert
+    expect(result).toEqual(expectedJob);
+
+    const job = await Job.get(id);
+    expect(job).toEqual(expectedJob);
+  });
+
+  test('removes all technologies of a job', async function () {
+    // Act
+    const result = await Job.update(id, { technologies: [] });
+
+    // Assert
+    expect(result).toEqual({ ...jobs[0], technologies: [] });
+  });
+
+  test('updates fields and creates unknown technologies', async function () {
+    // Arrange
+    const updateDataWithTechnologies = {
+      ...updateData,
+      technologies: ['new tech'],
+      createTechnologies: true,
+    };
+
+    // Act
+    const result = await Job.update(id, updateDataWithTechnologies);
+
+    // Assert
+    expect(result).toEqual({
+      ...jobs[0],
+      ...updateData,
+      technologies: ['new tech'],
+    });
+  });
+
+  test('not found with unknown technologies', async function () {
+    // Act / Assert
+    await expect(
+      Job.update(id, { ...updateData, technologies: ['new tech'] })
+    ).rejects.toThrow(NotFoundError);
+
+    const job = await Job.get(id);
+    expect(job).toEqual(jobs[0]);
+  });
+
   test('not found if job does not exist', async function () {
     // Arrange
     const id = 999;
@@ -189,6 +724,21 @@ describe('update', function () {
     await expect(Job.update(id, updateData)).rejects.toThrow(NotFoundError);
   });
 
+  test('not found if job does not exist when setting technologies', async function () {
+    // Arrange
+    const id = 999;
+
+    // Act / Assert
+    await expect(
+      Job.update(id, { technologies: ['new tech'], createTechnologies: true })
+    ).rejects.toThrow(NotFoundError);
+
+    const techResult = await db.query(
+      `SELECT name FROM technologies WHERE name = 'new tech'`
+    );
+    expect(techResult.rowCount).toBe(0);
+  });
+
   test('bad request with no data', async function () {
     // Arrange
     const updateData = {};
@@ -196,6 +746,87 @@ describe('update', function () {
     // Act / Assert
     await expect(Job.update(id, updateData)).rejects.toThrow(BadRequestError);
   });
+
+  test('closes and reopens a job, keeping postedAt and applications', async function () {
+    // Arrange
+    const { postedAt } = await Job.get(id);
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u1', $1, 'applied')`,
+      [id]
+    );
+
+    // Act
+    const closed = await Job.update(id, { status: 'closed' });
+    const reopened = await Job.update(id, { status: 'open' });
+
+    // Assert
+    expect(closed).toEqual({ ...jobs[0], status: 'closed', postedAt });
+    expect(reopened).toEqual({ ...jobs[0], status: 'open', postedAt });
+    expect(await Job.getApplications(id)).toEqual([
+      { username: 'u1', status: 'applied' },
+    ]);
+  });
+
+  test('posts a draft when it is opened', async function () {
+    // Arrange
+    const draft = await Job.create({
+      title: 'draft',
+      companyHandle: 'c1',
+      status: 'draft',
+    });
+    const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+    // Act
+    const result = await Job.update(draft.id, { status: 'open', expiresAt });
+
+    // Assert
+    expect(result).toEqual(
+      expect.objectContaining({
+        status: 'open',
+        postedAt: expect.any(Date),
+        expiresAt,
+      })
+    );
+  });
+
+  test.each([
+    ['open', 'draft'],
+    ['closed', 'draft'],
+  ])(
+    'bad request when changing status from %s to %s',
+    async function (currentStatus, status) {
+      // Arrange
+      await db.query('UPDATE jobs SET status = $1 WHERE id = $2', [
+        currentStatus,
+        id,
+      ]);
+
+      // Act / Assert
+      try {
+        await Job.update(id, { status });
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.code).toEqual('INVALID_STATUS_TRANSITION');
+      }
+      expect.assertions(2);
+    }
+  );
+
+  test('not found when changing status of no such job', async function () {
+    // Act / Assert
+    await expect(Job.update(999, { status: 'closed' })).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test('not found if job is deleted', async function () {
+    // Arrange
+    await Job.remove(id);
+
+    // Act / Assert
+    await expect(Job.update(id, updateData)).rejects.toThrow(NotFoundError);
+  });
 });
 
 /************************************** remove */
@@ -210,6 +841,10 @@ describe('remove', function () {
 
     // Assert
     await expect(Job.get(id)).rejects.toThrow(NotFoundError);
+    const result = await db.query('SELECT deleted_at FROM jobs WHERE id = $1', [
+      id,
+    ]);
+    expect(result.rows).toEqual([{ deleted_at: expect.any(Date) }]);
   });
 
   test('not found if job does not exist', async function () {
@@ -219,4 +854,53 @@ describe('remove', function () {
     // Act / Assert
     await expect(Job.remove(id)).rejects.toThrow(NotFoundError);
   });
+
+  test('not found if job is already deleted', async function () {
+    // Arrange
+    await Job.remove(1);
+
+    // Act / Assert
+    await expect(Job.remove(1)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** restore */
+
+describe('restore', function () {
+  test('restores a deleted job', async function () {
+    // Arrange
+    await Job.remove(1);
+
+    // Act
+    const result = await Job.restore(1);
+
+    // Assert
+    expect(result).toEqual(jobs[0]);
+    expect(await Job.get(1)).toEqual(jobs[0]);
+  });
+
+  test.each([[1], [999]])(
+    'not found if there is no deleted job %s',
+    async function (id) {
+      // Act / Assert
+      await expect(Job.restore(id)).rejects.toThrow(NotFoundError);
+    }
+  );
+
+  test('bad request if the company is deleted', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'c1'`
+    );
+    await Job.remove(1);
+
+    // Act / Assert
+    try {
+      await Job.restore(1);
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.code).toEqual('COMPANY_DELETED');
+    }
+    expect.assertions(2);
+  });
 });
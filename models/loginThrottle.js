@@ -0,0 +1,364 @@
+'use strict';
+
+const db = require('../db');
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT_SECONDS,
+  LOGIN_MAX_LOCKOUT_SECONDS,
+} = require('../config');
+const { NotFoundError, TooManyRequestsError } = require('../expressError');
+const { sqlSortAndPaginationClauses } = require('../helpers/sql');
+
+// ==================================================
+
+// Failures allowed for each type of lockout key before it is locked out.
+const MAX_FAILURES = Object.freeze({
+  username: LOGIN_MAX_FAILURES,
+  ip: LOGIN_MAX_IP_FAILURES,
+});
+
+// Sorts allowed for failed logins.  Newest failures are listed first.
+const LOGIN_FAILURE_SORTS = Object.freeze({
+  failedAt: Object.freeze(['failed_at', 'DESC']),
+});
+
+/**
+ * Finds how long a key is locked out for after a number of failures.  The
+ * first lockout lasts LOGIN_LOCKOUT_SECONDS, and each further failure doubles
+ * it, up to LOGIN_MAX_LOCKOUT_SECONDS.
+ *
+ * @param {Number} failures The number of recent failures for the key.
+ * @param {Number} maxFailures The failures allowed before a lockout.
+ * @returns {Number} The lockout in seconds, or 0 if not locked out.
+ */
+function lockoutSeconds(failures, maxFailures) {
+  if (failures < maxFailures) return 0;
+  return Math.min(
+    LOGIN_LOCKOUT_SECONDS * 2 ** (failures - maxFailures),
+    LOGIN_MAX_LOCKOUT_SECONDS
+  );
+}
+
+/**
+ * Builds the SQL WHERE clause for finding failed logins.
+ *
+ * @param {Object} filters { username, ip, since }, where since is a date.
+ * @returns {String, Array} The SQL String, which is empty if there are no
+ *   filters, and the values of its parameters.
+ */
+function sqlWhereClauseForGetLoginFailures(filters) {
+  const clauses = [];
+  const values = [];
+
+  const columns = {
+    username: 'username = $',
+    ip: 'ip = $',
+    since: 'failed_at >= $',
+  };
+  for (const [name, condition] of Object.entries(columns)) {
+    if (filters[name] === undefined) continue;
+    values.push(filters[name]);
+    clauses.push(condition + values.length);
+  }
+
+  const whereClause =
+    clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  return { whereClause, values };
+}
+
+/**
+ * Counts a login attempt as a failure of the username and the IP address, if
+ * neither is locked out.  Failures older than LOGIN_MAX_LOCKOUT_SECONDS since
+ * the last attempt are forgotten.  A key without a lockout can only be
+ * counted up to its allowed failures, since the attempts that reach it lock
+ * it out if they fail.  An ended lockout is removed, so that only one attempt
+ * runs before the key is locked out again.
+ *
+ * @param {String} username The username logging in.
+ * @param {String} ip The IP address the login comes from.
+ * @throws TooManyRequestsError If either can not be counted.
+ */
+async function reserveAttempt(username, ip) {
+  // one statement, so that concurrent attempts for a key are counted one
+  // after the other
+  const result = await db.query(
+    `INSERT INTO login_lockouts AS l
+      (key_type, key, failures, last_failure_at)
+    VALUES ('username', $1, 1, CURRENT_TIMESTAMP),
+           ('ip', $2, 1, CURRENT_TIMESTAMP)
+    ON CONFLICT (key_type, key) DO UPDATE
+    SET failures = CASE
+          WHEN l.last_failure_at
+            < CURRENT_TIMESTAMP - make_interval(secs => $5)
+          THEN 1
+          ELSE l.failures + 1
+        END,
+        last_failure_at = CURRENT_TIMESTAMP,
+        locked_until = NULL
+    WHERE l.locked_until <= CURRENT_TIMESTAMP
+      OR l.last_failure_at < CURRENT_TIMESTAMP - make_interval(secs => $5)
+      OR (l.locked_until IS NULL
+        AND l.failures < CASE l.key_type WHEN 'username' THEN $3::INTEGER
+                                         ELSE $4::INTEGER END)
+    RETURNING key_type AS "keyType", key`,
+    [
+      username,
+      ip,
+      MAX_FAILURES.username,
+      MAX_FAILURES.ip,
+      LOGIN_MAX_LOCKOUT_SECONDS,
+    ]
+  );
+  if (result.rows.length === 2) return;
+
+  await releaseAttempt(result.rows.map((r) => [r.keyType, r.key]));
+
+  const lockoutRes = await db.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - CURRENT_TIMESTAMP))
+              ::INTEGER AS "retryAfter"
+    FROM login_lockouts
+    WHERE ((key_type = 'username' AND key = $1)
+        OR (key_type = 'ip' AND key = $2))
+      AND locked_until > CURRENT_TIMESTAMP`,
+    [username, ip]
+  );
+  // without a lockout yet, other attempts are running that lock out the key
+  // if they fail
+  const retryAfter = lockoutRes.rows[0].retryAfter || LOGIN_LOCKOUT_SECONDS;
+  throw new TooManyRequestsError(
+    `Too many failed logins.  Try again in ${retryAfter} seconds.`,
+    retryAfter
+  );
+}
+
+/**
+ * Stops counting an attempt that did not fail.  A key that still has too many
+ * failures gets back its ended lockout, so that it can be attempted again.
+ *
+ * @param {Array} keys [[keyType, key], ...], the keys the attempt was counted
+ *   for.
+ */
+async function releaseAttempt(keys) {
+  if (keys.length === 0) return;
+
+  await db.query(
+    `UPDATE login_lockouts
+    SET failures = failures - 1,
+        locked_until = CASE
+          WHEN locked_until IS NULL
+            AND failures - 1 >= CASE key_type WHEN 'username' THEN $3::INTEGER
+                                              ELSE $4::INTEGER END
+          THEN CURRENT_TIMESTAMP
+          ELSE locked_until
+        END
+    WHERE (key_type, key) IN (SELECT * FROM UNNEST($1::TEXT[], $2::TEXT[]))`,
+    [
+      keys.map(([keyType]) => keyType),
+      keys.map(([, key]) => key),
+      MAX_FAILURES.username,
+      MAX_FAILURES.ip,
+    ]
+  );
+}
+
+/**
+ * Records a failed attempt, which reserveAttempt already counted, and locks
+ * out the username or IP address if it has failed too many times.
+ *
+ * @param {String} username The username that failed to log in.
+ * @param {String} ip The IP address the login came from.
+ */
+async function recordFailure(username, ip) {
+  await db.withTransaction(async () => {
+    await db.query(
+      `INSERT INTO login_failures (username, ip)
+      VALUES ($1, $2)`,
+      [username, ip]
+    );
+
+    const result = await db.query(
+      `UPDATE login_lockouts
+      SET last_failure_at = CURRENT_TIMESTAMP
+      WHERE (key_type = 'username' AND key = $1)
+        OR (key_type = 'ip' AND key = $2)
+      RETURNING key_type AS "keyType", key, failures`,
+      [username, ip]
+    );
+
+    for (const { keyType, key, failures } of result.rows) {
+      const seconds = lockoutSeconds(failures, MAX_FAILURES[keyType]);
+      if (seconds > 0) {
+        await db.query(
+          `UPDATE login_lockouts
+          SET locked_until = CURRENT_TIMESTAMP + make_interval(secs => $3)
+          WHERE key_type = $1 AND key = $2`,
+          [keyType, key, seconds]
+        );
+      }
+    }
+  });
+}
+
+/** Related functions for limiting failed logins. */
+
+class LoginThrottle {
+  /**
+   * Runs a login attempt, such as checking a password, if logins are not
+   * locked out for the username or the IP address.  The attempt is counted
+   * as a failure before it runs, so that concurrent attempts can not all get
+   * past the limits before any of them fails, and it stops counting if it
+   * does not fail.  A failed attempt is recorded, and locks out the username
+   * or IP address if it has failed too many times.
+   *
+   * @param {String} username The username logging in.
+   * @param {String} ip The IP address the login comes from.
+   * @param {Function} fn async () => result, the attempt.
+   * @param {Function} isFailure (err) => Boolean, whether an error thrown by
+   *   fn means that the attempt failed.
+   * @returns The result of fn.
+   * @throws TooManyRequestsError If either is locked out, or has as many
+   *   attempts running as it has failures left, with the seconds until the
+   *   longest lockout ends as retryAfter.
+   */
+  static async attempt(username, ip, fn, isFailure) {
+    await reserveAttempt(username, ip);
+
+    let failed = false;
+    try {
+      return await fn();
+    } catch (err) {
+      failed = isFailure(err);
+      throw err;
+    } finally {
+      if (failed) {
+        await recordFailure(username, ip);
+      } else {
+        await releaseAttempt([
+          ['username', username],
+          ['ip', ip],
+        ]);
+      }
+    }
+  }
+
+  /**
+   * Forgets the failed logins of a username after it logs in.  Failures for
+   * the IP address are kept, so that trying many usernames is still limited.
+   *
+   * @param {String} username The username that logged in.
+   */
+  static async recordSuccess(username) {
+    await db.query(
+      `DELETE FROM login_lockouts
+      WHERE key_type = 'username' AND key = $1`,
+      [username]
+    );
+  }
+
+  /**
+   * Finds the usernames and IP addresses that are locked out, the ones
+   * locked out the longest first.
+   *
+   * @returns {Array} [{ keyType, key, failures, lastFailureAt, lockedUntil },
+   *   ...], where keyType is "username" or "ip".
+   */
+  static async findLockouts() {
+    const result = await db.query(
+      `SELECT key_type AS "keyType",
+              key,
+              failures,
+              last_failure_at AS "lastFailureAt",
+              locked_until AS "lockedUntil"
+      FROM login_lockouts
+      WHERE locked_until > CURRENT_TIMESTAMP
+      ORDER BY locked_until DESC, key_type, key`
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Clears the lockout and the recent failures of a username or IP address.
+   * The failed logins are kept for review.
+   *
+   * @param {String} keyType "username" or "ip".
+   * @param {String} key The username or IP address.
+   * @returns {Object} { keyType, key, failures, lastFailureAt, lockedUntil },
+   *   as it was before it was cleared.
+   * @throws NotFoundError If there are no recent failures for the key.
+   */
+  static async clearLockout(keyType, key) {
+    const result = await db.query(
+      `DELETE FROM login_lockouts
+      WHERE key_type = $1 AND key = $2
+      RETURNING key_type AS "keyType",
+                key,
+                failures,
+                last_failure_at AS "lastFailureAt",
+                locked_until AS "lockedUntil"`,
+      [keyType, key]
+    );
+
+    const lockout = result.rows[0];
+    if (!lockout) throw new NotFoundError(`No lockout: ${keyType} ${key}`);
+
+    return lockout;
+  }
+
+  /**
+   * Finds failed logins, newest first.
+   *
+   * Filters can be { username, ip, since }, where since is a date.
+   *
+   * Can also paginate with { limit: Number, offset: Number }.
+   *
+   * @param {Object} filters The filters to use.
+   * @returns [{ id, username, ip, failedAt }, ...]
+   */
+  static async findFailures(filters = {}) {
+    const { whereClause, values } = sqlWhereClauseForGetLoginFailures(filters);
+    const sortAndPagination = sqlSortAndPaginationClauses(
+      filters,
+      LOGIN_FAILURE_SORTS,
+      'failedAt',
+      'id DESC',
+      values.length + 1
+    );
+
+    const result = await db.query(
+      `SELECT id,
+              username,
+              ip,
+              failed_at AS "failedAt"
+      FROM login_failures` +
+        whereClause +
+        sortAndPagination.clauses,
+      [...values, ...sortAndPagination.values]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Counts the failed logins that match filters, ignoring pagination.
+   *
+   * @param {Object} filters The same filters as findFailures.
+   * @returns {Number} The number of failed logins.
+   */
+  static async countFailures(filters = {}) {
+    const { whereClause, values } = sqlWhereClauseForGetLoginFailures(filters);
+
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS total
+      FROM login_failures` + whereClause,
+      values
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+// ==================================================
+
+module.exports = LoginThrottle;
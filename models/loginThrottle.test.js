@@ -0,0 +1,426 @@
+'use strict';
+
+const db = require('../db.js');
+const LoginThrottle = require('./loginThrottle.js');
+const {
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT_SECONDS,
+  LOGIN_MAX_LOCKOUT_SECONDS,
+} = require('../config');
+const { NotFoundError, TooManyRequestsError } = require('../expressError');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * An attempt that fails with an error counted as a failure.
+ */
+async function failingAttempt() {
+  throw new Error('Wrong password');
+}
+
+/**
+ * Makes failed login attempts for a username from an IP address.
+ *
+ * @param {Number} count How many attempts to make.
+ * @param {String} username The username that fails to log in.
+ * @param {String} ip The IP address the attempts come from.
+ */
+async function failLogins(count, username = 'u1', ip = '203.0.113.7') {
+  for (let i = 0; i < count; i++) {
+    await expect(
+      LoginThrottle.attempt(username, ip, failingAttempt, () => true)
+    ).rejects.toThrow('Wrong password');
+  }
+}
+
+/**
+ * Ends the lockouts, as if their time had passed.
+ */
+async function endLockouts() {
+  await db.query(
+    `UPDATE login_lockouts
+    SET locked_until = CURRENT_TIMESTAMP - INTERVAL '1 second'
+    WHERE locked_until IS NOT NULL`
+  );
+}
+
+/**
+ * Gets the lockout row for a username or IP address.
+ *
+ * @param {String} keyType "username" or "ip".
+ * @param {String} key The username or IP address.
+ * @returns {Object} { failures, seconds }, where seconds is how long the key
+ *   is locked out for, or null if it is not.
+ */
+async function getLockout(keyType, key) {
+  const result = await db.query(
+    `SELECT failures,
+            EXTRACT(EPOCH FROM locked_until - CURRENT_TIMESTAMP)::INTEGER
+              AS seconds
+    FROM login_lockouts
+    WHERE key_type = $1 AND key = $2`,
+    [keyType, key]
+  );
+  return result.rows[0];
+}
+
+/************************************** attempt */
+
+describe('attempt', function () {
+  test('Returns the result of a successful attempt without counting it.', async function () {
+    // Arrange
+    await failLogins(2);
+
+    // Act
+    const result = await LoginThrottle.attempt(
+      'u1',
+      '203.0.113.7',
+      async () => 'user',
+      () => true
+    );
+
+    // Assert
+    expect(result).toEqual('user');
+    expect(await getLockout('username', 'u1')).toEqual({
+      failures: 2,
+      seconds: null,
+    });
+    expect(await getLockout('ip', '203.0.113.7')).toEqual({
+      failures: 2,
+      seconds: null,
+    });
+  });
+
+  test('Does not count attempts that throw errors that are not failures.', async function () {
+    // Act
+    await expect(
+      LoginThrottle.attempt('u1', '203.0.113.7', failingAttempt, () => false)
+    ).rejects.toThrow('Wrong password');
+
+    // Assert
+    expect(await getLockout('username', 'u1')).toEqual({
+      failures: 0,
+      seconds: null,
+    });
+    const result = await db.query('SELECT username FROM login_failures');
+    expect(result.rows).toEqual([]);
+  });
+
+  test('Records the failure and counts it for the username and IP address.', async function () {
+    // Act
+    await failLogins(1);
+
+    // Assert
+    const result = await db.query(
+      `SELECT username, ip
+      FROM login_failures`
+    );
+    expect(result.rows).toEqual([{ username: 'u1', ip: '203.0.113.7' }]);
+    expect(await getLockout('username', 'u1')).toEqual({
+      failures: 1,
+      seconds: null,
+    });
+    expect(await getLockout('ip', '203.0.113.7')).toEqual({
+      failures: 1,
+      seconds: null,
+    });
+  });
+
+  test('Throws TooManyRequestsError if the username is locked out.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES);
+    const fn = jest.fn();
+
+    // Act
+    let error;
+    try {
+      await LoginThrottle.attempt('u1', '198.51.100.1', fn, () => true);
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(TooManyRequestsError);
+    expect(error.status).toEqual(429);
+    expect(error.retryAfter).toEqual(LOGIN_LOCKOUT_SECONDS);
+    expect(fn).not.toHaveBeenCalled();
+    expect(await getLockout('ip', '198.51.100.1')).toEqual({
+      failures: 0,
+      seconds: null,
+    });
+  });
+
+  test('Throws TooManyRequestsError if the IP address is locked out.', async function () {
+    // Arrange
+    for (let i = 0; i < LOGIN_MAX_IP_FAILURES; i++) {
+      await failLogins(1, `user${i}`);
+    }
+
+    // Act / Assert
+    await expect(
+      LoginThrottle.attempt(
+        'u2',
+        '203.0.113.7',
+        async () => {},
+        () => true
+      )
+    ).rejects.toThrow(TooManyRequestsError);
+    await LoginThrottle.attempt(
+      'u2',
+      '198.51.100.1',
+      async () => {},
+      () => true
+    );
+  });
+
+  test('Only runs as many concurrent attempts as there are failures left.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES - 2);
+
+    // Act
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () =>
+        LoginThrottle.attempt('u1', '203.0.113.7', failingAttempt, () => true)
+      )
+    );
+
+    // Assert
+    const reasons = results.map((r) => r.reason.constructor.name);
+    expect(reasons.filter((name) => name === 'Error')).toHaveLength(2);
+    expect(
+      reasons.filter((name) => name === 'TooManyRequestsError')
+    ).toHaveLength(3);
+    expect(await getLockout('username', 'u1')).toEqual({
+      failures: LOGIN_MAX_FAILURES,
+      seconds: LOGIN_LOCKOUT_SECONDS,
+    });
+  });
+
+  test('Allows one more attempt once the lockout has ended.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES);
+    await endLockouts();
+
+    // Act / Assert
+    await LoginThrottle.attempt(
+      'u1',
+      '203.0.113.7',
+      async () => {},
+      () => true
+    );
+    await LoginThrottle.attempt(
+      'u1',
+      '203.0.113.7',
+      async () => {},
+      () => true
+    );
+    await failLogins(1);
+    await expect(
+      LoginThrottle.attempt(
+        'u1',
+        '203.0.113.7',
+        async () => {},
+        () => true
+      )
+    ).rejects.toThrow(TooManyRequestsError);
+  });
+
+  test('Doubles the lockout with each further failure, up to the maximum.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES);
+    const lockouts = [(await getLockout('username', 'u1')).seconds];
+
+    // Act
+    for (let i = 0; i < 10; i++) {
+      await endLockouts();
+      await failLogins(1, 'u1', `198.51.100.${i}`);
+      lockouts.push((await getLockout('username', 'u1')).seconds);
+    }
+
+    // Assert
+    expect(lockouts.slice(0, 3)).toEqual([
+      LOGIN_LOCKOUT_SECONDS,
+      LOGIN_LOCKOUT_SECONDS * 2,
+      LOGIN_LOCKOUT_SECONDS * 4,
+    ]);
+    expect(lockouts[lockouts.length - 1]).toEqual(LOGIN_MAX_LOCKOUT_SECONDS);
+  });
+
+  test('Forgets failures after a quiet period.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES - 1);
+    await db.query(
+      `UPDATE login_lockouts
+      SET last_failure_at = CURRENT_TIMESTAMP - make_interval(secs => $1)`,
+      [LOGIN_MAX_LOCKOUT_SECONDS + 1]
+    );
+
+    // Act
+    await failLogins(1);
+
+    // Assert
+    expect(await getLockout('username', 'u1')).toEqual({
+      failures: 1,
+      seconds: null,
+    });
+  });
+});
+
+/************************************** recordSuccess */
+
+describe('recordSuccess', function () {
+  test('Clears the failures of the username, but not the IP address.', async function () {
+    // Arrange
+    await failLogins(2);
+
+    // Act
+    await LoginThrottle.recordSuccess('u1');
+
+    // Assert
+    expect(await getLockout('username', 'u1')).toBeUndefined();
+    expect(await getLockout('ip', '203.0.113.7')).toEqual({
+      failures: 2,
+      seconds: null,
+    });
+  });
+});
+
+/************************************** findLockouts */
+
+describe('findLockouts', function () {
+  test('Finds the keys that are locked out.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES);
+    await failLogins(1, 'u2');
+
+    // Act
+    const lockouts = await LoginThrottle.findLockouts();
+
+    // Assert
+    expect(lockouts).toEqual([
+      {
+        keyType: 'username',
+        key: 'u1',
+        failures: LOGIN_MAX_FAILURES,
+        lastFailureAt: expect.any(Date),
+        lockedUntil: expect.any(Date),
+      },
+    ]);
+  });
+
+  test('Finds nothing if there are no lockouts.', async function () {
+    // Act / Assert
+    expect(await LoginThrottle.findLockouts()).toEqual([]);
+  });
+});
+
+/************************************** clearLockout */
+
+describe('clearLockout', function () {
+  test('Clears the lockout so the key can log in again.', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES);
+
+    // Act
+    const lockout = await LoginThrottle.clearLockout('username', 'u1');
+
+    // Assert
+    expect(lockout).toEqual({
+      keyType: 'username',
+      key: 'u1',
+      failures: LOGIN_MAX_FAILURES,
+      lastFailureAt: expect.any(Date),
+      lockedUntil: expect.any(Date),
+    });
+    await LoginThrottle.attempt(
+      'u1',
+      '198.51.100.1',
+      async () => {},
+      () => true
+    );
+    expect(await LoginThrottle.countFailures()).toEqual(LOGIN_MAX_FAILURES);
+  });
+
+  test('Throws NotFoundError if there is no lockout.', async function () {
+    // Act / Assert
+    await expect(LoginThrottle.clearLockout('username', 'u1')).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** findFailures */
+
+describe('findFailures', function () {
+  test('Finds failed logins, newest first.', async function () {
+    // Arrange
+    await failLogins(1, 'u1', '203.0.113.7');
+    await failLogins(1, 'u2', '198.51.100.1');
+
+    // Act
+    const failures = await LoginThrottle.findFailures();
+
+    // Assert
+    expect(failures).toEqual([
+      {
+        id: expect.any(Number),
+        username: 'u2',
+        ip: '198.51.100.1',
+        failedAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        username: 'u1',
+        ip: '203.0.113.7',
+        failedAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test.each([
+    [{ username: 'u1' }, ['u1']],
+    [{ ip: '198.51.100.1' }, ['u2']],
+    [{ since: '2000-01-01T00:00:00Z' }, ['u2', 'u1']],
+    [{ since: '3000-01-01T00:00:00Z' }, []],
+    [{ limit: 1, offset: 1 }, ['u1']],
+  ])(
+    'Filters and paginates.  Filters: %o.',
+    async function (filters, usernames) {
+      // Arrange
+      await failLogins(1, 'u1', '203.0.113.7');
+      await failLogins(1, 'u2', '198.51.100.1');
+
+      // Act
+      const failures = await LoginThrottle.findFailures(filters);
+
+      // Assert
+      expect(failures.map((f) => f.username)).toEqual(usernames);
+    }
+  );
+});
+
+/************************************** countFailures */
+
+describe('countFailures', function () {
+  test('Counts failed logins, ignoring pagination.', async function () {
+    // Arrange
+    await failLogins(3, 'u1');
+    await failLogins(1, 'u2');
+
+    // Act / Assert
+    expect(await LoginThrottle.countFailures({ limit: 1 })).toEqual(4);
+    expect(await LoginThrottle.countFailures({ username: 'u2' })).toEqual(1);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const db = require('../db');
+const { PASSWORD_RESET_EXPIRES_IN } = require('../config');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+
+// ==================================================
+
+/** Related functions for password reset tokens. */
+
+class PasswordReset {
+  /**
+   * Creates a single-use password reset token for a user.  Only the hash of
+   * the token is stored.  Any earlier tokens for the user, and any expired
+   * or used tokens, are removed.
+   *
+   * @param {String} username Username of the user resetting their password.
+   * @returns {String} The password reset token.
+   * @throws NotFoundError If the user is not found.
+   */
+  static async create(username) {
+    await db.query(
+      `DELETE FROM password_reset_tokens
+      WHERE username = $1
+        OR used_at IS NOT NULL
+        OR expires_at < CURRENT_TIMESTAMP`,
+      [username]
+    );
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      await db.query(
+        `INSERT INTO password_reset_tokens (token_hash, username, expires_at)
+        VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(secs => $3))`,
+        [hashToken(token), username, PASSWORD_RESET_EXPIRES_IN]
+      );
+    } catch (err) {
+      if (err.code === '23503') {
+        throw new NotFoundError(`No user: ${username}`);
+      }
+      throw err;
+    }
+
+    return token;
+  }
+
+  /**
+   * Marks a password reset token as used, so that it can not be used again.
+   *
+   * @param {String} token The password reset token.
+   * @returns {String} Username of the user the token was created for.
+   * @throws BadRequestError If the token does not exist, is expired, or has
+   *   already been used.
+   */
+  static async consume(token) {
+    const result = await db.query(
+      `UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE token_hash = $1
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      RETURNING username`,
+      [hashToken(token)]
+    );
+
+    if (!result.rows[0])
+      throw new BadRequestError(
+        'Invalid or expired password reset token',
+        'INVALID_PASSWORD_RESET_TOKEN'
+      );
+
+    return result.rows[0].username;
+  }
+}
+
+// ==================================================
+
+module.exports = PasswordReset;
@@ -0,0 +1,100 @@
+'use strict';
+
+const db = require('../db.js');
+const PasswordReset = require('./passwordReset.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe('create', function () {
+  test('Creates a token and only stores its hash.', async function () {
+    // Act
+    const token = await PasswordReset.create('u1');
+
+    // Assert
+    expect(token).toEqual(expect.any(String));
+    const result = await db.query(
+      `SELECT token_hash, username, used_at
+      FROM password_reset_tokens`
+    );
+    expect(result.rows).toEqual([
+      { token_hash: expect.any(String), username: 'u1', used_at: null },
+    ]);
+    expect(result.rows[0].token_hash).not.toEqual(token);
+  });
+
+  test('Invalidates earlier tokens for the user.', async function () {
+    // Arrange
+    const oldToken = await PasswordReset.create('u1');
+
+    // Act
+    const token = await PasswordReset.create('u1');
+
+    // Assert
+    await expect(PasswordReset.consume(oldToken)).rejects.toThrow(
+      BadRequestError
+    );
+    expect(await PasswordReset.consume(token)).toEqual('u1');
+  });
+
+  test('Throws NotFoundError if user does not exist.', async function () {
+    // Act / Assert
+    await expect(PasswordReset.create('nope')).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** consume */
+
+describe('consume', function () {
+  test('Returns the username of the token.', async function () {
+    // Arrange
+    const token = await PasswordReset.create('u2');
+
+    // Act
+    const username = await PasswordReset.consume(token);
+
+    // Assert
+    expect(username).toEqual('u2');
+  });
+
+  test('Throws BadRequestError if token was already used.', async function () {
+    // Arrange
+    const token = await PasswordReset.create('u1');
+    await PasswordReset.consume(token);
+
+    // Act / Assert
+    await expect(PasswordReset.consume(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test('Throws BadRequestError if token is expired.', async function () {
+    // Arrange
+    const token = await PasswordReset.create('u1');
+    await db.query(
+      `UPDATE password_reset_tokens
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'`
+    );
+
+    // Act / Assert
+    await expect(PasswordReset.consume(token)).rejects.toThrow(BadRequestError);
+  });
+
+  test('Throws BadRequestError if token does not exist.', async function () {
+    // Act / Assert
+    await expect(PasswordReset.consume('nope')).rejects.toThrow(
+      BadRequestError
+    );
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const db = require('../db');
+
+// ==================================================
+
+/** Related functions for revoked refresh tokens. */
+
+class RevokedToken {
+  /**
+   * Revokes a refresh token, so that it can not be used again.  Revoking an
+   * already revoked token does nothing, and returns false, so that revoking a
+   * token is also the check that it was not used yet, even when it is used by
+   * concurrent requests.
+   *
+   * Revoked tokens that have expired are also removed, since they can no
+   * longer be used anyway.
+   *
+   * @param {Object} param0 { jti, username, exp }, from the refresh token
+   *   payload, where exp is in seconds since the epoch.
+   * @returns {Boolean} True if this call revoked the token, or false if it
+   *   was already revoked.
+   */
+  static async revoke({ jti, username, exp }) {
+    await db.query(
+      `DELETE FROM revoked_tokens
+      WHERE expires_at < CURRENT_TIMESTAMP`
+    );
+
+    const result = await db.query(
+      `INSERT INTO revoked_tokens (jti, username, expires_at)
+      VALUES ($1, $2, to_timestamp($3))
+      ON CONFLICT (jti) DO NOTHING
+      RETURNING jti`,
+      [jti, username, exp]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Checks whether a refresh token has been revoked.
+   *
+   * @param {String} jti The unique ID of the refresh token.
+   * @returns {Boolean} True if revoked.
+   */
+  static async isRevoked(jti) {
+    const result = await db.query(
+      `SELECT jti
+      FROM revoked_tokens
+      WHERE jti = $1`,
+      [jti]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+// ==================================================
+
+module.exports = RevokedToken;
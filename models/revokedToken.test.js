@@ -0,0 +1,73 @@
+'use strict';
+
+const db = require('../db.js');
+const RevokedToken = require('./revokedToken.js');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+const inOneHour = Math.floor(Date.now() / 1000) + 60 * 60;
+
+/************************************** revoke */
+
+describe('revoke', function () {
+  test('Revokes a token.', async function () {
+    // Act
+    const revoked = await RevokedToken.revoke({
+      jti: 'abc',
+      username: 'u1',
+      exp: inOneHour,
+    });
+
+    // Assert
+    expect(revoked).toBe(true);
+    expect(await RevokedToken.isRevoked('abc')).toBe(true);
+  });
+
+  test('Does nothing, and returns false, if token is already revoked.', async function () {
+    // Arrange
+    await RevokedToken.revoke({ jti: 'abc', username: 'u1', exp: inOneHour });
+
+    // Act
+    const revoked = await RevokedToken.revoke({
+      jti: 'abc',
+      username: 'u1',
+      exp: inOneHour,
+    });
+
+    // Assert
+    expect(revoked).toBe(false);
+    expect(await RevokedToken.isRevoked('abc')).toBe(true);
+  });
+
+  test('Removes expired revoked tokens.', async function () {
+    // Arrange
+    await RevokedToken.revoke({ jti: 'old', username: 'u1', exp: 1 });
+
+    // Act
+    await RevokedToken.revoke({ jti: 'abc', username: 'u1', exp: inOneHour });
+
+    // Assert
+    const result = await db.query(`SELECT jti FROM revoked_tokens`);
+    expect(result.rows).toEqual([{ jti: 'abc' }]);
+  });
+});
+
+/************************************** isRevoked */
+
+describe('isRevoked', function () {
+  test('Returns false if token is not revoked.', async function () {
+    // Act / Assert
+    expect(await RevokedToken.isRevoked('abc')).toBe(false);
+  });
+});
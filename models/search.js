@@ -0,0 +1,139 @@
+'use strict';
+
+const db = require('../db');
+const { sqlJobStatusCondition, sqlTextSearchQuery } = require('../helpers/sql');
+
+// ==================================================
+
+// Options for ts_headline, which makes the snippets and marks the words that
+// match the search term.  Control characters are used as the marks, so that
+// they can not be confused with the text, which is HTML-escaped afterwards.
+const SNIPPET_OPTIONS =
+  'StartSel="\u0002", StopSel="\u0003", MinWords=10, MaxWords=30';
+
+// Replacements for the characters of a snippet that are special in HTML.
+const HTML_ESCAPES = Object.freeze({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+});
+
+/**
+ * Converts a snippet from ts_headline into HTML, where the matching words are
+ * wrapped in <mark> tags.
+ *
+ * @param {String} snippet The snippet, with control characters as marks.
+ * @returns {String} The snippet as HTML.
+ */
+function snippetToHtml(snippet) {
+  return snippet
+    .replace(/[&<>"']/g, (c) => HTML_ESCAPES[c])
+    .replace(/\u0002/g, '<mark>')
+    .replace(/\u0003/g, '</mark>');
+}
+
+// SQL that finds the companies and open jobs matching the search term in the
+// first SQL parameter, with their rank and the text to make snippets from.
+// Deleted companies and jobs are never found.
+const matchesSql = `
+  SELECT 'company' AS type,
+         NULL::INTEGER AS id,
+         handle,
+         name AS title,
+         name || '. ' || description AS document,
+         ts_rank(search_vector, ${sqlTextSearchQuery(1)}) AS rank
+  FROM companies
+  WHERE search_vector @@ ${sqlTextSearchQuery(1)}
+    AND deleted_at IS NULL
+  UNION ALL
+  SELECT 'job' AS type,
+         id,
+         company_handle AS handle,
+         title,
+         title AS document,
+         ts_rank(search_vector, ${sqlTextSearchQuery(1)}) AS rank
+  FROM jobs
+  WHERE search_vector @@ ${sqlTextSearchQuery(1)}
+    AND deleted_at IS NULL
+    AND ${sqlJobStatusCondition('open')}`;
+
+// Orders the matches from best to worst, with ties in a consistent order.
+const matchesOrderBy = 'ORDER BY rank DESC, title, type, handle, id';
+
+/** Related functions for searching jobs and companies. */
+
+class Search {
+  /**
+   * Searches the names and descriptions of companies, and the titles of open
+   * jobs that have not expired, with full-text search.  Words are matched by
+   * their stems, in any order, so "backend engineer" also finds "Engineer,
+   * Backend".  Quoted phrases, OR, and "-" to exclude a word are supported.
+   *
+   * Results are ranked, with the best matches first, and have an HTML snippet
+   * where the matching words are wrapped in <mark> tags.
+   *
+   * @param {Object} param0 { q, limit, offset }, where q is the search term,
+   *   and limit and offset are for pagination.
+   * @returns {Array} [{ type: 'company', handle, name, rank, snippet }, or
+   *   { type: 'job', id, title, companyHandle, rank, snippet }, ...].
+   */
+  static async search({ q, limit, offset }) {
+    // snippets are only made for the page of results, since it is slow
+    const result = await db.query(
+      `SELECT type,
+              id,
+              handle,
+              title,
+              rank,
+              ts_headline('english', document, ${sqlTextSearchQuery(1)}, $2)
+                AS snippet
+      FROM (${matchesSql}
+            ${matchesOrderBy}
+            LIMIT $3
+            OFFSET $4) AS matches
+      ${matchesOrderBy}`,
+      [
+        q,
+        SNIPPET_OPTIONS,
+        limit === undefined ? null : limit,
+        offset === undefined ? 0 : offset,
+      ]
+    );
+
+    return result.rows.map(({ type, id, handle, title, rank, snippet }) =>
+      type === 'company'
+        ? { type, handle, name: title, rank, snippet: snippetToHtml(snippet) }
+        : {
+            type,
+            id,
+            title,
+            companyHandle: handle,
+            rank,
+            snippet: snippetToHtml(snippet),
+          }
+    );
+  }
+
+  /**
+   * Counts all companies and jobs that match a search term, ignoring
+   * pagination.
+   *
+   * @param {Object} param0 { q }, where q is the search term.
+   * @returns {Number} The number of matches.
+   */
+  static async count({ q }) {
+    const result = await db.query(
+      `SELECT COUNT(*)::INTEGER AS total
+      FROM (${matchesSql}) AS matches`,
+      [q]
+    );
+
+    return result.rows[0].total;
+  }
+}
+
+// ==================================================
+
+module.exports = Search;
@@ -0,0 +1,147 @@
+'use strict';
+
+const db = require('../db.js');
+const Search = require('./search.js');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(
+    `INSERT INTO companies (handle, name, description)
+    VALUES ('acme', 'Acme', 'Hiring backend engineers for R&D <3.')`
+  );
+  await db.query(
+    `INSERT INTO jobs (title, salary, equity, company_handle)
+    VALUES ('Engineer, Backend', 1, 0, 'c1'),
+           ('Frontend Engineer', 1, 0, 'c1'),
+           ('Backend Developer', 1, 0, 'c2')`
+  );
+});
+
+/************************************** search */
+
+describe('search', function () {
+  test('Finds ranked companies and jobs that match all words.', async function () {
+    // Act
+    const results = await Search.search({ q: 'backend engineer' });
+
+    // Assert
+    expect(results).toEqual([
+      {
+        type: 'company',
+        handle: 'acme',
+        name: 'Acme',
+        rank: expect.any(Number),
+        snippet:
+          'Acme. Hiring <mark>backend</mark> <mark>engineers</mark> for ' +
+          'R&amp;D &lt;3.',
+      },
+      {
+        type: 'job',
+        id: expect.any(Number),
+        title: 'Engineer, Backend',
+        companyHandle: 'c1',
+        rank: expect.any(Number),
+        snippet: '<mark>Engineer</mark>, <mark>Backend</mark>',
+      },
+    ]);
+    expect(results[0].rank).toBeGreaterThan(results[1].rank);
+  });
+
+  test.each([
+    ['"backend developer"', ['Backend Developer']],
+    ['backend -engineer', ['Backend Developer']],
+    ['frontend or developer', ['Backend Developer', 'Frontend Engineer']],
+  ])('Supports web search syntax.  q: %s.', async function (q, titles) {
+    // Act
+    const results = await Search.search({ q });
+
+    // Assert
+    expect(results.map((r) => r.title).sort()).toEqual(titles);
+  });
+
+  test('Paginates results.', async function () {
+    // Arrange
+    const allResults = await Search.search({ q: 'backend' });
+
+    // Act
+    const results = await Search.search({ q: 'backend', limit: 2, offset: 1 });
+
+    // Assert
+    expect(allResults.length).toEqual(3);
+    expect(results).toEqual(allResults.slice(1, 3));
+  });
+
+  test('Only finds open jobs that have not expired.', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE jobs SET status = 'closed' WHERE title = 'Backend Developer'`
+    );
+    await db.query(
+      `UPDATE jobs
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+      WHERE title = 'Engineer, Backend'`
+    );
+
+    // Act
+    const results = await Search.search({ q: 'backend' });
+    const total = await Search.count({ q: 'backend' });
+
+    // Assert
+    expect(results.map((r) => r.type)).toEqual(['company']);
+    expect(total).toEqual(1);
+  });
+
+  test('Does not find deleted companies and jobs.', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE companies SET deleted_at = CURRENT_TIMESTAMP WHERE handle = 'acme'`
+    );
+    await db.query(
+      `UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE company_handle = 'c1'`
+    );
+
+    // Act
+    const results = await Search.search({ q: 'backend' });
+    const total = await Search.count({ q: 'backend' });
+
+    // Assert
+    expect(results.map((r) => r.title)).toEqual(['Backend Developer']);
+    expect(total).toEqual(1);
+  });
+
+  test('Returns nothing if nothing matches.', async function () {
+    // Act
+    const results = await Search.search({ q: 'nope' });
+
+    // Assert
+    expect(results).toEqual([]);
+  });
+});
+
+/************************************** count */
+
+describe('count', function () {
+  test.each([
+    ['backend engineer', 2],
+    ['backend', 3],
+    ['nope', 0],
+  ])('Counts all matches.  q: %s.', async function (q, total) {
+    // Act
+    const result = await Search.count({ q });
+
+    // Assert
+    expect(result).toEqual(total);
+  });
+});
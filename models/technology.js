@@ -0,0 +1,226 @@
+'use strict';
+
+const db = require('../db');
+const { NotFoundError } = require('../expressError');
+const { constraintError } = require('../helpers/dbErrors');
+
+// ==================================================
+
+/** Related functions for technologies. */
+
+class Technology {
+  /**
+   * Inserts a new technology into the database and returns the database data.
+   *
+   * @param {Object} param0 { name }.
+   * @returns { id, name }.
+   * @throws BadRequestError - If the technology already exists in the
+   *   database.
+   */
+  static async create({ name }) {
+    let result;
+    try {
+      result = await db.query(
+        `INSERT INTO technologies (name)
+        VALUES ($1)
+        RETURNING id, name`,
+        [name]
+      );
+    } catch (err) {
+      if (err.constraint === 'technologies_name_key') {
+        throw constraintError(
+          'technologies_name_key',
+          `Duplicate technology: ${name}`
+        );
+      }
+      throw err;
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Finds all technologies, along with how many jobs and users reference each
+   * one.  Deleted jobs and users are not counted.
+   *
+   * Filters should be { name: String }, where name is a case-insensitive,
+   * partial match.
+   *
+   * @returns [{ id, name, numJobs, numUsers }, ...]
+   */
+  static async findAll(filters = {}) {
+    let querySql = `
+      SELECT t.id,
+             t.name,
+             (SELECT COUNT(*)
+              FROM jobs_technologies AS jt
+              JOIN jobs AS j ON jt.job_id = j.id
+              WHERE jt.tech_id = t.id
+                AND j.deleted_at IS NULL)::INTEGER AS "numJobs",
+             (SELECT COUNT(*)
+              FROM users_technologies AS ut
+              JOIN users AS u ON ut.username = u.username
+              WHERE ut.tech_id = t.id
+                AND u.deleted_at IS NULL)::INTEGER AS "numUsers"
+      FROM technologies AS t`;
+    const values = [];
+
+    if (filters.name) {
+      querySql += ' WHERE t.name ILIKE $1';
+      values.push(`%${filters.name}%`);
+    }
+
+    querySql += ' ORDER BY t.name';
+
+    const result = await db.query(querySql, values);
+    return result.rows;
+  }
+
+  /**
+   * Gets a specified technology by ID.
+   *
+   * @param {Number} id ID of technology to get.
+   * @returns { id, name, numJobs, numUsers }.
+   * @throws NotFoundError If technology is not found.
+   */
+  static async get(id) {
+    const result = await db.query(
+      `SELECT t.id,
+              t.name,
+              (SELECT COUNT(*)
+               FROM jobs_technologies AS jt
+               JOIN jobs AS j ON jt.job_id = j.id
+               WHERE jt.tech_id = t.id
+                 AND j.deleted_at IS NULL)::INTEGER AS "numJobs",
+              (SELECT COUNT(*)
+               FROM users_technologies AS ut
+               JOIN users AS u ON ut.username = u.username
+               WHERE ut.tech_id = t.id
+                 AND u.deleted_at IS NULL)::INTEGER AS "numUsers"
+      FROM technologies AS t
+      WHERE t.id = $1`,
+      [id]
+    );
+
+    const technology = result.rows[0];
+
+    if (!technology) throw new NotFoundError(`No technology: ${id}`);
+
+    return technology;
+  }
+
+  /**
+   * Renames a technology.
+   *
+   * @param {Number} id ID of the technology to rename.
+   * @param {Object} param1 { name }.
+   * @returns { id, name }.
+   * @throws BadRequestError If another technology already has the name.
+   * @throws NotFoundError If technology is not found.
+   */
+  static async update(id, { name }) {
+    let technology;
+    try {
+      const result = await db.query(
+        `UPDATE technologies
+        SET name = $1
+        WHERE id = $2
+        RETURNING id, name`,
+        [name, id]
+      );
+      technology = result.rows[0];
+    } catch (err) {
+      if (err.constraint === 'technologies_name_key') {
+        throw constraintError(
+          'technologies_name_key',
+          `Duplicate technology: ${name}`
+        );
+      }
+      throw err;
+    }
+
+    if (!technology) throw new NotFoundError(`No technology: ${id}`);
+
+    return technology;
+  }
+
+  /**
+   * Converts a list of technology names and/or IDs into technology IDs.
+   * Names that are not in the database can either be created or rejected.
+   *
+   * @param {Array} technologies [nameOrId, ...], where each element is a
+   *   technology name (String) or technology ID (Number).
+   * @param {Boolean} createMissing Whether to create technologies for names
+   *   that do not exist yet.
+   * @returns {Array} [id, ...] without duplicates.
+   * @throws NotFoundError If an ID does not exist, or if a name does not exist
+   *   and createMissing is false.
+   */
+  static async resolveIds(technologies, createMissing = false) {
+    const ids = technologies.filter((t) => Number.isInteger(t));
+    const names = technologies.filter((t) => typeof t === 'string');
+
+    const idsResult = await db.query(
+      `SELECT id
+      FROM technologies
+      WHERE id = ANY($1)`,
+      [ids]
+    );
+    const foundIds = idsResult.rows.map((r) => r.id);
+    const missingIds = ids.filter((id) => !foundIds.includes(id));
+    if (missingIds.length > 0)
+      throw new NotFoundError(`No technology: ${missingIds.join(', ')}`);
+
+    const namesResult = await db.query(
+      `SELECT id, name
+      FROM technologies
+      WHERE name = ANY($1)`,
+      [names]
+    );
+    const foundNames = namesResult.rows.map((r) => r.name);
+    const missingNames = names.filter((name) => !foundNames.includes(name));
+    if (missingNames.length > 0 && !createMissing)
+      throw new NotFoundError(`No technology: ${missingNames.join(', ')}`);
+
+    const createdIds = [];
+    for (const name of missingNames) {
+      const createResult = await db.query(
+        `INSERT INTO technologies (name)
+        VALUES ($1)
+        ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+        RETURNING id`,
+        [name]
+      );
+      createdIds.push(createResult.rows[0].id);
+    }
+
+    return [
+      ...new Set([
+        ...foundIds,
+        ...namesResult.rows.map((r) => r.id),
+        ...createdIds,
+      ]),
+    ];
+  }
+
+  /**
+   * Deletes a specified technology by ID.  This also removes the technology
+   * from any jobs and users.
+   *
+   * @param {Number} id The ID of the technology to delete.
+   * @throws NotFoundError If technology is not found.
+   */
+  static async remove(id) {
+    const result = await db.query(
+      `DELETE FROM technologies
+      WHERE id = $1`,
+      [id]
+    );
+
+    if (result.rowCount === 0) throw new NotFoundError(`No technology: ${id}`);
+  }
+}
+
+// ==================================================
+
+module.exports = Technology;
@@ -0,0 +1,163 @@
+'use strict';
+
+const db = require('../db.js');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const Technology = require('./technology.js');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// ensure that this matches insertion values in _testCommon
+const technologies = Object.freeze([
+  Object.freeze({ id: 1, name: 't1', numJobs: 2, numUsers: 1 }),
+  Object.freeze({ id: 2, name: 't2', numJobs: 1, numUsers: 1 }),
+  Object.freeze({ id: 3, name: 't3', numJobs: 1, numUsers: 0 }),
+]);
+
+/************************************** create */
+
+describe('create', function () {
+  test('Successfully creates a new technology.', async function () {
+    // Arrange
+    const newTechnology = { name: 'New Tech' };
+
+    // Act
+    const result = await Technology.create(newTechnology);
+
+    // Assert
+    expect(result).toEqual({ id: expect.any(Number), ...newTechnology });
+
+    const technology = await Technology.get(result.id);
+    expect(technology).toEqual({
+      id: result.id,
+      ...newTechnology,
+      numJobs: 0,
+      numUsers: 0,
+    });
+  });
+
+  test('bad request with dupe', async function () {
+    // Act / Assert
+    await expect(Technology.create({ name: 't1' })).rejects.toMatchObject({
+      message: 'Duplicate technology: t1',
+      code: 'DUPLICATE_TECHNOLOGY_NAME',
+    });
+  });
+});
+
+/************************************** findAll */
+
+describe('findAll', function () {
+  test('works: no filter', async function () {
+    // Act
+    const result = await Technology.findAll({});
+
+    // Assert
+    expect(result).toEqual(technologies);
+  });
+
+  test.each([
+    [{ name: '2' }, [technologies[1]]],
+    [{ name: 'T' }, technologies],
+    [{ name: 'nope' }, []],
+  ])('works: name filter, case %#', async (filters, expected) => {
+    // Act
+    const result = await Technology.findAll(filters);
+
+    // Assert
+    expect(result).toEqual(expected);
+  });
+
+  test('works: does not count deleted jobs and users', async function () {
+    // Arrange
+    await db.query(
+      'UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE id = 1'
+    );
+    await db.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE username = 'u1'`
+    );
+
+    // Act
+    const result = await Technology.findAll({});
+
+    // Assert
+    expect(result).toEqual([
+      { id: 1, name: 't1', numJobs: 1, numUsers: 0 },
+      { id: 2, name: 't2', numJobs: 0, numUsers: 0 },
+      { id: 3, name: 't3', numJobs: 0, numUsers: 0 },
+    ]);
+  });
+});
+
+/************************************** get */
+
+describe('get', function () {
+  test('gets a specified technology', async function () {
+    // Act
+    const result = await Technology.get(1);
+
+    // Assert
+    expect(result).toEqual(technologies[0]);
+  });
+
+  test('not found if technology does not exist', async function () {
+    // Act / Assert
+    await expect(Technology.get(999)).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** update */
+
+describe('update', function () {
+  test('renames a specified technology', async function () {
+    // Act
+    const result = await Technology.update(1, { name: 'Renamed' });
+
+    // Assert
+    expect(result).toEqual({ id: 1, name: 'Renamed' });
+
+    const technology = await Technology.get(1);
+    expect(technology).toEqual({ ...technologies[0], name: 'Renamed' });
+  });
+
+  test('bad request if name is taken', async function () {
+    // Act / Assert
+    await expect(Technology.update(1, { name: 't2' })).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test('not found if technology does not exist', async function () {
+    // Act / Assert
+    await expect(Technology.update(999, { name: 'Renamed' })).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** remove */
+
+describe('remove', function () {
+  test('deletes a technology', async function () {
+    // Act
+    await Technology.remove(1);
+
+    // Assert
+    await expect(Technology.get(1)).rejects.toThrow(NotFoundError);
+  });
+
+  test('not found if technology does not exist', async function () {
+    // Act / Assert
+    await expect(Technology.remove(999)).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,249 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const db = require('../db');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { hashToken } = require('../helpers/tokens');
+const {
+  generateSecret,
+  createOtpauthUri,
+  verifyCode,
+} = require('../helpers/totp');
+
+// ==================================================
+
+// How many recovery codes users get when they enable two-factor
+// authentication.
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Generates a random recovery code, e.g. "3f9a1-c07b2".
+ *
+ * @returns {String} The recovery code.
+ */
+function generateRecoveryCode() {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/**
+ * Normalizes a recovery code as users may type it, ignoring case, spaces,
+ * and dashes, so that it can be hashed.
+ *
+ * @param {String} code The recovery code.
+ * @returns {String} The normalized code.
+ */
+function normalizeRecoveryCode(code) {
+  return code.toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Gets the two-factor columns of a user.
+ *
+ * @param {String} username Username of the user.
+ * @returns {Object} { secret, enabled, lastCounter }
+ * @throws NotFoundError If the user is not found or deleted.
+ */
+async function getTwoFactorUser(username) {
+  const result = await db.query(
+    `SELECT totp_secret AS secret,
+            totp_enabled_at IS NOT NULL AS enabled,
+            totp_last_counter::INTEGER AS "lastCounter"
+    FROM users
+    WHERE username = $1 AND deleted_at IS NULL`,
+    [username]
+  );
+
+  const user = result.rows[0];
+  if (!user) throw new NotFoundError(`No user: ${username}`);
+
+  return user;
+}
+
+/** Related functions for two-factor authentication with TOTP codes. */
+
+class TwoFactor {
+  /**
+   * Starts enrolling a user in two-factor authentication, by generating a new
+   * secret for them to add to their authenticator app.  Two-factor
+   * authentication is not enabled until it is confirmed with a code.
+   *
+   * @param {String} username Username of the user.
+   * @returns {Object} { secret, otpauthUri }, where secret is base32.
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If two-factor authentication is already enabled.
+   */
+  static async startEnrollment(username) {
+    const user = await getTwoFactorUser(username);
+    if (user.enabled)
+      throw new BadRequestError(
+        'Two-factor authentication is already enabled',
+        'TWO_FACTOR_ALREADY_ENABLED'
+      );
+
+    const secret = generateSecret();
+    await db.query(
+      `UPDATE users
+      SET totp_secret = $2,
+          totp_last_counter = NULL
+      WHERE username = $1`,
+      [username, secret]
+    );
+
+    return { secret, otpauthUri: createOtpauthUri(secret, username) };
+  }
+
+  /**
+   * Enables two-factor authentication for a user, once they show with a code
+   * that their authenticator app has the secret from startEnrollment.  Also
+   * generates recovery codes, which can be used once each instead of a code.
+   * Only the hashes of recovery codes are stored.
+   *
+   * @param {String} username Username of the user.
+   * @param {String} code A code from the user's authenticator app.
+   * @returns {Array} [recoveryCode, ...]
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If enrollment was not started, two-factor
+   *   authentication is already enabled, or the code is not valid.
+   */
+  static async confirmEnrollment(username, code) {
+    return db.withTransaction(async () => {
+      const user = await getTwoFactorUser(username);
+      if (user.enabled)
+        throw new BadRequestError(
+          'Two-factor authentication is already enabled',
+          'TWO_FACTOR_ALREADY_ENABLED'
+        );
+      if (!user.secret)
+        throw new BadRequestError(
+          'Two-factor enrollment has not been started',
+          'TWO_FACTOR_NOT_STARTED'
+        );
+
+      const counter = verifyCode(user.secret, code);
+      if (counter === null)
+        throw new BadRequestError(
+          'Invalid two-factor code',
+          'INVALID_TWO_FACTOR_CODE',
+          [
+            {
+              pointer: '/code',
+              keyword: 'twoFactorCode',
+              message: 'is not valid',
+            },
+          ]
+        );
+
+      await db.query(
+        `UPDATE users
+        SET totp_enabled_at = CURRENT_TIMESTAMP,
+            totp_last_counter = $2
+        WHERE username = $1`,
+        [username, counter]
+      );
+
+      const recoveryCodes = Array.from(
+        { length: RECOVERY_CODE_COUNT },
+        generateRecoveryCode
+      );
+      await db.query(
+        `DELETE FROM recovery_codes
+        WHERE username = $1`,
+        [username]
+      );
+      await db.query(
+        `INSERT INTO recovery_codes (code_hash, username)
+        SELECT UNNEST($2::TEXT[]), $1`,
+        [
+          username,
+          recoveryCodes.map((c) => hashToken(normalizeRecoveryCode(c))),
+        ]
+      );
+
+      return recoveryCodes;
+    });
+  }
+
+  /**
+   * Verifies the second factor of a login: a code from the user's
+   * authenticator app, or an unused recovery code.  A code can only be used
+   * once, so codes from the same or an earlier period as the last one are
+   * refused, and recovery codes are marked as used.
+   *
+   * @param {String} username Username of the user.
+   * @param {String} code The code or recovery code.
+   * @returns {Boolean} Whether the code is valid.
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If two-factor authentication is not enabled.
+   */
+  static async verify(username, code) {
+    const user = await getTwoFactorUser(username);
+    if (!user.enabled)
+      throw new BadRequestError(
+        'Two-factor authentication is not enabled',
+        'TWO_FACTOR_NOT_ENABLED'
+      );
+
+    const counter = verifyCode(user.secret, code, user.lastCounter);
+    if (counter !== null) {
+      const result = await db.query(
+        `UPDATE users
+        SET totp_last_counter = $2
+        WHERE username = $1
+          AND (totp_last_counter IS NULL OR totp_last_counter < $2)
+        RETURNING username`,
+        [username, counter]
+      );
+      return result.rows.length > 0;
+    }
+
+    const result = await db.query(
+      `UPDATE recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE code_hash = $1
+        AND username = $2
+        AND used_at IS NULL
+      RETURNING username`,
+      [hashToken(normalizeRecoveryCode(code)), username]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Disables two-factor authentication for a user, removing their secret and
+   * recovery codes.
+   *
+   * @param {String} username Username of the user.
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If two-factor authentication is not enabled.
+   */
+  static async disable(username) {
+    await db.withTransaction(async () => {
+      const user = await getTwoFactorUser(username);
+      if (!user.enabled)
+        throw new BadRequestError(
+          'Two-factor authentication is not enabled',
+          'TWO_FACTOR_NOT_ENABLED'
+        );
+
+      await db.query(
+        `UPDATE users
+        SET totp_secret = NULL,
+            totp_enabled_at = NULL,
+            totp_last_counter = NULL
+        WHERE username = $1`,
+        [username]
+      );
+      await db.query(
+        `DELETE FROM recovery_codes
+        WHERE username = $1`,
+        [username]
+      );
+    });
+  }
+}
+
+// ==================================================
+
+module.exports = TwoFactor;
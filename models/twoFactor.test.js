@@ -0,0 +1,274 @@
+'use strict';
+
+const db = require('../db.js');
+const TwoFactor = require('./twoFactor.js');
+const { setTotpClock, getCounter, generateCode } = require('../helpers/totp');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+// A fixed time, so that codes are deterministic.
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+let previousClock;
+
+beforeAll(commonBeforeAll);
+beforeEach(async function () {
+  await commonBeforeEach();
+  previousClock = setTotpClock(() => NOW);
+});
+afterEach(async function () {
+  setTotpClock(previousClock);
+  await commonAfterEach();
+});
+afterAll(commonAfterAll);
+
+/**
+ * Enables two-factor authentication for a user.
+ *
+ * @param {String} username Username of the user.
+ * @returns {Object} { secret, recoveryCodes }
+ */
+async function enable(username = 'u1') {
+  const { secret } = await TwoFactor.startEnrollment(username);
+  // a code from the previous period, so that the current one is still unused
+  const code = generateCode(secret, getCounter() - 1);
+  const recoveryCodes = await TwoFactor.confirmEnrollment(username, code);
+  return { secret, recoveryCodes };
+}
+
+/************************************** startEnrollment */
+
+describe('startEnrollment', function () {
+  test('Generates a secret, without enabling two-factor authentication.', async function () {
+    // Act
+    const enrollment = await TwoFactor.startEnrollment('u1');
+
+    // Assert
+    expect(enrollment).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]{32}$/),
+      otpauthUri: expect.stringContaining(
+        `otpauth://totp/Jobly%3Au1?secret=${enrollment.secret}&`
+      ),
+    });
+    const result = await db.query(
+      `SELECT totp_secret AS secret, totp_enabled_at AS "enabledAt"
+      FROM users
+      WHERE username = 'u1'`
+    );
+    expect(result.rows).toEqual([
+      { secret: enrollment.secret, enabledAt: null },
+    ]);
+  });
+
+  test('Replaces the secret if started again.', async function () {
+    // Arrange
+    const first = await TwoFactor.startEnrollment('u1');
+
+    // Act
+    const second = await TwoFactor.startEnrollment('u1');
+
+    // Assert
+    expect(second.secret).not.toEqual(first.secret);
+    await expect(
+      TwoFactor.confirmEnrollment(
+        'u1',
+        generateCode(first.secret, getCounter())
+      )
+    ).rejects.toThrow(BadRequestError);
+  });
+
+  test('Throws BadRequestError if already enabled.', async function () {
+    // Arrange
+    await enable();
+
+    // Act / Assert
+    await expect(TwoFactor.startEnrollment('u1')).rejects.toThrow(
+      'Two-factor authentication is already enabled'
+    );
+  });
+
+  test('Throws NotFoundError if no such user.', async function () {
+    // Act / Assert
+    await expect(TwoFactor.startEnrollment('nope')).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** confirmEnrollment */
+
+describe('confirmEnrollment', function () {
+  test('Enables two-factor authentication and returns recovery codes.', async function () {
+    // Arrange
+    const { secret } = await TwoFactor.startEnrollment('u1');
+
+    // Act
+    const recoveryCodes = await TwoFactor.confirmEnrollment(
+      'u1',
+      generateCode(secret, getCounter())
+    );
+
+    // Assert
+    expect(recoveryCodes).toHaveLength(10);
+    for (const code of recoveryCodes) {
+      expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+    }
+    expect(new Set(recoveryCodes).size).toEqual(10);
+
+    const result = await db.query(
+      `SELECT code_hash AS "codeHash"
+      FROM recovery_codes
+      WHERE username = 'u1'`
+    );
+    expect(result.rows).toHaveLength(10);
+    for (const { codeHash } of result.rows) {
+      expect(recoveryCodes).not.toContain(codeHash);
+    }
+  });
+
+  test('Throws BadRequestError if the code is not valid.', async function () {
+    // Arrange
+    const { secret } = await TwoFactor.startEnrollment('u1');
+    const code = generateCode(secret, getCounter() + 5);
+
+    // Act
+    let error;
+    try {
+      await TwoFactor.confirmEnrollment('u1', code);
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(BadRequestError);
+    expect(error.code).toEqual('INVALID_TWO_FACTOR_CODE');
+    expect(error.fields).toEqual([
+      { pointer: '/code', keyword: 'twoFactorCode', message: 'is not valid' },
+    ]);
+  });
+
+  test('Throws BadRequestError if enrollment was not started.', async function () {
+    // Act / Assert
+    await expect(
+      TwoFactor.confirmEnrollment('u1', '123456')
+    ).rejects.toMatchObject({ code: 'TWO_FACTOR_NOT_STARTED' });
+  });
+
+  test('Throws BadRequestError if already enabled.', async function () {
+    // Arrange
+    const { secret } = await enable();
+
+    // Act / Assert
+    await expect(
+      TwoFactor.confirmEnrollment('u1', generateCode(secret, getCounter()))
+    ).rejects.toMatchObject({ code: 'TWO_FACTOR_ALREADY_ENABLED' });
+  });
+});
+
+/************************************** verify */
+
+describe('verify', function () {
+  test('Accepts a current code only once.', async function () {
+    // Arrange
+    const { secret } = await enable();
+    const code = generateCode(secret, getCounter());
+
+    // Act / Assert
+    expect(await TwoFactor.verify('u1', code)).toEqual(true);
+    expect(await TwoFactor.verify('u1', code)).toEqual(false);
+  });
+
+  test('Accepts codes from the next period, for clock drift.', async function () {
+    // Arrange
+    const { secret } = await enable();
+
+    // Act / Assert
+    expect(
+      await TwoFactor.verify('u1', generateCode(secret, getCounter() + 1))
+    ).toEqual(true);
+    expect(
+      await TwoFactor.verify('u1', generateCode(secret, getCounter()))
+    ).toEqual(false);
+  });
+
+  test('Refuses codes from other periods.', async function () {
+    // Arrange
+    const { secret } = await enable();
+
+    // Act / Assert
+    expect(
+      await TwoFactor.verify('u1', generateCode(secret, getCounter() + 2))
+    ).toEqual(false);
+  });
+
+  test('Accepts a recovery code only once, ignoring case and dashes.', async function () {
+    // Arrange
+    const { recoveryCodes } = await enable();
+    const code = recoveryCodes[0].toUpperCase().replace('-', ' ');
+
+    // Act / Assert
+    expect(await TwoFactor.verify('u1', code)).toEqual(true);
+    expect(await TwoFactor.verify('u1', recoveryCodes[0])).toEqual(false);
+    expect(await TwoFactor.verify('u1', recoveryCodes[1])).toEqual(true);
+  });
+
+  test("Refuses another user's recovery codes.", async function () {
+    // Arrange
+    const { recoveryCodes } = await enable('u1');
+    await enable('u2');
+
+    // Act / Assert
+    expect(await TwoFactor.verify('u2', recoveryCodes[0])).toEqual(false);
+  });
+
+  test('Throws BadRequestError if not enabled.', async function () {
+    // Act / Assert
+    await expect(TwoFactor.verify('u1', '123456')).rejects.toMatchObject({
+      code: 'TWO_FACTOR_NOT_ENABLED',
+    });
+  });
+});
+
+/************************************** disable */
+
+describe('disable', function () {
+  test('Removes the secret and recovery codes.', async function () {
+    // Arrange
+    await enable();
+
+    // Act
+    await TwoFactor.disable('u1');
+
+    // Assert
+    const userRes = await db.query(
+      `SELECT totp_secret AS secret, totp_enabled_at AS "enabledAt"
+      FROM users
+      WHERE username = 'u1'`
+    );
+    expect(userRes.rows).toEqual([{ secret: null, enabledAt: null }]);
+    const codesRes = await db.query(
+      `SELECT COUNT(*)::INTEGER AS count
+      FROM recovery_codes`
+    );
+    expect(codesRes.rows[0].count).toEqual(0);
+  });
+
+  test('Throws BadRequestError if not enabled.', async function () {
+    // Act / Assert
+    await expect(TwoFactor.disable('u1')).rejects.toMatchObject({
+      code: 'TWO_FACTOR_NOT_ENABLED',
+    });
+  });
+
+  test('Throws NotFoundError if no such user.', async function () {
+    // Act / Assert
+    await expect(TwoFactor.disable('nope')).rejects.toThrow(NotFoundError);
+  });
+});
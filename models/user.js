@@ -3,26 +3,204 @@
 const bcrypt = require('bcrypt');
 
 const db = require('../db');
-const { sqlForPartialUpdate } = require('../helpers/sql');
+const {
+  sqlForPartialUpdate,
+  sqlJobStatusCondition,
+  sqlWhereClauseForGetJobs,
+} = require('../helpers/sql');
 const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
-  ServerError,
 } = require('../expressError');
+const { constraintError } = require('../helpers/dbErrors');
 
 const { BCRYPT_WORK_FACTOR } = require('../config.js');
+const Technology = require('./technology');
 
 // ==================================================
 
+// SQL select expression for the names of a user's technologies.  The users
+// table must be aliased as "u".
+const technologiesSelect = `
+  COALESCE(
+    (SELECT json_agg(t.name ORDER BY t.name)
+     FROM users_technologies AS ut
+     JOIN technologies AS t ON ut.tech_id = t.id
+     WHERE ut.username = u.username),
+    '[]'
+  ) AS technologies`;
+
+// SQL select expression for the handles of the companies a user is a
+// recruiter for, without deleted companies.  The users table must be aliased
+// as "u".
+const recruiterForSelect = `
+  COALESCE(
+    (SELECT json_agg(cr.company_handle ORDER BY cr.company_handle)
+     FROM company_recruiters AS cr
+     JOIN companies AS c ON cr.company_handle = c.handle
+     WHERE cr.username = u.username AND c.deleted_at IS NULL),
+    '[]'
+  ) AS "recruiterFor"`;
+
+// Application statuses that a new application can start with.
+const NEW_APPLICATION_STATUSES = Object.freeze(['interested', 'applied']);
+
+// Allowed application status changes, from a current status to new statuses.
+const APPLICATION_STATUS_TRANSITIONS = Object.freeze({
+  interested: Object.freeze(['applied']),
+  applied: Object.freeze(['accepted', 'rejected']),
+  accepted: Object.freeze([]),
+  rejected: Object.freeze([]),
+});
+
+// Application statuses that a user can still withdraw from.
+const WITHDRAWABLE_APPLICATION_STATUSES = Object.freeze([
+  'interested',
+  'applied',
+]);
+
+/**
+ * Gets the current status of a user's application to a job.  Applications of
+ * deleted users and jobs are ignored.
+ *
+ * @param {String} username Username of the applicant.
+ * @param {Number} jobId ID of the job.
+ * @returns {String | undefined} The application status, or undefined if there
+ *   is no application.
+ */
+async function getApplicationStatus(username, jobId) {
+  const result = await db.query(
+    `SELECT a.status
+    FROM applications AS a
+    JOIN users AS u ON a.username = u.username
+    JOIN jobs AS j ON a.job_id = j.id
+    WHERE a.username = $1 AND a.job_id = $2
+      AND u.deleted_at IS NULL AND j.deleted_at IS NULL`,
+    [username, jobId]
+  );
+
+  return result.rows[0] && result.rows[0].status;
+}
+
+/**
+ * Checks that a job is open and has not expired, so that users can apply to
+ * it.
+ *
+ * @param {Number} jobId ID of the job.
+ * @throws NotFoundError - If job is not found or deleted.
+ * @throws BadRequestError - If job is not open.
+ */
+async function checkJobIsOpen(jobId) {
+  const result = await db.query(
+    `SELECT ${sqlJobStatusCondition('open')} AS "isOpen"
+    FROM jobs
+    WHERE id = $1 AND deleted_at IS NULL`,
+    [jobId]
+  );
+
+  if (result.rowCount === 0) throw new NotFoundError(`No job: ${jobId}`);
+
+  if (!result.rows[0].isOpen) {
+    throw new BadRequestError(
+      `Job is not open for applications: ${jobId}`,
+      'JOB_NOT_OPEN'
+    );
+  }
+}
+
+/**
+ * Creates an application or changes its status, if the change is allowed by
+ * APPLICATION_STATUS_TRANSITIONS.  Applications can only be started, or
+ * changed to applied, while the job is open.
+ *
+ * @param {String} username Username of the applicant.
+ * @param {Number} jobId ID of the job.
+ * @param {String} status The new application status.
+ * @returns {Object} { username, jobId, status }
+ * @throws NotFoundError - If user or job is not found, or if there is no
+ *   application and the status can not start a new application.
+ * @throws BadRequestError - If the status change is not allowed, or if the
+ *   job is not open.
+ */
+async function changeApplicationStatus(username, jobId, status) {
+  const currentStatus = await getApplicationStatus(username, jobId);
+
+  if (currentStatus === undefined) {
+    if (!NEW_APPLICATION_STATUSES.includes(status)) {
+      throw new NotFoundError(
+        `No application for user: ${username}; and job: ${jobId}.`
+      );
+    }
+
+    await checkUserExists(username);
+    await checkJobIsOpen(jobId);
+
+    try {
+      const result = await db.query(
+        `INSERT INTO applications (username, job_id, status)
+        VALUES ($1, $2, $3)
+        RETURNING username, job_id AS "jobId", status`,
+        [username, jobId, status]
+      );
+      return result.rows[0];
+    } catch (err) {
+      if (err.code === '23503') {
+        throw new NotFoundError(`No user: ${username}; or no job: ${jobId}.`);
+      }
+      throw err;
+    }
+  }
+
+  if (!APPLICATION_STATUS_TRANSITIONS[currentStatus].includes(status)) {
+    const message = `Can not change application status from ${currentStatus} to ${status}.`;
+    throw new BadRequestError(message, 'INVALID_STATUS_TRANSITION', [
+      { pointer: '/status', keyword: 'transition', message },
+    ]);
+  }
+
+  if (NEW_APPLICATION_STATUSES.includes(status)) await checkJobIsOpen(jobId);
+
+  const result = await db.query(
+    `UPDATE applications
+    SET status = $3
+    WHERE username = $1 AND job_id = $2
+    RETURNING username, job_id AS "jobId", status`,
+    [username, jobId, status]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Checks that a user exists and is not deleted.
+ *
+ * @param {String} username Name of the user to look for.
+ * @throws NotFoundError If user does not exist or is deleted.
+ */
+async function checkUserExists(username) {
+  const usersResult = await db.query(
+    `SELECT username
+    FROM users
+    WHERE username = $1 AND deleted_at IS NULL`,
+    [username]
+  );
+
+  if (usersResult.rowCount === 0)
+    throw new NotFoundError(`No user: ${username}`);
+}
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin,
+   *   twoFactorEnabled, recruiterFor }
+   *   where twoFactorEnabled is whether the user has two-factor
+   *   authentication, and recruiterFor is [handle, ...] of the companies the
+   *   user is a recruiter for.
    *
-   * Throws UnauthorizedError is user not found or wrong password.
+   * Throws UnauthorizedError is user not found, deleted, or wrong password.
    **/
 
   static async authenticate(username, password) {
@@ -33,9 +211,11 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
-           FROM users
-           WHERE username = $1`,
+                  is_admin AS "isAdmin",
+                  totp_enabled_at IS NOT NULL AS "twoFactorEnabled",
+                  ${recruiterForSelect}
+           FROM users AS u
+           WHERE username = $1 AND deleted_at IS NULL`,
       [username]
     );
 
@@ -57,7 +237,8 @@ class User {
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * Throws BadRequestError on duplicates, including deleted users, whose
+   * usernames stay taken until they are purged.
    **/
 
   static async register({
@@ -68,51 +249,58 @@ class User {
     email,
     isAdmin,
   }) {
-    const duplicateCheck = await db.query(
-      `SELECT username
-           FROM users
-           WHERE username = $1`,
-      [username]
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
+    // hashes before the transaction, so that its connection is not held
+    // while hashing
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
-    const result = await db.query(
-      `INSERT INTO users
-           (username,
-            password,
-            first_name,
-            last_name,
-            email,
-            is_admin)
-           VALUES ($1, $2, $3, $4, $5, $6)
-           RETURNING username, first_name AS "firstName",
-           last_name AS "lastName", email, is_admin AS "isAdmin"`,
-      [username, hashedPassword, firstName, lastName, email, isAdmin]
-    );
-
-    const user = result.rows[0];
+    // a nested transaction, so that a duplicate only rolls back this insert
+    try {
+      return await db.withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO users
+             (username,
+              password,
+              first_name,
+              last_name,
+              email,
+              is_admin)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING username, first_name AS "firstName",
+             last_name AS "lastName", email, is_admin AS "isAdmin"`,
+          [username, hashedPassword, firstName, lastName, email, isAdmin]
+        );
+
+        const user = result.rows[0];
 
-    return user;
+        return user;
+      });
+    } catch (err) {
+      if (err.code === '23505' && err.constraint === 'users_pkey') {
+        throw constraintError('users_pkey', `Duplicate username: ${username}`);
+      }
+      throw err;
+    }
   }
 
   /** Find all users.
+   *
+   * Filters can be { includeDeleted: Boolean }.  Deleted users are only found
+   * if includeDeleted is true, and then each user also has deletedAt, which
+   * is null if the user is not deleted.
    *
    * Returns [{ username, first_name, last_name, email, is_admin }, ...]
    **/
 
-  static async findAll() {
+  static async findAll(filters = {}) {
     const result = await db.query(
       `SELECT username,
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
                   is_admin AS "isAdmin"
+                  ${filters.includeDeleted ? ', deleted_at AS "deletedAt"' : ''}
            FROM users
+           ${filters.includeDeleted ? '' : 'WHERE deleted_at IS NULL'}
            ORDER BY username`
     );
 
@@ -121,10 +309,16 @@ class User {
 
   /** Given a username, return data about user.
    *
-   * Returns { username, firstName, lastName, isAdmin, jobs }
-   *   where jobs is [ jobId, jobId, ... ].
+   * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+   *   twoFactorEnabled, jobs, technologies, recruiterFor }
+   *   where emailVerified is whether the email address is verified,
+   *   twoFactorEnabled is whether the user has two-factor authentication,
+   *   jobs is [ { id, status }, ... ], without deleted jobs,
+   *   technologies is [ name, name, ... ],
+   *   and recruiterFor is [ handle, ... ] of the companies the user is a
+   *   recruiter for.
    *
-   * Throws NotFoundError if user not found.
+   * Throws NotFoundError if user not found or deleted.
    **/
 
   static async get(username) {
@@ -133,13 +327,22 @@ class User {
               u.first_name AS "firstName",
               u.last_name AS "lastName",
               u.email,
+              u.email_verified_at IS NOT NULL AS "emailVerified",
               u.is_admin AS "isAdmin",
+              u.totp_enabled_at IS NOT NULL AS "twoFactorEnabled",
               COALESCE(
-                json_agg(a.job_id) FILTER (WHERE a.job_id IS NOT NULL
-              ), '[]') AS jobs
+                json_agg(
+                  json_build_object('id', a.job_id, 'status', a.status)
+                  ORDER BY a.job_id
+                ) FILTER (WHERE a.job_id IS NOT NULL
+              ), '[]') AS jobs,
+              ${technologiesSelect},
+              ${recruiterForSelect}
       FROM users AS u
-      LEFT JOIN applications AS a ON u.username = a.username
-      WHERE u.username = $1
+      LEFT JOIN (applications AS a
+                 JOIN jobs AS j ON a.job_id = j.id AND j.deleted_at IS NULL)
+        ON u.username = a.username
+      WHERE u.username = $1 AND u.deleted_at IS NULL
       GROUP BY u.username`,
       [username]
     );
@@ -161,7 +364,11 @@ class User {
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws NotFoundError if not found.
+   * Changing the email address makes it unverified again, and changing the
+   * password makes tokens issued before the change invalid, as by
+   * isTokenRevoked.
+   *
+   * Throws NotFoundError if not found or deleted.
    *
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
@@ -173,16 +380,27 @@ class User {
       data.password = await bcrypt.hash(data.password, BCRYPT_WORK_FACTOR);
     }
 
-    const { setCols, values } = sqlForPartialUpdate(data, {
+    let { setCols, values } = sqlForPartialUpdate(data, {
       firstName: 'first_name',
       lastName: 'last_name',
       isAdmin: 'is_admin',
     });
+    if (data.email !== undefined) {
+      // email on the right is the address before the update
+      values = [...values, data.email];
+      setCols += `, email_verified_at = CASE WHEN email = $${values.length}
+                                          THEN email_verified_at END`;
+    }
+    if (data.password) {
+      setCols += `, password_changed_at = date_trunc('second',
+                                                     CURRENT_TIMESTAMP)`;
+    }
     const usernameVarIdx = '$' + (values.length + 1);
 
     const querySql = `UPDATE users
                       SET ${setCols}
                       WHERE username = ${usernameVarIdx}
+                        AND deleted_at IS NULL
                       RETURNING username,
                                 first_name AS "firstName",
                                 last_name AS "lastName",
@@ -197,13 +415,20 @@ class User {
     return user;
   }
 
-  /** Delete given user from database; returns undefined. */
+  /** Soft delete given user; returns undefined.
+   *
+   * The user is hidden and can not log in until they are restored, or until
+   * they are purged after the retention period.  Their applications and
+   * technologies are kept.
+   *
+   * Throws NotFoundError if user not found or already deleted.
+   **/
 
   static async remove(username) {
     let result = await db.query(
-      `DELETE
-           FROM users
-           WHERE username = $1
+      `UPDATE users
+           SET deleted_at = CURRENT_TIMESTAMP
+           WHERE username = $1 AND deleted_at IS NULL
            RETURNING username`,
       [username]
     );
@@ -212,74 +437,387 @@ class User {
     if (!user) throw new NotFoundError(`No user: ${username}`);
   }
 
+  /** Restore given deleted user.
+   *
+   * Returns { username, firstName, lastName, isAdmin, jobs, technologies },
+   *   as in get.
+   *
+   * Throws NotFoundError if there is no deleted user with the username.
+   **/
+
+  static async restore(username) {
+    const result = await db.query(
+      `UPDATE users
+           SET deleted_at = NULL
+           WHERE username = $1 AND deleted_at IS NOT NULL
+           RETURNING username`,
+      [username]
+    );
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No deleted user: ${username}`);
+
+    return await User.get(username);
+  }
+
+  /**
+   * Changes a user's password.  If the current password is given, it must be
+   * correct.  Tokens issued before the change are no longer valid.
+   *
+   * Callers must check the new password against the password policy.
+   *
+   * @param {String} username Username of the user.
+   * @param {String} password The new password.
+   * @param {String | undefined} currentPassword The current password, or
+   *   undefined to not check it, e.g. for admins or password resets.
+   * @throws NotFoundError If the user is not found or deleted.
+   * @throws BadRequestError If the current password is not correct.
+   */
+  static async changePassword(username, password, currentPassword) {
+    if (currentPassword !== undefined) {
+      const result = await db.query(
+        `SELECT password
+        FROM users
+        WHERE username = $1 AND deleted_at IS NULL`,
+        [username]
+      );
+
+      const user = result.rows[0];
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      if (!(await bcrypt.compare(currentPassword, user.password))) {
+        throw new BadRequestError(
+          'Current password is not correct',
+          'INVALID_CURRENT_PASSWORD',
+          [
+            {
+              pointer: '/currentPassword',
+              keyword: 'currentPassword',
+              message: 'is not correct',
+            },
+          ]
+        );
+      }
+    }
+
+    await User.update(username, { password });
+  }
+
+  /**
+   * Checks whether a token was issued before the user's password was last
+   * changed, which makes it no longer valid.  Tokens for users that do not
+   * exist are not revoked by this.
+   *
+   * @param {String} username Username in the token.
+   * @param {Number} issuedAt When the token was issued (its iat), in seconds
+   *   since the epoch.
+   * @returns {Boolean} True if the token is revoked.
+   */
+  static async isTokenRevoked(username, issuedAt) {
+    const result = await db.query(
+      `SELECT password_changed_at > to_timestamp($2) AS "isRevoked"
+      FROM users
+      WHERE username = $1`,
+      [username, issuedAt]
+    );
+
+    return result.rows[0] ? result.rows[0].isRevoked === true : false;
+  }
+
   /**
-   * Has a user apply to a job.  This currently only associates a user and a
-   * job together.
+   * Checks whether a user has verified their email address.
+   *
+   * @param {String} username Username of the user.
+   * @returns {Boolean} True if verified.
+   * @throws NotFoundError If the user is not found or deleted.
+   */
+  static async isEmailVerified(username) {
+    const result = await db.query(
+      `SELECT email_verified_at IS NOT NULL AS "emailVerified"
+      FROM users
+      WHERE username = $1 AND deleted_at IS NULL`,
+      [username]
+    );
+
+    const user = result.rows[0];
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+
+    return user.emailVerified;
+  }
+
+  /**
+   * Gets the current status of a user's application to a job.
+   *
+   * @param {String} username Username of the applicant.
+   * @param {Number} jobId ID of the job.
+   * @returns {String | undefined} The application status, or undefined if
+   *   there is no application, or the user or job is deleted.
+   */
+  static async getApplicationStatus(username, jobId) {
+    return await getApplicationStatus(username, jobId);
+  }
+
+  /**
+   * Has a user apply to a job.  If the user was only interested in the job,
+   * the application's status changes to applied.
    *
    * @param {String} username Username that is applying to the job.
    * @param {Number} jobId ID of the job being applied to.
    * @returns {Object} { username, jobId, status }
    * @throws NotFoundError - If user or job is not found.
+   * @throws BadRequestError - If user has already applied to the job.
    */
   static async applyJob(username, jobId) {
-    let application;
-    try {
-      const applicationsResult = await db.query(
-        `INSERT INTO applications (username, job_id, status)
-        VALUES ($1, $2, 'applied')
-        RETURNING username, job_id AS "jobId", status`,
-        [username, jobId]
+    return await changeApplicationStatus(username, jobId, 'applied');
+  }
+
+  /**
+   * Marks a job as one that a user is interested in, without applying yet.
+   *
+   * @param {String} username Username that is interested in the job.
+   * @param {Number} jobId ID of the job.
+   * @returns {Object} { username, jobId, status }
+   * @throws NotFoundError - If user or job is not found.
+   * @throws BadRequestError - If user already has an application for the job.
+   */
+  static async markJobInterested(username, jobId) {
+    return await changeApplicationStatus(username, jobId, 'interested');
+  }
+
+  /**
+   * Sets the status of an existing application.  Only status changes listed
+   * in APPLICATION_STATUS_TRANSITIONS are allowed, such as from applied to
+   * accepted or rejected.
+   *
+   * @param {String} username Username of the applicant.
+   * @param {Number} jobId ID of the job.
+   * @param {String} status The new application status.
+   * @returns {Object} { username, jobId, status }
+   * @throws NotFoundError - If application is not found.
+   * @throws BadRequestError - If the status change is not allowed.
+   */
+  static async updateApplicationStatus(username, jobId, status) {
+    if ((await getApplicationStatus(username, jobId)) === undefined) {
+      throw new NotFoundError(
+        `No application for user: ${username}; and job: ${jobId}.`
+      );
+    }
+
+    return await changeApplicationStatus(username, jobId, status);
+  }
+
+  /**
+   * Withdraws a user's application to, or interest in, a job.  Applications
+   * that have already been accepted or rejected can not be withdrawn.
+   *
+   * @param {String} username Username of the applicant.
+   * @param {Number} jobId ID of the job.
+   * @throws NotFoundError - If application is not found.
+   * @throws BadRequestError - If application has already been decided on.
+   */
+  static async withdrawApplication(username, jobId) {
+    const status = await getApplicationStatus(username, jobId);
+
+    if (status === undefined) {
+      throw new NotFoundError(
+        `No application for user: ${username}; and job: ${jobId}.`
+      );
+    }
+
+    if (!WITHDRAWABLE_APPLICATION_STATUSES.includes(status)) {
+      throw new BadRequestError(
+        `Can not withdraw an application that is ${status}.`,
+        'APPLICATION_NOT_WITHDRAWABLE'
       );
-      application = applicationsResult.rows[0];
-    } catch (err) {
-      if (err.code === '23503') {
-        throw new NotFoundError(`No user: ${username}; or no job: ${jobId}.`);
-      } else {
-        throw new ServerError();
-      }
     }
 
-    return application;
+    await db.query(
+      `DELETE FROM applications
+      WHERE username = $1 AND job_id = $2`,
+      [username, jobId]
+    );
+  }
+
+  /**
+   * Gets the technologies of a user.
+   *
+   * @param {String} username Name of the user.
+   * @returns {Array} [name, ...]
+   * @throws NotFoundError - If user does not exist or is deleted.
+   */
+  static async getTechnologies(username) {
+    const result = await db.query(
+      `SELECT ${technologiesSelect}
+      FROM users AS u
+      WHERE u.username = $1 AND u.deleted_at IS NULL`,
+      [username]
+    );
+
+    if (result.rowCount === 0) throw new NotFoundError(`No user: ${username}`);
+
+    return result.rows[0].technologies;
+  }
+
+  /**
+   * Replaces all of a user's technologies.
+   *
+   * @param {String} username Name of the user.
+   * @param {Array} technologies [nameOrId, ...], where each element is a
+   *   technology name or ID.
+   * @returns {Array} The user's technologies after the change, [name, ...].
+   * @throws NotFoundError - If user or a technology does not exist.
+   */
+  static async setTechnologies(username, technologies) {
+    await checkUserExists(username);
+    const techIds = await Technology.resolveIds(technologies);
+
+    await db.query(
+      `DELETE FROM users_technologies
+      WHERE username = $1`,
+      [username]
+    );
+
+    await db.query(
+      `INSERT INTO users_technologies (username, tech_id)
+      SELECT $1, unnest($2::INTEGER[])`,
+      [username, techIds]
+    );
+
+    return await User.getTechnologies(username);
+  }
+
+  /**
+   * Adds technologies to a user.  Technologies that the user already has are
+   * ignored.
+   *
+   * @param {String} username Name of the user.
+   * @param {Array} technologies [nameOrId, ...], where each element is a
+   *   technology name or ID.
+   * @returns {Array} The user's technologies after the change, [name, ...].
+   * @throws NotFoundError - If user or a technology does not exist.
+   */
+  static async addTechnologies(username, technologies) {
+    await checkUserExists(username);
+    const techIds = await Technology.resolveIds(technologies);
+
+    await db.query(
+      `INSERT INTO users_technologies (username, tech_id)
+      SELECT $1, unnest($2::INTEGER[])
+      ON CONFLICT DO NOTHING`,
+      [username, techIds]
+    );
+
+    return await User.getTechnologies(username);
+  }
+
+  /**
+   * Removes technologies from a user.  Technologies that the user does not
+   * have are ignored.
+   *
+   * @param {String} username Name of the user.
+   * @param {Array} technologies [nameOrId, ...], where each element is a
+   *   technology name or ID.
+   * @returns {Array} The user's technologies after the change, [name, ...].
+   * @throws NotFoundError - If user or a technology does not exist.
+   */
+  static async removeTechnologies(username, technologies) {
+    await checkUserExists(username);
+    const techIds = await Technology.resolveIds(technologies);
+
+    await db.query(
+      `DELETE FROM users_technologies
+      WHERE username = $1 AND tech_id = ANY($2)`,
+      [username, techIds]
+    );
+
+    return await User.getTechnologies(username);
   }
 
   /**
    * Gets a list of jobs that uses the same technologies as the specified
-   * user.  Each job contains the specific shared technologies.
+   * user, ranked by how well they match.  Each job contains the specific
+   * shared technologies and a match score, which is the fraction of the job's
+   * technologies that the user has.
+   *
+   * Only open jobs that have not expired are matched.  Jobs that the user has
+   * already applied to are excluded.  Jobs that the user is only interested in
+   * are still included.
+   *
+   * Jobs are sorted by score, from highest to lowest, and then by ID.
+   *
+   * Filters can be
+   * { title: String, minSalary: Number, hasEquity: Boolean, minScore: Number,
+   *   limit: Number, offset: Number }.
    *
    * @param {String} username The name of the user to match jobs against.
+   * @param {Object} filters Search filters and pagination.
    * @returns {Array} [
-   *   { id, title, salary, equity, companyHandle, technologies },
+   *   { id, title, salary, equity, companyHandle, status, postedAt,
+   *     expiresAt, technologies, score },
    *   ...
    * ]
    * @throws NotFoundError - If user does not exist.
    */
-  static async matchJobs(username) {
-    const usersResult = await db.query(
-      `SELECT username
-      FROM users
-      WHERE username = $1`,
-      [username]
-    );
+  static async matchJobs(username, filters = {}) {
+    await checkUserExists(username);
+
+    const { whereClause, values } = sqlWhereClauseForGetJobs(filters);
+    let idx = values.length + 1;
+
+    const usernameVarIdx = '$' + idx++;
+    values.push(username);
+
+    let querySql = `
+      WITH job_matches AS (
+        SELECT jt.job_id,
+               COUNT(ut.tech_id)::FLOAT / COUNT(*) AS score,
+               json_agg(t.name ORDER BY t.name)
+                 FILTER (WHERE ut.tech_id IS NOT NULL) AS technologies
+        FROM jobs_technologies AS jt
+        JOIN technologies AS t ON jt.tech_id = t.id
+        LEFT JOIN users_technologies AS ut
+          ON jt.tech_id = ut.tech_id AND ut.username = ${usernameVarIdx}
+        GROUP BY jt.job_id
+      )
+      SELECT j.id,
+             j.title,
+             j.salary,
+             j.equity,
+             j.company_handle AS "companyHandle",
+             j.status,
+             j.posted_at AS "postedAt",
+             j.expires_at AS "expiresAt",
+             jm.technologies,
+             jm.score
+      FROM (SELECT * FROM jobs${whereClause}) AS j
+      JOIN job_matches AS jm ON j.id = jm.job_id
+      WHERE jm.score > 0
+        AND NOT EXISTS (
+          SELECT 1
+          FROM applications AS a
+          WHERE a.job_id = j.id
+            AND a.username = ${usernameVarIdx}
+            AND a.status <> 'interested'
+        )`;
+
+    if (filters.minScore !== undefined) {
+      querySql += ` AND jm.score >= $${idx++}`;
+      values.push(filters.minScore);
+    }
 
-    if (usersResult.rowCount === 0)
-      throw new NotFoundError(`No user: ${username}.`);
+    querySql += ' ORDER BY jm.score DESC, j.id';
 
-    const jobsResult = await db.query(
-      `SELECT j.id,
-              j.title,
-              j.salary,
-              j.equity,
-              j.company_handle AS "companyHandle",
-              json_agg(t.name) AS "technologies"
-      FROM users AS u
-      JOIN users_technologies AS ut ON u.username = ut.username
-      JOIN jobs_technologies AS jt ON ut.tech_id = jt.tech_id
-      JOIN jobs AS j ON jt.job_id = j.id
-      JOIN technologies AS t ON ut.tech_id = t.id
-      WHERE u.username = $1
-      GROUP BY j.id`,
-      [username]
-    );
+    if (filters.limit !== undefined) {
+      querySql += ` LIMIT $${idx++}`;
+      values.push(filters.limit);
+    }
+
+    if (filters.offset !== undefined) {
+      querySql += ` OFFSET $${idx++}`;
+      values.push(filters.offset);
+    }
+
+    const jobsResult = await db.query(querySql, values);
 
     const jobs = jobsResult.rows.map((r) => {
       if (r.equity !== null) r.equity = Number(r.equity);
@@ -6,6 +6,7 @@ const {
   UnauthorizedError,
 } = require('../expressError');
 const db = require('../db.js');
+const Company = require('./company.js');
 const User = require('./user.js');
 const {
   commonBeforeAll,
@@ -28,7 +29,27 @@ afterAll(commonAfterAll);
 describe('authenticate', function () {
   test('works', async function () {
     const user = await User.authenticate('u1', 'password1');
-    expect(user).toEqual(users[0]);
+    expect(user).toEqual({
+      ...users[0],
+      twoFactorEnabled: false,
+      recruiterFor: [],
+    });
+  });
+
+  test('works: has the companies the user is a recruiter for', async function () {
+    // Arrange
+    await Company.addRecruiter('c2', 'u1');
+    await Company.addRecruiter('c1', 'u1');
+    await Company.addRecruiter('c3', 'u1');
+    await Company.remove('c3');
+
+    // Act
+    const user = await User.authenticate('u1', 'password1');
+    const fullUser = await User.get('u1');
+
+    // Assert
+    expect(user.recruiterFor).toEqual(['c1', 'c2']);
+    expect(fullUser.recruiterFor).toEqual(['c1', 'c2']);
   });
 
   test('unauth if no such user', async function () {
@@ -48,6 +69,16 @@ describe('authenticate', function () {
       expect(err instanceof UnauthorizedError).toBeTruthy();
     }
   });
+
+  test('unauth if user is deleted', async function () {
+    await User.remove('u1');
+    try {
+      await User.authenticate('u1', 'password1');
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** register */
@@ -101,6 +132,16 @@ describe('register', function () {
       expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
+
+  test('bad request with username of deleted user', async function () {
+    await User.remove('u1');
+    try {
+      await User.register({ ...newUser, username: 'u1', password: 'password' });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** findAll */
@@ -110,6 +151,21 @@ describe('findAll', function () {
     const results = await User.findAll();
     expect(results).toEqual(users);
   });
+
+  test('works: deleted users are not found', async function () {
+    await User.remove('u1');
+    const results = await User.findAll();
+    expect(results).toEqual([users[1]]);
+  });
+
+  test('works: includeDeleted', async function () {
+    await User.remove('u1');
+    const results = await User.findAll({ includeDeleted: true });
+    expect(results).toEqual([
+      { ...users[0], deletedAt: expect.any(Date) },
+      { ...users[1], deletedAt: null },
+    ]);
+  });
 });
 
 /************************************** get */
@@ -126,7 +182,14 @@ describe('get', function () {
     // Assert
     expect(user).toEqual({
       ...users[0],
-      jobs: [1, 2],
+      jobs: [
+        { id: 1, status: 'applied' },
+        { id: 2, status: 'applied' },
+      ],
+      technologies: ['t1', 't2'],
+      emailVerified: false,
+      twoFactorEnabled: false,
+      recruiterFor: [],
     });
   });
 
@@ -138,9 +201,28 @@ describe('get', function () {
     expect(user).toEqual({
       ...users[0],
       jobs: [],
+      technologies: ['t1', 't2'],
+      emailVerified: false,
+      twoFactorEnabled: false,
+      recruiterFor: [],
     });
   });
 
+  test('works: no deleted jobs', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+    await User.applyJob('u1', 2);
+    await db.query(
+      'UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE id = 1'
+    );
+
+    // Act
+    let user = await User.get('u1');
+
+    // Assert
+    expect(user.jobs).toEqual([{ id: 2, status: 'applied' }]);
+  });
+
   test('not found if no such user', async function () {
     try {
       await User.get('nope');
@@ -149,6 +231,16 @@ describe('get', function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test('not found if user is deleted', async function () {
+    await User.remove('u1');
+    try {
+      await User.get('u1');
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
 });
 
 /************************************** update */
@@ -179,6 +271,16 @@ describe('update', function () {
     expect(found.rows[0].password.startsWith('$2b$')).toEqual(true);
   });
 
+  test('works: changing email makes it unverified', async function () {
+    await db.query(
+      "UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE username = 'u1'"
+    );
+    await User.update('u1', { email: 'u1@email.com' });
+    expect(await User.isEmailVerified('u1')).toEqual(true);
+    await User.update('u1', { email: 'new@email.com' });
+    expect(await User.isEmailVerified('u1')).toEqual(false);
+  });
+
   test('not found if no such user', async function () {
     try {
       await User.update('nope', {
@@ -206,8 +308,10 @@ describe('update', function () {
 describe('remove', function () {
   test('works', async function () {
     await User.remove('u1');
-    const res = await db.query("SELECT * FROM users WHERE username='u1'");
-    expect(res.rows.length).toEqual(0);
+    const res = await db.query(
+      "SELECT deleted_at FROM users WHERE username='u1'"
+    );
+    expect(res.rows).toEqual([{ deleted_at: expect.any(Date) }]);
   });
 
   test('not found if no such user', async function () {
@@ -218,6 +322,139 @@ describe('remove', function () {
       expect(err instanceof NotFoundError).toBeTruthy();
     }
   });
+
+  test('not found if user is already deleted', async function () {
+    await User.remove('u1');
+    try {
+      await User.remove('u1');
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** restore */
+
+describe('restore', function () {
+  test('works', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+    await User.remove('u1');
+
+    // Act
+    const user = await User.restore('u1');
+
+    // Assert
+    expect(user).toEqual({
+      ...users[0],
+      jobs: [{ id: 1, status: 'applied' }],
+      technologies: ['t1', 't2'],
+      emailVerified: false,
+      twoFactorEnabled: false,
+      recruiterFor: [],
+    });
+  });
+
+  test.each([['nope'], ['u1']])(
+    'not found if no deleted user: %s',
+    async function (username) {
+      await expect(User.restore(username)).rejects.toThrow(NotFoundError);
+    }
+  );
+});
+
+/************************************** changePassword */
+
+describe('changePassword', function () {
+  test('works with the current password', async function () {
+    await User.changePassword('u1', 'new-password', 'password1');
+    const user = await User.authenticate('u1', 'new-password');
+    expect(user.username).toEqual('u1');
+  });
+
+  test('works without checking the current password', async function () {
+    await User.changePassword('u1', 'new-password');
+    const user = await User.authenticate('u1', 'new-password');
+    expect(user.username).toEqual('u1');
+  });
+
+  test('bad request if the current password is wrong', async function () {
+    await expect(
+      User.changePassword('u1', 'new-password', 'wrong')
+    ).rejects.toThrow(BadRequestError);
+    const user = await User.authenticate('u1', 'password1');
+    expect(user.username).toEqual('u1');
+  });
+
+  test('not found if no such user', async function () {
+    await expect(
+      User.changePassword('nope', 'new-password', 'password1')
+    ).rejects.toThrow(NotFoundError);
+    await expect(User.changePassword('nope', 'new-password')).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** isTokenRevoked */
+
+describe('isTokenRevoked', function () {
+  const now = Math.floor(Date.now() / 1000);
+
+  test('false if the password was never changed', async function () {
+    expect(await User.isTokenRevoked('u1', now - 10)).toEqual(false);
+  });
+
+  test('true for tokens issued before the password was changed', async function () {
+    await User.changePassword('u1', 'new-password');
+    expect(await User.isTokenRevoked('u1', now - 10)).toEqual(true);
+    expect(await User.isTokenRevoked('u1', now + 10)).toEqual(false);
+    expect(await User.isTokenRevoked('u2', now - 10)).toEqual(false);
+  });
+
+  test('false if no such user', async function () {
+    expect(await User.isTokenRevoked('nope', now - 10)).toEqual(false);
+  });
+});
+
+/************************************** isEmailVerified */
+
+describe('isEmailVerified', function () {
+  test('works', async function () {
+    expect(await User.isEmailVerified('u1')).toEqual(false);
+    await db.query(
+      "UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE username = 'u1'"
+    );
+    expect(await User.isEmailVerified('u1')).toEqual(true);
+  });
+
+  test('not found if no such user', async function () {
+    await expect(User.isEmailVerified('nope')).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** getApplicationStatus */
+
+describe('getApplicationStatus', function () {
+  test('Gets the status of an application.', async function () {
+    // Arrange
+    await User.markJobInterested('u1', 1);
+
+    // Act
+    const status = await User.getApplicationStatus('u1', 1);
+
+    // Assert
+    expect(status).toEqual('interested');
+  });
+
+  test('Is undefined if there is no application.', async function () {
+    // Act
+    const status = await User.getApplicationStatus('u1', 2);
+
+    // Assert
+    expect(status).toBeUndefined();
+  });
 });
 
 /************************************** applyJob */
@@ -258,6 +495,323 @@ describe('applyJob', function () {
     // Act / Assert
     await expect(User.applyJob(username, jobId)).rejects.toThrow(NotFoundError);
   });
+
+  test.each([
+    ['user', 'UPDATE users SET deleted_at = CURRENT_TIMESTAMP'],
+    ['job', 'UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP'],
+  ])('not found if %s is deleted', async function (_, deleteSql) {
+    // Arrange
+    await db.query(deleteSql);
+
+    // Act / Assert
+    await expect(User.applyJob('u1', 1)).rejects.toThrow(NotFoundError);
+  });
+
+  test('Applies to a job that user is interested in.', async function () {
+    // Arrange
+    await User.markJobInterested('u1', 1);
+
+    // Act
+    const result = await User.applyJob('u1', 1);
+
+    // Assert
+    expect(result).toEqual({ username: 'u1', jobId: 1, status: 'applied' });
+  });
+
+  test('bad request if already applied', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+
+    // Act / Assert
+    await expect(User.applyJob('u1', 1)).rejects.toThrow(BadRequestError);
+  });
+
+  test.each([
+    [`status = 'closed'`],
+    [`status = 'draft', posted_at = NULL`],
+    [`expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'`],
+  ])('bad request if job is not open; job update: %s', async function (setSql) {
+    // Arrange
+    await User.markJobInterested('u1', 1);
+    await db.query(`UPDATE jobs SET ${setSql} WHERE id IN (1, 2)`);
+
+    // Act / Assert
+    for (const apply of [
+      () => User.applyJob('u1', 1),
+      () => User.applyJob('u1', 2),
+    ]) {
+      try {
+        await apply();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+        expect(err.code).toEqual('JOB_NOT_OPEN');
+      }
+    }
+    expect.assertions(4);
+  });
+});
+
+/************************************** markJobInterested */
+
+describe('markJobInterested', function () {
+  test('Marks a job as interested.', async function () {
+    // Act
+    const result = await User.markJobInterested('u1', 1);
+
+    // Assert
+    expect(result).toEqual({ username: 'u1', jobId: 1, status: 'interested' });
+  });
+
+  test('bad request if already applied', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+
+    // Act / Assert
+    await expect(User.markJobInterested('u1', 1)).rejects.toThrow(
+      BadRequestError
+    );
+  });
+
+  test('not found if no such job', async function () {
+    // Act / Assert
+    await expect(User.markJobInterested('u1', 99)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** updateApplicationStatus */
+
+describe('updateApplicationStatus', function () {
+  test.each([['accepted'], ['rejected']])(
+    'Changes an applied application to %s.',
+    async function (status) {
+      // Arrange
+      await User.applyJob('u1', 1);
+
+      // Act
+      const result = await User.updateApplicationStatus('u1', 1, status);
+
+      // Assert
+      expect(result).toEqual({ username: 'u1', jobId: 1, status });
+    }
+  );
+
+  test('Changes the status after the job is closed.', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+
+    // Act
+    const result = await User.updateApplicationStatus('u1', 1, 'accepted');
+
+    // Assert
+    expect(result).toEqual({ username: 'u1', jobId: 1, status: 'accepted' });
+  });
+
+  test.each([
+    ['interested', 'accepted'],
+    ['rejected', 'interested'],
+    ['rejected', 'applied'],
+    ['accepted', 'rejected'],
+  ])(
+    'bad request when changing status from %s to %s',
+    async function (currentStatus, status) {
+      // Arrange
+      await db.query(
+        `INSERT INTO applications (username, job_id, status)
+        VALUES ('u1', 1, $1)`,
+        [currentStatus]
+      );
+
+      // Act / Assert
+      await expect(
+        User.updateApplicationStatus('u1', 1, status)
+      ).rejects.toThrow(BadRequestError);
+    }
+  );
+
+  test('not found if no such application', async function () {
+    // Act / Assert
+    await expect(
+      User.updateApplicationStatus('u1', 1, 'accepted')
+    ).rejects.toThrow(NotFoundError);
+  });
+
+  test('not found if job is deleted', async function () {
+    // Arrange
+    await User.applyJob('u1', 1);
+    await db.query(
+      'UPDATE jobs SET deleted_at = CURRENT_TIMESTAMP WHERE id = 1'
+    );
+
+    // Act / Assert
+    await expect(
+      User.updateApplicationStatus('u1', 1, 'accepted')
+    ).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** withdrawApplication */
+
+describe('withdrawApplication', function () {
+  test.each([['interested'], ['applied']])(
+    'Withdraws an application that is %s.',
+    async function (status) {
+      // Arrange
+      await db.query(
+        `INSERT INTO applications (username, job_id, status)
+        VALUES ('u1', 1, $1)`,
+        [status]
+      );
+
+      // Act
+      await User.withdrawApplication('u1', 1);
+
+      // Assert
+      const applicationsResult = await db.query(
+        `SELECT * FROM applications WHERE username = 'u1' AND job_id = 1`
+      );
+      expect(applicationsResult.rowCount).toBe(0);
+    }
+  );
+
+  test.each([['accepted'], ['rejected']])(
+    'bad request if application is %s',
+    async function (status) {
+      // Arrange
+      await db.query(
+        `INSERT INTO applications (username, job_id, status)
+        VALUES ('u1', 1, $1)`,
+        [status]
+      );
+
+      // Act / Assert
+      await expect(User.withdrawApplication('u1', 1)).rejects.toThrow(
+        BadRequestError
+      );
+    }
+  );
+
+  test('not found if no such application', async function () {
+    // Act / Assert
+    await expect(User.withdrawApplication('u1', 1)).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** getTechnologies */
+
+describe('getTechnologies', function () {
+  test("Gets a user's technologies.", async function () {
+    // Act
+    const result = await User.getTechnologies('u1');
+
+    // Assert
+    expect(result).toEqual(['t1', 't2']);
+  });
+
+  test('Returns empty list if user has no technologies.', async function () {
+    // Act
+    const result = await User.getTechnologies('u2');
+
+    // Assert
+    expect(result).toEqual([]);
+  });
+
+  test('not found if no such user', async function () {
+    // Act / Assert
+    await expect(User.getTechnologies('nope')).rejects.toThrow(NotFoundError);
+  });
+});
+
+/************************************** setTechnologies */
+
+describe('setTechnologies', function () {
+  test("Replaces a user's technologies.", async function () {
+    // Act
+    const result = await User.setTechnologies('u1', [3, 't2']);
+
+    // Assert
+    expect(result).toEqual(['t2', 't3']);
+    expect(await User.getTechnologies('u1')).toEqual(['t2', 't3']);
+  });
+
+  test("Removes all of a user's technologies.", async function () {
+    // Act
+    const result = await User.setTechnologies('u1', []);
+
+    // Assert
+    expect(result).toEqual([]);
+  });
+
+  test('not found if no such user', async function () {
+    // Act / Assert
+    await expect(User.setTechnologies('nope', ['t1'])).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test('not found if no such technology', async function () {
+    // Act / Assert
+    await expect(User.setTechnologies('u1', ['nope'])).rejects.toThrow(
+      NotFoundError
+    );
+    expect(await User.getTechnologies('u1')).toEqual(['t1', 't2']);
+  });
+});
+
+/************************************** addTechnologies */
+
+describe('addTechnologies', function () {
+  test('Adds technologies to a user.', async function () {
+    // Act
+    const result = await User.addTechnologies('u1', ['t1', 3]);
+
+    // Assert
+    expect(result).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('not found if no such user', async function () {
+    // Act / Assert
+    await expect(User.addTechnologies('nope', ['t1'])).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test('not found if no such technology', async function () {
+    // Act / Assert
+    await expect(User.addTechnologies('u1', [99])).rejects.toThrow(
+      NotFoundError
+    );
+  });
+});
+
+/************************************** removeTechnologies */
+
+describe('removeTechnologies', function () {
+  test('Removes technologies from a user.', async function () {
+    // Act
+    const result = await User.removeTechnologies('u1', ['t1', 3]);
+
+    // Assert
+    expect(result).toEqual(['t2']);
+  });
+
+  test('not found if no such user', async function () {
+    // Act / Assert
+    await expect(User.removeTechnologies('nope', ['t1'])).rejects.toThrow(
+      NotFoundError
+    );
+  });
+
+  test('not found if no such technology', async function () {
+    // Act / Assert
+    await expect(User.removeTechnologies('u1', ['nope'])).rejects.toThrow(
+      NotFoundError
+    );
+  });
 });
 
 /************************************** matchJobs */
@@ -272,11 +826,47 @@ describe('matchJobs', function () {
 
     // Assert
     expect(result).toEqual([
-      { ...jobs[0], technologies: ['t1', 't2'] },
-      { ...jobs[1], technologies: ['t1'] },
+      { ...jobs[1], technologies: ['t1'], score: 1 },
+      { ...jobs[0], technologies: ['t1', 't2'], score: 2 / 3 },
+    ]);
+  });
+
+  test('Excludes jobs that user has applied to.', async function () {
+    // Arrange
+    await User.applyJob('u1', 2);
+    await User.markJobInterested('u1', 1);
+
+    // Act
+    const result = await User.matchJobs('u1');
+
+    // Assert
+    expect(result).toEqual([
+      { ...jobs[0], technologies: ['t1', 't2'], score: 2 / 3 },
     ]);
   });
 
+  test.each([
+    [{ title: '1' }, [0]],
+    [{ minSalary: 50 }, [1]],
+    [{ hasEquity: true }, [1, 0]],
+    [{ minScore: 0.7 }, [1]],
+    [{ minScore: 0.5, title: 'j' }, [1, 0]],
+    [{ limit: 1 }, [1]],
+    [{ limit: 1, offset: 1 }, [0]],
+    [{ offset: 2 }, []],
+  ])(
+    'Filters and paginates matching jobs; filters: %o',
+    async function (filters, expectedJobIndexes) {
+      // Act
+      const result = await User.matchJobs('u1', filters);
+
+      // Assert
+      expect(result.map((j) => j.title)).toEqual(
+        expectedJobIndexes.map((i) => jobs[i].title)
+      );
+    }
+  );
+
   test('Returns empty list if there are no matching jobs.', async function () {
     // Arrange
     const username = 'u2';
@@ -0,0 +1,76 @@
+'use strict';
+
+/** Purges deleted records for jobly. */
+
+const db = require('./db');
+const { DELETED_RETENTION_DAYS } = require('./config');
+
+// ==================================================
+
+// Tables with soft deleted records, in the order they are purged.  Jobs are
+// purged before companies, so that the jobs removed by the companies' cascade
+// are counted as jobs.
+const PURGED_TABLES = Object.freeze(['jobs', 'companies', 'users']);
+
+/**
+ * Permanently deletes the companies, jobs, and users that have been deleted
+ * for longer than the retention period.  Their applications and technologies
+ * are deleted with them.  Everything is purged in a single transaction.
+ *
+ * @param {Number} retentionDays How many days deleted records are kept.
+ * @returns {Object} { jobs, companies, users }, the number of records purged
+ *   from each table.
+ * @throws Error If retentionDays is not a non-negative integer.
+ */
+async function purge(retentionDays = DELETED_RETENTION_DAYS) {
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error(`Invalid retention days: ${retentionDays}`);
+  }
+
+  return await db.withTransaction(async (client) => {
+    const counts = {};
+    for (const table of PURGED_TABLES) {
+      const result = await client.query(
+        `DELETE FROM ${table}
+        WHERE deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1)`,
+        [retentionDays]
+      );
+      counts[table] = result.rowCount;
+    }
+    return counts;
+  });
+}
+
+// ==================================================
+
+/**
+ * Runs the purge from the command line.
+ *
+ * @param {String} retentionDays How many days deleted records are kept, or
+ *   DELETED_RETENTION_DAYS if not given.
+ */
+async function runCommand(retentionDays) {
+  if (retentionDays !== undefined && !/^\d+$/.test(retentionDays)) {
+    throw new Error(`Invalid retention days: ${retentionDays}`);
+  }
+
+  const counts = await purge(
+    retentionDays === undefined ? undefined : +retentionDays
+  );
+  for (const [table, count] of Object.entries(counts)) {
+    console.log('Purged:'.green, table, count.toString());
+  }
+}
+
+if (require.main === module) {
+  runCommand(...process.argv.slice(2))
+    .catch((err) => {
+      console.error(err.message.red);
+      process.exitCode = 1;
+    })
+    .finally(() => db.end());
+}
+
+// ==================================================
+
+module.exports = { purge };
@@ -0,0 +1,84 @@
+'use strict';
+
+const db = require('./db.js');
+const { purge } = require('./purge');
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./models/_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/**
+ * Sets when records of a table were deleted, as a number of days ago.
+ *
+ * @param {String} table The table of the records.
+ * @param {String} where SQL condition that matches the records.
+ * @param {Number} days How many days ago the records were deleted.
+ */
+async function deleteDaysAgo(table, where, days) {
+  await db.query(
+    `UPDATE ${table}
+    SET deleted_at = CURRENT_TIMESTAMP - make_interval(days => $1)
+    WHERE ${where}`,
+    [days]
+  );
+}
+
+/************************************** purge */
+
+describe('purge', function () {
+  test('Purges records deleted before the retention period.', async function () {
+    // Arrange
+    await db.query(
+      `INSERT INTO applications (username, job_id, status)
+      VALUES ('u1', 1, 'applied'),
+             ('u2', 3, 'applied')`
+    );
+    await deleteDaysAgo('companies', "handle = 'c1'", 31);
+    await deleteDaysAgo('jobs', "company_handle = 'c1'", 31);
+    await deleteDaysAgo('jobs', 'id = 3', 5);
+    await deleteDaysAgo('users', "username = 'u2'", 40);
+
+    // Act
+    const counts = await purge(30);
+
+    // Assert
+    expect(counts).toEqual({ jobs: 2, companies: 1, users: 1 });
+    const companiesResult = await db.query(
+      'SELECT handle FROM companies ORDER BY handle'
+    );
+    expect(companiesResult.rows).toEqual([{ handle: 'c2' }, { handle: 'c3' }]);
+    const jobsResult = await db.query('SELECT id FROM jobs');
+    expect(jobsResult.rows).toEqual([{ id: 3 }]);
+    const usersResult = await db.query('SELECT username FROM users');
+    expect(usersResult.rows).toEqual([{ username: 'u1' }]);
+    const applicationsResult = await db.query('SELECT * FROM applications');
+    expect(applicationsResult.rows).toEqual([]);
+  });
+
+  test('Purges nothing if nothing is deleted.', async function () {
+    // Act
+    const counts = await purge(0);
+
+    // Assert
+    expect(counts).toEqual({ jobs: 0, companies: 0, users: 0 });
+  });
+
+  test.each([[-1], [1.5], ['30']])(
+    'Throws an error if retention days is %p.',
+    async function (retentionDays) {
+      // Act / Assert
+      await expect(purge(retentionDays)).rejects.toThrow(
+        `Invalid retention days: ${retentionDays}`
+      );
+    }
+  );
+});
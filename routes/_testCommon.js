@@ -1,6 +1,7 @@
 'use strict';
 
 const db = require('../db.js');
+const { migrate } = require('../migrate');
 const User = require('../models/user');
 const Company = require('../models/company');
 const Job = require('../models/job');
@@ -39,6 +40,10 @@ const jobs = Object.freeze([
     salary: 0,
     equity: 1.0,
     companyHandle: 'c1',
+    status: 'open',
+    postedAt: expect.any(String),
+    expiresAt: null,
+    technologies: ['t1', 't2', 't3'],
   }),
   Object.freeze({
     id: expect.any(Number),
@@ -46,6 +51,10 @@ const jobs = Object.freeze([
     salary: 100,
     equity: 0.5,
     companyHandle: 'c1',
+    status: 'open',
+    postedAt: expect.any(String),
+    expiresAt: null,
+    technologies: ['t1'],
   }),
   Object.freeze({
     id: expect.any(Number),
@@ -53,12 +62,18 @@ const jobs = Object.freeze([
     salary: 1000,
     equity: 0.0,
     companyHandle: 'c2',
+    status: 'open',
+    postedAt: expect.any(String),
+    expiresAt: null,
+    technologies: [],
   }),
 ]);
 
 // --------------------------------------------------
 
 async function commonBeforeAll() {
+  await migrate();
+
   // noinspection SqlWithoutWhere
   await db.query('DELETE FROM users');
   // noinspection SqlWithoutWhere
@@ -73,6 +88,22 @@ async function commonBeforeAll() {
   await db.query('TRUNCATE TABLE jobs_technologies CASCADE');
   // noinspection SqlWithoutWhere
   await db.query('TRUNCATE TABLE users_technologies CASCADE');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE revoked_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE password_reset_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE audit_log RESTART IDENTITY');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE company_recruiters');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE login_failures RESTART IDENTITY');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE login_lockouts');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE email_verification_tokens');
+  // noinspection SqlWithoutWhere
+  await db.query('TRUNCATE TABLE recovery_codes');
 
   await Company.create({
     handle: 'c1',
@@ -103,13 +134,6 @@ async function commonBeforeAll() {
     });
   }
 
-  for (const job of jobs) {
-    const jobCopy = { ...job };
-    delete jobCopy.id;
-
-    await Job.create(jobCopy);
-  }
-
   await db.query(
     `INSERT INTO technologies (name)
     VALUES ('t1'),
@@ -117,13 +141,13 @@ async function commonBeforeAll() {
             ('t3')`
   );
 
-  await db.query(
-    `INSERT INTO jobs_technologies (job_id, tech_id)
-    VALUES (1, 1),
-            (1, 2),
-            (1, 3),
-            (2, 1)`
-  );
+  for (const job of jobs) {
+    const jobCopy = { ...job };
+    delete jobCopy.id;
+    delete jobCopy.postedAt;
+
+    await Job.create(jobCopy);
+  }
 
   await db.query(
     `INSERT INTO users_technologies (username, tech_id)
@@ -131,14 +155,19 @@ async function commonBeforeAll() {
             ('u1', 2),
             ('u2', 1)`
   );
+
+  await Company.addRecruiter('c1', 'u3');
+
+  // noinspection SqlWithoutWhere
+  await db.query('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP');
 }
 
 async function commonBeforeEach() {
-  await db.query('BEGIN');
+  await db.beginTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query('ROLLBACK');
+  await db.rollbackTransaction();
 }
 
 async function commonAfterAll() {
@@ -147,6 +176,12 @@ async function commonAfterAll() {
 
 const u1Token = createToken({ username: 'u1', isAdmin: true });
 const u2Token = createToken({ username: 'u2', isAdmin: false });
+// u3 is a recruiter for c1
+const u3Token = createToken({
+  username: 'u3',
+  isAdmin: false,
+  recruiterFor: ['c1'],
+});
 
 // ==================================================
 
@@ -157,6 +192,7 @@ module.exports = {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
   users,
   jobs,
 };
@@ -0,0 +1,97 @@
+'use strict';
+
+/** Routes for the applications report. */
+
+const express = require('express');
+
+const { wantsCsv, sendCsv } = require('../helpers/csv');
+const { documentRoute } = require('../helpers/openapi');
+const {
+  ensureLoggedIn,
+  ensureAdminOrRecruiter,
+} = require('../middleware/auth');
+const {
+  convertGetAllApplicationsQueryParameters,
+} = require('../middleware/applications');
+
+const Job = require('../models/job');
+
+// ==================================================
+
+// Columns of applications sent as CSV.
+const APPLICATION_CSV_COLUMNS = Object.freeze([
+  'username',
+  'firstName',
+  'lastName',
+  'email',
+  'jobId',
+  'jobTitle',
+  'companyHandle',
+  'companyName',
+  'status',
+]);
+
+const router = new express.Router();
+
+/**
+ * GET /
+ * => { applications: [{ username, firstName, lastName, email, jobId,
+ *      jobTitle, companyHandle, companyName, status }, ...] }
+ *
+ * Applications are ordered by job ID and username.  Recruiters only get the
+ * applications to the jobs of the companies they are a recruiter for.
+ *
+ * Can filter on provided search filters:
+ * - status
+ * - companyHandle
+ *
+ * Can paginate with:
+ * - limit
+ * - offset
+ *
+ * Sends the applications as a CSV file instead if format is csv, or if the
+ * Accept header prefers text/csv.
+ *
+ * Authorization required: login, admin or recruiter
+ */
+documentRoute(router, 'GET /', {
+  summary: 'Lists job applications.',
+  auth: 'login, admin or recruiter',
+  query: 'applicationGetAllQuery',
+  csv: 'response',
+  returns:
+    '{ applications: [{ username, firstName, lastName, email, jobId, ' +
+    'jobTitle, companyHandle, companyName, status }, ...] }',
+});
+
+router.get(
+  '/',
+  ensureLoggedIn,
+  ensureAdminOrRecruiter(),
+  convertGetAllApplicationsQueryParameters,
+  async function (req, res, next) {
+    try {
+      const { isAdmin, recruiterFor } = res.locals.user;
+      if (!isAdmin) req.query.companyHandles = recruiterFor;
+
+      if (wantsCsv(req)) {
+        return await sendCsv(
+          res,
+          'applications.csv',
+          APPLICATION_CSV_COLUMNS,
+          (page) => Job.findAllApplications({ ...req.query, ...page }),
+          req.query
+        );
+      }
+
+      const applications = await Job.findAllApplications(req.query);
+      return res.json({ applications });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,158 @@
+'use strict';
+
+const request = require('supertest');
+
+const db = require('../db.js');
+const app = require('../app');
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+  u3Token,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(
+    `INSERT INTO applications (username, job_id, status)
+    VALUES ('u2', 1, 'interested'),
+           ('u3', 3, 'applied')`
+  );
+});
+
+/************************************** GET /applications */
+
+describe('GET /applications', function () {
+  const url = '/applications';
+
+  test('Gets all applications for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: 'u2',
+          firstName: 'U2F',
+          lastName: 'U2L',
+          email: 'user2@user.com',
+          jobId: 1,
+          jobTitle: 'j1',
+          companyHandle: 'c1',
+          companyName: 'C1',
+          status: 'interested',
+        },
+        {
+          username: 'u3',
+          firstName: 'U3F',
+          lastName: 'U3L',
+          email: 'user3@user.com',
+          jobId: 3,
+          jobTitle: 'j3',
+          companyHandle: 'c2',
+          companyName: 'C2',
+          status: 'applied',
+        },
+      ],
+    });
+  });
+
+  test('Filters applications.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .query({ status: 'applied', companyHandle: 'c2' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.applications.map((a) => a.username)).toEqual(['u3']);
+  });
+
+  test.each([[{ format: 'csv' }], [{}]])(
+    'Sends applications as CSV.  Query: %o.',
+    async function (query) {
+      // Act
+      const resp = await request(app)
+        .get(url)
+        .query(query)
+        .set('accept', 'text/csv')
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.headers['content-type']).toMatch(/^text\/csv/);
+      expect(resp.headers['content-disposition']).toEqual(
+        'attachment; filename="applications.csv"'
+      );
+      expect(resp.text).toEqual(
+        'username,firstName,lastName,email,jobId,jobTitle,companyHandle,' +
+          'companyName,status\r\n' +
+          'u2,U2F,U2L,user2@user.com,1,j1,c1,C1,interested\r\n' +
+          'u3,U3F,U3L,user3@user.com,3,j3,c2,C2,applied\r\n'
+      );
+    }
+  );
+
+  test('Gets only the applications to their jobs for recruiters.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u3Token}`);
+    const filteredResp = await request(app)
+      .get(url)
+      .query({ companyHandle: 'c2' })
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.applications.map((a) => a.jobId)).toEqual([1]);
+    expect(filteredResp.body).toEqual({ applications: [] });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin or recruiter', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test.each([[{ status: 'nope' }], [{ format: 'xml' }], [{ limit: '0' }]])(
+    'bad request with invalid query; query: %o',
+    async function (query) {
+      // Act
+      const resp = await request(app)
+        .get(url)
+        .query(query)
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+/** Routes for the audit log. */
+
+const express = require('express');
+
+const { documentRoute } = require('../helpers/openapi');
+const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const { convertGetAuditLogQueryParameters } = require('../middleware/audit');
+
+const AuditLog = require('../models/auditLog');
+
+// ==================================================
+
+const router = new express.Router();
+
+/**
+ * GET /
+ * => { entries: [{ id, actor, action, entityType, entityId, before, after,
+ *      createdAt }, ...],
+ *      total }
+ *
+ * Lists the changes made through the API, newest first.  actor is the
+ * username of the user that made the change.  before and after have the
+ * fields that changed, and are null for records that were created or
+ * deleted.  total is the number of entries that match the filters, across all
+ * pages.
+ *
+ * Can filter on provided search filters:
+ * - actor
+ * - action (create, update, delete, restore, import, apply, interested,
+ *   withdraw, reset-password, change-password, verify-email, enable-2fa, or
+ *   disable-2fa)
+ * - entityType (company, job, technology, user, application, recruiter, or
+ *   lockout)
+ * - entityId (a handle, ID, username, "username/jobId" for applications,
+ *   "handle/username" for recruiters, or "keyType/key" for lockouts)
+ * - since (a date-time; entries made at or after it)
+ * - until (a date-time; entries made before it)
+ *
+ * Can paginate with:
+ * - limit
+ * - offset
+ *
+ * Authorization required: login, admin
+ */
+documentRoute(router, 'GET /', {
+  summary: 'Lists the changes made through the API, newest first.',
+  auth: 'login, admin',
+  query: 'auditLogGetAllQuery',
+  returns:
+    '{ entries: [{ id, actor, action, entityType, entityId, before, ' +
+    'after, createdAt }, ...], total }',
+});
+
+router.get(
+  '/',
+  ensureLoggedIn,
+  ensureAdmin,
+  convertGetAuditLogQueryParameters,
+  async function (req, res, next) {
+    try {
+      const entries = await AuditLog.findAll(req.query);
+      const total = await AuditLog.count(req.query);
+      return res.json({ entries, total });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
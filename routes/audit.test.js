@@ -0,0 +1,373 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const AuditLog = require('../models/auditLog');
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** recording changes */
+
+describe('recording changes', function () {
+  test.each([
+    [
+      'post',
+      '/companies',
+      { handle: 'new', name: 'New', description: 'DescNew', numEmployees: 9 },
+      { action: 'create', entityType: 'company', entityId: 'new' },
+    ],
+    [
+      'post',
+      '/companies/import',
+      [{ handle: 'c1', name: 'C1', description: 'New', numEmployees: 1 }],
+      { action: 'import', entityType: 'company', entityId: null },
+    ],
+    [
+      'patch',
+      '/companies/c1',
+      { name: 'New' },
+      { action: 'update', entityType: 'company', entityId: 'c1' },
+    ],
+    [
+      'delete',
+      '/companies/c1',
+      undefined,
+      { action: 'delete', entityType: 'company', entityId: 'c1' },
+    ],
+    [
+      'post',
+      '/jobs',
+      { title: 'new', companyHandle: 'c1' },
+      { action: 'create', entityType: 'job', entityId: '4' },
+    ],
+    [
+      'post',
+      '/jobs/import',
+      [{ title: 'new', companyHandle: 'c1' }],
+      { action: 'import', entityType: 'job', entityId: null },
+    ],
+    [
+      'patch',
+      '/jobs/1',
+      { title: 'New' },
+      { action: 'update', entityType: 'job', entityId: '1' },
+    ],
+    [
+      'delete',
+      '/jobs/1',
+      undefined,
+      { action: 'delete', entityType: 'job', entityId: '1' },
+    ],
+    [
+      'post',
+      '/technologies',
+      { name: 't4' },
+      { action: 'create', entityType: 'technology', entityId: '4' },
+    ],
+    [
+      'patch',
+      '/technologies/1',
+      { name: 'New' },
+      { action: 'update', entityType: 'technology', entityId: '1' },
+    ],
+    [
+      'delete',
+      '/technologies/1',
+      undefined,
+      { action: 'delete', entityType: 'technology', entityId: '1' },
+    ],
+    [
+      'post',
+      '/users',
+      {
+        username: 'new',
+        firstName: 'First',
+        lastName: 'Last',
+        email: 'new@email.com',
+        isAdmin: false,
+      },
+      { action: 'create', entityType: 'user', entityId: 'new' },
+    ],
+    [
+      'patch',
+      '/users/u2',
+      { firstName: 'New' },
+      { action: 'update', entityType: 'user', entityId: 'u2' },
+    ],
+    [
+      'delete',
+      '/users/u2',
+      undefined,
+      { action: 'delete', entityType: 'user', entityId: 'u2' },
+    ],
+    [
+      'put',
+      '/users/u2/technologies',
+      { technologies: ['t2'] },
+      { action: 'update', entityType: 'user', entityId: 'u2' },
+    ],
+    [
+      'post',
+      '/users/u2/jobs/1',
+      undefined,
+      { action: 'apply', entityType: 'application', entityId: 'u2/1' },
+    ],
+    [
+      'post',
+      '/users/u2/jobs/1/interested',
+      undefined,
+      { action: 'interested', entityType: 'application', entityId: 'u2/1' },
+    ],
+  ])('Records %s %s.', async function (method, url, body, expected) {
+    // Act
+    const resp = await request(app)
+      [method](url)
+      .send(body)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBeLessThan(300);
+    const entries = await AuditLog.findAll();
+    expect(entries).toEqual([
+      expect.objectContaining({ actor: 'u1', ...expected }),
+    ]);
+  });
+
+  test('Records the changed fields.', async function () {
+    // Act
+    await request(app)
+      .patch('/companies/c1')
+      .send({ name: 'New', numEmployees: 1 })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll();
+    expect(entries[0].before).toEqual({ name: 'C1' });
+    expect(entries[0].after).toEqual({ name: 'New' });
+  });
+
+  test('Records a new password without its value.', async function () {
+    // Act
+    await request(app)
+      .post('/users/u2/password')
+      .send({ currentPassword: 'password2', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll();
+    expect(entries[0]).toEqual(
+      expect.objectContaining({
+        actor: 'u2',
+        action: 'change-password',
+        before: null,
+        after: null,
+      })
+    );
+    expect(JSON.stringify(entries)).not.toContain('new-password');
+  });
+
+  test('Records application status changes.', async function () {
+    // Act
+    await request(app)
+      .post('/users/u2/jobs/1/interested')
+      .set('authorization', `Bearer ${u2Token}`);
+    await request(app)
+      .post('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+    await request(app)
+      .patch('/users/u2/jobs/1')
+      .send({ status: 'rejected' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll({ entityType: 'application' });
+    expect(
+      entries.map(({ actor, action, before, after }) => ({
+        actor,
+        action,
+        before,
+        after,
+      }))
+    ).toEqual([
+      {
+        actor: 'u1',
+        action: 'update',
+        before: { status: 'applied' },
+        after: { status: 'rejected' },
+      },
+      {
+        actor: 'u2',
+        action: 'apply',
+        before: { status: 'interested' },
+        after: { status: 'applied' },
+      },
+      {
+        actor: 'u2',
+        action: 'interested',
+        before: null,
+        after: { status: 'interested' },
+      },
+    ]);
+  });
+
+  test('Records a withdrawn application.', async function () {
+    // Arrange
+    await request(app)
+      .post('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Act
+    await request(app)
+      .delete('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll({ action: 'withdraw' });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        before: { status: 'applied' },
+        after: null,
+      }),
+    ]);
+  });
+
+  test('Records a restored record.', async function () {
+    // Arrange
+    await request(app)
+      .delete('/jobs/1')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Act
+    await request(app)
+      .post('/jobs/1/restore')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll({ action: 'restore' });
+    expect(entries).toEqual([
+      expect.objectContaining({
+        entityType: 'job',
+        entityId: '1',
+        before: null,
+        after: expect.objectContaining({ id: 1, title: 'j1' }),
+      }),
+    ]);
+  });
+
+  test('Does not record failed changes.', async function () {
+    // Act
+    const resp = await request(app)
+      .patch('/companies/nope')
+      .send({ name: 'New' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+    expect(await AuditLog.count()).toEqual(0);
+  });
+});
+
+/************************************** GET /audit */
+
+describe('GET /audit', function () {
+  const url = '/audit';
+
+  beforeEach(async function () {
+    await request(app)
+      .patch('/companies/c1')
+      .send({ name: 'New' })
+      .set('authorization', `Bearer ${u1Token}`);
+    await request(app)
+      .post('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+  });
+
+  test('Gets all entries for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      entries: [
+        {
+          id: expect.any(Number),
+          actor: 'u2',
+          action: 'apply',
+          entityType: 'application',
+          entityId: 'u2/1',
+          before: null,
+          after: { status: 'applied' },
+          createdAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          actor: 'u1',
+          action: 'update',
+          entityType: 'company',
+          entityId: 'c1',
+          before: { name: 'C1' },
+          after: { name: 'New' },
+          createdAt: expect.any(String),
+        },
+      ],
+      total: 2,
+    });
+  });
+
+  test('Filters and paginates entries.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(`${url}?actor=u1&entityType=company&limit=1`)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body.entries.map((e) => e.entityId)).toEqual(['c1']);
+    expect(resp.body.total).toEqual(1);
+  });
+
+  test('Bad request if invalid query.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(`${url}?since=yesterday`)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('Unauth for anon.', async function () {
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('Forbidden if not admin.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+});
@@ -3,67 +3,685 @@
 /** Routes for authentication. */
 
 const express = require('express');
-const jsonschema = require('jsonschema');
 
+const db = require('../db');
+const { documentRoute, schemaRef } = require('../helpers/openapi');
+const AuditLog = require('../models/auditLog');
 const User = require('../models/user');
-const { createToken } = require('../helpers/tokens');
+const RevokedToken = require('../models/revokedToken');
+const PasswordReset = require('../models/passwordReset');
+const LoginThrottle = require('../models/loginThrottle');
+const EmailVerification = require('../models/emailVerification');
+const TwoFactor = require('../models/twoFactor');
+const { sendMail } = require('../helpers/mail');
+const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const {
+  convertGetLoginFailuresQueryParameters,
+} = require('../middleware/audit');
+const {
+  PASSWORD_RESET_EXPIRES_IN,
+  EMAIL_VERIFICATION_EXPIRES_IN,
+} = require('../config');
+const {
+  createToken,
+  createRefreshToken,
+  verifyRefreshToken,
+  createTwoFactorToken,
+  verifyTwoFactorToken,
+} = require('../helpers/tokens');
 const userAuthSchema = require('../schemas/userAuth.json');
+const userAuthTwoFactorSchema = require('../schemas/userAuthTwoFactor.json');
 const userRegisterSchema = require('../schemas/userRegister.json');
-const { BadRequestError } = require('../expressError');
+const tokenRefreshSchema = require('../schemas/tokenRefresh.json');
+const passwordResetRequestSchema = require('../schemas/passwordResetRequest.json');
+const passwordResetConfirmSchema = require('../schemas/passwordResetConfirm.json');
+const emailVerifySchema = require('../schemas/emailVerify.json');
+const twoFactorCodeSchema = require('../schemas/twoFactorCode.json');
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+} = require('../expressError');
+const { validateSchema, validatePassword } = require('../helpers/validation');
 
 // ==================================================
 
+/**
+ * Creates an email verification token for a user, and emails it to them.  If
+ * sending fails, the token is not kept, so that the user does not have to
+ * wait before asking again.
+ *
+ * @param {String} username Username of the user to verify.
+ * @throws TooManyRequestsError If a token was sent too recently.
+ */
+async function sendVerificationEmail(username) {
+  await db.withTransaction(async () => {
+    const { token, email } = await EmailVerification.create(username);
+    await sendMail({
+      to: email,
+      subject: 'Verify your Jobly email address',
+      text:
+        `Use this token to verify your email address: ${token}\n\n` +
+        `The token expires in ${
+          EMAIL_VERIFICATION_EXPIRES_IN / 3600
+        } hours.  ` +
+        'If you did not create a Jobly account, ignore this email.',
+    });
+  });
+}
+
 const router = new express.Router();
 
-/** POST /auth/token:  { username, password } => { token }
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token which can be used to get new tokens.
+ *
+ * Users with two-factor authentication log in in two steps.  The password
+ * step returns { twoFactorRequired: true, twoFactorToken } instead of tokens,
+ * and the second step posts { twoFactorToken, code }, where code is a code
+ * from the user's authenticator app or a recovery code.  The twoFactorToken
+ * expires after TWO_FACTOR_TOKEN_EXPIRES_IN.
+ *
+ * Failed logins, including wrong two-factor codes, are recorded.  After too
+ * many failures for a username or an IP address, logins for it are locked out
+ * for a time that doubles with each further failure, and a 429 error is
+ * returned with a Retry-After header.  Logging in clears the failures for the
+ * username.
  *
  * Authorization required: none
  */
 
+documentRoute(router, 'POST /token', {
+  summary:
+    'Logs in, returning an access token and a refresh token.  Users with ' +
+    'two-factor authentication get a twoFactorToken instead, to post ' +
+    'again with a code.',
+  auth: 'none',
+  body: { oneOf: [schemaRef('userAuth'), schemaRef('userAuthTwoFactor')] },
+  returns:
+    '{ token, refreshToken }, or { twoFactorRequired: true, ' +
+    'twoFactorToken }',
+});
+
 router.post('/token', async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
+    let user;
+    if (req.body.twoFactorToken === undefined) {
+      validateSchema(req.body, userAuthSchema);
+
+      const { username, password } = req.body;
+      user = await LoginThrottle.attempt(
+        username,
+        req.ip,
+        () => User.authenticate(username, password),
+        (err) => err instanceof UnauthorizedError
+      );
+
+      if (user.twoFactorEnabled) {
+        const twoFactorToken = createTwoFactorToken(user);
+        return res.json({ twoFactorRequired: true, twoFactorToken });
+      }
+    } else {
+      validateSchema(req.body, userAuthTwoFactorSchema);
+
+      const { username } = verifyTwoFactorToken(req.body.twoFactorToken);
+
+      try {
+        user = await LoginThrottle.attempt(
+          username,
+          req.ip,
+          async () => {
+            if (!(await TwoFactor.verify(username, req.body.code))) {
+              throw new UnauthorizedError('Invalid two-factor code');
+            }
+            return User.get(username);
+          },
+          (err) => err instanceof UnauthorizedError
+        );
+      } catch (err) {
+        if (err instanceof NotFoundError) {
+          throw new UnauthorizedError('Invalid two-factor token');
+        }
+        throw err;
+      }
     }
+    await LoginThrottle.recordSuccess(user.username);
 
-    const { username, password } = req.body;
-    const user = await User.authenticate(username, password);
     const token = createToken(user);
-    return res.json({ token });
+    const refreshToken = createRefreshToken(user);
+    return res.json({ token, refreshToken });
   } catch (err) {
     return next(err);
   }
 });
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
+ *
+ * user must include { username, password, firstName, lastName, email }, and
+ * the password must follow the password policy.
  *
- * user must include { username, password, firstName, lastName, email }
+ * The new user's email address starts unverified, and a verification token
+ * is emailed to it, to use with GET /auth/verify.  The new user is recorded in
+ * the audit log, as created by themselves.
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns a short-lived JWT token which can be used to authenticate further
+ * requests, and a refresh token which can be used to get new tokens.
  *
  * Authorization required: none
  */
 
+documentRoute(router, 'POST /register', {
+  summary: 'Registers a new user, and emails them a verification token.',
+  auth: 'none',
+  body: 'userRegister',
+  status: 201,
+  returns: '{ token, refreshToken }',
+});
+
 router.post('/register', async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+    validateSchema(req.body, userRegisterSchema);
+    validatePassword(req.body.password, req.body.username);
 
-    const newUser = await User.register({ ...req.body, isAdmin: false });
+    const newUser = await db.withTransaction(async () => {
+      const newUser = await User.register({ ...req.body, isAdmin: false });
+      await AuditLog.record({
+        actor: newUser.username,
+        action: 'create',
+        entityType: 'user',
+        entityId: newUser.username,
+        after: newUser,
+      });
+      await sendVerificationEmail(newUser.username);
+      return newUser;
+    });
     const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const refreshToken = createRefreshToken(newUser);
+    return res.status(201).json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /auth/verify?token=   => { emailVerified: true }
+ *
+ * Verifies the email address a verification token was sent to.  The token
+ * can only be used once, and is not valid if the user has changed their email
+ * address since.  The verification is recorded in the audit log.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'GET /verify', {
+  summary: 'Verifies the email address a verification token was sent to.',
+  auth: 'none',
+  query: 'emailVerify',
+  returns: '{ emailVerified: true }',
+});
+
+router.get('/verify', async function (req, res, next) {
+  try {
+    validateSchema(req.query, emailVerifySchema);
+
+    await db.withTransaction(async () => {
+      const username = await EmailVerification.consume(req.query.token);
+      await AuditLog.record({
+        actor: username,
+        action: 'verify-email',
+        entityType: 'user',
+        entityId: username,
+      });
+    });
+
+    return res.json({ emailVerified: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/verify/resend   => { verificationSent: true }
+ *
+ * Emails a new verification token to the logged in user, invalidating earlier
+ * tokens.  A new token can only be sent once every
+ * EMAIL_VERIFICATION_RESEND_SECONDS; sending another sooner returns a 429
+ * error with a Retry-After header.
+ *
+ * Authorization required: login
+ */
+
+documentRoute(router, 'POST /verify/resend', {
+  summary: 'Emails a new verification token to the logged in user.',
+  auth: 'login',
+  returns: '{ verificationSent: true }',
+});
+
+router.post('/verify/resend', ensureLoggedIn, async function (req, res, next) {
+  try {
+    await sendVerificationEmail(res.locals.user.username);
+    return res.json({ verificationSent: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/2fa   => { secret, otpauthUri }
+ *
+ * Starts enrolling the logged in user in two-factor authentication.  Returns
+ * a new secret, as base32, and its otpauth URI, which authenticator apps can
+ * read from a QR code.  Starting again replaces the secret.  Two-factor
+ * authentication is not enabled until it is confirmed with
+ * POST /auth/2fa/confirm.
+ *
+ * Authorization required: login
+ */
+
+documentRoute(router, 'POST /2fa', {
+  summary: 'Starts enrolling the logged in user in two-factor authentication.',
+  auth: 'login',
+  returns: '{ secret, otpauthUri }',
+});
+
+router.post('/2fa', ensureLoggedIn, async function (req, res, next) {
+  try {
+    const enrollment = await TwoFactor.startEnrollment(
+      res.locals.user.username
+    );
+    return res.json(enrollment);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/2fa/confirm:   { code } => { recoveryCodes: [code, ...] }
+ *
+ * Enables two-factor authentication for the logged in user, once they give a
+ * code from their authenticator app for the secret from POST /auth/2fa.
+ * Returns single-use recovery codes, which can be used instead of a code if
+ * the authenticator app is lost.  They are only shown once.  Enabling is
+ * recorded in the audit log, without the codes.
+ *
+ * Authorization required: login
+ */
+
+documentRoute(router, 'POST /2fa/confirm', {
+  summary:
+    'Enables two-factor authentication with a code from the ' +
+    'authenticator app.',
+  auth: 'login',
+  body: 'twoFactorCode',
+  returns: '{ recoveryCodes: [code, ...] }',
+});
+
+router.post('/2fa/confirm', ensureLoggedIn, async function (req, res, next) {
+  try {
+    validateSchema(req.body, twoFactorCodeSchema);
+
+    const { username } = res.locals.user;
+    const recoveryCodes = await db.withTransaction(async () => {
+      const recoveryCodes = await TwoFactor.confirmEnrollment(
+        username,
+        req.body.code
+      );
+      await AuditLog.record({
+        actor: username,
+        action: 'enable-2fa',
+        entityType: 'user',
+        entityId: username,
+      });
+      return recoveryCodes;
+    });
+
+    return res.json({ recoveryCodes });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /auth/2fa:   { code } => { twoFactorDisabled: true }
+ *
+ * Disables two-factor authentication for the logged in user, who must give a
+ * code from their authenticator app or a recovery code.  Wrong codes count as
+ * failed logins, so they are limited like POST /auth/token.  Disabling is
+ * recorded in the audit log.
+ *
+ * Authorization required: login
+ */
+
+documentRoute(router, 'DELETE /2fa', {
+  summary: 'Disables two-factor authentication with a code or a recovery code.',
+  auth: 'login',
+  body: 'twoFactorCode',
+  returns: '{ twoFactorDisabled: true }',
+});
+
+router.delete('/2fa', ensureLoggedIn, async function (req, res, next) {
+  try {
+    validateSchema(req.body, twoFactorCodeSchema);
+
+    const { username } = res.locals.user;
+    await LoginThrottle.attempt(
+      username,
+      req.ip,
+      async () => {
+        if (!(await TwoFactor.verify(username, req.body.code))) {
+          throw new BadRequestError(
+            'Invalid two-factor code',
+            'INVALID_TWO_FACTOR_CODE',
+            [
+              {
+                pointer: '/code',
+                keyword: 'twoFactorCode',
+                message: 'is not valid',
+              },
+            ]
+          );
+        }
+      },
+      (err) => err.code === 'INVALID_TWO_FACTOR_CODE'
+    );
+
+    await db.withTransaction(async () => {
+      await TwoFactor.disable(username);
+      await AuditLog.record({
+        actor: username,
+        action: 'disable-2fa',
+        entityType: 'user',
+        entityId: username,
+      });
+    });
+
+    return res.json({ twoFactorDisabled: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/refresh:   { refreshToken } => { token, refreshToken }
+ *
+ * Exchanges a refresh token for a new JWT token and a new refresh token.  The
+ * given refresh token is revoked, so it can only be used once.
+ *
+ * The new JWT token uses the user's current data, so a user that was demoted
+ * from admin loses admin access, and a deleted user can not get new tokens.
+ * Refresh tokens issued before the user's password was changed are revoked.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'POST /refresh', {
+  summary: 'Exchanges a refresh token for new tokens, revoking it.',
+  auth: 'none',
+  body: 'tokenRefresh',
+  returns: '{ token, refreshToken }',
+});
+
+router.post('/refresh', async function (req, res, next) {
+  try {
+    validateSchema(req.body, tokenRefreshSchema);
+
+    const payload = verifyRefreshToken(req.body.refreshToken);
+
+    if (await User.isTokenRevoked(payload.username, payload.iat)) {
+      throw new UnauthorizedError('Refresh token revoked');
+    }
+
+    // revoking is the check that the token was not used yet, so that
+    // concurrent refreshes with the same token can not both succeed
+    if (!(await RevokedToken.revoke(payload))) {
+      throw new UnauthorizedError('Refresh token revoked');
+    }
+
+    let user;
+    try {
+      user = await User.get(payload.username);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        throw new UnauthorizedError('Invalid refresh token');
+      }
+      throw err;
+    }
+
+    const token = createToken(user);
+    const refreshToken = createRefreshToken(user);
+    return res.json({ token, refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/logout:   { refreshToken } => { loggedOut: true }
+ *
+ * Revokes a refresh token, so that it can not be used to get new tokens.
+ * Already issued JWT tokens stay valid until they expire.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'POST /logout', {
+  summary: 'Revokes a refresh token.',
+  auth: 'none',
+  body: 'tokenRefresh',
+  returns: '{ loggedOut: true }',
+});
+
+router.post('/logout', async function (req, res, next) {
+  try {
+    validateSchema(req.body, tokenRefreshSchema);
+
+    const payload = verifyRefreshToken(req.body.refreshToken);
+    await RevokedToken.revoke(payload);
+
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /auth/password-reset/request:   { username } => { message }
+ *
+ * Emails a single-use password reset token to the user, which expires after
+ * PASSWORD_RESET_EXPIRES_IN seconds.  Requesting a new token invalidates
+ * earlier tokens.
+ *
+ * The same response is returned whether or not the user exists, so that
+ * usernames can not be discovered.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'POST /password-reset/request', {
+  summary: 'Emails a password reset token to the user, if they exist.',
+  auth: 'none',
+  body: 'passwordResetRequest',
+  returns: '{ message }',
+});
+
+router.post('/password-reset/request', async function (req, res, next) {
+  try {
+    validateSchema(req.body, passwordResetRequestSchema);
+
+    let user;
+    try {
+      user = await User.get(req.body.username);
+    } catch (err) {
+      if (!(err instanceof NotFoundError)) throw err;
+    }
+
+    if (user) {
+      const token = await PasswordReset.create(user.username);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Jobly password',
+        text:
+          `Use this token to reset your password: ${token}\n\n` +
+          `The token expires in ${PASSWORD_RESET_EXPIRES_IN / 60} minutes.  ` +
+          'If you did not request a password reset, ignore this email.',
+      });
+    }
+
+    return res.json({
+      message: 'If the user exists, a password reset email has been sent.',
+    });
   } catch (err) {
     return next(err);
   }
 });
 
+/** POST /auth/password-reset/confirm:   { token, password }
+ *                                        => { passwordReset: true }
+ *
+ * Sets a new password for the user a password reset token was sent to.  The
+ * password must follow the password policy.  The token can only be used once,
+ * and tokens issued before the reset are no longer valid.  The reset is
+ * recorded in the audit log, without the password.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'POST /password-reset/confirm', {
+  summary: 'Sets a new password with a password reset token.',
+  auth: 'none',
+  body: 'passwordResetConfirm',
+  returns: '{ passwordReset: true }',
+});
+
+router.post('/password-reset/confirm', async function (req, res, next) {
+  try {
+    validateSchema(req.body, passwordResetConfirmSchema);
+
+    await db.withTransaction(async () => {
+      const username = await PasswordReset.consume(req.body.token);
+      // checked after the token, which is needed to find the username; the
+      // token is not used up if the password is not valid
+      validatePassword(req.body.password, username);
+      await User.changePassword(username, req.body.password);
+      await AuditLog.record({
+        actor: username,
+        action: 'reset-password',
+        entityType: 'user',
+        entityId: username,
+      });
+    });
+
+    return res.json({ passwordReset: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /auth/lockouts
+ * => { lockouts: [{ keyType, key, failures, lastFailureAt, lockedUntil },
+ *      ...] }
+ *
+ * Lists the usernames and IP addresses whose logins are locked out.  keyType
+ * is "username" or "ip".
+ *
+ * Authorization required: login, admin
+ */
+
+documentRoute(router, 'GET /lockouts', {
+  summary: 'Lists the usernames and IP addresses locked out of logging in.',
+  auth: 'login, admin',
+  returns:
+    '{ lockouts: [{ keyType, key, failures, lastFailureAt, lockedUntil }, ' +
+    '...] }',
+});
+
+router.get(
+  '/lockouts',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const lockouts = await LoginThrottle.findLockouts();
+      return res.json({ lockouts });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /auth/lockouts/:keyType/:key  =>  { cleared: { keyType, key } }
+ *
+ * Clears the lockout and the recent failures of a username or an IP address,
+ * so that it can log in again.  keyType is "username" or "ip".  Clearing is
+ * recorded in the audit log.
+ *
+ * Authorization required: login, admin
+ */
+
+documentRoute(router, 'DELETE /lockouts/:keyType/:key', {
+  summary: 'Clears the lockout of a username or IP address.',
+  auth: 'login, admin',
+  returns: '{ cleared: { keyType, key } }',
+});
+
+router.delete(
+  '/lockouts/:keyType/:key',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { keyType, key } = req.params;
+      await db.withTransaction(async () => {
+        const lockout = await LoginThrottle.clearLockout(keyType, key);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'lockout',
+          entityId: `${keyType}/${key}`,
+          before: lockout,
+        });
+      });
+      return res.json({ cleared: { keyType, key } });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /auth/login-failures
+ * => { failures: [{ id, username, ip, failedAt }, ...], total }
+ *
+ * Lists failed logins, newest first.  total is the number of failures that
+ * match the filters, across all pages.
+ *
+ * Can filter on provided search filters:
+ * - username
+ * - ip
+ * - since (a date-time; failures at or after it)
+ *
+ * Can paginate with:
+ * - limit
+ * - offset
+ *
+ * Authorization required: login, admin
+ */
+
+documentRoute(router, 'GET /login-failures', {
+  summary: 'Lists failed logins, newest first.',
+  auth: 'login, admin',
+  query: 'loginFailureGetAllQuery',
+  returns: '{ failures: [{ id, username, ip, failedAt }, ...], total }',
+});
+
+router.get(
+  '/login-failures',
+  ensureLoggedIn,
+  ensureAdmin,
+  convertGetLoginFailuresQueryParameters,
+  async function (req, res, next) {
+    try {
+      const failures = await LoginThrottle.findFailures(req.query);
+      const total = await LoginThrottle.countFailures(req.query);
+      return res.json({ failures, total });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 // ==================================================
 
 module.exports = router;
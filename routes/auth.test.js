@@ -1,21 +1,96 @@
 'use strict';
 
+const jwt = require('jsonwebtoken');
 const request = require('supertest');
 
 const app = require('../app');
+const db = require('../db');
+const AuditLog = require('../models/auditLog');
+const LoginThrottle = require('../models/loginThrottle');
+const TwoFactor = require('../models/twoFactor');
+const User = require('../models/user');
+const {
+  createToken,
+  createRefreshToken,
+  createTwoFactorToken,
+} = require('../helpers/tokens');
+const { setMailTransport } = require('../helpers/mail');
+const { setTotpClock, getCounter, generateCode } = require('../helpers/totp');
+const {
+  SECRET_KEY,
+  LOGIN_MAX_FAILURES,
+  LOGIN_MAX_IP_FAILURES,
+  LOGIN_LOCKOUT_SECONDS,
+  EMAIL_VERIFICATION_RESEND_SECONDS,
+} = require('../config');
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
+  u2Token,
 } = require('./_testCommon');
 
 // ==================================================
 
+/**
+ * Fails to log in as a user, with a wrong password.
+ *
+ * @param {Number} count How many times to fail.
+ * @param {String} username The username to log in as.
+ */
+async function failLogins(count, username = 'u1') {
+  for (let i = 0; i < count; i++) {
+    await request(app)
+      .post('/auth/token')
+      .send({ username, password: 'wrong' });
+  }
+}
+
+/**
+ * Enables two-factor authentication for a user.
+ *
+ * @param {String} username Username of the user.
+ * @returns {Object} { secret, recoveryCodes }
+ */
+async function enableTwoFactor(username = 'u1') {
+  const { secret } = await TwoFactor.startEnrollment(username);
+  // a code from the previous period, so that the current one is still unused
+  const code = generateCode(secret, getCounter() - 1);
+  const recoveryCodes = await TwoFactor.confirmEnrollment(username, code);
+  return { secret, recoveryCodes };
+}
+
+/**
+ * Logs in as a user with two-factor authentication, up to the code.
+ *
+ * @param {String} username The username to log in as.
+ * @param {String} password The user's password.
+ * @returns {String} The two-factor token for the second step.
+ */
+async function startTwoFactorLogin(username = 'u1', password = 'password1') {
+  const resp = await request(app)
+    .post('/auth/token')
+    .send({ username, password });
+  return resp.body.twoFactorToken;
+}
+
+// A fixed time for two-factor codes, so that they are deterministic.
+const NOW = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+let previousClock;
+
 beforeAll(commonBeforeAll);
-beforeEach(commonBeforeEach);
-afterEach(commonAfterEach);
+beforeEach(async function () {
+  await commonBeforeEach();
+  previousClock = setTotpClock(() => NOW);
+});
+afterEach(async function () {
+  setTotpClock(previousClock);
+  await commonAfterEach();
+});
 afterAll(commonAfterAll);
 
 /************************************** POST /auth/token */
@@ -28,7 +103,22 @@ describe('POST /auth/token', function () {
     });
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+  });
+
+  test('works: token has the roles of a recruiter', async function () {
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u3',
+      password: 'password3',
     });
+    expect(jwt.decode(resp.body.token)).toEqual(
+      expect.objectContaining({
+        username: 'u3',
+        isAdmin: false,
+        recruiterFor: ['c1'],
+      })
+    );
   });
 
   test('unauth with non-existent user', async function () {
@@ -54,6 +144,95 @@ describe('POST /auth/token', function () {
     expect(resp.statusCode).toEqual(400);
   });
 
+  test('records failed logins', async function () {
+    await failLogins(2);
+    expect(await LoginThrottle.findFailures()).toEqual([
+      expect.objectContaining({ username: 'u1', ip: expect.any(String) }),
+      expect.objectContaining({ username: 'u1', ip: expect.any(String) }),
+    ]);
+  });
+
+  test('too many requests after too many failures', async function () {
+    await failLogins(LOGIN_MAX_FAILURES);
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers['retry-after']).toEqual(String(LOGIN_LOCKOUT_SECONDS));
+    expect(resp.body.error.code).toEqual('TOO_MANY_REQUESTS');
+  });
+
+  test('concurrent failed logins can not get past the limit', async function () {
+    const responses = await Promise.all(
+      Array.from({ length: LOGIN_MAX_FAILURES + 3 }, () =>
+        request(app)
+          .post('/auth/token')
+          .send({ username: 'u1', password: 'wrong' })
+      )
+    );
+    const statuses = responses.map((resp) => resp.statusCode);
+    expect(statuses.filter((s) => s === 401)).toHaveLength(LOGIN_MAX_FAILURES);
+    expect(statuses.filter((s) => s === 429)).toHaveLength(3);
+    expect(await LoginThrottle.countFailures()).toEqual(LOGIN_MAX_FAILURES);
+
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test('other users can log in while a user is locked out', async function () {
+    await failLogins(LOGIN_MAX_FAILURES);
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u2',
+      password: 'password2',
+    });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test('logging in clears earlier failures', async function () {
+    await failLogins(LOGIN_MAX_FAILURES - 1);
+    await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    await failLogins(1);
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test('clients behind a trusted proxy have separate IP limits', async function () {
+    const previousTrustProxy = app.get('trust proxy');
+    app.set('trust proxy', 1);
+
+    try {
+      for (let i = 0; i < LOGIN_MAX_IP_FAILURES; i++) {
+        await request(app)
+          .post('/auth/token')
+          .set('x-forwarded-for', '203.0.113.1')
+          .send({ username: `nope${i}`, password: 'wrong' });
+      }
+      const blockedResp = await request(app)
+        .post('/auth/token')
+        .set('x-forwarded-for', '203.0.113.1')
+        .send({ username: 'u2', password: 'password2' });
+      const otherResp = await request(app)
+        .post('/auth/token')
+        .set('x-forwarded-for', '203.0.113.2')
+        .send({ username: 'u2', password: 'password2' });
+
+      expect(blockedResp.statusCode).toEqual(429);
+      expect(otherResp.statusCode).toEqual(200);
+    } finally {
+      app.set('trust proxy', previousTrustProxy);
+    }
+  });
+
   test('bad request with invalid data', async function () {
     const resp = await request(app).post('/auth/token').send({
       username: 42,
@@ -63,21 +242,202 @@ describe('POST /auth/token', function () {
   });
 });
 
+/************************************** POST /auth/token with 2FA */
+
+describe('POST /auth/token with two-factor authentication', function () {
+  test('asks for a code after the password', async function () {
+    await enableTwoFactor();
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      twoFactorRequired: true,
+      twoFactorToken: expect.any(String),
+    });
+    expect(jwt.decode(resp.body.twoFactorToken)).toEqual(
+      expect.objectContaining({ username: 'u1', type: 'two-factor' })
+    );
+  });
+
+  test('works with a code', async function () {
+    const { secret } = await enableTwoFactor();
+    const twoFactorToken = await startTwoFactorLogin();
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: generateCode(secret, getCounter()) });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(jwt.decode(resp.body.token)).toEqual(
+      expect.objectContaining({ username: 'u1', isAdmin: true })
+    );
+  });
+
+  test('works with a recovery code, only once', async function () {
+    const { recoveryCodes } = await enableTwoFactor();
+    const twoFactorToken = await startTwoFactorLogin();
+    const resp1 = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: recoveryCodes[0] });
+    const resp2 = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: recoveryCodes[0] });
+    expect(resp1.statusCode).toEqual(200);
+    expect(resp2.statusCode).toEqual(401);
+  });
+
+  test('unauth with a used code', async function () {
+    const { secret } = await enableTwoFactor();
+    const code = generateCode(secret, getCounter());
+    const twoFactorToken = await startTwoFactorLogin();
+    await request(app).post('/auth/token').send({ twoFactorToken, code });
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual('Invalid two-factor code');
+  });
+
+  test('unauth with a wrong code, which counts as a failed login', async function () {
+    await enableTwoFactor();
+    const twoFactorToken = await startTwoFactorLogin();
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: '000000' });
+    expect(resp.statusCode).toEqual(401);
+    expect(await LoginThrottle.countFailures({ username: 'u1' })).toEqual(1);
+  });
+
+  test('too many requests after too many wrong codes', async function () {
+    const { secret } = await enableTwoFactor();
+    const twoFactorToken = await startTwoFactorLogin();
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+        .post('/auth/token')
+        .send({ twoFactorToken, code: '000000' });
+    }
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: generateCode(secret, getCounter()) });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test('the password step does not clear earlier failures', async function () {
+    await enableTwoFactor();
+    await failLogins(LOGIN_MAX_FAILURES - 1);
+    await startTwoFactorLogin();
+    await failLogins(1);
+    const resp = await request(app).post('/auth/token').send({
+      username: 'u1',
+      password: 'password1',
+    });
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test('unauth with an access token instead of a two-factor token', async function () {
+    await enableTwoFactor();
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken: u1Token, code: '000000' });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual('Invalid two-factor token');
+  });
+
+  test('unauth with an expired two-factor token', async function () {
+    await enableTwoFactor();
+    const twoFactorToken = jwt.sign(
+      { username: 'u1', type: 'two-factor', exp: 1 },
+      SECRET_KEY
+    );
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: '000000' });
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual('Two-factor token expired');
+  });
+
+  test('unauth if the user was deleted', async function () {
+    const { secret } = await enableTwoFactor();
+    const twoFactorToken = await startTwoFactorLogin();
+    await User.remove('u1');
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken, code: generateCode(secret, getCounter()) });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('bad request with missing code', async function () {
+    const resp = await request(app)
+      .post('/auth/token')
+      .send({ twoFactorToken: createTwoFactorToken({ username: 'u1' }) });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
 /************************************** POST /auth/register */
 
 describe('POST /auth/register', function () {
+  let sent;
+  let previousTransport;
+
+  beforeEach(function () {
+    sent = [];
+    previousTransport = setMailTransport({
+      async send(message) {
+        sent.push(message);
+      },
+    });
+  });
+
+  afterEach(function () {
+    setMailTransport(previousTransport);
+  });
+
   test('works for anon', async function () {
     const resp = await request(app).post('/auth/register').send({
       username: 'new',
       firstName: 'first',
       lastName: 'last',
-      password: 'password',
+      password: 'password1',
       email: 'new@email.com',
     });
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       token: expect.any(String),
+      refreshToken: expect.any(String),
     });
+    const entries = await AuditLog.findAll();
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: 'new',
+        action: 'create',
+        entityType: 'user',
+        entityId: 'new',
+      }),
+    ]);
+  });
+
+  test('emails a verification token to the new user', async function () {
+    await request(app).post('/auth/register').send({
+      username: 'new',
+      firstName: 'first',
+      lastName: 'last',
+      password: 'password1',
+      email: 'new@email.com',
+    });
+    expect(sent).toEqual([
+      {
+        from: expect.any(String),
+        to: 'new@email.com',
+        subject: expect.any(String),
+        text: expect.stringMatching(/[0-9a-f]{64}/),
+      },
+    ]);
+    expect(await User.isEmailVerified('new')).toEqual(false);
   });
 
   test('bad request with missing fields', async function () {
@@ -85,16 +445,876 @@ describe('POST /auth/register', function () {
       username: 'new',
     });
     expect(resp.statusCode).toEqual(400);
+    expect(sent).toEqual([]);
   });
 
-  test('bad request with invalid data', async function () {
+  test('bad request if password breaks the policy', async function () {
     const resp = await request(app).post('/auth/register').send({
       username: 'new',
       firstName: 'first',
       lastName: 'last',
       password: 'password',
+      email: 'new@email.com',
+    });
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual([
+      expect.objectContaining({
+        pointer: '/password',
+        keyword: 'characterClasses',
+      }),
+    ]);
+  });
+
+  test('bad request with invalid data', async function () {
+    const resp = await request(app).post('/auth/register').send({
+      username: 'new',
+      firstName: 'first',
+      lastName: 'last',
+      password: 'password1',
       email: 'not-an-email',
     });
     expect(resp.statusCode).toEqual(400);
   });
 });
+
+/************************************** GET /auth/verify */
+
+describe('GET /auth/verify', function () {
+  const url = '/auth/verify';
+  let token;
+  let previousTransport;
+
+  beforeEach(async function () {
+    previousTransport = setMailTransport({
+      async send(message) {
+        token = message.text.match(/[0-9a-f]{64}/)[0];
+      },
+    });
+    await request(app).post('/auth/register').send({
+      username: 'new',
+      firstName: 'first',
+      lastName: 'last',
+      password: 'password1',
+      email: 'new@email.com',
+    });
+  });
+
+  afterEach(function () {
+    setMailTransport(previousTransport);
+  });
+
+  test('Verifies the email address.', async function () {
+    // Act
+    const resp = await request(app).get(url).query({ token });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ emailVerified: true });
+    expect(await User.isEmailVerified('new')).toEqual(true);
+  });
+
+  test('Records the verification in the audit log.', async function () {
+    // Act
+    await request(app).get(url).query({ token });
+
+    // Assert
+    expect(await AuditLog.findAll({ action: 'verify-email' })).toEqual([
+      expect.objectContaining({
+        actor: 'new',
+        entityType: 'user',
+        entityId: 'new',
+      }),
+    ]);
+  });
+
+  test('bad request if token was already used', async function () {
+    // Arrange
+    await request(app).get(url).query({ token });
+
+    // Act
+    const resp = await request(app).get(url).query({ token });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('INVALID_EMAIL_VERIFICATION_TOKEN');
+  });
+
+  test('bad request if email changed since the token was sent', async function () {
+    // Arrange
+    await User.update('new', { email: 'other@email.com' });
+
+    // Act
+    const resp = await request(app).get(url).query({ token });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(await User.isEmailVerified('new')).toEqual(false);
+  });
+
+  test('bad request with missing token', async function () {
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify/resend */
+
+describe('POST /auth/verify/resend', function () {
+  const url = '/auth/verify/resend';
+  let sent;
+  let previousTransport;
+  let newToken;
+
+  beforeEach(async function () {
+    sent = [];
+    previousTransport = setMailTransport({
+      async send(message) {
+        sent.push(message);
+      },
+    });
+    const resp = await request(app).post('/auth/register').send({
+      username: 'new',
+      firstName: 'first',
+      lastName: 'last',
+      password: 'password1',
+      email: 'new@email.com',
+    });
+    newToken = resp.body.token;
+    sent = [];
+  });
+
+  afterEach(function () {
+    setMailTransport(previousTransport);
+  });
+
+  test('Emails a new token once the wait has passed.', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE email_verification_tokens
+      SET created_at = created_at - make_interval(secs => $1)`,
+      [EMAIL_VERIFICATION_RESEND_SECONDS]
+    );
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${newToken}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ verificationSent: true });
+    expect(sent).toEqual([
+      expect.objectContaining({
+        to: 'new@email.com',
+        text: expect.stringMatching(/[0-9a-f]{64}/),
+      }),
+    ]);
+  });
+
+  test('too many requests if sent again too soon', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${newToken}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(429);
+    expect(resp.headers['retry-after']).toEqual(
+      String(EMAIL_VERIFICATION_RESEND_SECONDS)
+    );
+    expect(sent).toEqual([]);
+  });
+
+  test('can ask again if sending fails', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE email_verification_tokens
+      SET created_at = created_at - make_interval(secs => $1)`,
+      [EMAIL_VERIFICATION_RESEND_SECONDS]
+    );
+    const workingTransport = setMailTransport({
+      async send() {
+        throw new Error('Mail server is down');
+      },
+    });
+
+    // Act
+    const failedResp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${newToken}`);
+    setMailTransport(workingTransport);
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${newToken}`);
+
+    // Assert
+    expect(failedResp.statusCode).toEqual(500);
+    expect(resp.statusCode).toEqual(200);
+    expect(sent).toHaveLength(1);
+  });
+
+  test('bad request if already verified', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('EMAIL_ALREADY_VERIFIED');
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/2fa */
+
+describe('POST /auth/2fa', function () {
+  test('works', async function () {
+    const resp = await request(app)
+      .post('/auth/2fa')
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      secret: expect.stringMatching(/^[A-Z2-7]+$/),
+      otpauthUri: expect.stringMatching(/^otpauth:\/\/totp\/Jobly%3Au2\?/),
+    });
+    expect((await User.get('u2')).twoFactorEnabled).toEqual(false);
+  });
+
+  test('bad request if already enabled', async function () {
+    await enableTwoFactor('u2');
+    const resp = await request(app)
+      .post('/auth/2fa')
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('TWO_FACTOR_ALREADY_ENABLED');
+  });
+
+  test('unauth for anon', async function () {
+    const resp = await request(app).post('/auth/2fa');
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/2fa/confirm */
+
+describe('POST /auth/2fa/confirm', function () {
+  test('works', async function () {
+    const start = await request(app)
+      .post('/auth/2fa')
+      .set('authorization', `Bearer ${u2Token}`);
+    const resp = await request(app)
+      .post('/auth/2fa/confirm')
+      .send({ code: generateCode(start.body.secret, getCounter()) })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      recoveryCodes: expect.arrayContaining([expect.any(String)]),
+    });
+    expect(resp.body.recoveryCodes).toHaveLength(10);
+    expect((await User.get('u2')).twoFactorEnabled).toEqual(true);
+  });
+
+  test('records the change in the audit log', async function () {
+    const start = await request(app)
+      .post('/auth/2fa')
+      .set('authorization', `Bearer ${u2Token}`);
+    await request(app)
+      .post('/auth/2fa/confirm')
+      .send({ code: generateCode(start.body.secret, getCounter()) })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(await AuditLog.findAll({ action: 'enable-2fa' })).toEqual([
+      expect.objectContaining({
+        actor: 'u2',
+        entityType: 'user',
+        entityId: 'u2',
+        before: null,
+        after: null,
+      }),
+    ]);
+  });
+
+  test('bad request with a wrong code', async function () {
+    await request(app)
+      .post('/auth/2fa')
+      .set('authorization', `Bearer ${u2Token}`);
+    const resp = await request(app)
+      .post('/auth/2fa/confirm')
+      .send({ code: '000000' })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('INVALID_TWO_FACTOR_CODE');
+    expect((await User.get('u2')).twoFactorEnabled).toEqual(false);
+  });
+
+  test('bad request if enrollment was not started', async function () {
+    const resp = await request(app)
+      .post('/auth/2fa/confirm')
+      .send({ code: '000000' })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('TWO_FACTOR_NOT_STARTED');
+  });
+
+  test('bad request with missing code', async function () {
+    const resp = await request(app)
+      .post('/auth/2fa/confirm')
+      .send({})
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('unauth for anon', async function () {
+    const resp = await request(app)
+      .post('/auth/2fa/confirm')
+      .send({ code: '000000' });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /auth/2fa */
+
+describe('DELETE /auth/2fa', function () {
+  test('works with a code', async function () {
+    const { secret } = await enableTwoFactor('u2');
+    const resp = await request(app)
+      .delete('/auth/2fa')
+      .send({ code: generateCode(secret, getCounter()) })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ twoFactorDisabled: true });
+    expect((await User.get('u2')).twoFactorEnabled).toEqual(false);
+    expect(await AuditLog.findAll({ action: 'disable-2fa' })).toEqual([
+      expect.objectContaining({ actor: 'u2', entityId: 'u2' }),
+    ]);
+  });
+
+  test('works with a recovery code', async function () {
+    const { recoveryCodes } = await enableTwoFactor('u2');
+    const resp = await request(app)
+      .delete('/auth/2fa')
+      .send({ code: recoveryCodes[0] })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test('bad request with a wrong code, which counts as a failed login', async function () {
+    await enableTwoFactor('u2');
+    const resp = await request(app)
+      .delete('/auth/2fa')
+      .send({ code: '000000' })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('INVALID_TWO_FACTOR_CODE');
+    expect((await User.get('u2')).twoFactorEnabled).toEqual(true);
+    expect(await LoginThrottle.countFailures({ username: 'u2' })).toEqual(1);
+  });
+
+  test('bad request if not enabled', async function () {
+    const resp = await request(app)
+      .delete('/auth/2fa')
+      .send({ code: '000000' })
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('TWO_FACTOR_NOT_ENABLED');
+  });
+
+  test('unauth for anon', async function () {
+    const resp = await request(app)
+      .delete('/auth/2fa')
+      .send({ code: '000000' });
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe('POST /auth/refresh', function () {
+  test('works', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+
+    // Act
+    const resp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test('uses current user data', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u1' });
+    await User.update('u1', { isAdmin: false });
+
+    // Act
+    const resp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    // Assert
+    const adminResp = await request(app)
+      .get('/users')
+      .set('authorization', `Bearer ${resp.body.token}`);
+    expect(adminResp.statusCode).toEqual(403);
+  });
+
+  test('unauth if refresh token was already used', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+    await request(app).post('/auth/refresh').send({ refreshToken });
+
+    // Act
+    const resp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('only one of concurrent refreshes with the same token works', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+
+    // Act
+    const resps = await Promise.all([
+      request(app).post('/auth/refresh').send({ refreshToken }),
+      request(app).post('/auth/refresh').send({ refreshToken }),
+    ]);
+
+    // Assert
+    expect(resps.map((resp) => resp.statusCode).sort()).toEqual([200, 401]);
+  });
+
+  test('unauth if user was deleted', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+    await User.remove('u2');
+
+    // Act
+    const resp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('unauth if given an access token', async function () {
+    // Arrange
+    const refreshToken = createToken({ username: 'u2', isAdmin: false });
+
+    // Act
+    const resp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('bad request with missing data', async function () {
+    // Act
+    const resp = await request(app).post('/auth/refresh').send({});
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe('POST /auth/logout', function () {
+  test('works', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+
+    // Act
+    const resp = await request(app).post('/auth/logout').send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refreshResp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+    expect(refreshResp.body.error.message).toEqual('Refresh token revoked');
+  });
+
+  test('works if already logged out', async function () {
+    // Arrange
+    const refreshToken = createRefreshToken({ username: 'u2' });
+    await request(app).post('/auth/logout').send({ refreshToken });
+
+    // Act
+    const resp = await request(app).post('/auth/logout').send({ refreshToken });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+  });
+
+  test('unauth with invalid refresh token', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/auth/logout')
+      .send({ refreshToken: 'nope' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** expired tokens */
+
+describe('expired tokens', function () {
+  test('unauth with a clear reason', async function () {
+    // Arrange
+    const expiredToken = jwt.sign(
+      { username: 'u1', isAdmin: true, exp: 1 },
+      SECRET_KEY
+    );
+
+    // Act
+    const resp = await request(app)
+      .get('/users')
+      .set('authorization', `Bearer ${expiredToken}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual('Token expired');
+  });
+});
+
+/************************************** POST /auth/password-reset/request */
+
+describe('POST /auth/password-reset/request', function () {
+  const url = '/auth/password-reset/request';
+  let sent;
+  let previousTransport;
+
+  beforeEach(function () {
+    sent = [];
+    previousTransport = setMailTransport({
+      async send(message) {
+        sent.push(message);
+      },
+    });
+  });
+
+  afterEach(function () {
+    setMailTransport(previousTransport);
+  });
+
+  test('Emails a reset token to the user.', async function () {
+    // Act
+    const resp = await request(app).post(url).send({ username: 'u1' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(sent).toEqual([
+      {
+        from: expect.any(String),
+        to: 'user1@user.com',
+        subject: expect.any(String),
+        text: expect.stringMatching(/[0-9a-f]{64}/),
+      },
+    ]);
+  });
+
+  test('Responds the same without email for unknown user.', async function () {
+    // Act
+    const resp = await request(app).post(url).send({ username: 'nope' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ message: expect.any(String) });
+    expect(sent).toEqual([]);
+  });
+
+  test.each([[{}], [{ username: 1 }], [{ username: 'u1', email: 'a@b.com' }]])(
+    'bad request with invalid data; data: %o',
+    async function (data) {
+      // Act
+      const resp = await request(app).post(url).send(data);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+      expect(sent).toEqual([]);
+    }
+  );
+});
+
+/************************************** POST /auth/password-reset/confirm */
+
+describe('POST /auth/password-reset/confirm', function () {
+  const url = '/auth/password-reset/confirm';
+  let token;
+  let previousTransport;
+
+  beforeEach(async function () {
+    previousTransport = setMailTransport({
+      async send(message) {
+        token = message.text.match(/[0-9a-f]{64}/)[0];
+      },
+    });
+    await request(app)
+      .post('/auth/password-reset/request')
+      .send({ username: 'u1' });
+  });
+
+  afterEach(function () {
+    setMailTransport(previousTransport);
+  });
+
+  test('Sets the new password.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ token, password: 'new-password' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ passwordReset: true });
+    const user = await User.authenticate('u1', 'new-password');
+    expect(user.username).toEqual('u1');
+    const entries = await AuditLog.findAll();
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: 'u1',
+        action: 'reset-password',
+        entityType: 'user',
+        entityId: 'u1',
+        before: null,
+        after: null,
+      }),
+    ]);
+  });
+
+  test('bad request if token was already used', async function () {
+    // Arrange
+    await request(app).post(url).send({ token, password: 'new-password' });
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ token, password: 'other-password' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('bad request with invalid token', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ token: 'nope', password: 'new-password' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test.each([['1234'], ['a'.repeat(21)], [12345]])(
+    'bad request if password does not follow the rules; password: %s',
+    async function (password) {
+      // Act
+      const resp = await request(app).post(url).send({ token, password });
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+      const retryResp = await request(app)
+        .post(url)
+        .send({ token, password: 'new-password' });
+      expect(retryResp.statusCode).toEqual(200);
+    }
+  );
+
+  test('bad request with missing token', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ password: 'new-password' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /auth/lockouts */
+
+describe('GET /auth/lockouts', function () {
+  test('works for admin', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES, 'u2');
+
+    // Act
+    const resp = await request(app)
+      .get('/auth/lockouts')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({
+      lockouts: [
+        {
+          keyType: 'username',
+          key: 'u2',
+          failures: LOGIN_MAX_FAILURES,
+          lastFailureAt: expect.any(String),
+          lockedUntil: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test('unauth for non-admin', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/auth/lockouts')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).get('/auth/lockouts');
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** DELETE /auth/lockouts/:keyType/:key */
+
+describe('DELETE /auth/lockouts/:keyType/:key', function () {
+  test('works for admin', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES, 'u2');
+
+    // Act
+    const resp = await request(app)
+      .delete('/auth/lockouts/username/u2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({ cleared: { keyType: 'username', key: 'u2' } });
+    const loginResp = await request(app).post('/auth/token').send({
+      username: 'u2',
+      password: 'password2',
+    });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test('records clearing in the audit log', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES, 'u2');
+
+    // Act
+    await request(app)
+      .delete('/auth/lockouts/username/u2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(await AuditLog.findAll({ entityType: 'lockout' })).toEqual([
+      expect.objectContaining({
+        actor: 'u1',
+        action: 'delete',
+        entityId: 'username/u2',
+        after: null,
+      }),
+    ]);
+  });
+
+  test('not found if there is no lockout', async function () {
+    // Act
+    const resp = await request(app)
+      .delete('/auth/lockouts/username/u2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test('unauth for non-admin', async function () {
+    // Arrange
+    await failLogins(LOGIN_MAX_FAILURES, 'u2');
+
+    // Act
+    const resp = await request(app)
+      .delete('/auth/lockouts/username/u2')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
+/************************************** GET /auth/login-failures */
+
+describe('GET /auth/login-failures', function () {
+  test('works for admin', async function () {
+    // Arrange
+    await failLogins(2, 'u2');
+    await failLogins(1, 'nope');
+
+    // Act
+    const resp = await request(app)
+      .get('/auth/login-failures')
+      .query({ username: 'u2', limit: 1 })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({
+      failures: [
+        {
+          id: expect.any(Number),
+          username: 'u2',
+          ip: expect.any(String),
+          failedAt: expect.any(String),
+        },
+      ],
+      total: 2,
+    });
+  });
+
+  test('bad request with invalid filters', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/auth/login-failures')
+      .query({ since: 'yesterday' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('unauth for non-admin', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/auth/login-failures')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+});
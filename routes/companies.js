@@ -2,14 +2,29 @@
 
 /** Routes for companies. */
 
-const jsonschema = require('jsonschema');
 const express = require('express');
 
-const { BadRequestError } = require('../expressError');
+const db = require('../db');
+const { ForbiddenError } = require('../expressError');
+const { wantsCsv, sendCsv } = require('../helpers/csv');
+const {
+  getImportRows,
+  validateImportRows,
+  importRejectedError,
+  createImportReport,
+} = require('../helpers/import');
+const { documentRoute, schemaRef } = require('../helpers/openapi');
+const { validateSchema } = require('../helpers/validation');
 const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
 const {
   convertGetAllCompaniesQueryParameters,
 } = require('../middleware/companies');
+const {
+  IMPORT_QUERY_SCHEMA,
+  parseCsvBody,
+  convertImportQueryParameters,
+} = require('../middleware/import');
+const AuditLog = require('../models/auditLog');
 const Company = require('../models/company');
 
 const companyNewSchema = require('../schemas/companyNew.json');
@@ -17,6 +32,15 @@ const companyUpdateSchema = require('../schemas/companyUpdate.json');
 
 // ==================================================
 
+// Columns of companies sent as CSV.
+const COMPANY_CSV_COLUMNS = Object.freeze([
+  'handle',
+  'name',
+  'description',
+  'numEmployees',
+  'logoUrl',
+]);
+
 const router = new express.Router();
 
 /** POST / { company } =>  { company }
@@ -25,42 +49,175 @@ const router = new express.Router();
  *
  * Returns { handle, name, description, numEmployees, logoUrl }
  *
+ * The change is recorded in the audit log.
+ *
  * Authorization required: login, admin
  */
 
+documentRoute(router, 'POST /', {
+  summary: 'Creates a company.',
+  auth: 'login, admin',
+  body: 'companyNew',
+  status: 201,
+  returns: '{ company: { handle, name, description, numEmployees, logoUrl } }',
+});
+
 router.post('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+    validateSchema(req.body, companyNewSchema);
 
-    const company = await Company.create(req.body);
+    const company = await db.withTransaction(async () => {
+      const company = await Company.create(req.body);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: 'create',
+        entityType: 'company',
+        entityId: company.handle,
+        after: company,
+      });
+      return company;
+    });
     return res.status(201).json({ company });
   } catch (err) {
     return next(err);
   }
 });
 
+/** POST /import [{ company }, ...] => { report }
+ *
+ * Imports companies from a JSON array, or from CSV with a text/csv content
+ * type and a header line.  Each company should be { handle, name,
+ * description, numEmployees, logoUrl }, the same as when creating a company.
+ * Companies with an existing handle are updated.
+ *
+ * Valid rows are imported in a single transaction.  By default, nothing is
+ * imported if any row is rejected.  With ?skipInvalid=true, valid rows are
+ * still imported.
+ *
+ * Returns { created, updated, rejected, rows }, where rows are
+ *   [{ index, status, handle }, ...] for created and updated rows, and
+ *   [{ index, status, errors }, ...] for rejected rows.
+ *
+ * The import is recorded in the audit log, with the numbers of created,
+ * updated, and rejected rows.
+ *
+ * Authorization required: login, admin
+ */
+
+documentRoute(router, 'POST /import', {
+  summary:
+    'Imports companies from JSON or CSV, updating those with an existing ' +
+    'handle.',
+  auth: 'login, admin',
+  query: IMPORT_QUERY_SCHEMA,
+  body: { type: 'array', items: schemaRef('companyNew') },
+  csv: 'request',
+  returns:
+    '{ created, updated, rejected, rows: [{ index, status, handle or ' +
+    'errors }, ...] }',
+});
+
+router.post(
+  '/import',
+  ensureLoggedIn,
+  ensureAdmin,
+  parseCsvBody,
+  convertImportQueryParameters,
+  async function (req, res, next) {
+    try {
+      const { skipInvalid } = req.query;
+      const rows = getImportRows(req, companyNewSchema);
+      const { valid, rejected } = validateImportRows(rows, companyNewSchema);
+      if (!skipInvalid && rejected.length > 0) {
+        throw importRejectedError(rejected);
+      }
+
+      const report = await db.withTransaction(async () => {
+        const results = await Company.bulkImport(valid, skipInvalid);
+        const report = createImportReport([...rejected, ...results]);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'import',
+          entityType: 'company',
+          after: {
+            created: report.created,
+            updated: report.updated,
+            rejected: report.rejected,
+          },
+        });
+        return report;
+      });
+      return res.json({ report });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     total }
+ *
+ * total is the number of companies that match the filters, across all pages.
  *
  * Can filter on provided search filters:
  * - minEmployees
  * - maxEmployees
  * - nameLike (will find case-insensitive, partial matches)
+ * - descriptionLike (will find case-insensitive, partial matches)
+ * - q (full-text search of name and description, as in GET /search)
+ * - minOpenJobs (companies with at least this many open jobs)
+ * - hasEquity (if true, companies with a job that offers equity)
+ * - technologies (can be repeated; companies with a job that has any of
+ *   them)
+ * - includeDeleted (if true, also lists deleted companies, which have
+ *   deletedAt set; admins only)
  *
- * Authorization required: none
+ * Can sort and paginate with:
+ * - sort (name or numEmployees; prefix with "-" for descending order; or
+ *   relevance, the default if q is given)
+ * - limit
+ * - offset
+ *
+ * Sends the companies as a CSV file instead, without total, if format is csv,
+ * or if the Accept header prefers text/csv.
+ *
+ * Authorization required: none, or admin if includeDeleted is true
  */
 
+documentRoute(router, 'GET /', {
+  summary: 'Lists companies, filtered, sorted, and paginated.',
+  auth: 'none, or admin if includeDeleted is true',
+  query: 'companyGetAllQuery',
+  csv: 'response',
+  returns:
+    '{ companies: [{ handle, name, description, numEmployees, logoUrl }, ' +
+    '...], total }',
+});
+
 router.get(
   '/',
   convertGetAllCompaniesQueryParameters,
   async function (req, res, next) {
     try {
+      const isAdmin = res.locals.user && res.locals.user.isAdmin;
+      if (req.query.includeDeleted && !isAdmin) {
+        throw new ForbiddenError('Only admins can list deleted companies.');
+      }
+
+      if (wantsCsv(req)) {
+        return await sendCsv(
+          res,
+          'companies.csv',
+          COMPANY_CSV_COLUMNS,
+          (page) => Company.findAll({ ...req.query, ...page }),
+          req.query
+        );
+      }
+
       const companies = await Company.findAll(req.query);
-      return res.json({ companies });
+      const total = await Company.count(req.query);
+      return res.json({ companies, total });
     } catch (err) {
       return next(err);
     }
@@ -70,11 +227,20 @@ router.get(
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salary, equity }, ...], the company's open
+ *   jobs that have not expired
  *
  * Authorization required: none
  */
 
+documentRoute(router, 'GET /:handle', {
+  summary: 'Gets a company, with its open jobs.',
+  auth: 'none',
+  returns:
+    '{ company: { handle, name, description, numEmployees, logoUrl, ' +
+    'jobs } }',
+});
+
 router.get('/:handle', async function (req, res, next) {
   try {
     const company = await Company.get(req.params.handle);
@@ -92,22 +258,40 @@ router.get('/:handle', async function (req, res, next) {
  *
  * Returns { handle, name, description, numEmployees, logo_url }
  *
+ * The changed fields are recorded in the audit log.
+ *
  * Authorization required: login, admin
  */
 
+documentRoute(router, 'PATCH /:handle', {
+  summary: 'Updates a company.',
+  auth: 'login, admin',
+  body: 'companyUpdate',
+  returns: '{ company: { handle, name, description, numEmployees, logoUrl } }',
+});
+
 router.patch(
   '/:handle',
   ensureLoggedIn,
   ensureAdmin,
   async function (req, res, next) {
     try {
-      const validator = jsonschema.validate(req.body, companyUpdateSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map((e) => e.stack);
-        throw new BadRequestError(errs);
-      }
+      validateSchema(req.body, companyUpdateSchema);
 
-      const company = await Company.update(req.params.handle, req.body);
+      const { handle } = req.params;
+      const company = await db.withTransaction(async () => {
+        const before = await Company.get(handle);
+        const company = await Company.update(handle, req.body);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'update',
+          entityType: 'company',
+          entityId: handle,
+          before,
+          after: company,
+        });
+        return company;
+      });
       return res.json({ company });
     } catch (err) {
       return next(err);
@@ -116,18 +300,190 @@ router.patch(
 );
 
 /** DELETE /[handle]  =>  { deleted: handle }
+ *
+ * Soft deletes the company and its jobs, which can be restored until they are
+ * purged.  The deletion is recorded in the audit log.
  *
  * Authorization: login, admin
  */
 
+documentRoute(router, 'DELETE /:handle', {
+  summary: 'Soft deletes a company and its jobs.',
+  auth: 'login, admin',
+  returns: '{ deleted: handle }',
+});
+
 router.delete(
   '/:handle',
   ensureLoggedIn,
   ensureAdmin,
   async function (req, res, next) {
     try {
-      await Company.remove(req.params.handle);
-      return res.json({ deleted: req.params.handle });
+      const { handle } = req.params;
+      await db.withTransaction(async () => {
+        const before = await Company.get(handle);
+        await Company.remove(handle);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'company',
+          entityId: handle,
+          before,
+        });
+      });
+      return res.json({ deleted: handle });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[handle]/restore  =>  { company }
+ *
+ * Restores a deleted company, along with the jobs that were deleted with it.
+ * The restoration is recorded in the audit log.
+ *
+ * Returns { handle, name, description, numEmployees, logoUrl, jobs }, as in
+ *   GET /[handle]
+ *
+ * Authorization: login, admin
+ */
+
+documentRoute(router, 'POST /:handle/restore', {
+  summary: 'Restores a deleted company and the jobs deleted with it.',
+  auth: 'login, admin',
+  returns:
+    '{ company: { handle, name, description, numEmployees, logoUrl, ' +
+    'jobs } }',
+});
+
+router.post(
+  '/:handle/restore',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { handle } = req.params;
+      const company = await db.withTransaction(async () => {
+        const company = await Company.restore(handle);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'restore',
+          entityType: 'company',
+          entityId: handle,
+          after: company,
+        });
+        return company;
+      });
+      return res.json({ company });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** GET /[handle]/recruiters  =>  { recruiters: [username, ...] }
+ *
+ * Lists the users that are recruiters for the company, who can create and
+ * update its jobs, and see their applications.
+ *
+ * Authorization: login, admin
+ */
+
+documentRoute(router, 'GET /:handle/recruiters', {
+  summary: 'Lists the recruiters for a company.',
+  auth: 'login, admin',
+  returns: '{ recruiters: [username, ...] }',
+});
+
+router.get(
+  '/:handle/recruiters',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const recruiters = await Company.getRecruiters(req.params.handle);
+      return res.json({ recruiters });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[handle]/recruiters/[username]
+ *    =>  { recruiter: { username, companyHandle } }
+ *
+ * Makes the user a recruiter for the company.  The user gets the role with
+ * their next token.  The change is recorded in the audit log.
+ *
+ * Authorization: login, admin
+ */
+
+documentRoute(router, 'POST /:handle/recruiters/:username', {
+  summary: 'Makes a user a recruiter for a company.',
+  auth: 'login, admin',
+  status: 201,
+  returns: '{ recruiter: { username, companyHandle } }',
+});
+
+router.post(
+  '/:handle/recruiters/:username',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { handle, username } = req.params;
+      const recruiter = await db.withTransaction(async () => {
+        const recruiter = await Company.addRecruiter(handle, username);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'create',
+          entityType: 'recruiter',
+          entityId: `${handle}/${username}`,
+          after: recruiter,
+        });
+        return recruiter;
+      });
+      return res.status(201).json({ recruiter });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /[handle]/recruiters/[username]  =>  { removed: username }
+ *
+ * Stops the user being a recruiter for the company.  Tokens that were already
+ * issued keep the role until they expire.  The change is recorded in the
+ * audit log.
+ *
+ * Authorization: login, admin
+ */
+
+documentRoute(router, 'DELETE /:handle/recruiters/:username', {
+  summary: 'Stops a user being a recruiter for a company.',
+  auth: 'login, admin',
+  returns: '{ removed: username }',
+});
+
+router.delete(
+  '/:handle/recruiters/:username',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { handle, username } = req.params;
+      await db.withTransaction(async () => {
+        await Company.removeRecruiter(handle, username);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'recruiter',
+          entityId: `${handle}/${username}`,
+          before: { username, companyHandle: handle },
+        });
+      });
+      return res.json({ removed: username });
     } catch (err) {
       return next(err);
     }
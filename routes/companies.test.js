@@ -12,6 +12,7 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
 } = require('./_testCommon');
 
 // ==================================================
@@ -66,6 +67,25 @@ describe('POST /companies', function () {
       })
       .set('authorization', `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
+    expect(resp.body).toEqual({
+      error: {
+        message: expect.any(String),
+        status: 400,
+        code: 'VALIDATION_FAILED',
+        fields: [
+          {
+            pointer: '/name',
+            keyword: 'required',
+            message: 'requires property "name"',
+          },
+          {
+            pointer: '/description',
+            keyword: 'required',
+            message: 'requires property "description"',
+          },
+        ],
+      },
+    });
   });
 
   test('bad request with invalid data', async function () {
@@ -78,6 +98,202 @@ describe('POST /companies', function () {
       .set('authorization', `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test('bad request with duplicate handle', async function () {
+    const resp = await request(app)
+      .post('/companies')
+      .send({ ...newCompany, handle: 'c1' })
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('DUPLICATE_COMPANY_HANDLE');
+    expect(resp.body.error.fields).toEqual([
+      { pointer: '/handle', keyword: 'unique', message: expect.any(String) },
+    ]);
+  });
+
+  test('bad request with duplicate name', async function () {
+    const resp = await request(app)
+      .post('/companies')
+      .send({ ...newCompany, name: 'C1' })
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('DUPLICATE_COMPANY_NAME');
+    expect(resp.body.error.fields).toEqual([
+      { pointer: '/name', keyword: 'unique', message: expect.any(String) },
+    ]);
+  });
+});
+
+/************************************** POST /companies/import */
+
+describe('POST /companies/import', function () {
+  const url = '/companies/import';
+
+  test('Imports JSON for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([
+        { handle: 'new', name: 'New', description: 'DescNew' },
+        { handle: 'c1', name: 'C1', description: 'Desc1-new' },
+      ])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      report: {
+        created: 1,
+        updated: 1,
+        rejected: 0,
+        rows: [
+          { index: 0, status: 'created', handle: 'new' },
+          { index: 1, status: 'updated', handle: 'c1' },
+        ],
+      },
+    });
+    const getResp = await request(app).get('/companies/c1');
+    expect(getResp.body.company.description).toEqual('Desc1-new');
+  });
+
+  test('Imports CSV for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('content-type', 'text/csv')
+      .send(
+        'handle,name,description,numEmployees,logoUrl\n' +
+          'new,New,"Desc, new",10,\n'
+      )
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.report.created).toEqual(1);
+    const getResp = await request(app).get('/companies/new');
+    expect(getResp.body.company).toEqual(
+      expect.objectContaining({
+        description: 'Desc, new',
+        numEmployees: 10,
+        logoUrl: null,
+      })
+    );
+  });
+
+  test('Rejects the import if a row is invalid.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([
+        { handle: 'new', name: 'New', description: 'DescNew' },
+        { handle: 'new2', name: 'C2', description: 'Desc' },
+        { handle: 'new3', description: 'Desc' },
+      ])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      message: expect.any(String),
+      status: 400,
+      code: 'IMPORT_REJECTED',
+      fields: [
+        {
+          pointer: '/2/name',
+          keyword: 'required',
+          message: expect.any(String),
+        },
+      ],
+    });
+    const getResp = await request(app).get('/companies/new');
+    expect(getResp.statusCode).toEqual(404);
+  });
+
+  test('Reports rejected rows if skipping invalid rows.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(`${url}?skipInvalid=true`)
+      .send([
+        { handle: 'new', name: 'New', description: 'DescNew' },
+        { handle: 'new2', name: 'C2', description: 'Desc' },
+        { handle: 'new3', description: 'Desc' },
+      ])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.report).toEqual({
+      created: 1,
+      updated: 0,
+      rejected: 2,
+      rows: [
+        { index: 0, status: 'created', handle: 'new' },
+        {
+          index: 1,
+          status: 'rejected',
+          errors: [
+            {
+              pointer: '/name',
+              keyword: 'unique',
+              message: expect.any(String),
+            },
+          ],
+        },
+        {
+          index: 2,
+          status: 'rejected',
+          errors: [
+            {
+              pointer: '/name',
+              keyword: 'required',
+              message: expect.any(String),
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('bad request if body is not an array', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ handle: 'new', name: 'New', description: 'DescNew' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('bad request with invalid skipInvalid', async function () {
+    // Act
+    const resp = await request(app)
+      .post(`${url}?skipInvalid=yes`)
+      .send([])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url).send([]);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([])
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
 });
 
 /************************************** GET /companies */
@@ -109,12 +325,75 @@ describe('GET /companies', function () {
 
   test('ok for anon', async function () {
     const resp = await request(app).get('/companies');
-    expect(resp.body).toEqual({ companies });
+    expect(resp.body).toEqual({ companies, total: 3 });
+  });
+
+  test('does not list deleted companies', async function () {
+    // Arrange
+    await request(app)
+      .delete('/companies/c2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Act
+    const resp = await request(app).get('/companies');
+
+    // Assert
+    expect(resp.body).toEqual({
+      companies: [companies[0], companies[2]],
+      total: 2,
+    });
+  });
+
+  test('lists deleted companies for admins with includeDeleted', async function () {
+    // Arrange
+    await request(app)
+      .delete('/companies/c2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Act
+    const resp = await request(app)
+      .get('/companies?includeDeleted=true')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({
+      companies: [
+        { ...companies[0], deletedAt: null },
+        { ...companies[1], deletedAt: expect.any(String) },
+        { ...companies[2], deletedAt: null },
+      ],
+      total: 3,
+    });
   });
 
+  test.each([[undefined], [u2Token]])(
+    'forbidden with includeDeleted if not admin',
+    async function (token) {
+      // Act
+      const req = request(app).get('/companies?includeDeleted=true');
+      if (token) req.set('authorization', `Bearer ${token}`);
+      const resp = await req;
+
+      // Assert
+      expect(resp.statusCode).toEqual(403);
+    }
+  );
+
   test.each([
     ['/companies?nameLike=c2', [companies[1]]],
     ['/companies?nameLike=c&minEmployees=3&maxEmployees=10', [companies[2]]],
+    ['/companies?maxEmployees=0', []],
+    ['/companies?q=desc2', [companies[1]]],
+    ['/companies?q=c1%20OR%20c3&sort=-name', [companies[2], companies[0]]],
+    ['/companies?descriptionLike=sc2', [companies[1]]],
+    ['/companies?minOpenJobs=1', [companies[0], companies[1]]],
+    ['/companies?minOpenJobs=2', [companies[0]]],
+    ['/companies?hasEquity=true', [companies[0]]],
+    ['/companies?technologies=t3&technologies=t9', [companies[0]]],
+    [
+      '/companies?minOpenJobs=1&maxEmployees=2&sort=-name',
+      [companies[1], companies[0]],
+    ],
   ])(
     'works with query parameters; test case: %s',
     async function (url, expectedCompanies) {
@@ -123,7 +402,53 @@ describe('GET /companies', function () {
 
       // Assert
       expect(resp.statusCode).toBe(200);
-      expect(resp.body).toEqual({ companies: expectedCompanies });
+      expect(resp.body).toEqual({
+        companies: expectedCompanies,
+        total: expectedCompanies.length,
+      });
+    }
+  );
+
+  test.each([
+    ['/companies?sort=-name', [companies[2], companies[1], companies[0]], 3],
+    ['/companies?sort=numEmployees&limit=2', [companies[0], companies[1]], 3],
+    ['/companies?sort=-numEmployees&limit=1&offset=1', [companies[1]], 3],
+    ['/companies?nameLike=c&minEmployees=2&offset=1', [companies[2]], 2],
+    ['/companies?offset=5', [], 3],
+  ])(
+    'works with sorting and pagination; test case: %s',
+    async function (url, expectedCompanies, total) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body).toEqual({ companies: expectedCompanies, total });
+    }
+  );
+
+  test.each([
+    ['/companies?sort=handle'],
+    ['/companies?sort=description'],
+    ['/companies?limit=0'],
+    ['/companies?limit=101'],
+    ['/companies?limit=a'],
+    ['/companies?offset=-1'],
+    ['/companies?offset=1.5'],
+    ['/companies?sort=relevance'],
+    ['/companies?q='],
+    ['/companies?q=a&q=b'],
+    ['/companies?minOpenJobs=a'],
+    ['/companies?hasEquity=yes'],
+    ['/companies?technologies='],
+  ])(
+    'fails: invalid filters, sorting, or pagination; test case: %s',
+    async function (url) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
     }
   );
 
@@ -139,10 +464,80 @@ describe('GET /companies', function () {
 
       // Assert
       expect(resp.statusCode).toBe(200);
-      expect(resp.body).toEqual({ companies: listOfCompanies });
+      expect(resp.body).toEqual({
+        companies: listOfCompanies,
+        total: listOfCompanies.length,
+      });
     }
   );
 
+  test.each([
+    ['/companies?format=csv', {}],
+    ['/companies', { accept: 'text/csv' }],
+  ])('Sends companies as CSV; test case: %s', async function (url, headers) {
+    // Act
+    const resp = await request(app).get(url).set(headers);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toMatch(/^text\/csv/);
+    expect(resp.headers['content-disposition']).toEqual(
+      'attachment; filename="companies.csv"'
+    );
+    expect(resp.text).toEqual(
+      'handle,name,description,numEmployees,logoUrl\r\n' +
+        'c1,C1,Desc1,1,http://c1.img\r\n' +
+        'c2,C2,Desc2,2,http://c2.img\r\n' +
+        'c3,C3,Desc3,3,http://c3.img\r\n'
+    );
+  });
+
+  test('Sends filtered and sorted companies as CSV.', async function () {
+    // Arrange
+    const url = '/companies?format=csv&minEmployees=2&sort=-name&limit=1';
+
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.text).toEqual(
+      'handle,name,description,numEmployees,logoUrl\r\n' +
+        'c3,C3,Desc3,3,http://c3.img\r\n'
+    );
+  });
+
+  test('Sends JSON if format is json.', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/companies?format=json')
+      .set('accept', 'text/csv');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ companies, total: 3 });
+  });
+
+  test('fails: format is not json or csv', async function () {
+    // Act
+    const resp = await request(app).get('/companies?format=xml');
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test.each([
+    ['/companies?format=csv&minEmployees=5&maxEmployees=1'],
+    ['/companies?format=csv&sort=relevance'],
+  ])('fails: invalid filters as CSV; test case: %s', async function (url) {
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(resp.headers['content-type']).toMatch(/^application\/json/);
+  });
+
   test('fails: test next() handler', async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -227,6 +622,23 @@ describe('GET /companies/:handle', function () {
     });
   });
 
+  test('shows only open jobs that have not expired', async function () {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j1'`);
+    await db.query(
+      `UPDATE jobs
+      SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+      WHERE title = 'j2'`
+    );
+
+    // Act
+    const resp = await request(app).get(`/companies/c1`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.company.jobs).toEqual([]);
+  });
+
   test('works for anon: company w/o jobs', async function () {
     const resp = await request(app).get(`/companies/c3`);
     expect(resp.body).toEqual({
@@ -318,6 +730,21 @@ describe('PATCH /companies/:handle', function () {
       })
       .set('authorization', `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('VALIDATION_FAILED');
+    expect(resp.body.error.fields).toEqual([
+      { pointer: '/logoUrl', keyword: 'format', message: expect.any(String) },
+    ]);
+  });
+
+  test('bad request on duplicate name', async function () {
+    const resp = await request(app)
+      .patch(`/companies/c1`)
+      .send({
+        name: 'C2',
+      })
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('DUPLICATE_COMPANY_NAME');
   });
 });
 
@@ -329,6 +756,11 @@ describe('DELETE /companies/:handle', function () {
       .delete(`/companies/c1`)
       .set('authorization', `Bearer ${u1Token}`);
     expect(resp.body).toEqual({ deleted: 'c1' });
+
+    const getResp = await request(app).get('/companies/c1');
+    expect(getResp.statusCode).toEqual(404);
+    const jobsResp = await request(app).get('/jobs?companyHandle=c1');
+    expect(jobsResp.body.jobs).toEqual([]);
   });
 
   test('unauth for anon', async function () {
@@ -356,3 +788,183 @@ describe('DELETE /companies/:handle', function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /companies/:handle/restore */
+
+describe('POST /companies/:handle/restore', function () {
+  beforeEach(async function () {
+    await request(app)
+      .delete('/companies/c1')
+      .set('authorization', `Bearer ${u1Token}`);
+  });
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/companies/c1/restore')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.company).toEqual(
+      expect.objectContaining({ handle: 'c1', name: 'C1' })
+    );
+    expect(resp.body.company.jobs.map((j) => j.title)).toEqual(['j1', 'j2']);
+    const getResp = await request(app).get('/companies/c1');
+    expect(getResp.body).toEqual(resp.body);
+  });
+
+  test('unauth for anon', async function () {
+    const resp = await request(app).post('/companies/c1/restore');
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    const resp = await request(app)
+      .post('/companies/c1/restore')
+      .set('authorization', `Bearer ${u2Token}`);
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test.each([['nope'], ['c2']])(
+    'not found if no deleted company: %s',
+    async function (handle) {
+      const resp = await request(app)
+        .post(`/companies/${handle}/restore`)
+        .set('authorization', `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(404);
+    }
+  );
+});
+
+/************************************** GET /companies/:handle/recruiters */
+
+describe('GET /companies/:handle/recruiters', function () {
+  const url = '/companies/c1/recruiters';
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ recruiters: ['u3'] });
+  });
+
+  test('forbidden for recruiters', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if no such company', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/companies/nope/recruiters')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /companies/:handle/recruiters/:username */
+
+describe('POST /companies/:handle/recruiters/:username', function () {
+  const url = '/companies/c2/recruiters/u2';
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      recruiter: { username: 'u2', companyHandle: 'c2' },
+    });
+    const recruitersResp = await request(app)
+      .get('/companies/c2/recruiters')
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(recruitersResp.body).toEqual({ recruiters: ['u2'] });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden for non-admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test.each([
+    ['/companies/nope/recruiters/u2'],
+    ['/companies/c2/recruiters/nope'],
+  ])('not found if no such company or user: %s', async function (url) {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /companies/:handle/recruiters/:username */
+
+describe('DELETE /companies/:handle/recruiters/:username', function () {
+  const url = '/companies/c1/recruiters/u3';
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ removed: 'u3' });
+    const recruitersResp = await request(app)
+      .get('/companies/c1/recruiters')
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(recruitersResp.body).toEqual({ recruiters: [] });
+  });
+
+  test('forbidden for non-admins', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if not a recruiter', async function () {
+    // Act
+    const resp = await request(app)
+      .delete('/companies/c2/recruiters/u3')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
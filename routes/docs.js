@@ -0,0 +1,71 @@
+'use strict';
+
+/** Routes for the API's documentation. */
+
+const express = require('express');
+const path = require('path');
+
+const {
+  buildOpenApiDocument,
+  collectOperations,
+  documentRoute,
+} = require('../helpers/openapi');
+
+// ==================================================
+
+// Built on the first request, once every router is mounted, and then kept,
+// as the schemas and operations do not change while running.
+let openApiDocument;
+
+const router = new express.Router();
+
+/** GET /openapi.json  =>  the OpenAPI document
+ *
+ * Describes every route, with its parameters and request body from the JSON
+ * schemas in schemas/, and the authorization it requires.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'GET /openapi.json', {
+  summary: 'Gets this OpenAPI document.',
+  auth: 'none',
+  returns: 'The OpenAPI document',
+});
+
+router.get('/openapi.json', function (req, res, next) {
+  try {
+    openApiDocument =
+      openApiDocument || buildOpenApiDocument(collectOperations(req.app));
+    return res.json(openApiDocument);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /docs  =>  an HTML page
+ *
+ * Shows the OpenAPI document as a page, grouped by resource.  The page is
+ * served from this app, without loading anything from elsewhere.
+ *
+ * Authorization required: none
+ */
+
+documentRoute(router, 'GET /docs', {
+  summary: 'Shows a page documenting the API, from the OpenAPI document.',
+  auth: 'none',
+  returns: 'An HTML page',
+  contentType: 'text/html',
+});
+
+router.get('/docs', function (req, res, next) {
+  try {
+    return res.sendFile(path.join(__dirname, '..', 'static', 'docs.html'));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,73 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+const { collectOperations, listRoutes } = require('../helpers/openapi');
+
+// ==================================================
+
+/************************************** documentRoute */
+
+describe('documentRoute', function () {
+  test('every route is documented', function () {
+    const routes = listRoutes(app);
+    const operations = collectOperations(app);
+    const missing = routes.filter((route) => !(route in operations));
+    expect(missing).toEqual([]);
+  });
+
+  test('every documented operation has a route', function () {
+    const routes = listRoutes(app);
+    const extra = Object.keys(collectOperations(app)).filter(
+      (route) => !routes.includes(route)
+    );
+    expect(extra).toEqual([]);
+  });
+});
+
+/************************************** GET /openapi.json */
+
+describe('GET /openapi.json', function () {
+  test('works', async function () {
+    const resp = await request(app).get('/openapi.json');
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual(
+      expect.objectContaining({
+        openapi: '3.1.0',
+        info: expect.objectContaining({ title: 'Jobly' }),
+      })
+    );
+    expect(resp.body.paths['/companies'].post.requestBody).toEqual({
+      required: true,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/companyNew' },
+        },
+      },
+    });
+  });
+
+  test('has every referenced schema', async function () {
+    const resp = await request(app).get('/openapi.json');
+    const refs = JSON.stringify(resp.body).match(
+      /#\/components\/schemas\/\w+/g
+    );
+    for (const ref of refs) {
+      expect(Object.keys(resp.body.components.schemas)).toContain(
+        ref.split('/').pop()
+      );
+    }
+  });
+});
+
+/************************************** GET /docs */
+
+describe('GET /docs', function () {
+  test('works', async function () {
+    const resp = await request(app).get('/docs');
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers['content-type']).toMatch(/^text\/html/);
+    expect(resp.text).toContain('openapi.json');
+  });
+});
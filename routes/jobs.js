@@ -2,16 +2,35 @@
 
 /** Routes for jobs. */
 
-const jsonschema = require('jsonschema');
 const express = require('express');
 
-const { BadRequestError } = require('../expressError');
-const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const db = require('../db');
+const { ForbiddenError, NotFoundError } = require('../expressError');
+const { wantsCsv, sendCsv } = require('../helpers/csv');
+const {
+  getImportRows,
+  validateImportRows,
+  importRejectedError,
+  createImportReport,
+} = require('../helpers/import');
+const { documentRoute, schemaRef } = require('../helpers/openapi');
+const { validateSchema } = require('../helpers/validation');
+const {
+  ensureLoggedIn,
+  ensureAdmin,
+  ensureAdminOrRecruiter,
+} = require('../middleware/auth');
+const {
+  IMPORT_QUERY_SCHEMA,
+  parseCsvBody,
+  convertImportQueryParameters,
+} = require('../middleware/import');
 const {
   convertJobId,
   convertGetAllJobsQueryParameters,
 } = require('../middleware/jobs');
 
+const AuditLog = require('../models/auditLog');
 const Job = require('../models/job');
 
 const jobNewSchema = require('../schemas/jobNew.json');
@@ -19,51 +38,264 @@ const jobUpdateSchema = require('../schemas/jobUpdate.json');
 
 // ==================================================
 
+// Columns of jobs sent as CSV.
+const JOB_CSV_COLUMNS = Object.freeze([
+  'id',
+  'title',
+  'salary',
+  'equity',
+  'companyHandle',
+  'technologies',
+]);
+
+// Recruiters can create jobs for, and update the jobs of, their own companies.
+const ensureAdminOrNewJobRecruiter = ensureAdminOrRecruiter(
+  (req) => req.body.companyHandle
+);
+const ensureAdminOrJobRecruiter = ensureAdminOrRecruiter(
+  async (req) => (await Job.get(req.params.id)).companyHandle
+);
+
+/**
+ * Checks whether the logged in user can manage a company's jobs, by being an
+ * admin or a recruiter for the company.
+ *
+ * @param {Object} user The logged in user from res.locals, or undefined.
+ * @param {String} companyHandle Handle of the company.
+ * @returns {Boolean} True if the user can manage the jobs.
+ */
+function canManageJobs(user, companyHandle) {
+  if (!user) return false;
+  return user.isAdmin || (user.recruiterFor || []).includes(companyHandle);
+}
+
+/**
+ * Checks that only admins create technologies along with a job, since
+ * recruiters can not manage technologies.
+ *
+ * @param {Object} user The logged in user from res.locals.
+ * @param {Object} data The job data, with createTechnologies.
+ * @throws ForbiddenError If createTechnologies is true for a non-admin.
+ */
+function checkCanCreateTechnologies(user, { createTechnologies }) {
+  if (createTechnologies && !user.isAdmin) {
+    throw new ForbiddenError('Only admins can create technologies.');
+  }
+}
+
 const router = new express.Router();
 
 /**
  * POST /
  * { job } => { job }
  *
- * job should be { title, salary, equity, companyHandle }.
+ * job should be { title, salary, equity, companyHandle, technologies,
+ *   createTechnologies, status, expiresAt }.
  *
- * Returns { id, title, salary, equity, companyHandle }.
+ * technologies is an optional list of technology names and/or IDs.  Unknown
+ * names are created if createTechnologies is true, or else rejected.
  *
- * Authorization required: login, admin
+ * status is open, the default, or draft, which is not listed until it is
+ * opened.  expiresAt is an optional date-time when the job stops being
+ * listed.
+ *
+ * Returns { id, title, salary, equity, companyHandle, status, postedAt,
+ *   expiresAt, technologies }.
+ *
+ * The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin or recruiter for the company
  */
-router.post('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
-  try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+documentRoute(router, 'POST /', {
+  summary: 'Creates a job.',
+  auth: 'login, admin or recruiter for the company',
+  body: 'jobNew',
+  status: 201,
+  returns:
+    '{ job: { id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies } }',
+});
 
-    const job = await Job.create(req.body);
-    return res.status(201).json({ job });
-  } catch (err) {
-    return next(err);
+router.post(
+  '/',
+  ensureLoggedIn,
+  ensureAdminOrNewJobRecruiter,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, jobNewSchema);
+      checkCanCreateTechnologies(res.locals.user, req.body);
+
+      const job = await db.withTransaction(async () => {
+        const job = await Job.create(req.body);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'create',
+          entityType: 'job',
+          entityId: job.id,
+          after: job,
+        });
+        return job;
+      });
+      return res.status(201).json({ job });
+    } catch (err) {
+      return next(err);
+    }
   }
+);
+
+/**
+ * POST /import
+ * [{ job }, ...] => { report }
+ *
+ * Imports jobs from a JSON array, or from CSV with a text/csv content type
+ * and a header line.  Each job should be the same as when creating a job.  In
+ * CSV, technologies are separated by ";".
+ *
+ * Valid rows are imported in a single transaction.  By default, nothing is
+ * imported if any row is rejected.  With ?skipInvalid=true, valid rows are
+ * still imported.
+ *
+ * Returns { created, updated, rejected, rows }, where rows are
+ *   [{ index, status, id }, ...] for created rows, and
+ *   [{ index, status, errors }, ...] for rejected rows.  Jobs are never
+ *   updated.
+ *
+ * The import is recorded in the audit log, with the numbers of created,
+ * updated, and rejected rows.
+ *
+ * Authorization required: login, admin
+ */
+documentRoute(router, 'POST /import', {
+  summary: 'Imports jobs from JSON or CSV.',
+  auth: 'login, admin',
+  query: IMPORT_QUERY_SCHEMA,
+  body: { type: 'array', items: schemaRef('jobNew') },
+  csv: 'request',
+  returns:
+    '{ created, updated, rejected, rows: [{ index, status, id or ' +
+    'errors }, ...] }',
 });
 
+router.post(
+  '/import',
+  ensureLoggedIn,
+  ensureAdmin,
+  parseCsvBody,
+  convertImportQueryParameters,
+  async function (req, res, next) {
+    try {
+      const { skipInvalid } = req.query;
+      const rows = getImportRows(req, jobNewSchema);
+      const { valid, rejected } = validateImportRows(rows, jobNewSchema);
+      if (!skipInvalid && rejected.length > 0) {
+        throw importRejectedError(rejected);
+      }
+
+      const report = await db.withTransaction(async () => {
+        const results = await Job.bulkImport(valid, skipInvalid);
+        const report = createImportReport([...rejected, ...results]);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'import',
+          entityType: 'job',
+          after: {
+            created: report.created,
+            updated: report.updated,
+            rejected: report.rejected,
+          },
+        });
+        return report;
+      });
+      return res.json({ report });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /**
  * GET /
- * => { jobs: [{ id, title, salary, equity, companyHandle }, ...] }
+ * => { jobs: [{ id, title, salary, equity, companyHandle, status, postedAt,
+ *               expiresAt, technologies }, ...],
+ *      total }
+ *
+ * total is the number of jobs that match the filters, across all pages.
+ *
+ * Only open jobs that have not expired are listed, unless an admin sets
+ * status to expired, draft, closed, or all.  Recruiters can also set status
+ * when companyHandle only has companies they are a recruiter for.
  *
  * Can filter on provided search filters:
  * - title (will find case-insensitive, partial matches)
- * - minSalary
+ * - minSalary, maxSalary
  * - hasEquity
+ * - minEquity, maxEquity (between 0 and 1)
+ * - companyHandle (can be repeated to match any of the companies)
+ * - minEmployees, maxEmployees (size of the job's company)
+ * - technologies (technology names; can be repeated)
+ * - technologiesMatch (any, the default, or all of the technologies)
+ * - q (full-text search of title, as in GET /search)
+ * - includeDeleted (if true, also lists deleted jobs, which have deletedAt
+ *   set; admins only)
  *
- * Authorization required: none
+ * Can sort and paginate with:
+ * - sort (title, salary, equity, or newest; prefix with "-" to reverse; or
+ *   relevance, the default if q is given)
+ * - limit
+ * - offset
+ *
+ * Sends the jobs as a CSV file instead, without total, if format is csv, or
+ * if the Accept header prefers text/csv.  technologies are separated by ";".
+ *
+ * Authorization required: none, or admin or recruiter for the companies if
+ *   status is not open, or admin if includeDeleted is true
  */
+documentRoute(router, 'GET /', {
+  summary: 'Lists jobs, filtered, sorted, and paginated.',
+  auth:
+    'none, or admin or recruiter for the companies if status is not ' +
+    'open, or admin if includeDeleted is true',
+  query: 'jobGetAllQuery',
+  csv: 'response',
+  returns:
+    '{ jobs: [{ id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies }, ...], total }',
+});
+
 router.get(
   '/',
   convertGetAllJobsQueryParameters,
   async function (req, res, next) {
     try {
+      const { user } = res.locals;
+      const isAdmin = user && user.isAdmin;
+      const { status = 'open', includeDeleted, companyHandle } = req.query;
+      const canManage =
+        isAdmin ||
+        (companyHandle !== undefined &&
+          companyHandle.every((handle) => canManageJobs(user, handle)));
+      if (status !== 'open' && !canManage) {
+        throw new ForbiddenError(
+          'Only admins can list jobs that are not open.'
+        );
+      }
+      if (includeDeleted && !isAdmin) {
+        throw new ForbiddenError('Only admins can list deleted jobs.');
+      }
+
+      if (wantsCsv(req)) {
+        return await sendCsv(
+          res,
+          'jobs.csv',
+          JOB_CSV_COLUMNS,
+          (page) => Job.findAll({ ...req.query, ...page }),
+          req.query
+        );
+      }
+
       const jobs = await Job.findAll(req.query);
-      return res.json({ jobs });
+      const total = await Job.count(req.query);
+      return res.json({ jobs, total });
     } catch (err) {
       return next(err);
     }
@@ -72,13 +304,33 @@ router.get(
 
 /**
  * GET /:id
- * => { job: { id, title, salary, equity, companyHandle } }
+ * => { job: { id, title, salary, equity, companyHandle, status, postedAt,
+ *             expiresAt, technologies } }
+ *
+ * Closed and expired jobs can still be viewed, but drafts are only found for
+ * admins and recruiters for the job's company.  For them, job also includes
+ * applications, which is [{ username, status }, ...].
  *
  * Authorization required: none
  */
+documentRoute(router, 'GET /:id', {
+  summary: 'Gets a job, with its applications for admins and its recruiters.',
+  auth: 'none',
+  returns:
+    '{ job: { id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies } }',
+});
+
 router.get('/:id', convertJobId, async function (req, res, next) {
   try {
     const job = await Job.get(req.params.id);
+    const canManage = canManageJobs(res.locals.user, job.companyHandle);
+    if (job.status === 'draft' && !canManage) {
+      throw new NotFoundError(`No job: ${req.params.id}`);
+    }
+    if (canManage) {
+      job.applications = await Job.getApplications(req.params.id);
+    }
     return res.json({ job });
   } catch (err) {
     return next(err);
@@ -87,28 +339,57 @@ router.get('/:id', convertJobId, async function (req, res, next) {
 
 /**
  * PATCH /:id
- * { title, salary, equity }
+ * { title, salary, equity, technologies, createTechnologies, status,
+ *   expiresAt }
  * =>
- * { job: { id, title, salary, equity, companyHandle } }
+ * { job: { id, title, salary, equity, companyHandle, status, postedAt,
+ *          expiresAt, technologies } }
  *
- * Any number of fields can be updated.
+ * Any number of fields can be updated.  If technologies is given, it replaces
+ * the job's technologies.  Unknown technology names are created if
+ * createTechnologies is true, or else rejected.
  *
- * Authorization required: login, admin
+ * Setting status to closed stops listing the job, and keeps its applications.
+ * A closed job can be reopened, and a draft can be opened or closed, but a
+ * job that has been opened can not be a draft again.
+ *
+ * The changed fields are recorded in the audit log.
+ *
+ * Authorization required: login, admin or recruiter for the job's company
  */
+documentRoute(router, 'PATCH /:id', {
+  summary: 'Updates a job.',
+  auth: "login, admin or recruiter for the job's company",
+  body: 'jobUpdate',
+  returns:
+    '{ job: { id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies } }',
+});
+
 router.patch(
   '/:id',
   convertJobId,
   ensureLoggedIn,
-  ensureAdmin,
+  ensureAdminOrJobRecruiter,
   async function (req, res, next) {
     try {
-      const validator = jsonschema.validate(req.body, jobUpdateSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map((e) => e.stack);
-        throw new BadRequestError(errs);
-      }
+      validateSchema(req.body, jobUpdateSchema);
+      checkCanCreateTechnologies(res.locals.user, req.body);
 
-      const job = await Job.update(req.params.id, req.body);
+      const { id } = req.params;
+      const job = await db.withTransaction(async () => {
+        const before = await Job.get(id);
+        const job = await Job.update(id, req.body);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'update',
+          entityType: 'job',
+          entityId: id,
+          before,
+          after: job,
+        });
+        return job;
+      });
       return res.json({ job });
     } catch (err) {
       return next(err);
@@ -120,8 +401,17 @@ router.patch(
  * DELETE /:id
  * => { deleted: id }
  *
+ * Soft deletes the job, which can be restored until it is purged.  The
+ * deletion is recorded in the audit log.
+ *
  * Authorization: login, admin
  */
+documentRoute(router, 'DELETE /:id', {
+  summary: 'Soft deletes a job.',
+  auth: 'login, admin',
+  returns: '{ deleted: id }',
+});
+
 router.delete(
   '/:id',
   convertJobId,
@@ -129,8 +419,64 @@ router.delete(
   ensureAdmin,
   async function (req, res, next) {
     try {
-      await Job.remove(req.params.id);
-      return res.json({ deleted: req.params.id });
+      const { id } = req.params;
+      await db.withTransaction(async () => {
+        const before = await Job.get(id);
+        await Job.remove(id);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'job',
+          entityId: id,
+          before,
+        });
+      });
+      return res.json({ deleted: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /:id/restore
+ * => { job: { id, title, salary, equity, companyHandle, status, postedAt,
+ *             expiresAt, technologies } }
+ *
+ * Restores a deleted job.  A job that was deleted with its company is
+ * restored by restoring the company.  The restoration is recorded in the
+ * audit log.
+ *
+ * Authorization: login, admin
+ */
+documentRoute(router, 'POST /:id/restore', {
+  summary: 'Restores a deleted job.',
+  auth: 'login, admin',
+  returns:
+    '{ job: { id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies } }',
+});
+
+router.post(
+  '/:id/restore',
+  convertJobId,
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { id } = req.params;
+      const job = await db.withTransaction(async () => {
+        const job = await Job.restore(id);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'restore',
+          entityType: 'job',
+          entityId: id,
+          after: job,
+        });
+        return job;
+      });
+      return res.json({ job });
     } catch (err) {
       return next(err);
     }
@@ -4,6 +4,7 @@ const request = require('supertest');
 
 const db = require('../db');
 const app = require('../app');
+const User = require('../models/user');
 
 const {
   commonBeforeAll,
@@ -12,6 +13,7 @@ const {
   commonAfterAll,
   u1Token,
   u2Token,
+  u3Token,
   jobs,
 } = require('./_testCommon');
 
@@ -43,10 +45,105 @@ describe('POST /jobs', function () {
     // Assert
     expect(resp.statusCode).toBe(201);
     expect(resp.body).toEqual({
-      job: { ...newJob, id: expect.any(Number) },
+      job: {
+        ...newJob,
+        id: expect.any(Number),
+        status: 'open',
+        postedAt: expect.any(String),
+        expiresAt: null,
+        technologies: [],
+      },
     });
   });
 
+  test('Creates a new job for recruiters for the company.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send(newJob)
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.job).toEqual(expect.objectContaining(newJob));
+  });
+
+  test('Forbidden for recruiters for another company.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ ...newJob, companyHandle: 'c2' })
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test('Forbidden for recruiters creating technologies.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ ...newJob, technologies: ['new tech'], createTechnologies: true })
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test('Creates a draft job with an expiry date.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ ...newJob, status: 'draft', expiresAt: '2030-01-01T00:00:00Z' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body.job).toEqual(
+      expect.objectContaining({
+        status: 'draft',
+        postedAt: null,
+        expiresAt: '2030-01-01T00:00:00.000Z',
+      })
+    );
+  });
+
+  test('Creates a new job with technologies.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({
+        ...newJob,
+        technologies: [2, 'new tech'],
+        createTechnologies: true,
+      })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      job: {
+        ...newJob,
+        id: expect.any(Number),
+        status: 'open',
+        postedAt: expect.any(String),
+        expiresAt: null,
+        technologies: ['new tech', 't2'],
+      },
+    });
+  });
+
+  test('not found with unknown technologies', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ ...newJob, technologies: ['new tech'] })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
   test('forbidden if not admin', async function () {
     // Act
     const resp = await request(app)
@@ -80,6 +177,13 @@ describe('POST /jobs', function () {
     [{ ...newJob, salary: -1 }],
     [{ ...newJob, equity: 'a' }],
     [{ ...newJob, equity: 1.1 }],
+    [{ ...newJob, technologies: 't1' }],
+    [{ ...newJob, technologies: [''] }],
+    [{ ...newJob, technologies: [0] }],
+    [{ ...newJob, technologies: ['t1', 't1'] }],
+    [{ ...newJob, createTechnologies: true }],
+    [{ ...newJob, status: 'closed' }],
+    [{ ...newJob, expiresAt: 'tomorrow' }],
   ])(
     'bad request with invalid data; new job data: %o',
     async function (newJob) {
@@ -109,6 +213,135 @@ describe('POST /jobs', function () {
   });
 });
 
+/************************************** POST /jobs/import */
+
+describe('POST /jobs/import', function () {
+  const url = '/jobs/import';
+
+  test('Imports JSON for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([{ title: 'new', salary: 10, companyHandle: 'c1' }])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      report: {
+        created: 1,
+        updated: 0,
+        rejected: 0,
+        rows: [{ index: 0, status: 'created', id: expect.any(Number) }],
+      },
+    });
+  });
+
+  test('Imports CSV for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('content-type', 'text/csv')
+      .send(
+        'title,salary,equity,companyHandle,technologies\n' +
+          'new,10,0.5,c1,t1;t2\n'
+      )
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    const id = resp.body.report.rows[0].id;
+    const getResp = await request(app).get(`/jobs/${id}`);
+    expect(getResp.body.job).toEqual({
+      id,
+      title: 'new',
+      salary: 10,
+      equity: 0.5,
+      companyHandle: 'c1',
+      status: 'open',
+      postedAt: expect.any(String),
+      expiresAt: null,
+      technologies: ['t1', 't2'],
+    });
+  });
+
+  test('Rejects the import if a row is invalid.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([
+        { title: 'new', companyHandle: 'c1' },
+        { title: 'new', companyHandle: 'nope' },
+      ])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('IMPORT_REJECTED');
+    expect(resp.body.error.fields).toEqual([
+      {
+        pointer: '/1/companyHandle',
+        keyword: 'reference',
+        message: expect.any(String),
+      },
+    ]);
+    const getResp = await request(app).get('/jobs?title=new');
+    expect(getResp.body.total).toEqual(0);
+  });
+
+  test('Reports rejected rows if skipping invalid rows.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(`${url}?skipInvalid=true`)
+      .send([
+        { title: 'new', companyHandle: 'c1' },
+        { title: 'new', salary: -1, companyHandle: 'c1' },
+      ])
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.report).toEqual({
+      created: 1,
+      updated: 0,
+      rejected: 1,
+      rows: [
+        { index: 0, status: 'created', id: expect.any(Number) },
+        {
+          index: 1,
+          status: 'rejected',
+          errors: [
+            {
+              pointer: '/salary',
+              keyword: 'minimum',
+              message: expect.any(String),
+            },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url).send([]);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send([])
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+});
+
 /************************************** GET /jobs */
 
 describe('GET /jobs', function () {
@@ -120,7 +353,41 @@ describe('GET /jobs', function () {
 
     // Assert
     expect(resp.statusCode).toBe(200);
-    expect(resp.body).toEqual({ jobs });
+    expect(resp.body).toEqual({ jobs, total: 3 });
+  });
+
+  test('lists deleted jobs for admins with includeDeleted', async function () {
+    // Arrange
+    await request(app)
+      .delete('/jobs/2')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Act
+    const resp = await request(app)
+      .get(`${url}?includeDeleted=true`)
+      .set('authorization', `Bearer ${u1Token}`);
+    const anonResp = await request(app).get(url);
+
+    // Assert
+    expect(resp.body).toEqual({
+      jobs: [
+        { ...jobs[0], deletedAt: null },
+        { ...jobs[1], deletedAt: expect.any(String) },
+        { ...jobs[2], deletedAt: null },
+      ],
+      total: 3,
+    });
+    expect(anonResp.body).toEqual({ jobs: [jobs[0], jobs[2]], total: 2 });
+  });
+
+  test('forbidden with includeDeleted if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .get(`${url}?includeDeleted=true`)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
   });
 
   test.each([
@@ -129,6 +396,18 @@ describe('GET /jobs', function () {
     ['/jobs?minSalary=10', [jobs[1], jobs[2]]],
     ['/jobs?hasEquity=true', [jobs[0], jobs[1]]],
     ['/jobs?title=J&minSalary=1000&hasEquity=FALSE', [jobs[2]]],
+    ['/jobs?q=j2', [jobs[1]]],
+    ['/jobs?q=j1%20or%20j3&minSalary=10', [jobs[2]]],
+    ['/jobs?maxSalary=100', [jobs[0], jobs[1]]],
+    ['/jobs?minSalary=50&maxSalary=100', [jobs[1]]],
+    ['/jobs?minEquity=0.5&maxEquity=0.9', [jobs[1]]],
+    ['/jobs?companyHandle=c2', [jobs[2]]],
+    ['/jobs?companyHandle=c1&companyHandle=c2', jobs],
+    ['/jobs?minEmployees=2', [jobs[2]]],
+    ['/jobs?maxEmployees=1', [jobs[0], jobs[1]]],
+    ['/jobs?technologies=t1', [jobs[0], jobs[1]]],
+    ['/jobs?technologies=t1&technologies=t2', [jobs[0], jobs[1]]],
+    ['/jobs?technologies=t1&technologies=t2&technologiesMatch=all', [jobs[0]]],
   ])(
     'works with query parameters; test case: %s',
     async function (url, expectedJobs) {
@@ -137,14 +416,17 @@ describe('GET /jobs', function () {
 
       // Assert
       expect(resp.statusCode).toBe(200);
-      expect(resp.body).toEqual({ jobs: expectedJobs });
+      expect(resp.body).toEqual({
+        jobs: expectedJobs,
+        total: expectedJobs.length,
+      });
     }
   );
 
   test.each([
     ['/jobs?id=1', jobs],
-    ['/jobs?companyHandle=c1', jobs],
-    ['/jobs?id=9&companyHandle=c1&title=j1', [jobs[0]]],
+    ['/jobs?companyName=C1', jobs],
+    ['/jobs?id=9&companyName=C1&title=j1', [jobs[0]]],
   ])(
     'does not filter other company properties; test case: %#',
     async function (url, expectedJobs) {
@@ -153,10 +435,224 @@ describe('GET /jobs', function () {
 
       // Assert
       expect(resp.statusCode).toBe(200);
-      expect(resp.body).toEqual({ jobs: expectedJobs });
+      expect(resp.body).toEqual({
+        jobs: expectedJobs,
+        total: expectedJobs.length,
+      });
+    }
+  );
+
+  test.each([
+    ['/jobs?sort=-salary', [jobs[2], jobs[1], jobs[0]], 3],
+    ['/jobs?sort=equity&limit=2', [jobs[2], jobs[1]], 3],
+    ['/jobs?sort=newest&offset=1', [jobs[1], jobs[0]], 3],
+    ['/jobs?sort=-title&limit=1&offset=1', [jobs[1]], 3],
+    ['/jobs?hasEquity=true&limit=1', [jobs[0]], 2],
+  ])(
+    'works with sorting and pagination; test case: %s',
+    async function (url, expectedJobs, total) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body).toEqual({ jobs: expectedJobs, total });
     }
   );
 
+  test.each([
+    ['/jobs?sort=id'],
+    ['/jobs?sort=companyHandle'],
+    ['/jobs?limit=0'],
+    ['/jobs?limit=101'],
+    ['/jobs?offset=-1'],
+    ['/jobs?offset=a'],
+    ['/jobs?sort=relevance'],
+    ['/jobs?q='],
+  ])(
+    'fails: invalid sorting or pagination; test case: %s',
+    async function (url) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+
+  test.each([
+    ['/jobs?format=csv', {}],
+    ['/jobs', { accept: 'text/csv' }],
+  ])('Sends jobs as CSV; test case: %s', async function (url, headers) {
+    // Act
+    const resp = await request(app).get(url).set(headers);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.headers['content-type']).toMatch(/^text\/csv/);
+    expect(resp.headers['content-disposition']).toEqual(
+      'attachment; filename="jobs.csv"'
+    );
+    expect(resp.text).toEqual(
+      'id,title,salary,equity,companyHandle,technologies\r\n' +
+        '1,j1,0,1,c1,t1;t2;t3\r\n' +
+        '2,j2,100,0.5,c1,t1\r\n' +
+        '3,j3,1000,0,c2,\r\n'
+    );
+  });
+
+  test('Sends filtered jobs as CSV.', async function () {
+    // Act
+    const resp = await request(app).get('/jobs?format=csv&minSalary=1000');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.text).toEqual(
+      'id,title,salary,equity,companyHandle,technologies\r\n' +
+        '3,j3,1000,0,c2,\r\n'
+    );
+  });
+
+  test('fails: format is not json or csv', async function () {
+    // Act
+    const resp = await request(app).get('/jobs?format=xml');
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+
+  test.each([
+    ['/jobs?format=csv&minSalary=10&maxSalary=1'],
+    ['/jobs?format=csv&sort=relevance'],
+  ])('fails: invalid filters as CSV; test case: %s', async function (url) {
+    // Act
+    const resp = await request(app).get(url);
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+    expect(resp.headers['content-type']).toMatch(/^application\/json/);
+  });
+
+  test.each([
+    ['/jobs?minSalary=10&maxSalary=5'],
+    ['/jobs?minEquity=0.5&maxEquity=0.1'],
+    ['/jobs?minEmployees=3&maxEmployees=2'],
+    ['/jobs?maxEquity=2'],
+    ['/jobs?maxEmployees=-1'],
+    ['/jobs?technologiesMatch=some'],
+  ])(
+    'fails: invalid range, company, or technology filters; test case: %s',
+    async function (url) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    }
+  );
+
+  describe('job status', function () {
+    beforeEach(async function () {
+      await db.query(`UPDATE jobs SET status = 'closed' WHERE title = 'j2'`);
+      await db.query(
+        `UPDATE jobs
+        SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day'
+        WHERE title = 'j3'`
+      );
+    });
+
+    test('Lists only open jobs that have not expired by default.', async function () {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body).toEqual({ jobs: [jobs[0]], total: 1 });
+    });
+
+    test.each([
+      ['closed', ['j2']],
+      ['expired', ['j3']],
+      ['draft', []],
+      ['all', ['j1', 'j2', 'j3']],
+    ])(
+      'Lists jobs by status for admins; status: %s',
+      async function (status, titles) {
+        // Act
+        const resp = await request(app)
+          .get(url)
+          .query({ status })
+          .set('authorization', `Bearer ${u1Token}`);
+
+        // Assert
+        expect(resp.statusCode).toBe(200);
+        expect(resp.body.jobs.map((j) => j.title)).toEqual(titles);
+        expect(resp.body.total).toBe(titles.length);
+      }
+    );
+
+    test.each([
+      ['/jobs?status=closed', { authorization: `Bearer ${u2Token}` }],
+      ['/jobs?status=all', {}],
+    ])(
+      'forbidden for non-admins unless status is open; test case: %s',
+      async function (url, headers) {
+        // Act
+        const resp = await request(app).get(url).set(headers);
+
+        // Assert
+        expect(resp.statusCode).toBe(403);
+      }
+    );
+
+    test('Lists jobs by status for recruiters for the companies', async function () {
+      // Act
+      const resp = await request(app)
+        .get('/jobs?status=all&companyHandle=c1')
+        .set('authorization', `Bearer ${u3Token}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body.jobs.map((j) => j.title)).toEqual(['j1', 'j2']);
+    });
+
+    test.each([
+      ['/jobs?status=all'],
+      ['/jobs?status=all&companyHandle=c2'],
+      ['/jobs?status=all&companyHandle=c1&companyHandle=c2'],
+    ])(
+      'forbidden for recruiters for other companies; test case: %s',
+      async function (url) {
+        // Act
+        const resp = await request(app)
+          .get(url)
+          .set('authorization', `Bearer ${u3Token}`);
+
+        // Assert
+        expect(resp.statusCode).toBe(403);
+      }
+    );
+
+    test('works for anon with status open', async function () {
+      // Act
+      const resp = await request(app).get('/jobs?status=open');
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body.total).toBe(1);
+    });
+
+    test('fails: status is not allowed', async function () {
+      // Act
+      const resp = await request(app)
+        .get('/jobs?status=archived')
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toBe(400);
+    });
+  });
+
   test('fails: test next() handler', async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -225,6 +721,102 @@ describe('GET /jobs/:id', function () {
     expect(resp.body).toEqual({ job: jobs[0] });
   });
 
+  test('includes applications for admins', async function () {
+    // Arrange
+    const url = '/jobs/1';
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      job: {
+        ...jobs[0],
+        applications: [{ username: 'u2', status: 'applied' }],
+      },
+    });
+  });
+
+  test('includes applications for recruiters for the company', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+    await User.applyJob('u2', 3);
+
+    // Act
+    const resp = await request(app)
+      .get('/jobs/1')
+      .set('authorization', `Bearer ${u3Token}`);
+    const otherResp = await request(app)
+      .get('/jobs/3')
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.body.job.applications).toEqual([
+      { username: 'u2', status: 'applied' },
+    ]);
+    expect(otherResp.body).toEqual({ job: jobs[2] });
+  });
+
+  test('does not include applications for non-admins', async function () {
+    // Arrange
+    const url = '/jobs/1';
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ job: jobs[0] });
+  });
+
+  test('works for anon: closed job', async function () {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+
+    // Act
+    const resp = await request(app).get('/jobs/1');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ job: { ...jobs[0], status: 'closed' } });
+  });
+
+  test('finds drafts only for admins', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE jobs SET status = 'draft', posted_at = NULL WHERE id = 1`
+    );
+
+    // Act
+    const anonResp = await request(app).get('/jobs/1');
+    const userResp = await request(app)
+      .get('/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+    const adminResp = await request(app)
+      .get('/jobs/1')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    const recruiterResp = await request(app)
+      .get('/jobs/1')
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(anonResp.statusCode).toBe(404);
+    expect(userResp.statusCode).toBe(404);
+    expect(adminResp.statusCode).toBe(200);
+    expect(recruiterResp.statusCode).toBe(200);
+    expect(adminResp.body.job).toEqual(
+      expect.objectContaining({ status: 'draft', postedAt: null })
+    );
+  });
+
   test('not found for no such job', async function () {
     // Arrange
     const url = '/jobs/99';
@@ -261,6 +853,96 @@ describe('PATCH /jobs/:id', function () {
     expect(resp.body).toEqual({ job: expectedJob });
   });
 
+  test('works for recruiters for the company', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'closed' })
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ job: { ...jobs[0], status: 'closed' } });
+  });
+
+  test('forbidden for recruiters for another company', async function () {
+    // Act
+    const resp = await request(app)
+      .patch('/jobs/3')
+      .send(updateData)
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(403);
+  });
+
+  test('not found for recruiters if no such job', async function () {
+    // Act
+    const resp = await request(app)
+      .patch('/jobs/99')
+      .send(updateData)
+      .set('authorization', `Bearer ${u3Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(404);
+  });
+
+  test('works for admins: replaces technologies', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ technologies: ['t2'] })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({ job: { ...jobs[0], technologies: ['t2'] } });
+  });
+
+  test('Closes and reopens a job, keeping its applications.', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+
+    // Act
+    const closeResp = await request(app)
+      .patch(url)
+      .send({ status: 'closed' })
+      .set('authorization', `Bearer ${u1Token}`);
+    const listResp = await request(app).get('/jobs');
+    const reopenResp = await request(app)
+      .patch(url)
+      .send({ status: 'open', expiresAt: '2030-01-01T00:00:00Z' })
+      .set('authorization', `Bearer ${u1Token}`);
+    const getResp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(closeResp.body).toEqual({ job: { ...jobs[0], status: 'closed' } });
+    expect(listResp.body.jobs).toEqual([jobs[1], jobs[2]]);
+    expect(reopenResp.body).toEqual({
+      job: {
+        ...jobs[0],
+        status: 'open',
+        expiresAt: '2030-01-01T00:00:00.000Z',
+      },
+    });
+    expect(getResp.body.job.applications).toEqual([
+      { username: 'u2', status: 'applied' },
+    ]);
+  });
+
+  test('bad request when making an open job a draft', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'draft' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('INVALID_STATUS_TRANSITION');
+  });
+
   test('unauth for anon', async function () {
     // Act
     const resp = await request(app).patch(url).send(updateData);
@@ -314,6 +996,10 @@ describe('PATCH /jobs/:id', function () {
     [{ ...updateData, salary: -1 }],
     [{ ...updateData, equity: 'a' }],
     [{ ...updateData, equity: 1.1 }],
+    [{ ...updateData, technologies: [1.5] }],
+    [{ createTechnologies: true }],
+    [{ status: 'archived' }],
+    [{ expiresAt: 'tomorrow' }],
   ])('bad request on invalid data', async function (updateData) {
     // Act
     const resp = await request(app)
@@ -353,6 +1039,10 @@ describe('DELETE /jobs/:id', function () {
 
     // Assert
     expect(resp.body).toEqual({ deleted: 1 });
+    const getResp = await request(app)
+      .get(url)
+      .set('authorization', `Bearer ${u1Token}`);
+    expect(getResp.statusCode).toEqual(404);
   });
 
   test('unauth for anon', async function () {
@@ -386,3 +1076,70 @@ describe('DELETE /jobs/:id', function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** POST /jobs/:id/restore */
+
+describe('POST /jobs/:id/restore', function () {
+  const url = '/jobs/1/restore';
+
+  beforeEach(async function () {
+    await request(app)
+      .delete('/jobs/1')
+      .set('authorization', `Bearer ${u1Token}`);
+  });
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ job: jobs[0] });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if job is not deleted', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/jobs/2/restore')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test('bad request if the company is deleted', async function () {
+    // Arrange
+    await request(app)
+      .delete('/companies/c1')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('COMPANY_DELETED');
+  });
+});
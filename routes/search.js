@@ -0,0 +1,52 @@
+'use strict';
+
+/** Routes for searching jobs and companies. */
+
+const express = require('express');
+
+const { documentRoute } = require('../helpers/openapi');
+const { convertSearchQueryParameters } = require('../middleware/search');
+
+const Search = require('../models/search');
+
+// ==================================================
+
+const router = new express.Router();
+
+/**
+ * GET /?q=
+ * => { results: [result, ...], total }
+ *
+ * Finds the companies whose name or description, and the jobs whose title,
+ * match the search term q, ranked with the best matches first.  Each result
+ * has a snippet with the matching words wrapped in <mark> tags.
+ *
+ * result is { type: 'company', handle, name, rank, snippet } or
+ * { type: 'job', id, title, companyHandle, rank, snippet }.
+ *
+ * Can paginate with:
+ * - limit
+ * - offset
+ *
+ * Authorization required: none
+ */
+documentRoute(router, 'GET /', {
+  summary: 'Searches companies and jobs, best matches first.',
+  auth: 'none',
+  query: 'searchQuery',
+  returns: '{ results: [result, ...], total }',
+});
+
+router.get('/', convertSearchQueryParameters, async function (req, res, next) {
+  try {
+    const results = await Search.search(req.query);
+    const total = await Search.count(req.query);
+    return res.json({ results, total });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,95 @@
+'use strict';
+
+const request = require('supertest');
+
+const db = require('../db.js');
+const app = require('../app');
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+beforeEach(async function () {
+  await db.query(
+    `INSERT INTO jobs (title, salary, equity, company_handle)
+    VALUES ('Engineer, Backend', 1, 0, 'c1'),
+           ('Backend Developer', 1, 0, 'c2')`
+  );
+});
+
+/************************************** GET /search */
+
+describe('GET /search', function () {
+  const url = '/search';
+
+  test('Finds ranked matches for anon.', async function () {
+    // Act
+    const resp = await request(app).get(url).query({ q: 'backend engineer' });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: 'job',
+          id: expect.any(Number),
+          title: 'Engineer, Backend',
+          companyHandle: 'c1',
+          rank: expect.any(Number),
+          snippet: '<mark>Engineer</mark>, <mark>Backend</mark>',
+        },
+      ],
+      total: 1,
+    });
+  });
+
+  test('Finds companies by description.', async function () {
+    // Act
+    const resp = await request(app).get(url).query({ q: 'desc2' });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.results).toEqual([
+      {
+        type: 'company',
+        handle: 'c2',
+        name: 'C2',
+        rank: expect.any(Number),
+        snippet: 'C2. <mark>Desc2</mark>',
+      },
+    ]);
+  });
+
+  test('Paginates results, with the total across all pages.', async function () {
+    // Act
+    const resp = await request(app)
+      .get(url)
+      .query({ q: 'backend', limit: 1, offset: 1 });
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body.results.length).toEqual(1);
+    expect(resp.body.total).toEqual(2);
+  });
+
+  test.each([[{}], [{ q: '' }], [{ q: 'a', limit: '0' }]])(
+    'bad request with invalid query; query: %o',
+    async function (query) {
+      // Act
+      const resp = await request(app).get(url).query(query);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+});
@@ -0,0 +1,209 @@
+'use strict';
+
+/** Routes for technologies. */
+
+const express = require('express');
+
+const db = require('../db');
+const { documentRoute } = require('../helpers/openapi');
+const { validateSchema } = require('../helpers/validation');
+const { ensureLoggedIn, ensureAdmin } = require('../middleware/auth');
+const {
+  convertTechnologyId,
+  convertGetAllTechnologiesQueryParameters,
+} = require('../middleware/technologies');
+
+const AuditLog = require('../models/auditLog');
+const Technology = require('../models/technology');
+
+const technologyNewSchema = require('../schemas/technologyNew.json');
+const technologyUpdateSchema = require('../schemas/technologyUpdate.json');
+
+// ==================================================
+
+const router = new express.Router();
+
+/**
+ * POST /
+ * { technology } => { technology }
+ *
+ * technology should be { name }.
+ *
+ * Returns { id, name }.
+ *
+ * The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin
+ */
+documentRoute(router, 'POST /', {
+  summary: 'Creates a technology.',
+  auth: 'login, admin',
+  body: 'technologyNew',
+  status: 201,
+  returns: '{ technology: { id, name } }',
+});
+
+router.post('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
+  try {
+    validateSchema(req.body, technologyNewSchema);
+
+    const technology = await db.withTransaction(async () => {
+      const technology = await Technology.create(req.body);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: 'create',
+        entityType: 'technology',
+        entityId: technology.id,
+        after: technology,
+      });
+      return technology;
+    });
+    return res.status(201).json({ technology });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * GET /
+ * => { technologies: [{ id, name, numJobs, numUsers }, ...] }
+ *
+ * numJobs and numUsers are how many jobs and users reference the technology.
+ *
+ * Can filter on provided search filters:
+ * - name (will find case-insensitive, partial matches)
+ *
+ * Authorization required: none
+ */
+documentRoute(router, 'GET /', {
+  summary: 'Lists technologies, with how many jobs and users have them.',
+  auth: 'none',
+  query: 'technologyGetAllQuery',
+  returns: '{ technologies: [{ id, name, numJobs, numUsers }, ...] }',
+});
+
+router.get(
+  '/',
+  convertGetAllTechnologiesQueryParameters,
+  async function (req, res, next) {
+    try {
+      const technologies = await Technology.findAll(req.query);
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /:id
+ * => { technology: { id, name, numJobs, numUsers } }
+ *
+ * Authorization required: none
+ */
+documentRoute(router, 'GET /:id', {
+  summary: 'Gets a technology.',
+  auth: 'none',
+  returns: '{ technology: { id, name, numJobs, numUsers } }',
+});
+
+router.get('/:id', convertTechnologyId, async function (req, res, next) {
+  try {
+    const technology = await Technology.get(req.params.id);
+    return res.json({ technology });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/**
+ * PATCH /:id
+ * { name }
+ * =>
+ * { technology: { id, name } }
+ *
+ * Renames a technology.  The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin
+ */
+documentRoute(router, 'PATCH /:id', {
+  summary: 'Renames a technology.',
+  auth: 'login, admin',
+  body: 'technologyUpdate',
+  returns: '{ technology: { id, name } }',
+});
+
+router.patch(
+  '/:id',
+  convertTechnologyId,
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, technologyUpdateSchema);
+
+      const { id } = req.params;
+      const technology = await db.withTransaction(async () => {
+        const before = await Technology.get(id);
+        const technology = await Technology.update(id, req.body);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'update',
+          entityType: 'technology',
+          entityId: id,
+          before,
+          after: technology,
+        });
+        return technology;
+      });
+      return res.json({ technology });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /:id
+ * => { deleted: id }
+ *
+ * Deleting a technology also removes it from all jobs and users.  The
+ * deletion is recorded in the audit log.
+ *
+ * Authorization: login, admin
+ */
+documentRoute(router, 'DELETE /:id', {
+  summary: 'Deletes a technology, removing it from all jobs and users.',
+  auth: 'login, admin',
+  returns: '{ deleted: id }',
+});
+
+router.delete(
+  '/:id',
+  convertTechnologyId,
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { id } = req.params;
+      await db.withTransaction(async () => {
+        const before = await Technology.get(id);
+        await Technology.remove(id);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'technology',
+          entityId: id,
+          before,
+        });
+      });
+      return res.json({ deleted: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// ==================================================
+
+module.exports = router;
@@ -0,0 +1,276 @@
+'use strict';
+
+const request = require('supertest');
+
+const app = require('../app');
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+  u1Token,
+  u2Token,
+} = require('./_testCommon');
+
+// ==================================================
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+// ensure that this matches insertion values in _testCommon
+const technologies = Object.freeze([
+  Object.freeze({ id: 1, name: 't1', numJobs: 2, numUsers: 2 }),
+  Object.freeze({ id: 2, name: 't2', numJobs: 1, numUsers: 1 }),
+  Object.freeze({ id: 3, name: 't3', numJobs: 1, numUsers: 0 }),
+]);
+
+/************************************** POST /technologies */
+
+describe('POST /technologies', function () {
+  const url = '/technologies';
+  const newTechnology = Object.freeze({ name: 'new tech' });
+
+  test('Creates a new technology for admins.', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send(newTechnology)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({
+      technology: { ...newTechnology, id: expect.any(Number) },
+    });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url).send(newTechnology);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send(newTechnology)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test.each([[{}], [{ name: '' }], [{ name: 1 }], [{ name: 'a', id: 9 }]])(
+    'bad request with invalid data; data: %o',
+    async function (newTechnology) {
+      // Act
+      const resp = await request(app)
+        .post(url)
+        .send(newTechnology)
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+
+  test('bad request with dupe', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ name: 't1' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /technologies */
+
+describe('GET /technologies', function () {
+  test('ok for anon', async function () {
+    // Act
+    const resp = await request(app).get('/technologies');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ technologies });
+  });
+
+  test.each([
+    ['/technologies?name=T1', [technologies[0]]],
+    ['/technologies?name=t', technologies],
+    ['/technologies?name=nope', []],
+  ])(
+    'works with query parameters; test case: %s',
+    async function (url, expected) {
+      // Act
+      const resp = await request(app).get(url);
+
+      // Assert
+      expect(resp.statusCode).toBe(200);
+      expect(resp.body).toEqual({ technologies: expected });
+    }
+  );
+
+  test('fails: name can not be decoded from URL', async function () {
+    // Act
+    const resp = await request(app).get('/technologies?name=t%');
+
+    // Assert
+    expect(resp.statusCode).toBe(400);
+  });
+});
+
+/************************************** GET /technologies/:id */
+
+describe('GET /technologies/:id', function () {
+  test('works for anon', async function () {
+    // Act
+    const resp = await request(app).get('/technologies/1');
+
+    // Assert
+    expect(resp.statusCode).toBe(200);
+    expect(resp.body).toEqual({ technology: technologies[0] });
+  });
+
+  test('not found for no such technology', async function () {
+    // Act
+    const resp = await request(app).get('/technologies/99');
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test('bad request for invalid id', async function () {
+    // Act
+    const resp = await request(app).get('/technologies/a');
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /technologies/:id */
+
+describe('PATCH /technologies/:id', function () {
+  const url = '/technologies/1';
+  const updateData = Object.freeze({ name: 'renamed' });
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send(updateData)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({ technology: { id: 1, name: 'renamed' } });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).patch(url).send(updateData);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send(updateData)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found on no such technology', async function () {
+    // Act
+    const resp = await request(app)
+      .patch('/technologies/99')
+      .send(updateData)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test.each([[{}], [{ name: null }], [{ id: 9 }]])(
+    'bad request on invalid data; data: %o',
+    async function (updateData) {
+      // Act
+      const resp = await request(app)
+        .patch(url)
+        .send(updateData)
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+
+  test('bad request if name is taken', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ name: 't2' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /technologies/:id */
+
+describe('DELETE /technologies/:id', function () {
+  const url = '/technologies/1';
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({ deleted: 1 });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).delete(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found for no such technology', async function () {
+    // Act
+    const resp = await request(app)
+      .delete('/technologies/99')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
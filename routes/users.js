@@ -2,24 +2,98 @@
 
 /** Routes for users. */
 
-const jsonschema = require('jsonschema');
 const express = require('express');
 const passwordGen = require('generate-password');
 
+const db = require('../db');
+const { documentRoute } = require('../helpers/openapi');
 const {
   ensureLoggedIn,
   ensureAdmin,
   ensureAdminOrSelf,
 } = require('../middleware/auth');
 const { convertJobId } = require('../middleware/jobs');
-const { BadRequestError } = require('../expressError');
+const {
+  convertGetAllUsersQueryParameters,
+  convertMatchJobsQueryParameters,
+} = require('../middleware/users');
+const { validateSchema, validatePassword } = require('../helpers/validation');
+const AuditLog = require('../models/auditLog');
+const LoginThrottle = require('../models/loginThrottle');
 const User = require('../models/user');
 const { createToken } = require('../helpers/tokens');
+const { REQUIRE_VERIFIED_EMAIL_TO_APPLY } = require('../config');
+const {
+  BadRequestError,
+  ForbiddenError,
+  ValidationError,
+} = require('../expressError');
 const userNewSchema = require('../schemas/userNew.json');
 const userUpdateSchema = require('../schemas/userUpdate.json');
+const userPasswordChangeSchema = require('../schemas/userPasswordChange.json');
+const userTechnologiesSchema = require('../schemas/userTechnologies.json');
+const applicationUpdateSchema = require('../schemas/applicationUpdate.json');
 
 // ==================================================
 
+/**
+ * Changes a user's application to a job, and records the change of its status
+ * in the audit log, in a single transaction.
+ *
+ * @param {Object} res The response Object from Express, with the user making
+ *   the change.
+ * @param {String} action The action to record, e.g. "apply".
+ * @param {String} username Username of the applicant.
+ * @param {Number} jobId ID of the job.
+ * @param {Function} change async () => result, which changes the application.
+ * @returns The result of change.
+ */
+async function changeApplication(res, action, username, jobId, change) {
+  return await db.withTransaction(async () => {
+    const before = await User.getApplicationStatus(username, jobId);
+    const result = await change();
+    const after = await User.getApplicationStatus(username, jobId);
+
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action,
+      entityType: 'application',
+      entityId: `${username}/${jobId}`,
+      before: before && { status: before },
+      after: after && { status: after },
+    });
+    return result;
+  });
+}
+
+/**
+ * Changes a user's technologies, and records the change in the audit log, in a
+ * single transaction.
+ *
+ * @param {Object} res The response Object from Express, with the user making
+ *   the change.
+ * @param {String} username Name of the user.
+ * @param {Function} change async () => [name, ...], which changes the
+ *   technologies and returns them.
+ * @returns {Array} The user's technologies after the change, [name, ...].
+ */
+async function changeTechnologies(res, username, change) {
+  return await db.withTransaction(async () => {
+    const before = await User.getTechnologies(username);
+    const technologies = await change();
+
+    await AuditLog.record({
+      actor: res.locals.user.username,
+      action: 'update',
+      entityType: 'user',
+      entityId: username,
+      before: { technologies: before },
+      after: { technologies },
+    });
+    return technologies;
+  });
+}
+
 const router = express.Router();
 
 /** POST / { user }  => { user, token }
@@ -31,20 +105,36 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
+ * The change is recorded in the audit log, without the password.
+ *
  * Authorization required: login, admin
  **/
 
+documentRoute(router, 'POST /', {
+  summary: 'Adds a user, who can be an admin.',
+  auth: 'login, admin',
+  body: 'userNew',
+  status: 201,
+  returns: '{ user: { username, firstName, lastName, email, isAdmin }, token }',
+});
+
 router.post('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
   try {
     req.body.password = passwordGen.generate({ numbers: true, symbols: true });
 
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map((e) => e.stack);
-      throw new BadRequestError(errs);
-    }
+    validateSchema(req.body, userNewSchema);
 
-    const user = await User.register(req.body);
+    const user = await db.withTransaction(async () => {
+      const user = await User.register(req.body);
+      await AuditLog.record({
+        actor: res.locals.user.username,
+        action: 'create',
+        entityType: 'user',
+        entityId: user.username,
+        after: user,
+      });
+      return user;
+    });
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -54,28 +144,53 @@ router.post('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
 
 /** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
  *
- * Returns list of all users.
+ * Returns list of all users.  With ?includeDeleted=true, deleted users are
+ * listed too, and each user has deletedAt.
  *
  * Authorization required: login, admin
  **/
 
-router.get('/', ensureLoggedIn, ensureAdmin, async function (req, res, next) {
-  try {
-    const users = await User.findAll();
-    return res.json({ users });
-  } catch (err) {
-    return next(err);
-  }
+documentRoute(router, 'GET /', {
+  summary: 'Lists users.',
+  auth: 'login, admin',
+  query: 'userGetAllQuery',
+  returns: '{ users: [{ username, firstName, lastName, email }, ...] }',
 });
 
+router.get(
+  '/',
+  ensureLoggedIn,
+  ensureAdmin,
+  convertGetAllUsersQueryParameters,
+  async function (req, res, next) {
+    try {
+      const users = await User.findAll(req.query);
+      return res.json({ users });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** GET /[username] => { user }
  *
- * Returns { username, firstName, lastName, isAdmin, jobs }
- *   where jobs is [ jobId, jobId, ... ].
+ * Returns { username, firstName, lastName, email, emailVerified, isAdmin,
+ *   jobs, technologies, recruiterFor }
+ *   where jobs is [ { id, status }, ... ],
+ *   technologies is [ name, name, ... ],
+ *   and recruiterFor is [ handle, ... ].
  *
  * Authorization required: login, admin or self
  **/
 
+documentRoute(router, 'GET /:username', {
+  summary: 'Gets a user, with their applications, skills, and roles.',
+  auth: 'login, admin or self',
+  returns:
+    '{ user: { username, firstName, lastName, email, emailVerified, ' +
+    'isAdmin, twoFactorEnabled, jobs, technologies, recruiterFor } }',
+});
+
 router.get(
   '/:username',
   ensureLoggedIn,
@@ -93,26 +208,46 @@ router.get(
 /** PATCH /[username] { user } => { user }
  *
  * Data can include:
- *   { firstName, lastName, password, email }
+ *   { firstName, lastName, email }
  *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
+ * Passwords are changed with POST /[username]/password instead.  Changing the
+ * email address makes it unverified again.  The changed fields are recorded
+ * in the audit log.
+ *
  * Authorization required: login, admin or self
  **/
 
+documentRoute(router, 'PATCH /:username', {
+  summary: 'Updates a user.',
+  auth: 'login, admin or self',
+  body: 'userUpdate',
+  returns: '{ user: { username, firstName, lastName, email, isAdmin } }',
+});
+
 router.patch(
   '/:username',
   ensureLoggedIn,
   ensureAdminOrSelf,
   async function (req, res, next) {
     try {
-      const validator = jsonschema.validate(req.body, userUpdateSchema);
-      if (!validator.valid) {
-        const errs = validator.errors.map((e) => e.stack);
-        throw new BadRequestError(errs);
-      }
+      validateSchema(req.body, userUpdateSchema);
 
-      const user = await User.update(req.params.username, req.body);
+      const { username } = req.params;
+      const user = await db.withTransaction(async () => {
+        const before = await User.get(username);
+        const user = await User.update(username, req.body);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'update',
+          entityType: 'user',
+          entityId: username,
+          before,
+          after: user,
+        });
+        return user;
+      });
       return res.json({ user });
     } catch (err) {
       return next(err);
@@ -120,19 +255,159 @@ router.patch(
   }
 );
 
+/** POST /[username]/password { currentPassword, newPassword }
+ *   => { passwordChanged: true }
+ *
+ * Changes a user's password.  currentPassword is required, and must be
+ * correct, unless the logged in user is an admin.  Wrong current passwords
+ * count as failed logins, so they are limited like POST /auth/token.
+ *
+ * The new password must follow the password policy.  Tokens issued before the
+ * change, including the one used for this request, are no longer valid, so
+ * the user must log in again.  The change is recorded in the audit log,
+ * without the password.
+ *
+ * Authorization required: login, admin or self
+ **/
+
+documentRoute(router, 'POST /:username/password', {
+  summary: "Changes a user's password.",
+  auth: 'login, admin or self',
+  body: 'userPasswordChange',
+  returns: '{ passwordChanged: true }',
+});
+
+router.post(
+  '/:username/password',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, userPasswordChangeSchema);
+
+      const { username } = req.params;
+      const { currentPassword, newPassword } = req.body;
+      const { isAdmin } = res.locals.user;
+      if (!isAdmin && currentPassword === undefined) {
+        throw new ValidationError([
+          {
+            pointer: '/currentPassword',
+            keyword: 'required',
+            message: 'requires property "currentPassword"',
+          },
+        ]);
+      }
+      validatePassword(newPassword, username, '/newPassword');
+
+      const changePassword = () =>
+        db.withTransaction(async () => {
+          await User.changePassword(
+            username,
+            newPassword,
+            isAdmin ? undefined : currentPassword
+          );
+          await AuditLog.record({
+            actor: res.locals.user.username,
+            action: 'change-password',
+            entityType: 'user',
+            entityId: username,
+          });
+        });
+
+      if (isAdmin) {
+        await changePassword();
+      } else {
+        await LoginThrottle.attempt(
+          username,
+          req.ip,
+          changePassword,
+          (err) => err instanceof BadRequestError
+        );
+      }
+
+      return res.json({ passwordChanged: true });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /** DELETE /[username]  =>  { deleted: username }
+ *
+ * Soft deletes the user, who can be restored by an admin until they are
+ * purged.  The deletion is recorded in the audit log.
  *
  * Authorization required: login, admin or self
  **/
 
+documentRoute(router, 'DELETE /:username', {
+  summary: 'Soft deletes a user.',
+  auth: 'login, admin or self',
+  returns: '{ deleted: username }',
+});
+
 router.delete(
   '/:username',
   ensureLoggedIn,
   ensureAdminOrSelf,
   async function (req, res, next) {
     try {
-      await User.remove(req.params.username);
-      return res.json({ deleted: req.params.username });
+      const { username } = req.params;
+      await db.withTransaction(async () => {
+        const before = await User.get(username);
+        await User.remove(username);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'delete',
+          entityType: 'user',
+          entityId: username,
+          before,
+        });
+      });
+      return res.json({ deleted: username });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** POST /[username]/restore  =>  { user }
+ *
+ * Restores a deleted user.  The restoration is recorded in the audit log.
+ *
+ * Returns { username, firstName, lastName, isAdmin, jobs, technologies }, as
+ *   in GET /[username]
+ *
+ * Authorization required: login, admin
+ **/
+
+documentRoute(router, 'POST /:username/restore', {
+  summary: 'Restores a deleted user.',
+  auth: 'login, admin',
+  returns:
+    '{ user: { username, firstName, lastName, isAdmin, jobs, ' +
+    'technologies } }',
+});
+
+router.post(
+  '/:username/restore',
+  ensureLoggedIn,
+  ensureAdmin,
+  async function (req, res, next) {
+    try {
+      const { username } = req.params;
+      const user = await db.withTransaction(async () => {
+        const user = await User.restore(username);
+        await AuditLog.record({
+          actor: res.locals.user.username,
+          action: 'restore',
+          entityType: 'user',
+          entityId: username,
+          after: user,
+        });
+        return user;
+      });
+      return res.json({ user });
     } catch (err) {
       return next(err);
     }
@@ -142,10 +417,20 @@ router.delete(
 /** POST /:username/jobs/:id
  * => { applied: jobId }
  *
- * Has a user apply to a job.
+ * Has a user apply to a job.  If the user was only interested in the job, the
+ * application's status changes to applied.  The job must be open and not
+ * expired.  If REQUIRE_VERIFIED_EMAIL_TO_APPLY is set, the user must have
+ * verified their email address.  The change is recorded in the audit log.
  *
  * Authorization required: login, admin or self
  */
+documentRoute(router, 'POST /:username/jobs/:id', {
+  summary: 'Applies to a job for a user.',
+  auth: 'login, admin or self',
+  status: 201,
+  returns: '{ applied: jobId }',
+});
+
 router.post(
   '/:username/jobs/:id',
   ensureLoggedIn,
@@ -153,7 +438,24 @@ router.post(
   convertJobId,
   async function (req, res, next) {
     try {
-      const { jobId } = await User.applyJob(req.params.username, req.params.id);
+      const { username, id } = req.params;
+      if (
+        REQUIRE_VERIFIED_EMAIL_TO_APPLY &&
+        !(await User.isEmailVerified(username))
+      ) {
+        throw new ForbiddenError(
+          'Email address must be verified before applying to jobs',
+          'EMAIL_NOT_VERIFIED'
+        );
+      }
+
+      const { jobId } = await changeApplication(
+        res,
+        'apply',
+        username,
+        id,
+        () => User.applyJob(username, id)
+      );
       return res.status(201).json({ applied: jobId });
     } catch (err) {
       return next(err);
@@ -161,24 +463,290 @@ router.post(
   }
 );
 
+/** POST /:username/jobs/:id/interested
+ * => { interested: jobId }
+ *
+ * Marks a job as one that a user is interested in, without applying yet.  The
+ * job must be open and not expired.  The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'POST /:username/jobs/:id/interested', {
+  summary: 'Marks a job as one a user is interested in.',
+  auth: 'login, admin or self',
+  status: 201,
+  returns: '{ interested: jobId }',
+});
+
+router.post(
+  '/:username/jobs/:id/interested',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  convertJobId,
+  async function (req, res, next) {
+    try {
+      const { username, id } = req.params;
+      const { jobId } = await changeApplication(
+        res,
+        'interested',
+        username,
+        id,
+        () => User.markJobInterested(username, id)
+      );
+      return res.status(201).json({ interested: jobId });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** PATCH /:username/jobs/:id { status }
+ * => { application: { username, jobId, status } }
+ *
+ * Moves an application to accepted or rejected.  Only applications that have
+ * been applied can be accepted or rejected.  The change is recorded in the
+ * audit log.
+ *
+ * Authorization required: login, admin
+ */
+documentRoute(router, 'PATCH /:username/jobs/:id', {
+  summary: 'Accepts or rejects an application.',
+  auth: 'login, admin',
+  body: 'applicationUpdate',
+  returns: '{ application: { username, jobId, status } }',
+});
+
+router.patch(
+  '/:username/jobs/:id',
+  ensureLoggedIn,
+  ensureAdmin,
+  convertJobId,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, applicationUpdateSchema);
+
+      const { username, id } = req.params;
+      const application = await changeApplication(
+        res,
+        'update',
+        username,
+        id,
+        () => User.updateApplicationStatus(username, id, req.body.status)
+      );
+      return res.json({ application });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/** DELETE /:username/jobs/:id
+ * => { withdrawn: jobId }
+ *
+ * Withdraws a user's application to, or interest in, a job.  Applications that
+ * have already been accepted or rejected can not be withdrawn.  The withdrawal
+ * is recorded in the audit log.
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'DELETE /:username/jobs/:id', {
+  summary: "Withdraws a user's application to, or interest in, a job.",
+  auth: 'login, admin or self',
+  returns: '{ withdrawn: jobId }',
+});
+
+router.delete(
+  '/:username/jobs/:id',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  convertJobId,
+  async function (req, res, next) {
+    try {
+      const { username, id } = req.params;
+      await changeApplication(res, 'withdraw', username, id, () =>
+        User.withdrawApplication(username, id)
+      );
+      return res.json({ withdrawn: id });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * GET /:username/technologies
+ * => { technologies: [name, ...] }
+ *
+ * Gets a user's technologies (skills).
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'GET /:username/technologies', {
+  summary: "Gets a user's technologies.",
+  auth: 'login, admin or self',
+  returns: '{ technologies: [name, ...] }',
+});
+
+router.get(
+  '/:username/technologies',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  async function (req, res, next) {
+    try {
+      const technologies = await User.getTechnologies(req.params.username);
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * PUT /:username/technologies
+ * { technologies: [nameOrId, ...] }
+ * => { technologies: [name, ...] }
+ *
+ * Replaces all of a user's technologies.  Technologies are given as names or
+ * IDs and must already exist.  The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'PUT /:username/technologies', {
+  summary: "Replaces a user's technologies.",
+  auth: 'login, admin or self',
+  body: 'userTechnologies',
+  returns: '{ technologies: [name, ...] }',
+});
+
+router.put(
+  '/:username/technologies',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, userTechnologiesSchema);
+
+      const { username } = req.params;
+      const technologies = await changeTechnologies(res, username, () =>
+        User.setTechnologies(username, req.body.technologies)
+      );
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * POST /:username/technologies
+ * { technologies: [nameOrId, ...] }
+ * => { technologies: [name, ...] }
+ *
+ * Adds technologies to a user.  Technologies are given as names or IDs and
+ * must already exist.  The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'POST /:username/technologies', {
+  summary: 'Adds technologies to a user.',
+  auth: 'login, admin or self',
+  body: 'userTechnologies',
+  returns: '{ technologies: [name, ...] }',
+});
+
+router.post(
+  '/:username/technologies',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, userTechnologiesSchema);
+
+      const { username } = req.params;
+      const technologies = await changeTechnologies(res, username, () =>
+        User.addTechnologies(username, req.body.technologies)
+      );
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /:username/technologies
+ * { technologies: [nameOrId, ...] }
+ * => { technologies: [name, ...] }
+ *
+ * Removes technologies from a user.  Technologies are given as names or IDs.
+ * The change is recorded in the audit log.
+ *
+ * Authorization required: login, admin or self
+ */
+documentRoute(router, 'DELETE /:username/technologies', {
+  summary: 'Removes technologies from a user.',
+  auth: 'login, admin or self',
+  body: 'userTechnologies',
+  returns: '{ technologies: [name, ...] }',
+});
+
+router.delete(
+  '/:username/technologies',
+  ensureLoggedIn,
+  ensureAdminOrSelf,
+  async function (req, res, next) {
+    try {
+      validateSchema(req.body, userTechnologiesSchema);
+
+      const { username } = req.params;
+      const technologies = await changeTechnologies(res, username, () =>
+        User.removeTechnologies(username, req.body.technologies)
+      );
+      return res.json({ technologies });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
 /**
  * GET /:username/matchingJobs
  * => { jobs:
- *  [{ id, title, salary, equity, companyHandle, technologies }, ...]
+ *  [{ id, title, salary, equity, companyHandle, status, postedAt, expiresAt,
+ *     technologies, score }, ...]
  * }
  *
- * Returns a list of jobs that have technologies that match a specified user's
- * technologies.
+ * Returns a list of open jobs that have technologies that match a specified
+ * user's technologies.  technologies are the shared technologies, and score
+ * is the fraction of the job's technologies that the user has.  Jobs are
+ * sorted by score, from highest to lowest, and exclude jobs the user already
+ * applied to.
+ *
+ * Can filter on the same search filters as GET /jobs, except q and status,
+ * and:
+ * - minScore (between 0 and 1)
+ *
+ * Can paginate with limit and offset.
  *
  * Authorization required: login, admin or self
  */
+documentRoute(router, 'GET /:username/matchingJobs', {
+  summary: "Lists open jobs that match a user's technologies, best first.",
+  auth: 'login, admin or self',
+  query: 'userMatchJobsQuery',
+  returns:
+    '{ jobs: [{ id, title, salary, equity, companyHandle, status, ' +
+    'postedAt, expiresAt, technologies, score }, ...] }',
+});
+
 router.get(
   '/:username/matchingJobs',
   ensureLoggedIn,
   ensureAdminOrSelf,
+  convertMatchJobsQueryParameters,
   async function (req, res, next) {
     try {
-      const jobs = await User.matchJobs(req.params.username);
+      const jobs = await User.matchJobs(req.params.username, req.query);
       return res.json({ jobs });
     } catch (err) {
       return next(err);
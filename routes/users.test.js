@@ -1,10 +1,13 @@
 'use strict';
 
+const jwt = require('jsonwebtoken');
 const request = require('supertest');
 
 const db = require('../db.js');
 const app = require('../app');
+const AuditLog = require('../models/auditLog');
 const User = require('../models/user');
+const { SECRET_KEY, LOGIN_MAX_FAILURES } = require('../config');
 
 const {
   commonBeforeAll,
@@ -132,6 +135,39 @@ describe('GET /users', function () {
     expect(resp.body).toEqual({ users });
   });
 
+  test('works for admins: with includeDeleted', async function () {
+    // Arrange
+    await User.remove('u2');
+
+    // Act
+    const resp = await request(app)
+      .get('/users?includeDeleted=true')
+      .set('authorization', `Bearer ${u1Token}`);
+    const notDeletedResp = await request(app)
+      .get('/users')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({
+      users: [
+        { ...users[0], deletedAt: null },
+        { ...users[1], deletedAt: expect.any(String) },
+        { ...users[2], deletedAt: null },
+      ],
+    });
+    expect(notDeletedResp.body).toEqual({ users: [users[0], users[2]] });
+  });
+
+  test('bad request if invalid query', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/users?includeDeleted=yes')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
   test('unauth for anon', async function () {
     const resp = await request(app).get('/users');
     expect(resp.statusCode).toEqual(401);
@@ -179,7 +215,14 @@ describe('GET /users/:username', function () {
     expect(resp.body).toEqual({
       user: {
         ...users[0],
-        jobs: [1, 2],
+        jobs: [
+          { id: 1, status: 'applied' },
+          { id: 2, status: 'applied' },
+        ],
+        technologies: ['t1', 't2'],
+        emailVerified: true,
+        twoFactorEnabled: false,
+        recruiterFor: [],
       },
     });
   });
@@ -192,6 +235,10 @@ describe('GET /users/:username', function () {
       user: {
         ...users[0],
         jobs: [],
+        technologies: ['t1', 't2'],
+        emailVerified: true,
+        twoFactorEnabled: false,
+        recruiterFor: [],
       },
     });
   });
@@ -210,6 +257,10 @@ describe('GET /users/:username', function () {
       user: {
         ...users[1],
         jobs: [],
+        technologies: ['t1'],
+        emailVerified: true,
+        twoFactorEnabled: false,
+        recruiterFor: [],
       },
     });
   });
@@ -322,21 +373,190 @@ describe('PATCH /users/:username', () => {
     expect(resp.statusCode).toEqual(400);
   });
 
-  test('works: set new password', async function () {
+  test('bad request if setting password', async function () {
     const resp = await request(app)
       .patch(`/users/u1`)
       .send({
         password: 'new-password',
       })
       .set('authorization', `Bearer ${u1Token}`);
-    expect(resp.body).toEqual({
-      user: users[0],
-    });
-    const isSuccessful = await User.authenticate('u1', 'new-password');
+    expect(resp.statusCode).toEqual(400);
+    const isSuccessful = await User.authenticate('u1', 'password1');
     expect(isSuccessful).toBeTruthy();
   });
 });
 
+/************************************** POST /users/:username/password */
+
+describe('POST /users/:username/password', function () {
+  const url = '/users/u2/password';
+
+  test('works for self with the current password', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ currentPassword: 'password2', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ passwordChanged: true });
+    expect(await User.authenticate('u2', 'new-password')).toBeTruthy();
+  });
+
+  test('works for admins without the current password', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.body).toEqual({ passwordChanged: true });
+    expect(await User.authenticate('u2', 'new-password')).toBeTruthy();
+  });
+
+  test('invalidates tokens issued before the change', async function () {
+    // Arrange
+    const iat = Math.floor(Date.now() / 1000) - 10;
+    const oldToken = jwt.sign(
+      { username: 'u2', isAdmin: false, iat },
+      SECRET_KEY
+    );
+    const oldRefreshToken = jwt.sign(
+      { username: 'u2', type: 'refresh', iat },
+      SECRET_KEY,
+      { jwtid: 'old' }
+    );
+
+    // Act
+    await request(app)
+      .post(url)
+      .send({ currentPassword: 'password2', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${oldToken}`);
+
+    // Assert
+    const resp = await request(app)
+      .get('/users/u2')
+      .set('authorization', `Bearer ${oldToken}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.message).toEqual('Token revoked');
+    const refreshResp = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: oldRefreshToken });
+    expect(refreshResp.statusCode).toEqual(401);
+    const loginResp = await request(app)
+      .post('/auth/token')
+      .send({ username: 'u2', password: 'new-password' });
+    expect(loginResp.statusCode).toEqual(200);
+  });
+
+  test('records the change in the audit log without the password', async function () {
+    // Act
+    await request(app)
+      .post(url)
+      .send({ currentPassword: 'password2', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    const entries = await AuditLog.findAll();
+    expect(entries).toEqual([
+      expect.objectContaining({
+        actor: 'u2',
+        action: 'change-password',
+        entityType: 'user',
+        entityId: 'u2',
+        before: null,
+        after: null,
+      }),
+    ]);
+  });
+
+  test('bad request if the current password is missing', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.fields).toEqual([
+      expect.objectContaining({ pointer: '/currentPassword' }),
+    ]);
+  });
+
+  test('bad request if the current password is wrong', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ currentPassword: 'wrong', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('INVALID_CURRENT_PASSWORD');
+    expect(await User.authenticate('u2', 'password2')).toBeTruthy();
+  });
+
+  test('too many requests after too many wrong current passwords', async function () {
+    // Arrange
+    for (let i = 0; i < LOGIN_MAX_FAILURES; i++) {
+      await request(app)
+        .post(url)
+        .send({ currentPassword: 'wrong', newPassword: 'new-password' })
+        .set('authorization', `Bearer ${u2Token}`);
+    }
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ currentPassword: 'password2', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(429);
+  });
+
+  test.each([['short-1'], ['longpassword'], ['my-u2-password']])(
+    'bad request if the new password breaks the policy; password: %s',
+    async function (newPassword) {
+      // Act
+      const resp = await request(app)
+        .post(url)
+        .send({ currentPassword: 'password2', newPassword })
+        .set('authorization', `Bearer ${u2Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.error.fields).toEqual([
+        expect.objectContaining({ pointer: '/newPassword' }),
+      ]);
+    }
+  );
+
+  test('forbidden if not admin or self', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/users/u1/password')
+      .send({ currentPassword: 'password1', newPassword: 'new-password' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ currentPassword: 'password2', newPassword: 'new-password' });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
 /************************************** DELETE /users/:username */
 
 describe('DELETE /users/:username', function () {
@@ -345,6 +565,10 @@ describe('DELETE /users/:username', function () {
       .delete(`/users/u1`)
       .set('authorization', `Bearer ${u1Token}`);
     expect(resp.body).toEqual({ deleted: 'u1' });
+    const loginResp = await request(app)
+      .post('/auth/token')
+      .send({ username: 'u1', password: 'password1' });
+    expect(loginResp.statusCode).toEqual(401);
   });
 
   test('works for non-admin user if deleting self', async function () {
@@ -386,6 +610,55 @@ describe('DELETE /users/:username', function () {
   });
 });
 
+/************************************** POST /users/:username/restore */
+
+describe('POST /users/:username/restore', function () {
+  const url = '/users/u2/restore';
+
+  beforeEach(async function () {
+    await User.remove('u2');
+  });
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.user).toEqual(expect.objectContaining(users[1]));
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).post(url);
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if user is not deleted', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/users/u1/restore')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** POST /:username/jobs/:id */
 
 describe('POST /:username/jobs/:id', function () {
@@ -454,6 +727,36 @@ describe('POST /:username/jobs/:id', function () {
     expect(resp.statusCode).toEqual(404);
   });
 
+  test('bad request if job is closed', async function () {
+    // Arrange
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+
+    // Act
+    const resp = await request(app)
+      .post('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.code).toEqual('JOB_NOT_OPEN');
+  });
+
+  test('forbidden if email is not verified', async function () {
+    // Arrange
+    await db.query(
+      `UPDATE users SET email_verified_at = NULL WHERE username = 'u2'`
+    );
+
+    // Act
+    const resp = await request(app)
+      .post('/users/u2/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.code).toEqual('EMAIL_NOT_VERIFIED');
+  });
+
   test('not found if no such job', async function () {
     // Arrange
     const url = '/users/u1/jobs/99';
@@ -466,6 +769,390 @@ describe('POST /:username/jobs/:id', function () {
     // Assert
     expect(resp.statusCode).toEqual(404);
   });
+
+  test('bad request if already applied', async function () {
+    // Arrange
+    const url = '/users/u2/jobs/1';
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /:username/jobs/:id/interested */
+
+describe('POST /:username/jobs/:id/interested', function () {
+  const url = '/users/u2/jobs/1/interested';
+
+  test('works for non-admin specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toBe(201);
+    expect(resp.body).toEqual({ interested: 1 });
+  });
+
+  test('forbidden if not admin or specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/users/u1/jobs/1/interested')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('bad request if already applied', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** PATCH /:username/jobs/:id */
+
+describe('PATCH /:username/jobs/:id', function () {
+  const url = '/users/u2/jobs/1';
+
+  test('works for admins', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'accepted' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: { username: 'u2', jobId: 1, status: 'accepted' },
+    });
+  });
+
+  test('forbidden if not admin', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'accepted' })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('bad request if status change is not allowed', async function () {
+    // Arrange
+    await User.markJobInterested('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'rejected' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test.each([[{}], [{ status: 'interested' }], [{ status: 'applied' }]])(
+    'bad request on invalid data; data: %o',
+    async function (data) {
+      // Arrange
+      await User.applyJob('u2', 1);
+
+      // Act
+      const resp = await request(app)
+        .patch(url)
+        .send(data)
+        .set('authorization', `Bearer ${u1Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+
+  test('not found if no such application', async function () {
+    // Act
+    const resp = await request(app)
+      .patch(url)
+      .send({ status: 'accepted' })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /:username/jobs/:id */
+
+describe('DELETE /:username/jobs/:id', function () {
+  const url = '/users/u2/jobs/1';
+
+  test('works for non-admin specified user', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ withdrawn: 1 });
+  });
+
+  test('forbidden if not admin or specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .delete('/users/u1/jobs/1')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('bad request if application was rejected', async function () {
+    // Arrange
+    await User.applyJob('u2', 1);
+    await User.updateApplicationStatus('u2', 1, 'rejected');
+
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test('not found if no such application', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /:username/technologies */
+
+describe('GET /:username/technologies', function () {
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/users/u2/technologies')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ technologies: ['t1'] });
+  });
+
+  test('works for non-admin specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/users/u2/technologies')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ technologies: ['t1'] });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app).get('/users/u2/technologies');
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('forbidden if not admin or specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/users/u1/technologies')
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if no such user', async function () {
+    // Act
+    const resp = await request(app)
+      .get('/users/nope/technologies')
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /:username/technologies */
+
+describe('PUT /:username/technologies', function () {
+  const url = '/users/u2/technologies';
+
+  test('works for non-admin specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .put(url)
+      .send({ technologies: ['t3', 2] })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ technologies: ['t2', 't3'] });
+  });
+
+  test('forbidden if not admin or specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .put('/users/u1/technologies')
+      .send({ technologies: ['t3'] })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('not found if no such technology', async function () {
+    // Act
+    const resp = await request(app)
+      .put(url)
+      .send({ technologies: ['nope'] })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test.each([[{}], [{ technologies: 't1' }], [{ technologies: [0] }]])(
+    'bad request on invalid data; data: %o',
+    async function (data) {
+      // Act
+      const resp = await request(app)
+        .put(url)
+        .send(data)
+        .set('authorization', `Bearer ${u2Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+});
+
+/************************************** POST /:username/technologies */
+
+describe('POST /:username/technologies', function () {
+  const url = '/users/u2/technologies';
+
+  test('works for admins', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ technologies: ['t1', 't3'] })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ technologies: ['t1', 't3'] });
+  });
+
+  test('unauth for anon', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ technologies: ['t3'] });
+
+    // Assert
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test('not found if no such user', async function () {
+    // Act
+    const resp = await request(app)
+      .post('/users/nope/technologies')
+      .send({ technologies: ['t3'] })
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test('bad request on invalid data', async function () {
+    // Act
+    const resp = await request(app)
+      .post(url)
+      .send({ technologies: ['t3'], createTechnologies: true })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** DELETE /:username/technologies */
+
+describe('DELETE /:username/technologies', function () {
+  const url = '/users/u1/technologies';
+
+  test('works for non-admin specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .delete('/users/u2/technologies')
+      .send({ technologies: ['t1'] })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({ technologies: [] });
+  });
+
+  test('forbidden if not admin or specified user', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .send({ technologies: ['t1'] })
+      .set('authorization', `Bearer ${u2Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(403);
+  });
+
+  test('bad request on missing data', async function () {
+    // Act
+    const resp = await request(app)
+      .delete(url)
+      .set('authorization', `Bearer ${u1Token}`);
+
+    // Assert
+    expect(resp.statusCode).toEqual(400);
+  });
 });
 
 /************************************** GET /:username/matchingJobs */
@@ -484,8 +1171,8 @@ describe('GET /:username/matchingJobs', function () {
     expect(resp.statusCode).toEqual(200);
     expect(resp.body).toEqual({
       jobs: [
-        { ...jobs[0], technologies: ['t1'] },
-        { ...jobs[1], technologies: ['t1'] },
+        { ...jobs[1], technologies: ['t1'], score: 1 },
+        { ...jobs[0], technologies: ['t1'], score: 1 / 3 },
       ],
     });
   });
@@ -503,12 +1190,55 @@ describe('GET /:username/matchingJobs', function () {
     expect(resp.statusCode).toEqual(200);
     expect(resp.body).toEqual({
       jobs: [
-        { ...jobs[0], technologies: ['t1'] },
-        { ...jobs[1], technologies: ['t1'] },
+        { ...jobs[1], technologies: ['t1'], score: 1 },
+        { ...jobs[0], technologies: ['t1'], score: 1 / 3 },
       ],
     });
   });
 
+  test.each([
+    ['/users/u2/matchingJobs?minScore=0.5', [1]],
+    ['/users/u2/matchingJobs?title=1&hasEquity=true', [0]],
+    ['/users/u2/matchingJobs?minSalary=100', [1]],
+    ['/users/u2/matchingJobs?limit=1&offset=1', [0]],
+    ['/users/u2/matchingJobs?maxSalary=50&companyHandle=c1', [0]],
+    ['/users/u2/matchingJobs?technologies=t2', [0]],
+  ])(
+    'works with query parameters; test case: %s',
+    async function (url, expectedJobIndexes) {
+      // Act
+      const resp = await request(app)
+        .get(url)
+        .set('authorization', `Bearer ${u2Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.jobs.map((j) => j.title)).toEqual(
+        expectedJobIndexes.map((i) => jobs[i].title)
+      );
+    }
+  );
+
+  test.each([
+    ['/users/u2/matchingJobs?minScore=2'],
+    ['/users/u2/matchingJobs?minScore=a'],
+    ['/users/u2/matchingJobs?limit=0'],
+    ['/users/u2/matchingJobs?offset=-1'],
+    ['/users/u2/matchingJobs?hasEquity=1'],
+    ['/users/u2/matchingJobs?minSalary=10&maxSalary=5'],
+  ])(
+    'bad request with invalid query parameters; test case: %s',
+    async function (url) {
+      // Act
+      const resp = await request(app)
+        .get(url)
+        .set('authorization', `Bearer ${u2Token}`);
+
+      // Assert
+      expect(resp.statusCode).toEqual(400);
+    }
+  );
+
   test('Returns empty list if there are no matching jobs.', async function () {
     // Arrange
     const url = '/users/u3/matchingJobs';
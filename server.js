@@ -2,9 +2,12 @@
 
 const app = require('./app');
 const { PORT } = require('./config');
+const { checkMailTransport } = require('./helpers/mail');
 
 // ==================================================
 
+checkMailTransport();
+
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });